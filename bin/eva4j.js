@@ -17,14 +17,23 @@ const generateRabbitMQListenerCommand = require('../src/commands/generate-rabbit
 const generateResourceCommand = require('../src/commands/generate-resource');
 const generateRecordCommand = require('../src/commands/generate-record');
 const generateEntitiesCommand = require('../src/commands/generate-entities');
+const generateMigrationCommand = require('../src/commands/generate-migration');
 const generateTemporalFlowCommand = require('../src/commands/generate-temporal-flow');
 const generateTemporalActivityCommand = require('../src/commands/generate-temporal-activity');
 const generateTemporalSystemCommand = require('../src/commands/generate-temporal-system');
 const buildCommand = require('../src/commands/build');
 const evaluateSystemCommand = require('../src/commands/evaluate-system');
+const evaluateDiffCommand = require('../src/commands/evaluate-diff');
 const infoCommand = require('../src/commands/info');
 const detachCommand = require('../src/commands/detach');
 const exportDiagramCommand = require('../src/commands/export-diagram');
+const exportAsyncApiCommand = require('../src/commands/export-asyncapi');
+const exportOpenApiCommand = require('../src/commands/export-openapi');
+const importOpenApiCommand = require('../src/commands/import-openapi');
+const importDbCommand = require('../src/commands/import-db');
+const schemaCommand = require('../src/commands/schema');
+const doctorCommand = require('../src/commands/doctor');
+const validateCommand = require('../src/commands/validate');
 
 const program = new Command();
 
@@ -106,7 +115,7 @@ program
 program
   .command('generate <type> [module] [name]')
   .alias('g')
-  .description('Generate components (usecase, http-exchange, kafka-event, kafka-listener, rabbitmq-event, rabbitmq-listener, resource, record)')
+  .description('Generate components (usecase, http-exchange, kafka-event, kafka-listener, rabbitmq-event, rabbitmq-listener, resource, record, entities, migration)')
   .option('--force', 'Overwrite files even if they were manually modified (bypasses safe mode)')
   .action(async (type, module, name, options) => {
     if (type === 'usecase') {
@@ -254,6 +263,25 @@ program
       return;
     }
 
+    if (type === 'migration') {
+      if (!module) {
+        console.error(chalk.red('❌ Module name is required'));
+        console.log(chalk.gray('Usage: eva4j generate migration <module> [name]'));
+        console.log(chalk.gray('Examples:'));
+        console.log(chalk.gray('  eva4j generate migration order'));
+        console.log(chalk.gray('  eva4j g migration order add-discount-column\n'));
+        console.log(chalk.yellow('Note: Compares domain.yaml with the last snapshot and writes a Flyway script to src/main/resources/db/migration'));
+        process.exit(1);
+      }
+      try {
+        await generateMigrationCommand(module, name, options);
+      } catch (error) {
+        console.error(chalk.red('Error:'), error.message);
+        process.exit(1);
+      }
+      return;
+    }
+
     if (type === 'temporal-activity') {
       if (!module) {
         console.error(chalk.red('❌ Module name is required'));
@@ -332,6 +360,7 @@ program
     console.log(chalk.gray('  eva4j generate resource <module>'));
     console.log(chalk.gray('  eva4j generate record'));
     console.log(chalk.gray('  eva4j generate entities <module>'));
+    console.log(chalk.gray('  eva4j generate migration <module> [name]'));
     console.log(chalk.gray('\nExamples:'));
     console.log(chalk.gray('  eva4j generate usecase create-provider provider'));
     console.log(chalk.gray('  eva4j g http-exchange user-service-port user'));
@@ -344,7 +373,8 @@ program
     console.log(chalk.gray('  eva4j g temporal-system  # Reads from system/system.yaml'));
     console.log(chalk.gray('  eva4j g resource product'));
     console.log(chalk.gray('  eva4j g record  # Reads JSON from clipboard'));
-    console.log(chalk.gray('  eva4j g entities order  # Generates from domain.yaml\n'));
+    console.log(chalk.gray('  eva4j g entities order  # Generates from domain.yaml'));
+    console.log(chalk.gray('  eva4j g migration order  # Flyway script from domain.yaml changes\n'));
     process.exit(1);
   });
 
@@ -355,6 +385,7 @@ program
   .option('--force', 'Overwrite files even if they were manually modified (bypasses safe mode)')
   .option('--mock', 'Replace database config with H2 in-memory before building (restored automatically after build)')
   .option('--only-broker', 'Only switch the broker to Spring Event bus, keeping the current database unchanged (requires --mock)')
+  .option('--allow-breaking', 'Build even when an event contract change breaks system/.contracts/ (overwrites the registered version)')
   .action(async (options) => {
     try {
       await buildCommand(options);
@@ -367,18 +398,41 @@ program
 // Evaluate command
 program
   .command('evaluate <type>')
-  .description('Validate and visualize project artifacts. type: system')
+  .description('Validate and visualize project artifacts. type: system | diff')
   .option('--port <port>', 'Port for the web server (default: 3000)')
-  .option('--output <path>', 'Output path for the HTML report (default: ./system-report.html)')
+  .option('--output <path>', 'Output path for the report (system: ./system-report.html; diff: stdout, or ./system-diff.html for html)')
+  .option('--watch', 'Re-run the validators on every change to system/*.yaml and live-reload the report')
+  .option('--base <ref>', 'diff: git ref or directory holding the version to compare against')
+  .option('--format <format>', 'diff: report format (markdown, json, html)', 'markdown')
   .action(async (type, options) => {
     try {
-      await evaluateSystemCommand(type, options);
+      if (type === 'diff') {
+        await evaluateDiffCommand(options);
+      } else {
+        await evaluateSystemCommand(type, options);
+      }
     } catch (error) {
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
   });
 
+// Validate command
+program
+  .command('validate')
+  .description('Run the schema, system, domain and Temporal validators headlessly (for CI). Exit code 1 on errors')
+  .option('--format <format>', 'Output format: text, json, sarif, junit (default: text)')
+  .option('--output <path>', 'Write the report to a file instead of stdout')
+  .option('--strict', 'Treat warnings as errors (non-zero exit code on warnings)')
+  .action(async (options) => {
+    try {
+      await validateCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(2);
+    }
+  });
+
 // Info command
 program
   .command('info')
@@ -392,6 +446,20 @@ program
     }
   });
 
+// Doctor command
+program
+  .command('doctor')
+  .description('Check project health: .eva4j.json modules, system/*.yaml, checksums, broker client, mock backup and parameters files')
+  .option('--fix', 'Apply the safe repairs (metadata only, never generated sources or environment config)')
+  .action(async (options) => {
+    try {
+      await doctorCommand(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Detach command
 program
   .command('detach [module-name]')
@@ -407,11 +475,60 @@ program
 
 // Export command
 program
-  .command('export <type>')
-  .description('Export system artifacts. type: diagram (generates .drawio from C4 .mmd files)')
-  .action(async (type, options) => {
+  .command('export <type> [module]')
+  .description('Export system artifacts. type: diagram (generates .drawio from C4 .mmd files) | asyncapi (AsyncAPI 3.0 from system/) | openapi (OpenAPI 3.1 from the endpoints: of system/)')
+  .option('--module <name>', 'asyncapi, openapi: only the contracts of this module')
+  .option('--format <format>', 'asyncapi, openapi: output format (yaml, json)', 'yaml')
+  .option('--output <path>', 'asyncapi, openapi: output file (default: ./<type>[-<module>].<format>)')
+  .action(async (type, moduleName, options) => {
+    try {
+      if (type === 'asyncapi') {
+        await exportAsyncApiCommand({ ...options, module: options.module || moduleName });
+      } else if (type === 'openapi') {
+        await exportOpenApiCommand(moduleName || options.module, options);
+      } else {
+        await exportDiagramCommand(type, options);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Import command
+program
+  .command('import <type> [file]')
+  .description('Infer a module YAML from an existing contract or schema. type: openapi (OpenAPI 3.x document → system/<module>.yaml) | db (SQL DDL → system/<module>.yaml)')
+  .option('--module <name>', 'Module to write (system/<module>.yaml)')
+  .option('--ddl <file>', 'db: SQL script with the CREATE TABLE statements (PostgreSQL or MySQL)')
+  .option('--tables <names>', 'db: comma-separated tables to import (default: all)')
+  .option('--force', 'Overwrite an existing system/<module>.yaml')
+  .action(async (type, file, options) => {
+    try {
+      if (type === 'openapi') {
+        await importOpenApiCommand(file, options);
+      } else if (type === 'db') {
+        await importDbCommand({ ...options, ddl: options.ddl || file });
+      } else {
+        console.error(chalk.red(`❌ Unknown import type: '${type}'`));
+        console.error(chalk.gray('Supported types: openapi, db'));
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Schema command
+program
+  .command('schema <action>')
+  .description('Export the JSON Schemas of domain.yaml and system.yaml for editor autocomplete. action: export')
+  .option('--output <dir>', 'Directory for the schema files (default: ./schemas)')
+  .option('--no-vscode', 'Do not register the schemas in .vscode/settings.json')
+  .action(async (action, options) => {
     try {
-      await exportDiagramCommand(type, options);
+      await schemaCommand(action, options);
     } catch (error) {
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
@@ -431,13 +548,23 @@ program.on('--help', () => {
   console.log(chalk.gray('  $ eva4j g usecase get-all-products product'));
   console.log(chalk.gray('  $ eva4j g http-exchange user-service-port user'));
   console.log(chalk.gray('  $ eva4j g entities order'));
+  console.log(chalk.gray('  $ eva4j g migration order'));
   console.log(chalk.gray('  $ eva4j g kafka-event user-created user'));
   console.log(chalk.gray('  $ eva4j g temporal-flow order process-order'));
   console.log(chalk.gray('  $ eva4j g temporal-activity order register-order'));
   console.log(chalk.gray('  $ eva4j g record'));
   console.log(chalk.gray('  $ eva4j detach user'));
   console.log(chalk.gray('  $ eva4j info'));
+  console.log(chalk.gray('  $ eva4j doctor --fix'));
   console.log(chalk.gray('  $ eva4j evaluate system'));
+  console.log(chalk.gray('  $ eva4j evaluate system --watch'));
+  console.log(chalk.gray('  $ eva4j evaluate diff --base main'));
+  console.log(chalk.gray('  $ eva4j export asyncapi --module orders'));
+  console.log(chalk.gray('  $ eva4j export openapi orders --format json'));
+  console.log(chalk.gray('  $ eva4j import openapi petstore.yaml --module pets'));
+  console.log(chalk.gray('  $ eva4j import db --ddl schema.sql --module orders'));
+  console.log(chalk.gray('  $ eva4j validate --format sarif --output eva4j.sarif'));
+  console.log(chalk.gray('  $ eva4j schema export'));
   console.log('');
   console.log(chalk.blue('For more information, visit:'));
   console.log(chalk.gray('  https://github.com/your-repo/eva4j'));
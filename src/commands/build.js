@@ -19,6 +19,8 @@ const generateTemporalSystemCommand = require('./generate-temporal-system');
 const generateTemporalActivityCommand = require('./generate-temporal-activity');
 const { generateUnifiedPostmanCollection } = require('../generators/postman-generator');
 const ChecksumManager = require('../utils/checksum-manager');
+const { validateYamlFile, formatSchemaErrors } = require('../utils/schema-validator');
+const { CONTRACTS_DIR, DEFAULT_COMPATIBILITY, checkEventContracts, writeContracts } = require('../utils/event-contracts');
 
 // ── H2 mock config ─────────────────────────────────────────────────────────────
 const H2_DB_YAML = (packageName) => `spring:
@@ -418,6 +420,80 @@ async function appendTemporalModuleQueues(projectDir, moduleName, moduleScreamin
   }
 }
 
+// ── Schema validation helper ─────────────────────────────────────────────────
+/**
+ * Check system/system.yaml and the system/<module>.yaml of every declared module
+ * against the JSON Schemas. Missing module files are left to Step 3, which skips them.
+ */
+async function validateSystemSchemas(systemDir, systemConfig) {
+  const { errors } = await validateYamlFile(path.join(systemDir, 'system.yaml'), 'system', 'system/system.yaml');
+  const modules = systemConfig && Array.isArray(systemConfig.modules) ? systemConfig.modules : [];
+
+  for (const mod of modules) {
+    if (!mod || typeof mod.name !== 'string') continue;
+    const moduleYamlPath = path.join(systemDir, `${mod.name}.yaml`);
+    if (!(await fs.pathExists(moduleYamlPath))) continue;
+    const result = await validateYamlFile(moduleYamlPath, 'domain', `system/${mod.name}.yaml`);
+    errors.push(...result.errors);
+  }
+
+  return errors;
+}
+
+// ── Event contract helper ────────────────────────────────────────────────────
+/**
+ * Compare the events of every declared module with system/.contracts/ and print the changes.
+ * Exits when a change breaks the compatibility mode (unless allowBreaking) or an event
+ * declares a version older than the registered one. Returns the contracts to register.
+ */
+async function checkContracts(systemDir, systemConfig, allowBreaking) {
+  const mode = ((systemConfig.messaging || {}).contracts || {}).compatibility || DEFAULT_COMPATIBILITY;
+  const domainConfigs = {};
+  for (const mod of systemConfig.modules || []) {
+    const moduleYamlPath = path.join(systemDir, `${mod.name}.yaml`);
+    if (!(await fs.pathExists(moduleYamlPath))) continue;
+    domainConfigs[mod.name] = yaml.load(await fs.readFile(moduleYamlPath, 'utf-8')) || {};
+  }
+
+  const { results, pending } = await checkEventContracts(systemDir, domainConfigs, mode);
+  const changed = results.filter((r) => r.status !== 'unchanged');
+  if (changed.length === 0) return pending;
+
+  console.log(chalk.blue('━━━ Checking event contracts ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  console.log(chalk.gray(`  Compatibility: ${mode}`));
+  const describe = (c) => (c.change === 'typeChanged' ? `${c.field}: ${c.from} → ${c.to}` : `${c.field} ${c.change}`);
+  for (const r of changed) {
+    const label = `${r.module}.${r.event} v${r.version}`;
+    if (r.status === 'registered') {
+      console.log(chalk.green(`  ➕ ${label} — new contract`));
+    } else if (r.status === 'newVersion') {
+      console.log(chalk.green(`  ⬆️  ${label} — new version (v${r.registeredVersion} is kept)`));
+    } else if (r.status === 'staleVersion') {
+      console.log(chalk.red(`  ❌ ${label} — older than the registered v${r.registeredVersion}`));
+    } else if (r.status === 'compatible') {
+      console.log(chalk.green(`  ✅ ${label} — ${r.compatibility} compatible: ${r.changes.map(describe).join(', ')}`));
+    } else {
+      const color = allowBreaking ? chalk.yellow : chalk.red;
+      const level = r.compatibility === 'none' ? 'not compatible' : `only ${r.compatibility} compatible`;
+      console.log(color(`  ${allowBreaking ? '⚠️ ' : '❌'} ${label} — breaking, ${level}: ${r.changes.map(describe).join(', ')}`));
+    }
+  }
+  console.log();
+
+  const breaking = results.filter((r) => r.status === 'breaking');
+  const stale = results.filter((r) => r.status === 'staleVersion');
+  if (stale.length > 0) {
+    console.error(chalk.red(`❌ ${stale.length} event(s) declare a version older than the one in system/${CONTRACTS_DIR}/ — nothing was generated`));
+    process.exit(1);
+  }
+  if (breaking.length > 0 && !allowBreaking) {
+    console.error(chalk.red(`❌ ${breaking.length} breaking event contract change(s) — nothing was generated`));
+    console.error(chalk.gray('Raise version: on the event to publish a new contract, or run eva build --allow-breaking to overwrite the registered one'));
+    process.exit(1);
+  }
+  return pending;
+}
+
 // ── Main build command ──────────────────────────────────────────────────────────
 async function buildCommand(options = {}) {
   const projectDir = process.cwd();
@@ -702,6 +778,15 @@ async function buildCommand(options = {}) {
     process.exit(1);
   }
 
+  // Validate system.yaml and every system/<module>.yaml before anything is generated
+  const schemaErrors = await validateSystemSchemas(systemDir, systemConfig);
+  if (schemaErrors.length > 0) {
+    console.error(chalk.red(`❌ ${schemaErrors.length} schema error(s) — nothing was generated\n`));
+    console.error(formatSchemaErrors(schemaErrors));
+    console.error(chalk.gray('\nRun eva schema export to get autocomplete and inline errors in your editor'));
+    process.exit(1);
+  }
+
   const { modules = [], messaging } = systemConfig;
   const orchestration = systemConfig.orchestration;
   const temporalEnabled = orchestration && orchestration.enabled === true && orchestration.engine === 'temporal';
@@ -714,11 +799,16 @@ async function buildCommand(options = {}) {
   console.log(chalk.blue('\n🏗️  eva build\n'));
   console.log(chalk.gray(`  Project : ${projectConfig.projectName || projectConfig.artifactId}`));
   console.log(chalk.gray(`  Modules : ${modules.map(m => m.name).join(', ')}`));
+  if (messaging && messaging.outbox === true) {
+    console.log(chalk.gray('  Outbox  : enabled (transactional outbox relay)'));
+  }
   if (temporalEnabled) {
     console.log(chalk.gray(`  Orchestr: Temporal (${orchestration.temporal && orchestration.temporal.namespace || 'default'})`));
   }
   console.log();
 
+  const pendingContracts = await checkContracts(systemDir, systemConfig, options.allowBreaking);
+
   // ── STEP 1: Create modules ───────────────────────────────────────────────
     console.log(chalk.blue('━━━ Step 1: Creating modules ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
 
@@ -963,6 +1053,16 @@ async function buildCommand(options = {}) {
       console.log(chalk.yellow(`  ⚠️  Could not generate Postman collection: ${err.message}`));
     }
 
+    // ── STEP 6: Register event contracts ───────────────────────────────────
+    if (pendingContracts.length > 0) {
+      console.log();
+      console.log(chalk.blue('━━━ Step 6: Registering event contracts ━━━━━━━━━━━━━━━━━━━━━'));
+      await writeContracts(systemDir, pendingContracts);
+      for (const contract of pendingContracts) {
+        console.log(chalk.green(`  ✅ system/${CONTRACTS_DIR}/${contract.module}/${contract.event}.v${contract.version}.json`));
+      }
+    }
+
   console.log();
   console.log(chalk.green('✅ eva build completed successfully\n'));
 }
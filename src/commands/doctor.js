@@ -0,0 +1,391 @@
+'use strict';
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+
+const ConfigManager = require('../utils/config-manager');
+const ChecksumManager = require('../utils/checksum-manager');
+const { CHECKSUMS_FILE } = require('../utils/checksum-manager');
+const { isEva4jProject } = require('../utils/validator');
+const { toCamelCase, toKebabCase, toPackagePath } = require('../utils/naming');
+
+const ENVS = ['local', 'develop', 'test', 'production'];
+const BROKERS = ['kafka', 'rabbitmq'];
+
+/**
+ * eva doctor — project health checks.
+ *
+ * Each check returns findings: { severity: 'error' | 'warning', message, hint?, fix? }
+ * where fix = { label, apply: async () => void } is only set for repairs that touch
+ * eva4j metadata or copy a file to a path that does not exist yet — never generated
+ * sources or environment configuration.
+ *
+ * @param {object}  options
+ * @param {boolean} [options.fix] - Apply the safe repairs
+ */
+async function doctorCommand(options = {}) {
+  const projectDir = process.cwd();
+
+  if (!(await isEva4jProject(projectDir))) {
+    console.error(chalk.red('❌ Not in an eva4j project directory'));
+    console.error(chalk.gray('Run this command inside a project created with eva4j'));
+    process.exit(1);
+  }
+
+  const ctx = await loadContext(projectDir);
+  if (!ctx.config) {
+    console.error(chalk.red('❌ Could not load project configuration'));
+    console.error(chalk.gray('Make sure .eva4j.json exists in the project root'));
+    process.exit(1);
+  }
+
+  console.log(chalk.blue('\n🩺 eva doctor\n'));
+
+  const results = await runChecks(ctx);
+
+  if (options.fix) {
+    for (const result of results) {
+      for (const finding of result.findings) {
+        if (!finding.fix) continue;
+        await finding.fix.apply();
+        finding.fixed = true;
+      }
+    }
+  }
+
+  printReport(results, Boolean(options.fix));
+
+  const remaining = results.flatMap((r) => r.findings).filter((f) => !f.fixed);
+  if (remaining.some((f) => f.severity === 'error')) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Read everything the checks need once: .eva4j.json, the module directories under
+ * src/main/java/<package> and system/system.yaml (when present).
+ */
+async function loadContext(projectDir) {
+  const configManager = new ConfigManager(projectDir);
+  const config = await configManager.loadProjectConfig();
+  if (!config) return { projectDir, configManager, config: null };
+
+  const packageRoot = path.join(projectDir, 'src', 'main', 'java', toPackagePath(config.packageName));
+  const sourceDirs = (await fs.pathExists(packageRoot))
+    ? (await fs.readdir(packageRoot, { withFileTypes: true })).filter((e) => e.isDirectory()).map((e) => e.name).sort()
+    : [];
+
+  // A module is a directory with the package-info.java (@ApplicationModule) eva add module creates
+  const moduleDirs = [];
+  for (const dir of sourceDirs) {
+    if (dir === 'shared') continue;
+    if (await fs.pathExists(path.join(packageRoot, dir, 'package-info.java'))) moduleDirs.push(dir);
+  }
+
+  const systemDir = path.join(projectDir, 'system');
+  const systemYamlPath = path.join(systemDir, 'system.yaml');
+  let systemConfig = null;
+  let systemError = null;
+  if (await fs.pathExists(systemYamlPath)) {
+    try {
+      systemConfig = yaml.load(await fs.readFile(systemYamlPath, 'utf-8')) || {};
+    } catch (err) {
+      systemError = err.message;
+    }
+  }
+
+  return {
+    projectDir,
+    configManager,
+    config,
+    packageRoot,
+    sourceDirs,
+    moduleDirs,
+    systemDir: (await fs.pathExists(systemDir)) ? systemDir : null,
+    systemConfig,
+    systemError,
+  };
+}
+
+const CHECKS = [
+  { id: 'modules', label: '.eva4j.json modules match src/main/java', run: checkModules },
+  { id: 'system-yaml', label: 'Every module has a system/<module>.yaml', run: checkSystemYaml },
+  { id: 'checksums', label: '.eva4j-checksums.json entries point to existing files', run: checkChecksums },
+  { id: 'broker', label: 'Installed broker client matches messaging.broker', run: checkBroker },
+  { id: 'mock', label: 'No leftover --mock backup', run: checkMock },
+  { id: 'parameters', label: 'parameters/<env>/ files exist for every environment', run: checkParameters },
+];
+
+/**
+ * @returns {Promise<Array<{ id, label, skipped: string|null, findings: object[] }>>}
+ */
+async function runChecks(ctx) {
+  const results = [];
+  for (const check of CHECKS) {
+    const outcome = await check.run(ctx);
+    results.push({
+      id: check.id,
+      label: check.label,
+      skipped: outcome.skipped || null,
+      findings: outcome.findings || [],
+    });
+  }
+  return results;
+}
+
+// ── Checks ───────────────────────────────────────────────────────────────────
+
+async function checkModules(ctx) {
+  const findings = [];
+  const registered = (ctx.config.modules || []).map((m) => (typeof m === 'string' ? m : m.name));
+
+  for (const dir of ctx.moduleDirs) {
+    if (registered.includes(dir)) continue;
+    findings.push({
+      severity: 'error',
+      message: `Module '${dir}' exists in src/main/java but is not registered in .eva4j.json`,
+      fix: {
+        label: `register '${dir}' in .eva4j.json`,
+        apply: () => ctx.configManager.addModule(dir, { displayName: toKebabCase(dir), hasSoftDelete: false, hasAudit: false }),
+      },
+    });
+  }
+
+  for (const name of registered) {
+    if (ctx.sourceDirs.includes(name)) continue;
+    findings.push({
+      severity: 'error',
+      message: `Module '${name}' is registered in .eva4j.json but src/main/java/${toPackagePath(ctx.config.packageName)}/${name} does not exist`,
+      fix: {
+        label: `remove '${name}' from .eva4j.json`,
+        apply: () => ctx.configManager.removeModule(name),
+      },
+    });
+  }
+
+  return { findings };
+}
+
+async function checkSystemYaml(ctx) {
+  if (!ctx.systemDir) return { skipped: 'no system/ directory' };
+
+  const systemFiles = (await fs.readdir(ctx.systemDir))
+    .filter((f) => f.endsWith('.yaml') && f !== 'system.yaml')
+    .map((f) => path.basename(f, '.yaml'));
+
+  const findings = [];
+  for (const dir of ctx.moduleDirs) {
+    if (systemFiles.some((name) => toCamelCase(name) === dir)) continue;
+
+    const target = path.join(ctx.systemDir, `${toKebabCase(dir)}.yaml`);
+    const domainYaml = path.join(ctx.packageRoot, dir, 'domain.yaml');
+    const finding = {
+      severity: 'warning',
+      message: `Module '${dir}' has no system/${toKebabCase(dir)}.yaml — eva build will not regenerate it`,
+    };
+    if (await fs.pathExists(domainYaml)) {
+      finding.fix = {
+        label: `copy ${dir}/domain.yaml to system/${toKebabCase(dir)}.yaml`,
+        apply: () => fs.copy(domainYaml, target, { overwrite: false, errorOnExist: false }),
+      };
+    } else {
+      finding.hint = `Create system/${toKebabCase(dir)}.yaml with the module's aggregates`;
+    }
+    findings.push(finding);
+  }
+
+  return { findings };
+}
+
+async function checkChecksums(ctx) {
+  const findings = [];
+
+  for (const dir of ctx.sourceDirs) {
+    const moduleBasePath = path.join(ctx.packageRoot, dir);
+    const checksumsPath = path.join(moduleBasePath, CHECKSUMS_FILE);
+    if (!(await fs.pathExists(checksumsPath))) continue;
+    const relative = path.relative(ctx.projectDir, checksumsPath);
+
+    try {
+      JSON.parse(await fs.readFile(checksumsPath, 'utf-8'));
+    } catch (err) {
+      findings.push({
+        severity: 'warning',
+        message: `${relative} is not valid JSON — modified-file protection is off for '${dir}'`,
+        fix: { label: `delete ${relative} (recreated on the next generation)`, apply: () => fs.remove(checksumsPath) },
+      });
+      continue;
+    }
+
+    const manager = new ChecksumManager(moduleBasePath);
+    await manager.load();
+    const missing = await manager.missingEntries();
+    if (missing.length === 0) continue;
+
+    findings.push({
+      severity: 'warning',
+      message: `${relative} tracks ${missing.length} file(s) that no longer exist`,
+      hint: missing.slice(0, 3).map((key) => path.relative(ctx.projectDir, key)).join(', ') + (missing.length > 3 ? ', …' : ''),
+      fix: {
+        label: `prune ${missing.length} stale entr${missing.length === 1 ? 'y' : 'ies'} from ${relative}`,
+        apply: async () => {
+          manager.forget(missing);
+          await manager.save();
+        },
+      },
+    });
+  }
+
+  return { findings };
+}
+
+async function checkBroker(ctx) {
+  if (ctx.systemError) {
+    return { findings: [{ severity: 'error', message: `Failed to parse system/system.yaml: ${ctx.systemError}` }] };
+  }
+  if (!ctx.systemConfig) return { skipped: 'no system/system.yaml' };
+
+  const findings = [];
+  const features = ctx.config.features || [];
+  const messaging = ctx.systemConfig.messaging || {};
+  const broker = messaging.enabled === true ? messaging.broker : null;
+
+  if (broker && BROKERS.includes(broker) && !features.includes(broker)) {
+    findings.push({
+      severity: 'error',
+      message: `system.yaml uses messaging.broker '${broker}' but ${broker}-client is not installed`,
+      hint: `Run eva build (or eva add ${broker}-client)`,
+    });
+  }
+
+  for (const installed of BROKERS.filter((b) => features.includes(b) && b !== broker)) {
+    findings.push({
+      severity: 'warning',
+      message: broker
+        ? `${installed}-client is installed but system.yaml uses messaging.broker '${broker}'`
+        : `${installed}-client is installed but messaging is not enabled in system.yaml`,
+      hint: 'Generated adapters for both brokers would coexist — align system.yaml with the installed client',
+    });
+  }
+
+  return { findings };
+}
+
+async function checkMock(ctx) {
+  if (!(await ctx.configManager.hasMockBackup())) return { findings: [] };
+
+  const onlyBroker = await ctx.configManager.hasMockOnlyBroker();
+  const backedUp = Object.keys(ctx.config._mockBackup || {}).length;
+  return {
+    findings: [{
+      severity: 'warning',
+      message: `A ${onlyBroker ? '--mock --only-broker' : '--mock'} build is still active (${backedUp} original file(s) kept in .eva4j.json)`,
+      hint: 'Run eva build without --mock to restore the original configuration',
+    }],
+  };
+}
+
+async function checkParameters(ctx) {
+  const resourcesDir = path.join(ctx.projectDir, 'src', 'main', 'resources');
+  const parametersDir = path.join(resourcesDir, 'parameters');
+  if (!(await fs.pathExists(parametersDir))) {
+    return { findings: [{ severity: 'error', message: 'src/main/resources/parameters/ does not exist' }] };
+  }
+
+  const findings = [];
+  const filesByEnv = {};
+  for (const env of ENVS) {
+    const envDir = path.join(parametersDir, env);
+    if (!(await fs.pathExists(envDir))) {
+      findings.push({ severity: 'error', message: `parameters/${env}/ does not exist` });
+      filesByEnv[env] = null;
+      continue;
+    }
+    filesByEnv[env] = (await fs.readdir(envDir)).filter((f) => f.endsWith('.yaml')).sort();
+
+    // Every classpath:parameters/<env>/<file> import must resolve, or Spring fails at startup
+    const applicationYaml = path.join(resourcesDir, `application-${env}.yaml`);
+    if (await fs.pathExists(applicationYaml)) {
+      const content = await fs.readFile(applicationYaml, 'utf-8');
+      const importPattern = /["']?(optional:)?classpath:parameters\/([\w-]+)\/([\w.-]+)["']?/g;
+      let match;
+      while ((match = importPattern.exec(content)) !== null) {
+        const [, optional, importEnv, file] = match;
+        if (optional || importEnv !== env) continue;
+        if (!filesByEnv[env].includes(file)) {
+          findings.push({ severity: 'error', message: `application-${env}.yaml imports parameters/${env}/${file}, which does not exist` });
+        }
+      }
+    }
+  }
+
+  // A file present in one environment should exist in all of them
+  const allFiles = [...new Set(Object.values(filesByEnv).filter(Boolean).flat())].sort();
+  for (const file of allFiles) {
+    const missingIn = ENVS.filter((env) => filesByEnv[env] && !filesByEnv[env].includes(file));
+    if (missingIn.length === 0) continue;
+    findings.push({
+      severity: 'warning',
+      message: `parameters/*/${file} is missing for: ${missingIn.join(', ')}`,
+      hint: 'Values differ per environment — create the file by hand from another environment',
+    });
+  }
+
+  return { findings };
+}
+
+// ── Output ───────────────────────────────────────────────────────────────────
+
+function printReport(results, fixMode) {
+  let errors = 0;
+  let warnings = 0;
+  let fixed = 0;
+  let fixable = 0;
+
+  for (const result of results) {
+    if (result.skipped) {
+      console.log(chalk.gray(`⏭  ${result.label} — skipped (${result.skipped})`));
+      continue;
+    }
+    const open = result.findings.filter((f) => !f.fixed);
+    const icon = open.some((f) => f.severity === 'error') ? '❌' : open.length > 0 ? '⚠️ ' : '✅';
+    console.log(`${icon} ${result.label}`);
+
+    for (const f of result.findings) {
+      if (f.fixed) {
+        fixed++;
+        console.log(chalk.green(`   ✔ fixed: ${f.fix.label}`));
+        continue;
+      }
+      if (f.severity === 'error') errors++;
+      else warnings++;
+      const color = f.severity === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(`   • ${f.message}`));
+      if (f.hint) console.log(chalk.gray(`     ${f.hint}`));
+      if (f.fix) {
+        fixable++;
+        console.log(chalk.cyan(`     --fix: ${f.fix.label}`));
+      }
+    }
+  }
+
+  console.log();
+  console.log(chalk.bold('📊 Doctor Summary'));
+  console.log(chalk.gray('─'.repeat(40)));
+  console.log(`  ${chalk.red('🔴 Errors:')}     ${chalk.red.bold(errors)}`);
+  console.log(`  ${chalk.yellow('🟡 Warnings:')}   ${chalk.yellow.bold(warnings)}`);
+  if (fixMode) console.log(`  ${chalk.green('🔧 Fixed:')}      ${chalk.green.bold(fixed)}`);
+  console.log();
+
+  if (fixable > 0) {
+    console.log(chalk.cyan(`Run eva doctor --fix to apply ${fixable} safe repair(s)\n`));
+  } else if (errors === 0 && warnings === 0) {
+    console.log(chalk.green.bold('✅ Project is healthy\n'));
+  }
+}
+
+module.exports = doctorCommand;
+module.exports.runChecks = runChecks;
+module.exports.loadContext = loadContext;
@@ -0,0 +1,171 @@
+'use strict';
+
+const chalk = require('chalk');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const ejs = require('ejs');
+const { execFileSync } = require('child_process');
+
+const { FORMATS, diffSystems, formatMarkdown, formatJson } = require('../utils/system-diff');
+const { loadSystemDir } = require('./evaluate-system');
+
+const HEAD_LABEL = 'working tree';
+
+/**
+ * eva evaluate diff — semantic diff of system/*.yaml against another version of the design:
+ * added, removed and changed modules, endpoints, events and their fields, listeners,
+ * integrations, read models, ports and workflows, plus the contract breaks it introduces.
+ *
+ * @param {object} options
+ * @param {string} options.base              - Git ref (main, HEAD~1, a SHA) or a directory
+ * @param {string} [options.format='markdown'] - markdown | json | html
+ * @param {string} [options.output]          - Write the report to this file (html defaults to ./system-diff.html)
+ */
+async function evaluateDiffCommand(options = {}) {
+  const cwd = process.cwd();
+
+  if (!options.base) {
+    console.error(chalk.red('❌ Missing --base <git-ref|dir>'));
+    console.error(chalk.gray('Usage: eva evaluate diff --base main'));
+    process.exit(1);
+  }
+
+  const format = (options.format || 'markdown').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    console.error(chalk.red(`❌ Unknown format: '${options.format}'`));
+    console.error(chalk.gray(`Supported formats: ${FORMATS.join(', ')}`));
+    process.exit(1);
+  }
+
+  if (!(await fs.pathExists(path.join(cwd, 'system', 'system.yaml')))) {
+    console.error(chalk.red('❌ system/system.yaml not found'));
+    console.error(chalk.gray('Run this command from the root of an eva4j project'));
+    process.exit(1);
+  }
+
+  let base;
+  let head;
+  try {
+    base = await loadBase(cwd, options.base);
+    head = await loadDesign(path.join(cwd, 'system'), HEAD_LABEL);
+  } catch (err) {
+    console.error(chalk.red(`❌ ${err.message}`));
+    (err.problems || []).forEach((p) => console.error(chalk.red(`   • ${p}`)));
+    process.exit(1);
+  }
+
+  const diff = diffSystems(base, head);
+  const labels = { base: options.base, head: HEAD_LABEL };
+
+  let report;
+  if (format === 'json') {
+    report = formatJson(diff, labels);
+  } else if (format === 'markdown') {
+    report = formatMarkdown(diff, labels);
+  } else {
+    report = await renderDiffHtml(diff, labels, head.systemConfig);
+  }
+
+  const output = options.output || (format === 'html' ? './system-diff.html' : null);
+  if (output) {
+    const outputPath = path.resolve(cwd, output);
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, report, 'utf-8');
+    const { added, removed, changed, breaking } = diff.summary;
+    console.error(chalk.gray(`Diff: ${added} added, ${removed} removed, ${changed} changed, ${breaking} breaking`));
+    console.error(chalk.gray(`Report written to: ${outputPath}`));
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+/**
+ * Load the base version of the design. A directory is read in place (either a project
+ * root or the system/ directory itself); anything else is resolved as a git ref and its
+ * system/*.yaml files are extracted to a temporary directory.
+ *
+ * @param {string} cwd  - Project root
+ * @param {string} base - Directory or git ref
+ */
+async function loadBase(cwd, base) {
+  const dir = path.resolve(cwd, base);
+  if (await isDirectory(dir)) {
+    const systemDir = (await fs.pathExists(path.join(dir, 'system', 'system.yaml'))) ? path.join(dir, 'system') : dir;
+    if (!(await fs.pathExists(path.join(systemDir, 'system.yaml')))) {
+      throw new Error(`No system.yaml found in ${dir} or ${path.join(dir, 'system')}`);
+    }
+    return loadDesign(systemDir, base);
+  }
+
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'eva-diff-'));
+  try {
+    await extractSystemDir(cwd, base, tmpDir);
+    return await loadDesign(tmpDir, base);
+  } finally {
+    await fs.remove(tmpDir);
+  }
+}
+
+/**
+ * Write the system/*.yaml files of a git ref into targetDir.
+ */
+async function extractSystemDir(cwd, ref, targetDir) {
+  try {
+    git(cwd, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  } catch {
+    throw new Error(`'${ref}' is neither a directory nor a git ref of this repository`);
+  }
+
+  const files = git(cwd, ['ls-tree', '--name-only', '--full-name', ref, '--', 'system/'])
+    .split('\n')
+    .filter((f) => f.endsWith('.yaml'));
+  if (!files.some((f) => path.posix.basename(f) === 'system.yaml')) {
+    throw new Error(`system/system.yaml does not exist at ${ref}`);
+  }
+
+  for (const file of files) {
+    const content = git(cwd, ['show', `${ref}:${file}`]);
+    await fs.writeFile(path.join(targetDir, path.posix.basename(file)), content, 'utf-8');
+  }
+}
+
+/**
+ * Load one version through the evaluate system loader. Module YAMLs that do not parse
+ * would show up as removed modules, so they fail the diff instead of being skipped.
+ */
+async function loadDesign(systemDir, label) {
+  const { systemConfig, domainConfigs, parseErrors } = await loadSystemDir(systemDir);
+  if (parseErrors.length > 0) {
+    const err = new Error(`Failed to parse the module YAMLs of ${label}`);
+    err.problems = parseErrors.map((e) => `${e.file}: ${e.message}`);
+    throw err;
+  }
+  return { systemConfig: systemConfig || {}, domainConfigs };
+}
+
+async function renderDiffHtml(diff, labels, systemConfig) {
+  const templatePath = path.join(__dirname, '../../templates/evaluate/diff.html.ejs');
+  const templateContent = await fs.readFile(templatePath, 'utf-8');
+  return ejs.render(templateContent, {
+    diff,
+    labels,
+    systemName: (systemConfig.system || {}).name || 'eva4j system',
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+function git(cwd, args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+module.exports = evaluateDiffCommand;
+module.exports.loadBase = loadBase;
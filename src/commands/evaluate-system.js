@@ -9,7 +9,9 @@ const ejs = require('ejs');
 const ora = require('ora');
 
 const { validateSystem } = require('../utils/system-validator');
-const { validateDomain } = require('../utils/domain-validator');
+const { validateDomain, domainRuleIds } = require('../utils/domain-validator');
+const { loadRuleConfig } = require('../utils/rule-config');
+const { loadValidationPlugins } = require('../utils/validation-plugins');
 const { validateTemporal } = require('../utils/temporal-validator');
 
 // ── Module icon heuristic ────────────────────────────────────────────────────
@@ -880,16 +882,17 @@ function extractReportData(systemConfig, validation, domainValidation) {
 async function evaluateSystemCommand(type, options = {}) {
   if (type !== 'system') {
     console.error(chalk.red(`❌ Unknown evaluation type: '${type}'`));
-    console.log(chalk.gray("Usage: eva evaluate system"));
-    console.log(chalk.gray("Only 'system' is supported at this time."));
+    console.log(chalk.gray("Usage: eva evaluate system | eva evaluate diff --base <git-ref|dir>"));
+    console.log(chalk.gray("Supported types: 'system', 'diff'."));
     process.exit(1);
   }
 
+  const cwd = process.cwd();
   const port = parseInt(options.port || '3000', 10);
-  const outputPath = path.resolve(process.cwd(), options.output || './system-report.html');
+  const outputPath = path.resolve(cwd, options.output || './system-report.html');
 
-  // ── 1. Read system.yaml ─────────────────────────────────────────────────
-  const systemYamlPath = path.join(process.cwd(), 'system', 'system.yaml');
+  // ── 1. Check system.yaml ────────────────────────────────────────────────
+  const systemYamlPath = path.join(cwd, 'system', 'system.yaml');
   if (!(await fs.pathExists(systemYamlPath))) {
     console.error(chalk.red('❌ system/system.yaml not found'));
     console.error(chalk.gray('Run this command from the root of an eva4j project'));
@@ -897,83 +900,221 @@ async function evaluateSystemCommand(type, options = {}) {
     process.exit(1);
   }
 
-  let systemConfig;
-  try {
-    const content = await fs.readFile(systemYamlPath, 'utf-8');
-    systemConfig = yaml.load(content);
-  } catch (err) {
-    console.error(chalk.red('❌ Failed to parse system/system.yaml:'), err.message);
-    process.exit(1);
+  if (options.watch) {
+    await watchSystem(cwd, { port, outputPath });
+    return;
   }
 
   const spinner = ora('Analyzing system/system.yaml...').start();
 
-  // ── 2a. Load domain YAMLs (needed by both system and domain validation) ──
-  const domainConfigs = {};
-  let domainValidation = null;
-  const systemDir = path.join(process.cwd(), 'system');
-  let allFiles;
+  // ── 2. Load YAMLs and run the validators ────────────────────────────────
+  let analysis;
   try {
-    allFiles = await fs.readdir(systemDir);
-  } catch {
-    allFiles = [];
+    analysis = await analyzeSystem(cwd);
+  } catch (err) {
+    spinner.stop();
+    console.error(chalk.red(`❌ ${err.message}`));
+    (err.problems || []).forEach((p) => console.error(chalk.red(`   • ${p}`)));
+    process.exit(1);
   }
-  const domainFiles = allFiles.filter((f) => f.endsWith('.yaml') && f !== 'system.yaml');
 
-  if (domainFiles.length === 0) {
+  const { systemConfig, validation, domainValidation, temporalValidation, reportData } = analysis;
+
+  if (analysis.domainFiles.length === 0) {
     console.warn(chalk.yellow('⚠  No domain YAML files found in system/ (excluding system.yaml). Domain tab will be hidden.'));
-  } else {
-    for (const file of domainFiles) {
-      const moduleName = path.basename(file, '.yaml');
-      try {
-        const content = await fs.readFile(path.join(systemDir, file), 'utf-8');
-        domainConfigs[moduleName] = yaml.load(content) || {};
-      } catch (err) {
-        console.warn(chalk.yellow(`⚠  Could not parse ${file}: ${err.message}`));
-      }
-    }
+  }
+  for (const { file, message } of analysis.parseErrors) {
+    console.warn(chalk.yellow(`⚠  Could not parse ${path.basename(file)}: ${message}`));
   }
 
-  // ── 2b. Run system validation (receives domainConfigs to cross-check) ───
-  const validation = validateSystem(systemConfig, domainConfigs);
+  // ── 3. Print saga and Temporal findings ─────────────────────────────────
+  printSagaSummary(reportData.choreographySagas, validation);
+  if (temporalValidation) {
+    printTemporalSummary(temporalValidation);
+  }
 
-  // ── 2c. Run domain validation ───────────────────────────────────────────
-  if (Object.keys(domainConfigs).length > 0) {
-    domainValidation = validateDomain(domainConfigs, systemConfig);
+  // ── 4. Render HTML ──────────────────────────────────────────────────────
+  let htmlContent;
+  try {
+    htmlContent = await renderReport(reportData);
+  } catch (err) {
+    spinner.fail('Failed to render HTML template');
+    console.error(chalk.red(err.message));
+    process.exit(1);
   }
 
-  // ── 3. Detect orchestration engine + extract report data ────────────────
-  const orchestration = systemConfig.orchestration || {};
-  const isTemporalMode = !!(orchestration.enabled && orchestration.engine === 'temporal');
+  // ── 5. Write HTML report, domain assets and system-evaluation.md ────────
+  await writeReportFiles(analysis, htmlContent, outputPath, cwd);
 
-  const reportData = extractReportData(systemConfig, validation, domainValidation);
-  reportData.isTemporalMode = isTemporalMode;
+  spinner.succeed(chalk.green('Analysis complete!'));
+
+  // ── 6. Print validation summaries ───────────────────────────────────────
+  printValidationSummary(validation);
+  if (domainValidation) {
+    printDomainSummary(domainValidation);
+  }
 
-  // ── Choreography sagas ──────────────────────────────────────────────────
-  const choreographySagas = extractSagaReportData(systemConfig, domainConfigs);
-  reportData.choreographySagas = choreographySagas;
+  // ── 7. Start HTTP server ─────────────────────────────────────────────────
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(htmlContent);
+  });
 
-  if (choreographySagas.length > 0) {
+  server.listen(port, () => {
+    console.log(chalk.gray(`Report written to: ${outputPath}`));
+    console.log(chalk.gray(`Evaluation written to: assets/system-evaluation.md`));
     console.log();
-    console.log(chalk.bold('🔄 Choreography Sagas'));
-    console.log(chalk.gray('─'.repeat(40)));
+    console.log(chalk.bold.green(`🌐 Server running at: http://localhost:${port}`));
+    console.log(chalk.gray('Open the URL in your browser to view the report'));
+    console.log(chalk.gray('Press Ctrl+C to stop\n'));
+  });
+
+  server.on('error', (err) => exitOnServerError(err, port));
+}
 
-    const s6Errors = (validation.errors || []).filter((e) => e.startsWith('[S6-'));
-    const s6Warnings = (validation.warnings || []).filter((w) => w.startsWith('[S6-'));
+// ── Watch mode ───────────────────────────────────────────────────────────────
 
-    console.log(`  ${chalk.cyan('📋 Sagas declaradas:')} ${chalk.cyan.bold(choreographySagas.length)}`);
-    if (s6Errors.length > 0) {
-      console.log(`  ${chalk.red('🔴 Errores S6:')} ${chalk.red.bold(s6Errors.length)}`);
-      s6Errors.forEach((e) => console.log(chalk.red(`     ${e}`)));
+const EVENTS_PATH = '/__eva/events';
+const LIVE_RELOAD_TEMPLATE = path.join(__dirname, '../../templates/evaluate/live-reload.html.ejs');
+const WATCH_DEBOUNCE_MS = 200;
+// Files at the project root that change the validation result
+const WATCHED_ROOT_FILES = ['.eva4j-rules.yaml', '.eva4j.json'];
+
+/**
+ * eva evaluate system --watch — rebuild the report whenever system/*.yaml (or the rule
+ * configuration) changes and push it to open browsers over Server-Sent Events. A failed
+ * rebuild keeps serving the last valid report and shows the problems on top of it.
+ */
+async function watchSystem(cwd, { port, outputPath }) {
+  const systemDir = path.join(cwd, 'system');
+  const clientTemplate = await fs.readFile(LIVE_RELOAD_TEMPLATE, 'utf-8');
+  const clients = new Set();
+  const state = { html: null, problems: [], stale: false };
+  let running = false;
+  let pending = false;
+  let timer = null;
+
+  const broadcast = (event, data) => {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) res.write(payload);
+  };
+
+  const rebuild = async () => {
+    if (running) {
+      pending = true;
+      return;
     }
-    if (s6Warnings.length > 0) {
-      console.log(`  ${chalk.yellow('🟡 Advertencias S6:')} ${chalk.yellow.bold(s6Warnings.length)}`);
-      s6Warnings.forEach((w) => console.log(chalk.yellow(`     ${w}`)));
+    running = true;
+    const time = new Date().toTimeString().slice(0, 8);
+    try {
+      const analysis = await analyzeSystem(cwd);
+      const html = await renderReport(analysis.reportData);
+      await writeReportFiles(analysis, html, outputPath, cwd);
+      state.html = html;
+      state.stale = false;
+      state.problems = analysis.parseErrors.map((e) => `${e.file}: ${e.message}`);
+      broadcast('reload', { problems: state.problems });
+
+      const { validation, domainValidation } = analysis;
+      const domain = domainValidation
+        ? ` · domain ${domainValidation.summary.errors} error(s), ${domainValidation.summary.warnings} warning(s)`
+        : '';
+      console.log(chalk.green(`[${time}] ✅ Report updated — ${validation.errors.length} error(s), ${validation.warnings.length} warning(s)${domain}`));
+      state.problems.forEach((p) => console.log(chalk.yellow(`           ⚠  ${p}`)));
+    } catch (err) {
+      state.stale = true;
+      state.problems = [err.message, ...(err.problems || [])];
+      broadcast('problems', { problems: state.problems });
+      console.log(chalk.red(`[${time}] ❌ ${err.message}`));
+      (err.problems || []).forEach((p) => console.log(chalk.red(`           • ${p}`)));
+    } finally {
+      running = false;
     }
-    if (s6Errors.length === 0 && s6Warnings.length === 0) {
-      console.log(chalk.green('  ✅ Todas las sagas tienen compensaciones completas'));
+    if (pending) {
+      pending = false;
+      await rebuild();
     }
-  }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+  };
+
+  await rebuild();
+
+  fs.watch(systemDir, (eventType, filename) => {
+    if (!filename || /\.ya?ml$/.test(filename)) schedule();
+  });
+  fs.watch(cwd, (eventType, filename) => {
+    if (WATCHED_ROOT_FILES.includes(filename)) schedule();
+  });
+
+  const server = http.createServer((req, res) => {
+    if (req.url === EVENTS_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.write('retry: 1000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(withLiveReload(state, clientTemplate));
+  });
+
+  server.listen(port, () => {
+    console.log();
+    console.log(chalk.bold.green(`🌐 Server running at: http://localhost:${port}`));
+    console.log(chalk.gray(`👀 Watching system/*.yaml and ${WATCHED_ROOT_FILES.join(', ')} — the report reloads on every change`));
+    console.log(chalk.gray('Press Ctrl+C to stop\n'));
+  });
+
+  server.on('error', (err) => exitOnServerError(err, port));
+}
+
+/**
+ * The current report with the live-reload client appended. Before the first successful
+ * build there is no report yet, so only the problems are shown.
+ */
+function withLiveReload(state, clientTemplate) {
+  const client = ejs.render(clientTemplate, { eventsPath: EVENTS_PATH, problems: state.problems, stale: state.stale });
+  const html = state.html || '<!DOCTYPE html><html><head><meta charset="utf-8"><title>eva4j system report</title></head><body style="background:#0a0a12"></body></html>';
+  return html.includes('</body>') ? html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${client}</body>`) : html + client;
+}
+
+// ── Analysis ─────────────────────────────────────────────────────────────────
+
+/**
+ * Read system/system.yaml and the module YAMLs next to it, load the rule configuration
+ * and validation plugins, run the system, domain and Temporal validators and assemble
+ * the report data. Throws when system.yaml does not parse or the rule configuration is
+ * invalid; module YAMLs that do not parse are skipped and listed in parseErrors.
+ *
+ * @param {string} cwd - Project root
+ */
+async function analyzeSystem(cwd) {
+  const { systemConfig, domainFiles, domainConfigs, parseErrors } = await loadSystemDir(path.join(cwd, 'system'));
+
+  const customRules = await loadValidationPlugins(cwd);
+  const ruleConfig = await loadRuleConfig(cwd, systemConfig, [...domainRuleIds(), ...customRules.map((r) => r.id)]);
+
+  // System validation receives domainConfigs to cross-check
+  const validation = validateSystem(systemConfig, domainConfigs);
+  const domainValidation = Object.keys(domainConfigs).length > 0
+    ? validateDomain(domainConfigs, systemConfig, ruleConfig, customRules)
+    : null;
+
+  // Orchestration engine + report data
+  const orchestration = systemConfig.orchestration || {};
+  const isTemporalMode = !!(orchestration.enabled && orchestration.engine === 'temporal');
+
+  const reportData = extractReportData(systemConfig, validation, domainValidation);
+  reportData.isTemporalMode = isTemporalMode;
+  reportData.choreographySagas = extractSagaReportData(systemConfig, domainConfigs);
 
   let temporalValidation = null;
   if (isTemporalMode) {
@@ -992,80 +1133,137 @@ async function evaluateSystemCommand(type, options = {}) {
       queueTopology: temporalCtx.queueTopology,
       temporalValidation,
     });
+  }
 
-    if (temporalValidation) {
-      console.log();
-      console.log(chalk.bold('⏱️  Temporal Validation'));
-      console.log(chalk.gray('─'.repeat(40)));
-      const tv = temporalValidation.summary;
-
-      const tvErrors = [], tvWarnings = [], tvInfos = [];
-      for (const category of (temporalValidation.categories || [])) {
-        for (const check of (category.checks || [])) {
-          if (!check.findings || check.findings.length === 0) continue;
-          const prefix = `[${check.id}] ${check.label}`;
-          const messages = check.findings.map((f) => {
-            const msg = typeof f === 'string' ? f : [f.module && `[${f.module}]`, f.message, f.context && `(${f.context})`].filter(Boolean).join(' ');
-            return `  • ${prefix}: ${msg}`;
-          });
-          if (check.severity === 'error') tvErrors.push(...messages);
-          else if (check.severity === 'warning') tvWarnings.push(...messages);
-          else tvInfos.push(...messages);
-        }
-      }
+  return { systemConfig, domainFiles, domainConfigs, parseErrors, validation, domainValidation, temporalValidation, reportData };
+}
 
-      console.log(`  ${chalk.red('🔴 Errors:')}     ${chalk.red.bold(tvErrors.length)}`);
-      console.log(`  ${chalk.yellow('🟡 Warnings:')}   ${chalk.yellow.bold(tvWarnings.length)}`);
-      console.log(`  ${chalk.cyan('🔵 Info:')}       ${chalk.cyan.bold(tvInfos.length)}`);
-      console.log(`  ${chalk.green('🟢 OK:')}         ${chalk.green.bold(tv.ok)}`);
+/**
+ * Read system.yaml and every other *.yaml in systemDir as the domain config of the module
+ * with the same name. Throws when system.yaml does not parse; module YAMLs that do not
+ * parse are skipped and listed in parseErrors.
+ *
+ * @param {string} systemDir - Directory holding system.yaml (usually <project>/system)
+ */
+async function loadSystemDir(systemDir) {
+  let systemConfig;
+  try {
+    systemConfig = yaml.load(await fs.readFile(path.join(systemDir, 'system.yaml'), 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to parse system/system.yaml: ${err.message}`);
+  }
 
-      if (tvErrors.length > 0) {
-        console.log();
-        console.log(chalk.red('Temporal errors:'));
-        tvErrors.forEach((m) => console.log(chalk.red(m)));
-      }
-      if (tvWarnings.length > 0) {
-        console.log();
-        console.log(chalk.yellow('Temporal warnings:'));
-        tvWarnings.forEach((m) => console.log(chalk.yellow(m)));
-      }
-      if (tvInfos.length > 0) {
-        console.log();
-        console.log(chalk.cyan('Temporal info:'));
-        tvInfos.forEach((m) => console.log(chalk.cyan(m)));
-      }
+  const domainConfigs = {};
+  const parseErrors = [];
+  let allFiles;
+  try {
+    allFiles = await fs.readdir(systemDir);
+  } catch {
+    allFiles = [];
+  }
+  const domainFiles = allFiles.filter((f) => f.endsWith('.yaml') && f !== 'system.yaml');
+  for (const file of domainFiles) {
+    const moduleName = path.basename(file, '.yaml');
+    try {
+      const content = await fs.readFile(path.join(systemDir, file), 'utf-8');
+      domainConfigs[moduleName] = yaml.load(content) || {};
+    } catch (err) {
+      parseErrors.push({ file: `system/${file}`, message: err.message });
     }
   }
 
-  // ── 4. Render HTML ──────────────────────────────────────────────────────
+  return { systemConfig, domainFiles, domainConfigs, parseErrors };
+}
+
+async function renderReport(reportData) {
   const templatePath = path.join(__dirname, '../../templates/evaluate/report.html.ejs');
-  let htmlContent;
-  try {
-    const templateContent = await fs.readFile(templatePath, 'utf-8');
-    htmlContent = ejs.render(templateContent, { data: reportData });
-  } catch (err) {
-    spinner.fail('Failed to render HTML template');
-    console.error(chalk.red(err.message));
-    process.exit(1);
-  }
+  const templateContent = await fs.readFile(templatePath, 'utf-8');
+  return ejs.render(templateContent, { data: reportData });
+}
 
-  // ── 5. Write HTML file ──────────────────────────────────────────────────
+async function writeReportFiles(analysis, htmlContent, outputPath, cwd) {
   await fs.ensureDir(path.dirname(outputPath));
   await fs.writeFile(outputPath, htmlContent, 'utf-8');
 
-  // ── 5b. Write domain assets ───────────────────────────────────────────────
-  if (domainValidation) {
-    await writeDomainAssets(domainValidation, process.cwd(), temporalValidation);
+  if (analysis.domainValidation) {
+    await writeDomainAssets(analysis.domainValidation, cwd, analysis.temporalValidation);
   }
 
-  // ── 5c. Write system-evaluation.md ──────────────────────────────────────
-  const evalMdPath = path.resolve(process.cwd(), 'assets', 'system-evaluation.md');
+  const evalMdPath = path.resolve(cwd, 'assets', 'system-evaluation.md');
   await fs.ensureDir(path.dirname(evalMdPath));
-  await writeSystemEvaluation(validation, systemConfig, evalMdPath);
+  await writeSystemEvaluation(analysis.validation, analysis.systemConfig, evalMdPath);
+}
 
-  spinner.succeed(chalk.green('Analysis complete!'));
+// ── Console output ───────────────────────────────────────────────────────────
+
+function printSagaSummary(choreographySagas, validation) {
+  if (choreographySagas.length === 0) return;
+
+  console.log();
+  console.log(chalk.bold('🔄 Choreography Sagas'));
+  console.log(chalk.gray('─'.repeat(40)));
+
+  const s6Errors = (validation.errors || []).filter((e) => e.startsWith('[S6-'));
+  const s6Warnings = (validation.warnings || []).filter((w) => w.startsWith('[S6-'));
+
+  console.log(`  ${chalk.cyan('📋 Sagas declaradas:')} ${chalk.cyan.bold(choreographySagas.length)}`);
+  if (s6Errors.length > 0) {
+    console.log(`  ${chalk.red('🔴 Errores S6:')} ${chalk.red.bold(s6Errors.length)}`);
+    s6Errors.forEach((e) => console.log(chalk.red(`     ${e}`)));
+  }
+  if (s6Warnings.length > 0) {
+    console.log(`  ${chalk.yellow('🟡 Advertencias S6:')} ${chalk.yellow.bold(s6Warnings.length)}`);
+    s6Warnings.forEach((w) => console.log(chalk.yellow(`     ${w}`)));
+  }
+  if (s6Errors.length === 0 && s6Warnings.length === 0) {
+    console.log(chalk.green('  ✅ Todas las sagas tienen compensaciones completas'));
+  }
+}
+
+function printTemporalSummary(temporalValidation) {
+  console.log();
+  console.log(chalk.bold('⏱️  Temporal Validation'));
+  console.log(chalk.gray('─'.repeat(40)));
+  const tv = temporalValidation.summary;
+
+  const tvErrors = [], tvWarnings = [], tvInfos = [];
+  for (const category of (temporalValidation.categories || [])) {
+    for (const check of (category.checks || [])) {
+      if (!check.findings || check.findings.length === 0) continue;
+      const prefix = `[${check.id}] ${check.label}`;
+      const messages = check.findings.map((f) => {
+        const msg = typeof f === 'string' ? f : [f.module && `[${f.module}]`, f.message, f.context && `(${f.context})`].filter(Boolean).join(' ');
+        return `  • ${prefix}: ${msg}`;
+      });
+      if (check.severity === 'error') tvErrors.push(...messages);
+      else if (check.severity === 'warning') tvWarnings.push(...messages);
+      else tvInfos.push(...messages);
+    }
+  }
+
+  console.log(`  ${chalk.red('🔴 Errors:')}     ${chalk.red.bold(tvErrors.length)}`);
+  console.log(`  ${chalk.yellow('🟡 Warnings:')}   ${chalk.yellow.bold(tvWarnings.length)}`);
+  console.log(`  ${chalk.cyan('🔵 Info:')}       ${chalk.cyan.bold(tvInfos.length)}`);
+  console.log(`  ${chalk.green('🟢 OK:')}         ${chalk.green.bold(tv.ok)}`);
+
+  if (tvErrors.length > 0) {
+    console.log();
+    console.log(chalk.red('Temporal errors:'));
+    tvErrors.forEach((m) => console.log(chalk.red(m)));
+  }
+  if (tvWarnings.length > 0) {
+    console.log();
+    console.log(chalk.yellow('Temporal warnings:'));
+    tvWarnings.forEach((m) => console.log(chalk.yellow(m)));
+  }
+  if (tvInfos.length > 0) {
+    console.log();
+    console.log(chalk.cyan('Temporal info:'));
+    tvInfos.forEach((m) => console.log(chalk.cyan(m)));
+  }
+}
 
-  // ── 6. Print validation summary ─────────────────────────────────────────
+function printValidationSummary(validation) {
   console.log();
   console.log(chalk.bold('📊 Validation Summary'));
   console.log(chalk.gray('─'.repeat(40)));
@@ -1103,42 +1301,32 @@ async function evaluateSystemCommand(type, options = {}) {
     validation.info.forEach((i) => console.log(chalk.cyan(`  • ${i}`)));
     console.log();
   }
+}
 
-  // ── 6b. Print domain validation summary ────────────────────────────────
-  if (domainValidation) {
-    const ds = domainValidation.summary;
-    console.log(chalk.bold('🏛️  Domain Validation Summary'));
-    console.log(chalk.gray('─'.repeat(40)));
-    console.log(`  ${chalk.red('🔴 Errors:')}     ${chalk.red.bold(ds.errors)}`);
-    console.log(`  ${chalk.yellow('🟡 Warnings:')}   ${chalk.yellow.bold(ds.warnings)}`);
-    console.log(`  ${chalk.blue('🔵 Info:')}       ${chalk.blue.bold(ds.info)}`);
-    console.log(`  ${chalk.green('🟢 OK:')}         ${chalk.green.bold(ds.ok)}`);
-    console.log();
+function printDomainSummary(domainValidation) {
+  const ds = domainValidation.summary;
+  console.log(chalk.bold('🏛️  Domain Validation Summary'));
+  console.log(chalk.gray('─'.repeat(40)));
+  console.log(`  ${chalk.red('🔴 Errors:')}     ${chalk.red.bold(ds.errors)}`);
+  console.log(`  ${chalk.yellow('🟡 Warnings:')}   ${chalk.yellow.bold(ds.warnings)}`);
+  console.log(`  ${chalk.blue('🔵 Info:')}       ${chalk.blue.bold(ds.info)}`);
+  console.log(`  ${chalk.green('🟢 OK:')}         ${chalk.green.bold(ds.ok)}`);
+  if (ds.suppressed > 0) {
+    console.log(`  ${chalk.gray('🔕 Suppressed:')} ${chalk.gray.bold(ds.suppressed)}`);
   }
+  if (ds.off > 0) {
+    console.log(`  ${chalk.gray('⚫ Off:')}        ${chalk.gray.bold(ds.off)}`);
+  }
+  console.log();
+}
 
-  // ── 7. Start HTTP server ─────────────────────────────────────────────────
-  const server = http.createServer((req, res) => {
-    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-    res.end(htmlContent);
-  });
-
-  server.listen(port, () => {
-    console.log(chalk.gray(`Report written to: ${outputPath}`));
-    console.log(chalk.gray(`Evaluation written to: assets/system-evaluation.md`));
-    console.log();
-    console.log(chalk.bold.green(`🌐 Server running at: http://localhost:${port}`));
-    console.log(chalk.gray('Open the URL in your browser to view the report'));
-    console.log(chalk.gray('Press Ctrl+C to stop\n'));
-  });
-
-  server.on('error', (err) => {
-    if (err.code === 'EADDRINUSE') {
-      console.error(chalk.red(`❌ Port ${port} is already in use. Try --port <other-port>`));
-    } else {
-      console.error(chalk.red('❌ Server error:'), err.message);
-    }
-    process.exit(1);
-  });
+function exitOnServerError(err, port) {
+  if (err.code === 'EADDRINUSE') {
+    console.error(chalk.red(`❌ Port ${port} is already in use. Try --port <other-port>`));
+  } else {
+    console.error(chalk.red('❌ Server error:'), err.message);
+  }
+  process.exit(1);
 }
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
@@ -1250,9 +1438,9 @@ async function writeDomainAssets(domainValidation, cwd, temporalValidation = nul
   // Summary table
   lines.push(`## Summary`);
   lines.push('');
-  lines.push(`| 🔴 Errors | 🟡 Warnings | 🔵 Info | 🟢 OK |`);
-  lines.push(`|-----------|-------------|---------|-------|`);
-  lines.push(`| ${summary.errors} | ${summary.warnings} | ${summary.info} | ${summary.ok} |`);
+  lines.push(`| 🔴 Errors | 🟡 Warnings | 🔵 Info | 🟢 OK | 🔕 Suppressed |`);
+  lines.push(`|-----------|-------------|---------|-------|---------------|`);
+  lines.push(`| ${summary.errors} | ${summary.warnings} | ${summary.info} | ${summary.ok} | ${summary.suppressed} |`);
   lines.push('');
 
   const moduleNames = Object.keys(byModule).sort();
@@ -1302,6 +1490,38 @@ async function writeDomainAssets(domainValidation, cwd, temporalValidation = nul
     }
   }
 
+  // Suppressed findings, listed apart with their justification
+  const suppressed = [];
+  for (const cat of categories) {
+    for (const check of cat.checks) {
+      for (const finding of check.suppressed || []) {
+        suppressed.push({ checkId: check.id, checkLabel: check.label, ...finding });
+      }
+    }
+  }
+  if (suppressed.length > 0) {
+    lines.push(`## 🔕 Suppressed Findings`);
+    lines.push('');
+    lines.push(`| Module | Check | Message | Justification | Source |`);
+    lines.push(`|--------|-------|---------|---------------|--------|`);
+    for (const f of suppressed) {
+      const cells = [f.module || '', `**${f.checkId}** ${f.checkLabel}`, f.message, f.justification, f.origin]
+        .map((cell) => String(cell).replace(/\|/g, '\\|'));
+      lines.push(`| ${cells.join(' | ')} |`);
+    }
+    lines.push('');
+  }
+
+  const disabled = categories.flatMap((cat) => cat.checks.filter((check) => check.severity === 'off'));
+  if (disabled.length > 0) {
+    lines.push(`## ⚫ Disabled Rules`);
+    lines.push('');
+    for (const check of disabled) {
+      lines.push(`- **${check.id}** ${check.label}`);
+    }
+    lines.push('');
+  }
+
   // Modules with diagrams but no findings
   if (diagrams) {
     const cleanModules = Object.keys(diagrams)
@@ -1384,3 +1604,6 @@ async function writeDomainAssets(domainValidation, cwd, temporalValidation = nul
 }
 
 module.exports = evaluateSystemCommand;
+module.exports.buildModulesMap = buildModulesMap;
+module.exports.extractTemporalReportData = extractTemporalReportData;
+module.exports.loadSystemDir = loadSystemDir;
@@ -0,0 +1,82 @@
+'use strict';
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+
+const { buildAsyncApi } = require('../utils/asyncapi-builder');
+const { loadSystemDir } = require('./evaluate-system');
+const ConfigManager = require('../utils/config-manager');
+
+const FORMATS = ['yaml', 'json'];
+
+/**
+ * eva export asyncapi — AsyncAPI 3.0 document of the async contracts declared in
+ * system/: integrations.async of system.yaml plus events:, listeners: and readModels:
+ * of every module YAML.
+ *
+ * @param {object} options
+ * @param {string} [options.module]        - Only the channels and operations of this module
+ * @param {string} [options.format='yaml'] - yaml | json
+ * @param {string} [options.output]        - Output file (default ./asyncapi[-<module>].<format>)
+ */
+async function exportAsyncApiCommand(options = {}) {
+  const cwd = process.cwd();
+  const systemDir = path.join(cwd, 'system');
+
+  const format = (options.format || 'yaml').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    console.error(chalk.red(`❌ Unknown format: '${options.format}'`));
+    console.error(chalk.gray(`Supported formats: ${FORMATS.join(', ')}`));
+    process.exit(1);
+  }
+
+  if (!(await fs.pathExists(path.join(systemDir, 'system.yaml')))) {
+    console.error(chalk.red('❌ system/system.yaml not found'));
+    console.error(chalk.gray('Run this command from the root of an eva4j project'));
+    process.exit(1);
+  }
+
+  const { systemConfig, domainConfigs, parseErrors } = await loadSystemDir(systemDir);
+  if (parseErrors.length > 0) {
+    console.error(chalk.red('❌ Failed to parse the module YAMLs'));
+    parseErrors.forEach((e) => console.error(chalk.red(`   • ${e.file}: ${e.message}`)));
+    process.exit(1);
+  }
+
+  const moduleName = options.module || null;
+  if (moduleName) {
+    const declared = ((systemConfig || {}).modules || []).some((m) => m && m.name === moduleName);
+    if (!declared && !domainConfigs[moduleName]) {
+      console.error(chalk.red(`❌ Module '${moduleName}' not found in system/system.yaml`));
+      process.exit(1);
+    }
+  }
+
+  const projectConfig = await new ConfigManager(cwd).loadProjectConfig();
+  const doc = buildAsyncApi(
+    { systemConfig: systemConfig || {}, domainConfigs },
+    { module: moduleName, version: projectConfig && projectConfig.version }
+  );
+
+  const channelCount = Object.keys(doc.channels).length;
+  if (channelCount === 0) {
+    console.error(chalk.red(`❌ No async contracts found${moduleName ? ` for module '${moduleName}'` : ''}`));
+    console.error(chalk.gray('Declare events: in the module YAMLs or integrations.async in system.yaml'));
+    process.exit(1);
+  }
+
+  const content = format === 'json'
+    ? JSON.stringify(doc, null, 2) + '\n'
+    : yaml.dump(doc, { lineWidth: -1, noRefs: true });
+  const defaultName = `asyncapi${moduleName ? `-${moduleName}` : ''}.${format}`;
+  const outputPath = path.resolve(cwd, options.output || defaultName);
+  await fs.ensureDir(path.dirname(outputPath));
+  await fs.writeFile(outputPath, content, 'utf-8');
+
+  console.log(chalk.green(`  ✅ AsyncAPI ${doc.asyncapi} → ${path.relative(cwd, outputPath)}`));
+  console.log(chalk.gray(`     ${channelCount} channels, ${Object.keys(doc.operations).length} operations, ${Object.keys(doc.components.messages).length} messages`));
+}
+
+module.exports = exportAsyncApiCommand;
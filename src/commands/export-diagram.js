@@ -470,7 +470,7 @@ function generateDrawioXml(parsed) {
 async function exportDiagramCommand(type, options) {
   if (type !== 'diagram') {
     console.error(chalk.red(`❌ Unknown export type: ${type}`));
-    console.log(chalk.gray('Usage: eva export diagram'));
+    console.log(chalk.gray('Usage: eva export diagram | eva export asyncapi | eva export openapi [module]'));
     process.exit(1);
   }
 
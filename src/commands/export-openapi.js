@@ -0,0 +1,114 @@
+'use strict';
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+
+const { buildOpenApi } = require('../utils/openapi-builder');
+const { parseDomainYaml } = require('../utils/yaml-to-entity');
+const { classifyEndpointOperations } = require('./generate-entities');
+const ConfigManager = require('../utils/config-manager');
+
+const FORMATS = ['yaml', 'json'];
+
+/**
+ * eva export openapi [module] — OpenAPI 3.1 document of the endpoints: sections of
+ * system/<module>.yaml. Without a module, every module of system/system.yaml is
+ * included in one document.
+ *
+ * @param {string|undefined} moduleName - Only the endpoints of this module
+ * @param {object} options
+ * @param {string} [options.format='yaml'] - yaml | json
+ * @param {string} [options.output]        - Output file (default ./openapi[-<module>].<format>)
+ */
+async function exportOpenApiCommand(moduleName, options = {}) {
+  const cwd = process.cwd();
+  const systemDir = path.join(cwd, 'system');
+  const systemYamlPath = path.join(systemDir, 'system.yaml');
+
+  const format = (options.format || 'yaml').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    console.error(chalk.red(`❌ Unknown format: '${options.format}'`));
+    console.error(chalk.gray(`Supported formats: ${FORMATS.join(', ')}`));
+    process.exit(1);
+  }
+
+  if (!(await fs.pathExists(systemYamlPath))) {
+    console.error(chalk.red('❌ system/system.yaml not found'));
+    console.error(chalk.gray('Run this command from the root of an eva4j project'));
+    process.exit(1);
+  }
+
+  let systemConfig;
+  try {
+    systemConfig = yaml.load(await fs.readFile(systemYamlPath, 'utf-8')) || {};
+  } catch (err) {
+    console.error(chalk.red('❌ Failed to parse system/system.yaml:'), err.message);
+    process.exit(1);
+  }
+
+  const declared = (systemConfig.modules || []).map((m) => m && m.name).filter(Boolean);
+  if (moduleName && !declared.includes(moduleName)) {
+    console.error(chalk.red(`❌ Module '${moduleName}' not found in system/system.yaml`));
+    if (declared.length > 0) {
+      console.error(chalk.gray(`Available modules: ${declared.join(', ')}`));
+    }
+    process.exit(1);
+  }
+
+  const projectConfig = await new ConfigManager(cwd).loadProjectConfig();
+  const packageName = (projectConfig && projectConfig.packageName) || 'com.example';
+
+  const modules = [];
+  for (const name of moduleName ? [moduleName] : declared) {
+    const yamlPath = path.join(systemDir, `${name}.yaml`);
+    if (!(await fs.pathExists(yamlPath))) {
+      if (moduleName) {
+        console.error(chalk.red(`❌ system/${name}.yaml not found`));
+        process.exit(1);
+      }
+      continue;
+    }
+
+    let domain;
+    try {
+      domain = await parseDomainYaml(yamlPath, packageName, name);
+    } catch (err) {
+      console.error(chalk.red(`❌ Failed to parse system/${name}.yaml:`), err.message);
+      process.exit(1);
+    }
+    if (!domain.endpoints) continue;
+    classifyEndpointOperations(domain.endpoints, domain.aggregates);
+    modules.push({ name, domain });
+  }
+
+  if (modules.length === 0) {
+    console.error(chalk.red(`❌ No endpoints found${moduleName ? ` in system/${moduleName}.yaml` : ''}`));
+    console.error(chalk.gray('Declare an endpoints: section in the module YAMLs'));
+    process.exit(1);
+  }
+
+  const doc = buildOpenApi(
+    { systemConfig, modules },
+    {
+      title: moduleName ? `${(systemConfig.system || {}).name || 'eva4j-api'} — ${moduleName}` : undefined,
+      version: projectConfig && projectConfig.version,
+      port: projectConfig && projectConfig.server && projectConfig.server.port,
+    }
+  );
+
+  const content = format === 'json'
+    ? JSON.stringify(doc, null, 2) + '\n'
+    : yaml.dump(doc, { lineWidth: -1, noRefs: true });
+  const defaultName = `openapi${moduleName ? `-${moduleName}` : ''}.${format}`;
+  const outputPath = path.resolve(cwd, options.output || defaultName);
+  await fs.ensureDir(path.dirname(outputPath));
+  await fs.writeFile(outputPath, content, 'utf-8');
+
+  const operationCount = Object.values(doc.paths).reduce((n, item) => n + Object.keys(item).length, 0);
+  console.log(chalk.green(`  ✅ OpenAPI ${doc.openapi} → ${path.relative(cwd, outputPath)}`));
+  console.log(chalk.gray(`     ${modules.length} module(s), ${Object.keys(doc.paths).length} paths, ${operationCount} operations, ${Object.keys(doc.components.schemas).length} schemas`));
+}
+
+module.exports = exportOpenApiCommand;
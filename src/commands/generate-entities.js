@@ -8,15 +8,20 @@ const { isEva4jProject } = require('../utils/validator');
 const { toPackagePath, toCamelCase, toKebabCase, toPascalCase, getApplicationClassName, pluralizeWord, singularizeWord } = require('../utils/naming');
 const { renderAndWrite, renderTemplate } = require('../utils/template-engine');
 const { parseDomainYaml, generateEntityImports, generateValidationImports, resolveLifecycleEventArgs, resolveEventArgs } = require('../utils/yaml-to-entity');
+const { validateYamlFile, formatSchemaErrors } = require('../utils/schema-validator');
 const { createOrUpdateUrlsConfig, ensureUrlsImport } = require('./generate-http-exchange');
 const SharedGenerator = require('../generators/shared-generator');
 const ChecksumManager = require('../utils/checksum-manager');
 const { generateFakeValue, initSeed } = require('../utils/fake-data');
-const { getInstalledBroker, generateSingleKafkaEvent, buildKafkaEventContext, updateKafkaYml,
+const { generateIntegrationTestBase, generateAggregateTests, generateListenerHandlerTest } = require('../generators/test-generator');
+const { getInstalledBroker, generateSingleKafkaEvent, buildKafkaEventContext, updateKafkaYml, updateKafkaConfig,
         generateEventRecord, createOrUpdateMessageBroker, updateDomainEventHandler } = require('./generate-kafka-event');
+const { updateListenerContainerFactory } = require('./generate-kafka-listener');
+const { buildRabbitErrorHandling, updateRabbitMQConsumerTopology } = require('./generate-rabbitmq-listener');
 const { generateSingleRabbitEvent, buildRabbitEventContext, updateRabbitMQYml, updateRabbitMQYmlQueue,
-        createOrUpdateRabbitMessageBroker, updateRabbitMQConfigForConsumer, updateRabbitMQYmlForConsumer } = require('./generate-rabbitmq-event');
-const { parseSystemYaml } = require('../utils/system-yaml-parser');
+        createOrUpdateRabbitMessageBroker, updateRabbitMQConfigForConsumer, updateRabbitMQYmlForConsumer,
+        enableRabbitMQPublisherConfirms } = require('./generate-rabbitmq-event');
+const { parseSystemYaml, loadMessagingConfig, loadConsumerErrorHandling } = require('../utils/system-yaml-parser');
 const { computeWorkflowInputFields } = require('./generate-temporal-system');
 
 // Maximum depth for recursive relationship traversal
@@ -242,6 +247,15 @@ async function generateEntitiesCommand(moduleName, options = {}) {
     process.exit(1);
   }
 
+  // Validate against the domain.yaml JSON Schema — typos would otherwise be silently ignored
+  const { errors: schemaErrors } = await validateYamlFile(domainYamlPath, 'domain', path.relative(projectDir, domainYamlPath));
+  if (schemaErrors.length > 0) {
+    console.error(chalk.red(`❌ domain.yaml does not match the schema (${schemaErrors.length} error(s))\n`));
+    console.error(formatSchemaErrors(schemaErrors));
+    console.error(chalk.gray('\nRun eva schema export to get autocomplete and inline errors in your editor'));
+    process.exit(1);
+  }
+
   // Initialise checksum manager (safe mode by default — --force to overwrite)
   const checksumManager = new ChecksumManager(moduleBasePath);
   await checksumManager.load();
@@ -270,7 +284,7 @@ async function generateEntitiesCommand(moduleName, options = {}) {
     
     // Always generate PagedResponse shared DTO (used by all ListQueryHandlers)
     const sharedBasePath = path.join(projectDir, 'src', 'main', 'java', packagePath, 'shared');
-    const sharedGenerator = new SharedGenerator({ packageName, packagePath });
+    const sharedGenerator = new SharedGenerator({ packageName, packagePath, projectName: projectConfig.projectName || artifactId });
     await sharedGenerator.generatePagedResponse(sharedBasePath);
 
     // Check if any aggregate declares domain events and generate shared DomainEvent base class
@@ -279,6 +293,16 @@ async function generateEntitiesCommand(moduleName, options = {}) {
       await sharedGenerator.generateDomainEvent(sharedBasePath);
     }
 
+    // Shared Specification interface for aggregates declaring specifications: / policies:
+    if (aggregates.some(agg => agg.specifications.length > 0)) {
+      await sharedGenerator.generateSpecification(sharedBasePath);
+    }
+
+    // CursorPage + CursorCodec for list endpoints declaring pagination: cursor
+    if (endpoints && endpoints.versions.some(v => v.operations.some(op => op.pagination === 'cursor'))) {
+      await sharedGenerator.generateCursorPagination(sharedBasePath);
+    }
+
     // Detect installed message broker for auto-wiring integration events
     const installedBroker = (hasDomainEventsInModule || (listeners && listeners.length > 0) || (readModels && readModels.length > 0))
       ? await getInstalledBroker(configManager)
@@ -288,6 +312,30 @@ async function generateEntitiesCommand(moduleName, options = {}) {
       ? 'mock'
       : installedBroker;
 
+    // Transactional outbox (messaging.outbox: true in system.yaml) — only
+    // meaningful for real brokers; mock mode keeps in-process Spring events.
+    const outboxRequested = options.outbox !== undefined
+      ? !!options.outbox
+      : (await loadMessagingConfig(projectDir)).outbox === true;
+    const outbox = outboxRequested && hasDomainEventsInModule && (broker === 'kafka' || broker === 'rabbitmq');
+    let outboxMigrationFile = null;
+    if (outbox) {
+      await sharedGenerator.generateOutbox(sharedBasePath, broker);
+      outboxMigrationFile = await sharedGenerator.generateOutboxMigration(projectConfig.databaseType);
+      if (broker === 'rabbitmq') {
+        // The relay marks a row published only once the broker confirmed it
+        await enableRabbitMQPublisherConfirms(projectDir);
+      }
+    }
+
+    // Versioned events: metadata.version in the shared envelope, and an upcaster
+    // chain for listeners that consume a payload newer than v1
+    const hasVersionedEvents = aggregates.some(agg => (agg.domainEvents || []).some(e => e.version > 1));
+    const hasVersionedListeners = (listeners || []).some(l => l.version > 1);
+    if ((broker === 'kafka' || broker === 'rabbitmq') && (hasVersionedEvents || hasVersionedListeners)) {
+      await sharedGenerator.generateEventVersioning(sharedBasePath, hasVersionedListeners);
+    }
+
     // Detect Temporal for auto-wiring DomainEvent → Workflow bridge
     const hasNotifiesInModule = aggregates.some(agg =>
       (agg.domainEvents || []).some(e => (e.notifies || []).length > 0)
@@ -358,6 +406,9 @@ async function generateEntitiesCommand(moduleName, options = {}) {
     console.log(chalk.blue('\n📦 Aggregates to generate:'));
     aggregates.forEach(agg => {
       console.log(chalk.gray(`  ├── ${agg.name} (Root: ${agg.rootEntity.name})`));
+      agg.rootEntity.subtypes.forEach(subtype => {
+        console.log(chalk.gray(`  │   ├── ${subtype.name} (extends ${agg.rootEntity.name} · ${agg.rootEntity.inheritance.strategy})`));
+      });
       agg.secondaryEntities.forEach(entity => {
         console.log(chalk.gray(`  │   ├── ${entity.name}`));
       });
@@ -376,6 +427,13 @@ async function generateEntitiesCommand(moduleName, options = {}) {
 
     const generatedFiles = [];
 
+    if (outbox) {
+      generatedFiles.push({ type: 'Outbox', name: 'OutboxEvent / OutboxEventWriter / OutboxRelay', path: 'shared/infrastructure/outbox/' });
+      if (outboxMigrationFile) {
+        generatedFiles.push({ type: 'Outbox', name: outboxMigrationFile, path: `src/main/resources/db/migration/${outboxMigrationFile}` });
+      }
+    }
+
     // Generate enums
     for (const enumDef of allEnums) {
       const context = {
@@ -419,7 +477,8 @@ async function generateEntitiesCommand(moduleName, options = {}) {
         hasSoftDelete: rootEntity.hasSoftDelete || false,
         domainEvents: aggregate.domainEvents || [],
         triggeredEventsMap: aggregate.triggeredEventsMap || {},
-        lifecycleEventsMap: resolvedLifecycle
+        lifecycleEventsMap: resolvedLifecycle,
+        subtypes: rootEntity.subtypes
       };
 
       await renderAndWrite(
@@ -437,6 +496,8 @@ async function generateEntitiesCommand(moduleName, options = {}) {
         moduleName,
         name: rootEntity.name,
         tableName: rootEntity.tableName,
+        indexes: rootEntity.indexes,
+        uniqueConstraints: rootEntity.uniqueConstraints,
         fields: rootEntity.fields,
         relationships: rootEntity.relationships,
         imports: generateEntityImports(rootEntity.fields, rootEntity.relationships, rootEntity.enums, allEnums, packageName, moduleName, false),
@@ -445,7 +506,9 @@ async function generateEntitiesCommand(moduleName, options = {}) {
         auditable: rootEntity.auditable,
         audit: rootEntity.audit,
         hasSoftDelete: rootEntity.hasSoftDelete || false,
-        hasCreateLifecycle
+        hasCreateLifecycle,
+        inheritance: rootEntity.inheritance,
+        subtypes: rootEntity.subtypes
       };
 
       await renderAndWrite(
@@ -456,6 +519,47 @@ async function generateEntitiesCommand(moduleName, options = {}) {
       );
       generatedFiles.push({ type: 'JPA Entity', name: `${rootEntity.name}Jpa`, path: `${moduleName}/infrastructure/database/entities/${rootEntity.name}Jpa.java` });
 
+      // 2b. Generate Aggregate Root subtypes (extends:) (Domain + JPA)
+      for (const subtype of rootEntity.subtypes) {
+        await renderAndWrite(
+          path.join(__dirname, '..', '..', 'templates', 'aggregate', 'AggregateSubtype.java.ejs'),
+          path.join(moduleBasePath, 'domain', 'models', 'entities', `${subtype.name}.java`),
+          {
+            packageName,
+            moduleName,
+            name: subtype.name,
+            root: rootEntity,
+            discriminatorValue: subtype.discriminatorValue,
+            fields: subtype.fields,
+            imports: generateEntityImports([...rootEntity.fields, ...subtype.fields], [], [...rootEntity.enums, ...subtype.enums], aggregate.enums, packageName, moduleName, true),
+            valueObjects
+          },
+          writeOptions
+        );
+        generatedFiles.push({ type: 'Domain Entity', name: subtype.name, path: `${moduleName}/domain/models/entities/${subtype.name}.java` });
+
+        await renderAndWrite(
+          path.join(__dirname, '..', '..', 'templates', 'aggregate', 'JpaAggregateSubtype.java.ejs'),
+          path.join(moduleBasePath, 'infrastructure', 'database', 'entities', `${subtype.name}Jpa.java`),
+          {
+            packageName,
+            moduleName,
+            name: subtype.name,
+            rootName: rootEntity.name,
+            inheritance: rootEntity.inheritance,
+            discriminatorValue: subtype.discriminatorValue,
+            tableName: subtype.tableName,
+            indexes: subtype.indexes,
+            uniqueConstraints: subtype.uniqueConstraints,
+            fields: subtype.fields,
+            imports: generateEntityImports(subtype.fields, [], subtype.enums, allEnums, packageName, moduleName, false),
+            valueObjects
+          },
+          writeOptions
+        );
+        generatedFiles.push({ type: 'JPA Entity', name: `${subtype.name}Jpa`, path: `${moduleName}/infrastructure/database/entities/${subtype.name}Jpa.java` });
+      }
+
       // 3. Generate Secondary Entities (Domain + JPA)
       for (const entity of secondaryEntities) {
         // Domain Entity
@@ -484,6 +588,8 @@ async function generateEntitiesCommand(moduleName, options = {}) {
           moduleName,
           name: entity.name,
           tableName: entity.tableName,
+          indexes: entity.indexes,
+          uniqueConstraints: entity.uniqueConstraints,
           fields: entity.fields,
           relationships: entity.relationships,
           imports: generateEntityImports(entity.fields, entity.relationships, entity.enums, allEnums, packageName, moduleName, false),
@@ -566,6 +672,8 @@ async function generateEntitiesCommand(moduleName, options = {}) {
         hasSoftDelete: rootEntity.hasSoftDelete || false,
         hasDomainEvents: (aggregate.domainEvents || []).length > 0,
         hasDeleteLifecycle: !!(aggregate.lifecycleEventsMap || {}).delete,
+        queries: aggregate.queries || [],
+        specifications: aggregate.specifications,
         findByOps: []
       };
 
@@ -577,6 +685,17 @@ async function generateEntitiesCommand(moduleName, options = {}) {
       );
       generatedFiles.push({ type: 'Repository', name: `${rootEntity.name}Repository`, path: `${moduleName}/domain/repositories/${rootEntity.name}Repository.java` });
 
+      // 6b. Generate list filter criteria (fields declared filterable:)
+      if (rootEntity.listFilters.length > 0) {
+        await renderAndWrite(
+          path.join(__dirname, '..', '..', 'templates', 'aggregate', 'AggregateFilter.java.ejs'),
+          path.join(moduleBasePath, 'domain', 'repositories', `${rootEntity.name}Filter.java`),
+          repoContext,
+          writeOptions
+        );
+        generatedFiles.push({ type: 'Filter', name: `${rootEntity.name}Filter`, path: `${moduleName}/domain/repositories/${rootEntity.name}Filter.java` });
+      }
+
       // 7. Generate JPA Repository Interface
       await renderAndWrite(
         path.join(__dirname, '..', '..', 'templates', 'aggregate', 'JpaRepository.java.ejs'),
@@ -595,6 +714,9 @@ async function generateEntitiesCommand(moduleName, options = {}) {
         hasDomainEvents: (aggregate.domainEvents || []).length > 0,
         hasDeleteLifecycle: !!(aggregate.lifecycleEventsMap || {}).delete,
         hasSoftDelete: rootEntity.hasSoftDelete || false,
+        flushOnSave: [...aggregate.allEntities, ...aggregate.rootEntity.subtypes].some(e => e.uniqueConstraints.length > 0),
+        queries: aggregate.queries || [],
+        specifications: aggregate.specifications,
         findByOps: []
       };
 
@@ -606,6 +728,37 @@ async function generateEntitiesCommand(moduleName, options = {}) {
       );
       generatedFiles.push({ type: 'Repository Impl', name: `${rootEntity.name}RepositoryImpl`, path: `${moduleName}/infrastructure/database/repositories/${rootEntity.name}RepositoryImpl.java` });
 
+      // 8b. Generate Specifications / Policies (Domain) + JPA adapters for specifications
+      for (const spec of aggregate.specifications) {
+        const specContext = {
+          packageName,
+          moduleName,
+          rootName: rootEntity.name,
+          rootFieldName: rootEntity.fieldName,
+          hasEnums: aggregate.enums.length > 0,
+          hasValueObjects: valueObjects.length > 0,
+          spec
+        };
+
+        await renderAndWrite(
+          path.join(__dirname, '..', '..', 'templates', 'aggregate', 'DomainSpecification.java.ejs'),
+          path.join(moduleBasePath, 'domain', 'specifications', `${spec.className}.java`),
+          specContext,
+          writeOptions
+        );
+        generatedFiles.push({ type: spec.kind === 'policy' ? 'Policy' : 'Specification', name: spec.className, path: `${moduleName}/domain/specifications/${spec.className}.java` });
+
+        if (spec.filterable) {
+          await renderAndWrite(
+            path.join(__dirname, '..', '..', 'templates', 'aggregate', 'JpaSpecification.java.ejs'),
+            path.join(moduleBasePath, 'infrastructure', 'database', 'specifications', `${spec.jpaClassName}.java`),
+            specContext,
+            writeOptions
+          );
+          generatedFiles.push({ type: 'JPA Specification', name: spec.jpaClassName, path: `${moduleName}/infrastructure/database/specifications/${spec.jpaClassName}.java` });
+        }
+      }
+
       // 9. Generate Domain Events (if declared in domain.yaml)
       const aggregateDomainEvents = aggregate.domainEvents || [];
       if (aggregateDomainEvents.length > 0) {
@@ -647,6 +800,7 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             }),
           })),
           broker,
+          outbox,
           temporal: temporalInstalled
         };
         await renderAndWrite(
@@ -668,7 +822,7 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             'BigDecimal','LocalDate','LocalDateTime','LocalTime','Instant','UUID'
           ]);
           for (const event of aggregateDomainEvents) {
-            const kafkaCtx = buildKafkaEventContext(packageName, moduleName, event);
+            const kafkaCtx = { ...buildKafkaEventContext(packageName, moduleName, event), outbox };
             await generateSingleKafkaEvent(projectDir, packagePath, kafkaCtx);
             generatedFiles.push({
               type: 'Integration Event',
@@ -747,7 +901,7 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             'BigDecimal','LocalDate','LocalDateTime','LocalTime','Instant','UUID'
           ]);
           for (const event of aggregateDomainEvents) {
-            const rabbitCtx = buildRabbitEventContext(packageName, moduleName, event);
+            const rabbitCtx = { ...buildRabbitEventContext(packageName, moduleName, event), outbox };
             await generateSingleRabbitEvent(projectDir, packagePath, rabbitCtx);
             generatedFiles.push({
               type: 'Integration Event',
@@ -797,6 +951,7 @@ async function generateEntitiesCommand(moduleName, options = {}) {
 
       if (broker === 'kafka') {
         spinner.start(`Generating ${listeners.length} Kafka listener(s)...`);
+        const consumerPolicies = await loadConsumerErrorHandling(projectDir, moduleName);
         for (const listener of listeners) {
           // Validate topic presence (mandatory for standalone modules)
           if (!listener.topic) {
@@ -809,6 +964,14 @@ async function generateEntitiesCommand(moduleName, options = {}) {
           const topicSuffix = topicRaw.includes('.') ? topicRaw.slice(topicRaw.lastIndexOf('.') + 1) : topicRaw;
           const topicKey = topicSuffix.toLowerCase().replace(/_/g, '-');
           const kafkaListenerClassName = `${listener.baseName}KafkaListener`;
+          const { retry, deadLetter, ttl, maxRetries, parkingLot } =
+            resolveListenerErrorHandling(listener, consumerPolicies.get(toPascalCase(listener.event)));
+          if (ttl !== null || maxRetries !== null || parkingLot !== null) {
+            spinner.warn(chalk.yellow(`⚠ listener '${listener.event}': ttl, maxRetries and parkingLot apply to RabbitMQ only. Ignored.`));
+          }
+          const containerFactory = retry || deadLetter !== null
+            ? `${moduleName}${listener.baseName}ContainerFactory`
+            : null;
           const listenerContext = {
             packageName,
             moduleName,
@@ -816,7 +979,8 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             listenerClassName: kafkaListenerClassName,
             topicConstant: topicRaw,
             topicSpringProperty: `\${topics.${topicKey}}`,
-            topicVariableName: toCamelCase(topicSuffix.toLowerCase())
+            topicVariableName: toCamelCase(topicSuffix.toLowerCase()),
+            containerFactory
           };
 
           // 0. Nested type records (auxiliary value objects for object-typed fields)
@@ -855,6 +1019,9 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             path: `${moduleName}/application/events/${listener.integrationEventClassName}.java`
           });
 
+          // 1b. Upcaster stubs for older payload versions (listeners[].version > 1)
+          await generateListenerUpcasters(listenerContext, moduleBasePath, generatedFiles, writeOptions);
+
           // 2. Kafka listener class
           // If the file is currently a mock Spring listener, force overwrite with the real Kafka impl
           const kafkaListenerPath = path.join(
@@ -883,6 +1050,35 @@ async function generateEntitiesCommand(moduleName, options = {}) {
           // 3. Register topic in kafka.yaml (all environments)
           await updateKafkaYml(projectDir, topicKey, listener.topic);
 
+          // 3b. Container factory with the listener's retry / dead-letter topic (KafkaConfig)
+          if (containerFactory) {
+            let deadLetterFieldName = null;
+            if (deadLetter) {
+              const deadLetterKey = deadLetter === true
+                ? `${topicKey}-dlt`
+                : deadLetter.toLowerCase().replace(/[_.]/g, '-');
+              await updateKafkaYml(projectDir, deadLetterKey, deadLetter === true ? `${topicRaw}.DLT` : deadLetter);
+              await updateKafkaConfig(projectDir, packagePath, {
+                topicNameCamel: toCamelCase(deadLetterKey),
+                topicSpringProperty: `\${topics.${deadLetterKey}}`
+              });
+              deadLetterFieldName = `${toCamelCase(deadLetterKey)}Topic`;
+            }
+            await updateListenerContainerFactory(projectDir, packagePath, {
+              factoryBeanName: containerFactory,
+              listenerClassName: kafkaListenerClassName,
+              topicConstant: topicRaw,
+              retry,
+              deadLetter,
+              deadLetterFieldName
+            });
+            generatedFiles.push({
+              type: 'Kafka Config',
+              name: `${containerFactory} (updated)`,
+              path: 'shared/infrastructure/configurations/kafkaConfig/KafkaConfig.java'
+            });
+          }
+
           // 4. Typed Command dispatched from the listener
           const commandPath = path.join(
             moduleBasePath, 'application', 'commands',
@@ -916,6 +1112,7 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             name: `${listener.useCase}CommandHandler`,
             path: `${moduleName}/application/usecases/${listener.useCase}CommandHandler.java`
           });
+          await generateListenerHandlerTest(listener, { packageName, moduleName }, generatedFiles, writeOptions);
         }
         spinner.succeed(chalk.green(`Kafka listeners generated! ✨`));
       } else if (broker === 'mock') {
@@ -998,11 +1195,14 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             writeOptions
           );
           generatedFiles.push({ type: 'Handler', name: `${listener.useCase}CommandHandler`, path: `${moduleName}/application/usecases/${listener.useCase}CommandHandler.java` });
+          await generateListenerHandlerTest(listener, { packageName, moduleName }, generatedFiles, writeOptions);
         }
         spinner.succeed(chalk.green(`Spring Event listeners generated (mock mode)! ✨`));
       } else if (broker === 'rabbitmq') {
         // ── RabbitMQ listeners: @RabbitListener ─────────────────────────────
         spinner.start(`Generating ${listeners.length} RabbitMQ listener(s)...`);
+        const consumerPolicies = await loadConsumerErrorHandling(projectDir, moduleName);
+        let parkingLotGenerated = false;
         for (const listener of listeners) {
           if (!listener.topic) {
             spinner.warn(chalk.yellow(`⚠ listener '${listener.event}': topic is required when there is no system.yaml. Skipping.`));
@@ -1014,6 +1214,13 @@ async function generateEntitiesCommand(moduleName, options = {}) {
           const topicKey = topicSuffix.toLowerCase().replace(/_/g, '-');
           const rabbitListenerClassName = `${listener.baseName}RabbitListener`;
           const consumerTopicKey = `${moduleName}-${topicKey}`;
+          const consumerQueueName = `${moduleName}.${topicKey}`;
+          // Error handling: dead-letter queue, delayed retries and parking lot of the consumer queue
+          const handling = resolveListenerErrorHandling(listener, consumerPolicies.get(toPascalCase(listener.event)));
+          if (handling.retry) {
+            spinner.warn(chalk.yellow(`⚠ listener '${listener.event}': retry applies to Kafka only — use maxRetries and ttl. Ignored.`));
+          }
+          const errorHandling = buildRabbitErrorHandling(handling, consumerTopicKey, consumerQueueName);
           const listenerContext = {
             packageName,
             moduleName,
@@ -1021,7 +1228,8 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             listenerClassName: rabbitListenerClassName,
             topicConstant: topicRaw,
             topicSpringProperty: `\${queues.${consumerTopicKey}}`,
-            topicVariableName: toCamelCase(topicSuffix.toLowerCase())
+            topicVariableName: toCamelCase(topicSuffix.toLowerCase()),
+            errorHandling
           };
 
           // 0. Nested type records (auxiliary value objects for object-typed fields)
@@ -1060,6 +1268,9 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             path: `${moduleName}/application/events/${listener.integrationEventClassName}.java`
           });
 
+          // 1b. Upcaster stubs for older payload versions (listeners[].version > 1)
+          await generateListenerUpcasters(listenerContext, moduleBasePath, generatedFiles, writeOptions);
+
           // 2. RabbitMQ listener class
           const rabbitListenerPath = path.join(
             moduleBasePath, 'infrastructure', 'rabbitListener',
@@ -1089,19 +1300,46 @@ async function generateEntitiesCommand(moduleName, options = {}) {
           const producerModule = toCamelCase(listener.producer || moduleName);
           const consumerExchangeName = `${producerModule}.events`;
           const consumerRoutingKey = topicKey.replace(/-/g, '.');
-          const consumerQueueName = `${moduleName}.${topicKey}`;
           const consumerBeanMethodName = `${toCamelCase(consumerTopicKey)}Topic`;
 
           await updateRabbitMQYmlForConsumer(
             projectDir, consumerTopicKey, consumerQueueName,
             producerModule, consumerExchangeName, consumerRoutingKey
           );
-          await updateRabbitMQConfigForConsumer(projectDir, packagePath, {
-            producerModule,
-            topicKey: consumerTopicKey,
-            beanMethodName: consumerBeanMethodName,
-            valueFieldName: consumerBeanMethodName
-          });
+          if (errorHandling) {
+            if (errorHandling.destinationKey) {
+              await updateRabbitMQYmlQueue(projectDir, errorHandling.destinationKey, errorHandling.destinationName);
+            }
+            await updateRabbitMQConsumerTopology(projectDir, packagePath, {
+              packageName,
+              producerModule,
+              topicKey: consumerTopicKey,
+              beanMethodName: consumerBeanMethodName,
+              valueFieldName: consumerBeanMethodName,
+              errorHandling
+            });
+            generatedFiles.push({
+              type: 'RabbitMQ Config',
+              name: `${consumerQueueName} topology (updated)`,
+              path: 'shared/infrastructure/configurations/rabbitmqConfig/RabbitMQConfig.java'
+            });
+            if (errorHandling.destination === 'parkingLot' && !parkingLotGenerated) {
+              await sharedGenerator.generateParkingLot(sharedBasePath);
+              generatedFiles.push({
+                type: 'Parking Lot',
+                name: 'ParkingLotController',
+                path: 'shared/infrastructure/parkingLot/ParkingLotController.java'
+              });
+              parkingLotGenerated = true;
+            }
+          } else {
+            await updateRabbitMQConfigForConsumer(projectDir, packagePath, {
+              producerModule,
+              topicKey: consumerTopicKey,
+              beanMethodName: consumerBeanMethodName,
+              valueFieldName: consumerBeanMethodName
+            });
+          }
 
           // 4. Typed Command dispatched from the listener
           const commandPath = path.join(
@@ -1136,6 +1374,7 @@ async function generateEntitiesCommand(moduleName, options = {}) {
             name: `${listener.useCase}CommandHandler`,
             path: `${moduleName}/application/usecases/${listener.useCase}CommandHandler.java`
           });
+          await generateListenerHandlerTest(listener, { packageName, moduleName }, generatedFiles, writeOptions);
         }
         spinner.succeed(chalk.green(`RabbitMQ listeners generated! ✨`));
       } else if (listeners.length > 0) {
@@ -1605,41 +1844,12 @@ async function generateEntitiesCommand(moduleName, options = {}) {
     if (endpoints) {
       // ── endpoints: section declared → skip CRUD prompt, auto-generate ──
       spinner.start('Generating endpoint-driven resources...');
+      await generateIntegrationTestBase(projectDir, packageName, projectConfig.databaseType, writeOptions);
 
       // Pre-classify all operations ONCE against all aggregates so that
       // each per-aggregate pass never overwrites a classification that
       // belongs to a different aggregate (multi-aggregate modules).
-      for (const version of endpoints.versions) {
-        for (const op of version.operations) {
-          for (const agg of aggregates) {
-            const cl = classifyUseCase(op, agg.name, agg);
-            if (cl.category !== 'scaffold') {
-              op._ownerAggregate = agg.name;
-              op._classification = cl;
-              break;
-            }
-          }
-          if (!op._ownerAggregate) {
-            // True scaffold: heuristic — strip CRUD verb prefix and singularize to find
-            // the best aggregate match via prefix comparison.
-            // e.g. "FindAllGuarantees" → suffix "Guarantees" → singular "Guarantee"
-            //      → "GuaranteeCatalog".startsWith("guarantee") ✓
-            const ucSuffix = op.useCase.replace(/^(FindAll|GetAll|Get|Create|Update|Delete|Add|Remove)/, '');
-            const singularSuffix = ucSuffix ? singularizeWord(ucSuffix).toLowerCase() : '';
-            const matched = (singularSuffix &&
-              aggregates.find(agg => {
-                const aggLower = agg.name.toLowerCase();
-                return aggLower.startsWith(singularSuffix) || singularSuffix.startsWith(aggLower);
-              })
-            ) || aggregates.find(agg =>
-              op.useCase.toLowerCase().includes(agg.name.toLowerCase())
-            );
-            const owner = matched || aggregates[0];
-            op._ownerAggregate = owner.name;
-            op._classification = { category: 'scaffold' };
-          }
-        }
-      }
+      classifyEndpointOperations(endpoints, aggregates);
 
       const sharedGeneratedUseCases = new Set();
       for (const aggregate of aggregates) {
@@ -1660,7 +1870,8 @@ async function generateEntitiesCommand(moduleName, options = {}) {
       const epFiles = generatedFiles.filter(f =>
         f.type.includes('Command') || f.type.includes('Query') ||
         f.type.includes('Handler') || f.type.includes('DTO') ||
-        f.type.includes('Controller') || f.type.includes('Mapper')
+        f.type.includes('Controller') || f.type.includes('Mapper') ||
+        f.type === 'Test'
       );
       console.log(chalk.blue('\n📄 Generated endpoint files:'));
       const groupedEp = epFiles.reduce((acc, file) => {
@@ -1712,6 +1923,7 @@ async function generateEntitiesCommand(moduleName, options = {}) {
       ]);
 
       spinner.start('Generating CRUD resources...');
+      await generateIntegrationTestBase(projectDir, packageName, projectConfig.databaseType, writeOptions);
 
       // Generate CRUD for each aggregate root
       const postmanCollections = [];
@@ -1755,7 +1967,8 @@ async function generateEntitiesCommand(moduleName, options = {}) {
         f.type.includes('Handler') || 
         f.type.includes('DTO') || 
         f.type.includes('Controller') ||
-        f.type.includes('Mapper')
+        f.type.includes('Mapper') ||
+        f.type === 'Test'
       );
       
       const groupedCrudFiles = crudFiles.reduce((acc, file) => {
@@ -1818,6 +2031,49 @@ function transformFieldsForApp(fields, validatedVoNames) {
   });
 }
 
+/**
+ * App-layer view of an aggregate root with JPA inheritance (extends:).
+ * The create command and the response DTO are flat: they carry the
+ * discriminator property plus the fields of every subtype as nullable
+ * properties, so @NotNull / @NotBlank / @NotEmpty are dropped from subtype
+ * fields. Fields shared by several subtypes must have the same type.
+ * @returns {Object} { subtypes, subtypeCommandFields, subtypeResponseFields, subtypeImports }
+ */
+function buildSubtypesForApp(rootEntity, validatedVoNames, allEnums, valueObjects) {
+  const optional = f => ({
+    ...f,
+    validationAnnotations: (f.validationAnnotations || []).filter(a => !/^@(NotNull|NotBlank|NotEmpty)\b/.test(a))
+  });
+  const subtypes = (rootEntity.subtypes || []).map(subtype => ({
+    name: subtype.name,
+    fieldName: subtype.fieldName,
+    discriminatorValue: subtype.discriminatorValue,
+    commandFields: enrichFieldsWithSchemaExamples(
+      transformFieldsForApp(subtype.fields.filter(f => !f.readOnly), validatedVoNames), allEnums, valueObjects
+    ).map(optional),
+    responseFields: subtype.fields.filter(f => !f.hidden)
+  }));
+
+  const merge = key => {
+    const merged = new Map();
+    subtypes.forEach(subtype => subtype[key].forEach(field => {
+      const existing = merged.get(field.name);
+      if (existing && existing.javaType !== field.javaType) {
+        throw new Error(`Subtypes of ${rootEntity.name} declare "${field.name}" with different types (${existing.javaType}, ${field.javaType})`);
+      }
+      if (!existing) merged.set(field.name, field);
+    }));
+    return Array.from(merged.values());
+  };
+
+  return {
+    subtypes,
+    subtypeCommandFields: merge('commandFields'),
+    subtypeResponseFields: merge('responseFields'),
+    subtypeImports: [...new Set((rootEntity.subtypes || []).flatMap(st => st.imports))]
+  };
+}
+
 /**
  * Recursively transform rel.fields for app-layer contexts.
  */
@@ -1869,7 +2125,8 @@ function enrichRelsWithSchemaExamples(rels, allEnums, valueObjects) {
  *   'transition'      → matches {MethodPascal}{Aggregate} for an enum transition
  *   'subEntityAdd'    → matches Add{EntityName} for a OneToMany secondary entity
  *   'subEntityRemove' → matches Remove{EntityName} for a OneToMany secondary entity
- *   'findBy'          → matches FindAll{Aggregate}sBy{FieldPascal} for a root field
+ *   'findBy'          → matches the useCase of a declared query (queries:) or
+ *                       FindAll{Aggregate}sBy{FieldPascal} for a root field
  *   'scaffold'        → no semantic pattern matched
  */
 function classifyUseCase(op, aggregateName, aggregate) {
@@ -1939,7 +2196,20 @@ function classifyUseCase(op, aggregateName, aggregate) {
     }
   }
 
-  // 4. FindBy field — pattern: FindAll{Aggregate}sBy{FieldPascal}
+  // 4. Declared repository query — useCase of an entry in the aggregate's queries:
+  const declaredQuery = (aggregate.queries || []).find(q => q.useCase === op.useCase);
+  if (declaredQuery) {
+    return {
+      category: 'findBy',
+      repositoryQuery: true,
+      params: declaredQuery.params,
+      returns: declaredQuery.returns,
+      imports: declaredQuery.imports,
+      jpaMethodName: declaredQuery.name
+    };
+  }
+
+  // 5. FindBy field — pattern: FindAll{Aggregate}sBy{FieldPascal}
   for (const field of (rootEntity.fields || [])) {
     const fieldPascal = toPascalCase(field.name);
     const aggregateNamePlural = pluralizeWord(aggregateName);
@@ -1949,12 +2219,15 @@ function classifyUseCase(op, aggregateName, aggregate) {
         fieldName: field.name,
         fieldPascal,
         fieldJavaType: field.javaType,
+        params: [{ name: field.name, javaType: field.javaType }],
+        returns: 'page',
+        imports: (rootEntity.imports || []).filter(imp => imp.endsWith(`.${field.javaType};`)),
         jpaMethodName: `findBy${fieldPascal}`
       };
     }
   }
 
-  // 5. Fuzzy FindAll — useCase starts with "FindAll" and the singular of the
+  // 6. Fuzzy FindAll — useCase starts with "FindAll" and the singular of the
   //    suffix is a prefix of the aggregate name (or vice-versa).
   //    e.g. FindAllGuarantees → singular "Guarantee" → "GuaranteeCatalog" starts with it ✓
   if (op.useCase.startsWith('FindAll')) {
@@ -1968,7 +2241,7 @@ function classifyUseCase(op, aggregateName, aggregate) {
     }
   }
 
-  // 6. Fuzzy Get — useCase starts with "Get" and the suffix matches the
+  // 7. Fuzzy Get — useCase starts with "Get" and the suffix matches the
   //    aggregate name as a prefix (or vice-versa).
   //    e.g. GetCatTariff → "CatTariff" matches aggregate "CatTariff" ✓
   if (op.useCase.startsWith('Get') && !op.useCase.startsWith('GetAll')) {
@@ -1985,11 +2258,115 @@ function classifyUseCase(op, aggregateName, aggregate) {
   return { category: 'scaffold' };
 }
 
+/**
+ * Assign every endpoint operation to the aggregate that owns it and classify it
+ * (op._ownerAggregate, op._classification). The first aggregate whose semantic
+ * patterns match wins; unmatched operations are scaffolds, owned by the aggregate
+ * their use case name points to (or the first one).
+ *
+ * @param {Object} endpoints - Parsed endpoints section ({ versions: [{ operations }] })
+ * @param {Array} aggregates - Parsed aggregates of the module
+ */
+function classifyEndpointOperations(endpoints, aggregates) {
+  for (const version of endpoints.versions) {
+    for (const op of version.operations) {
+      for (const agg of aggregates) {
+        const cl = classifyUseCase(op, agg.name, agg);
+        if (cl.category !== 'scaffold') {
+          op._ownerAggregate = agg.name;
+          op._classification = cl;
+          break;
+        }
+      }
+      if (!op._ownerAggregate) {
+        // True scaffold: heuristic — strip CRUD verb prefix and singularize to find
+        // the best aggregate match via prefix comparison.
+        // e.g. "FindAllGuarantees" → suffix "Guarantees" → singular "Guarantee"
+        //      → "GuaranteeCatalog".startsWith("guarantee") ✓
+        const ucSuffix = op.useCase.replace(/^(FindAll|GetAll|Get|Create|Update|Delete|Add|Remove)/, '');
+        const singularSuffix = ucSuffix ? singularizeWord(ucSuffix).toLowerCase() : '';
+        const matched = (singularSuffix &&
+          aggregates.find(agg => {
+            const aggLower = agg.name.toLowerCase();
+            return aggLower.startsWith(singularSuffix) || singularSuffix.startsWith(aggLower);
+          })
+        ) || aggregates.find(agg =>
+          op.useCase.toLowerCase().includes(agg.name.toLowerCase())
+        );
+        const owner = matched || aggregates[0];
+        op._ownerAggregate = owner.name;
+        op._classification = { category: 'scaffold' };
+      }
+    }
+  }
+}
+
+// Keyset column types: how a cursor component (a String) is read back into the Java type
+const CURSOR_KEY_TYPES = {
+  String: { parse: v => v },
+  Long: { parse: v => `Long.valueOf(${v})` },
+  Integer: { parse: v => `Integer.valueOf(${v})` },
+  Short: { parse: v => `Short.valueOf(${v})` },
+  Double: { parse: v => `Double.valueOf(${v})` },
+  Float: { parse: v => `Float.valueOf(${v})` },
+  BigDecimal: { parse: v => `new BigDecimal(${v})`, import: 'import java.math.BigDecimal;' },
+  UUID: { parse: v => `UUID.fromString(${v})`, import: 'import java.util.UUID;' },
+  LocalDate: { parse: v => `LocalDate.parse(${v})`, import: 'import java.time.LocalDate;' },
+  LocalDateTime: { parse: v => `LocalDateTime.parse(${v})`, import: 'import java.time.LocalDateTime;' },
+  LocalTime: { parse: v => `LocalTime.parse(${v})`, import: 'import java.time.LocalTime;' },
+  Instant: { parse: v => `Instant.parse(${v})`, import: 'import java.time.Instant;' }
+};
+
+/**
+ * Resolve the keyset of a `pagination: cursor` list operation.
+ * Rows are ordered by (sortKey, id) — the id breaks ties so the order is stable —
+ * and the cursor carries the values of both keys of the last row returned.
+ *
+ * @param {Object} op - Parsed endpoint operation ({ useCase, sortKey, sortDirection })
+ * @param {Object} rootEntity - Parsed aggregate root
+ * @returns {Object} { sortKey, direction, keys: [{ name, javaType, getter, parse }], imports }
+ */
+function resolveCursorPagination(op, rootEntity) {
+  const idField = rootEntity.fields[0];
+  const sortKeyName = op.sortKey || idField.name;
+  const sortField = rootEntity.fields.find(f => f.name === sortKeyName);
+  if (!sortField) {
+    throw new Error(`Endpoint ${op.useCase}: sortKey "${sortKeyName}" is not a field of ${rootEntity.name}`);
+  }
+  if (sortField.isEnum || sortField.isValueObject || sortField.isCollection || !CURSOR_KEY_TYPES[sortField.javaType]) {
+    throw new Error(`Endpoint ${op.useCase}: sortKey "${sortKeyName}" has type ${sortField.javaType}, which cannot be used as a cursor key`);
+  }
+  // A NULL sort key would drop rows from keyset predicates — only accept columns that are always set
+  const nonNull = sortField === idField ||
+    (['createdAt', 'updatedAt'].includes(sortField.name) && !!(rootEntity.audit && rootEntity.audit.enabled)) ||
+    (sortField.validationAnnotations || []).some(a => /^@Not(Null|Blank|Empty)\b/.test(a));
+  if (!nonNull) {
+    throw new Error(`Endpoint ${op.useCase}: sortKey "${sortKeyName}" must be non-null — use the id, an audit timestamp or a field validated with NotNull`);
+  }
+  if (!CURSOR_KEY_TYPES[idField.javaType]) {
+    throw new Error(`Endpoint ${op.useCase}: id type ${idField.javaType} cannot be used as a cursor key`);
+  }
+
+  const keyFields = sortField === idField ? [idField] : [sortField, idField];
+  const keys = keyFields.map((f, idx) => ({
+    name: f.name,
+    javaType: f.javaType,
+    getter: `get${f.name.charAt(0).toUpperCase()}${f.name.slice(1)}`,
+    parse: CURSOR_KEY_TYPES[f.javaType].parse(`keys.get(${idx})`)
+  }));
+  return {
+    sortKey: sortField.name,
+    direction: op.sortDirection || 'ASC',
+    keys,
+    imports: [...new Set(keyFields.map(f => CURSOR_KEY_TYPES[f.javaType].import).filter(Boolean))]
+  };
+}
+
 /**
  * Enrich a single endpoint operation with derived properties for template rendering.
  * Expects op._classification to be set by classifyUseCase() before this call.
  */
-function enrichEndpointOperation(op, aggregateName, idType) {
+function enrichEndpointOperation(op, aggregateName, idType, rootEntity) {
   const httpAnnotationMap = {
     GET: 'GetMapping', POST: 'PostMapping',
     PUT: 'PutMapping', PATCH: 'PatchMapping', DELETE: 'DeleteMapping'
@@ -2008,9 +2385,22 @@ function enrichEndpointOperation(op, aggregateName, idType) {
   let returnType = 'void';
   if (standardType === 'getById') returnType = `${aggregateName}ResponseDto`;
   else if (standardType === 'findAll') returnType = `PagedResponse<${aggregateName}ResponseDto>`;
-  else if (cl.category === 'findBy') returnType = `PagedResponse<${aggregateName}ResponseDto>`;
+  else if (cl.category === 'findBy') {
+    returnType = cl.returns === 'one' ? `${aggregateName}ResponseDto`
+      : cl.returns === 'list' ? `List<${aggregateName}ResponseDto>`
+      : `PagedResponse<${aggregateName}ResponseDto>`;
+  }
   else if (cl.category === 'scaffold' && resolvedType === 'query') returnType = `${aggregateName}ResponseDto`;
 
+  let cursor = null;
+  if (op.pagination === 'cursor') {
+    if (standardType !== 'findAll') {
+      throw new Error(`Endpoint ${op.useCase}: pagination: cursor is only supported on the FindAll${pluralizeWord(aggregateName)} list operation`);
+    }
+    cursor = resolveCursorPagination(op, rootEntity);
+    returnType = `CursorPage<${aggregateName}ResponseDto>`;
+  }
+
   let httpStatus = 'HttpStatus.OK';
   if (standardType === 'create') httpStatus = 'HttpStatus.CREATED';
   else if (standardType === 'update') httpStatus = 'HttpStatus.NO_CONTENT';
@@ -2031,7 +2421,8 @@ function enrichEndpointOperation(op, aggregateName, idType) {
     classification: cl,
     returnType,
     httpStatus,
-    idType
+    idType,
+    cursor
   };
 }
 
@@ -2100,18 +2491,52 @@ async function generateEndpointsResources(aggregate, endpoints, moduleName, modu
   const oneToManyRelationshipsApp = enrichRelsWithSchemaExamples(
     transformRelsForApp(oneToManyRelationships, validatedVoNames), localAllEnums, valueObjects);
 
+  // Polymorphic create / response for roots with subtypes (extends:)
+  const { subtypes, subtypeCommandFields, subtypeResponseFields, subtypeImports } =
+    buildSubtypesForApp(rootEntity, validatedVoNames, localAllEnums, valueObjects);
+
   const resolvedLifecycleEndpoints = resolveLifecycleEventArgs(
     aggregate.lifecycleEventsMap || {}, aggregateName, rootEntity.fields, valueObjects
   );
+
+  // Defensive: classify ops not yet assigned by the outer pre-pass
+  // (single-aggregate modules or direct calls without a shared set).
+  for (const version of endpoints.versions) {
+    for (const op of version.operations) {
+      if (!op._classification) {
+        op._classification = classifyUseCase(op, aggregateName, aggregate);
+        op._ownerAggregate = op._ownerAggregate || aggregateName;
+      }
+    }
+  }
+
+  // Cursor pagination of the FindAll use case — one query/handler pair serves every version.
+  // Enriching every owned operation up front also rejects misplaced pagination: cursor before any file is written.
+  const findAllCursors = endpoints.versions
+    .flatMap(v => v.operations)
+    .filter(op => op._ownerAggregate === aggregateName)
+    .map(op => enrichEndpointOperation(op, aggregateName, idType, rootEntity))
+    .filter(op => op.standardType === 'findAll')
+    .map(op => op.cursor);
+  if (new Set(findAllCursors.map(c => JSON.stringify(c))).size > 1) {
+    throw new Error(`Endpoint FindAll${aggregateNamePlural}: every version must declare the same pagination, sortKey and sortDirection`);
+  }
+  const cursorPagination = findAllCursors[0] || null;
+
   const baseContext = {
     packageName, moduleName, aggregateName, aggregateNamePlural, rootEntity, secondaryEntities,
     responseFields, responseSecondaryEntities, idType,
     commandFields: commandFieldsApp, oneToManyRelationships, oneToOneRelationships,
-    hasValueObjects, hasEnums, imports: rootEntity.imports,
+    hasValueObjects: hasValueObjects || subtypeResponseFields.some(f => f.isValueObject),
+    hasEnums, imports: [...new Set([...rootEntity.imports, ...subtypeImports])],
+    inheritance: rootEntity.inheritance, subtypes, subtypeCommandFields, subtypeResponseFields,
+    specifications: aggregate.specifications,
     resourceNameCamel, resourceNameKebab,
     hasSoftDelete: rootEntity.hasSoftDelete || false,
+    versioned: rootEntity.versioned || false,
     domainEvents: aggregate.domainEvents || [],
-    lifecycleEventsMap: resolvedLifecycleEndpoints
+    lifecycleEventsMap: resolvedLifecycleEndpoints,
+    cursorPagination
   };
 
   // ── Step 1: Validated VO Dtos ────────────────────────────────────────
@@ -2207,27 +2632,18 @@ async function generateEndpointsResources(aggregate, endpoints, moduleName, modu
   }
 
   // ── Step 5: Generate declared use cases (anti-duplicate across versions) ─
+  const allCommandFieldsApp = [...commandFieldsApp, ...subtypeCommandFields];
   const commandVoDtoImports = validatedVos
-    .filter(vo => commandFieldsApp.some(f => f.originalVoType === vo.name))
+    .filter(vo => allCommandFieldsApp.some(f => f.originalVoType === vo.name))
     .map(vo => `import ${packageName}.${moduleName}.application.dtos.Create${vo.name}Dto;`);
   const commandAppImports = [...new Set([
-    ...(rootEntity.imports || []), ...generateValidationImports(commandFieldsApp), ...commandVoDtoImports,
-    ...(commandFieldsApp.some(f => f.originalVoType) ? ['import jakarta.validation.Valid;'] : [])
+    ...(rootEntity.imports || []), ...subtypeImports, ...generateValidationImports(allCommandFieldsApp), ...commandVoDtoImports,
+    ...(allCommandFieldsApp.some(f => f.originalVoType) ? ['import jakarta.validation.Valid;'] : [])
   ])];
 
-  // Defensive: classify ops not yet assigned by the outer pre-pass
-  // (single-aggregate modules or direct calls without a shared set).
-  for (const version of endpoints.versions) {
-    for (const op of version.operations) {
-      if (!op._classification) {
-        op._classification = classifyUseCase(op, aggregateName, aggregate);
-        op._ownerAggregate = op._ownerAggregate || aggregateName;
-      }
-    }
-  }
-
   const generatedUseCases = sharedGeneratedUseCases ?? new Set();
   const findByOps = []; // collect FindBy ops for repository re-generation
+  const testedUseCases = []; // use cases generated for this aggregate, covered by handler tests
 
   for (const version of endpoints.versions) {
     for (const op of version.operations) {
@@ -2239,6 +2655,7 @@ async function generateEndpointsResources(aggregate, endpoints, moduleName, modu
       generatedUseCases.add(op.useCase);
 
       const cl = op._classification;
+      testedUseCases.push({ useCase: op.useCase, classification: cl, operation: op });
 
       if (cl.category === 'standard') {
         const isStandard = true;
@@ -2302,6 +2719,21 @@ async function generateEndpointsResources(aggregate, endpoints, moduleName, modu
           );
           generatedFiles.push({ type: 'Handler', name: `Get${aggregateName}QueryHandler`, path: `${moduleName}/application/usecases/Get${aggregateName}QueryHandler.java` });
 
+        } else if (cl.variant === 'findAll' && cursorPagination) {
+          await renderAndWrite(
+            path.join(templatesDir, 'CursorListQuery.java.ejs'),
+            path.join(moduleBasePath, 'application', 'queries', `FindAll${aggregateNamePlural}Query.java`),
+            baseContext, writeOptions
+          );
+          generatedFiles.push({ type: 'Query', name: `FindAll${aggregateNamePlural}Query`, path: `${moduleName}/application/queries/FindAll${aggregateNamePlural}Query.java` });
+
+          await renderAndWrite(
+            path.join(templatesDir, 'CursorListQueryHandler.java.ejs'),
+            path.join(moduleBasePath, 'application', 'usecases', `FindAll${aggregateNamePlural}QueryHandler.java`),
+            baseContext, writeOptions
+          );
+          generatedFiles.push({ type: 'Handler', name: `FindAll${aggregateNamePlural}QueryHandler`, path: `${moduleName}/application/usecases/FindAll${aggregateNamePlural}QueryHandler.java` });
+
         } else if (cl.variant === 'findAll') {
           await renderAndWrite(
             path.join(templatesDir, 'ListQuery.java.ejs'),
@@ -2390,30 +2822,12 @@ async function generateEndpointsResources(aggregate, endpoints, moduleName, modu
         generatedFiles.push({ type: 'Handler', name: `${op.useCase}CommandHandler`, path: `${moduleName}/application/usecases/${op.useCase}CommandHandler.java` });
 
       } else if (cl.category === 'findBy') {
-        // FindBy: FindAll{Aggregate}sBy{Field} → paginated query on a root field
-        findByOps.push(cl); // collected for repository re-generation after the loop
-        const findByContext = {
-          packageName, moduleName, aggregateName,
-          useCaseName: op.useCase,
-          idType,
-          fieldName: cl.fieldName,
-          fieldPascal: cl.fieldPascal,
-          fieldJavaType: cl.fieldJavaType,
-          jpaMethodName: cl.jpaMethodName
-        };
-        await renderAndWrite(
-          path.join(templatesDir, 'FindByQuery.java.ejs'),
-          path.join(moduleBasePath, 'application', 'queries', `${op.useCase}Query.java`),
-          findByContext, writeOptions
-        );
-        generatedFiles.push({ type: 'Query', name: `${op.useCase}Query`, path: `${moduleName}/application/queries/${op.useCase}Query.java` });
-
-        await renderAndWrite(
-          path.join(templatesDir, 'FindByQueryHandler.java.ejs'),
-          path.join(moduleBasePath, 'application', 'usecases', `${op.useCase}QueryHandler.java`),
-          findByContext, writeOptions
-        );
-        generatedFiles.push({ type: 'Handler', name: `${op.useCase}QueryHandler`, path: `${moduleName}/application/usecases/${op.useCase}QueryHandler.java` });
+        // FindBy: FindAll{Aggregate}sBy{Field} → paginated query on a root field,
+        // or the useCase of a declared repository query (queries:)
+        if (!cl.repositoryQuery) {
+          findByOps.push(cl); // collected for repository re-generation after the loop
+        }
+        await generateFindByUseCase(op.useCase, cl, aggregateName, moduleName, moduleBasePath, packageName, generatedFiles, writeOptions);
 
       } else {
         // Scaffold: no semantic pattern matched → generate stub with TODO
@@ -2455,15 +2869,34 @@ async function generateEndpointsResources(aggregate, endpoints, moduleName, modu
     }
   }
 
-  // ── Step 5b: Re-generate repository files when FindBy ops are present ────
+  // ── Step 5a: Use cases of declared queries not exposed by any endpoint ───
+  for (const query of (aggregate.queries || []).filter(q => q.useCase && !generatedUseCases.has(q.useCase))) {
+    generatedUseCases.add(query.useCase);
+    testedUseCases.push({ useCase: query.useCase, classification: { category: 'findBy', ...query, jpaMethodName: query.name, repositoryQuery: true } });
+    await generateFindByUseCase(query.useCase, { ...query, jpaMethodName: query.name }, aggregateName, moduleName, moduleBasePath, packageName, generatedFiles, writeOptions);
+  }
+
+  // ── Step 5b: Re-generate repository files when FindBy ops or cursor pagination are present ────
   // Checksum protection still applies: manually modified files are skipped.
-  if (findByOps.length > 0) {
+  // Declared queries with the same method name are already in the repository.
+  const declaredQueryNames = new Set((aggregate.queries || []).map(q => q.name));
+  const fieldFindByOps = findByOps.filter(op => !declaredQueryNames.has(op.jpaMethodName));
+  if (fieldFindByOps.length > 0 || cursorPagination) {
     const aggregateTemplatesDir = path.join(__dirname, '..', '..', 'templates', 'aggregate');
-    const repoContext = { packageName, moduleName, rootEntity, findByOps };
+    const repoContext = {
+      packageName, moduleName, rootEntity,
+      hasSoftDelete: rootEntity.hasSoftDelete || false,
+      hasDeleteLifecycle: !!(aggregate.lifecycleEventsMap || {}).delete,
+      queries: aggregate.queries || [],
+      specifications: aggregate.specifications,
+      findByOps: fieldFindByOps,
+      cursorPagination
+    };
     const repoImplContext = {
-      packageName, moduleName, aggregateName, rootEntity,
+      ...repoContext,
+      aggregateName,
       hasDomainEvents: (aggregate.domainEvents || []).length > 0,
-      findByOps
+      flushOnSave: [...aggregate.allEntities, ...aggregate.rootEntity.subtypes].some(e => e.uniqueConstraints.length > 0)
     };
     await renderAndWrite(
       path.join(aggregateTemplatesDir, 'AggregateRepository.java.ejs'),
@@ -2483,12 +2916,13 @@ async function generateEndpointsResources(aggregate, endpoints, moduleName, modu
   }
 
   // ── Step 6: Versioned controllers ────────────────────────────────────
+  const testedControllers = [];
   for (const version of endpoints.versions) {
     const versionCap = version.version.charAt(0).toUpperCase() + version.version.slice(1);
     const controllerName = `${aggregateName}${versionCap}Controller`;
     const enrichedOps = version.operations
       .filter(op => op._ownerAggregate === aggregateName)
-      .map(op => enrichEndpointOperation(op, aggregateName, idType));
+      .map(op => enrichEndpointOperation(op, aggregateName, idType, rootEntity));
 
     const controllerContext = {
       ...baseContext,
@@ -2507,9 +2941,93 @@ async function generateEndpointsResources(aggregate, endpoints, moduleName, modu
       controllerContext, writeOptions
     );
     generatedFiles.push({ type: 'Controller', name: controllerName, path: `${moduleName}/infrastructure/rest/controllers/${resourceNameCamel}/${version.version}/${controllerName}.java` });
+    testedControllers.push({
+      controllerName,
+      packageSuffix: `${resourceNameCamel}.${version.version}`,
+      basePath: `/api/${version.version}${endpoints.basePath}`,
+      operations: enrichedOps
+    });
+  }
+
+  // ── Step 7: JUnit tests of the aggregate, its handlers and controllers ─
+  await generateAggregateTests(aggregate, baseContext, {
+    useCases: testedUseCases,
+    controllers: testedControllers,
+    allEnums: localAllEnums
+  }, generatedFiles, writeOptions);
+}
+
+/**
+ * Render the Query record and QueryHandler of a filtered query use case.
+ * Shared by FindAll{Aggregate}sBy{Field} endpoints and declared queries (queries:).
+ *
+ * @param {string} useCaseName - Use case name (PascalCase)
+ * @param {Object} cl - { params, returns, imports, jpaMethodName }
+ */
+/**
+ * Error handling of a listener: its own retry / deadLetter / ttl / maxRetries /
+ * parkingLot keys, each falling back to its consumer entry in system.yaml.
+ * @param {Object} listener - parseListeners() entry
+ * @param {Object} [policy] - loadConsumerErrorHandling() entry for the event
+ */
+function resolveListenerErrorHandling(listener, policy = {}) {
+  const pick = (key) => (listener[key] != null ? listener[key] : (policy[key] != null ? policy[key] : null));
+  return {
+    retry: pick('retry'),
+    deadLetter: pick('deadLetter'),
+    ttl: pick('ttl'),
+    maxRetries: pick('maxRetries'),
+    parkingLot: pick('parkingLot')
+  };
+}
+
+/**
+ * One upcaster stub per version step of a versioned listener (V1ToV2, V2ToV3, ...),
+ * chained by the listener before it reads the payload as its IntegrationEvent.
+ */
+async function generateListenerUpcasters(listenerContext, moduleBasePath, generatedFiles, writeOptions = {}) {
+  const { moduleName } = listenerContext;
+  for (const upcaster of listenerContext.upcasters || []) {
+    await renderAndWrite(
+      path.join(__dirname, '..', '..', 'templates', 'kafka-listener', 'ListenerUpcaster.java.ejs'),
+      path.join(moduleBasePath, 'infrastructure', 'upcasters', `${upcaster.className}.java`),
+      { ...listenerContext, ...upcaster },
+      writeOptions
+    );
+    generatedFiles.push({
+      type: 'Event Upcaster',
+      name: upcaster.className,
+      path: `${moduleName}/infrastructure/upcasters/${upcaster.className}.java`
+    });
   }
 }
 
+async function generateFindByUseCase(useCaseName, cl, aggregateName, moduleName, moduleBasePath, packageName, generatedFiles, writeOptions = {}) {
+  const templatesDir = path.join(__dirname, '..', '..', 'templates', 'crud');
+  const findByContext = {
+    packageName, moduleName, aggregateName,
+    aggregateNamePlural: pluralizeWord(aggregateName),
+    useCaseName,
+    params: cl.params,
+    returns: cl.returns,
+    imports: cl.imports || [],
+    jpaMethodName: cl.jpaMethodName
+  };
+  await renderAndWrite(
+    path.join(templatesDir, 'FindByQuery.java.ejs'),
+    path.join(moduleBasePath, 'application', 'queries', `${useCaseName}Query.java`),
+    findByContext, writeOptions
+  );
+  generatedFiles.push({ type: 'Query', name: `${useCaseName}Query`, path: `${moduleName}/application/queries/${useCaseName}Query.java` });
+
+  await renderAndWrite(
+    path.join(templatesDir, 'FindByQueryHandler.java.ejs'),
+    path.join(moduleBasePath, 'application', 'usecases', `${useCaseName}QueryHandler.java`),
+    findByContext, writeOptions
+  );
+  generatedFiles.push({ type: 'Handler', name: `${useCaseName}QueryHandler`, path: `${moduleName}/application/usecases/${useCaseName}QueryHandler.java` });
+}
+
 /**
  * Generate CRUD resources for an aggregate root
  */
@@ -2621,6 +3139,10 @@ async function generateCrudResources(aggregate, moduleName, moduleBasePath, pack
   const oneToManyRelationshipsApp = enrichRelsWithSchemaExamples(
     transformRelsForApp(oneToManyRelationships, validatedVoNames), localAllEnums, valueObjects);
 
+  // Polymorphic create / response for roots with subtypes (extends:)
+  const { subtypes, subtypeCommandFields, subtypeResponseFields, subtypeImports } =
+    buildSubtypesForApp(rootEntity, validatedVoNames, localAllEnums, valueObjects);
+
   // Base context for all templates
   const resolvedLifecycleCrud = resolveLifecycleEventArgs(
     aggregate.lifecycleEventsMap || {}, aggregateName, rootEntity.fields, valueObjects
@@ -2638,13 +3160,19 @@ async function generateCrudResources(aggregate, moduleName, moduleBasePath, pack
     commandFields: commandFieldsApp,
     oneToManyRelationships,
     oneToOneRelationships,
-    hasValueObjects,
+    hasValueObjects: hasValueObjects || subtypeResponseFields.some(f => f.isValueObject),
     hasEnums,
-    imports: rootEntity.imports,
+    imports: [...new Set([...rootEntity.imports, ...subtypeImports])],
+    inheritance: rootEntity.inheritance,
+    subtypes,
+    subtypeCommandFields,
+    subtypeResponseFields,
+    specifications: aggregate.specifications,
     apiVersion,
     resourceNameCamel,
     resourceNameKebab,
     hasSoftDelete: rootEntity.hasSoftDelete || false,
+    versioned: rootEntity.versioned || false,
     hasCreateOperation: true,  // In interactive CRUD flow, Create is always generated
     domainEvents: aggregate.domainEvents || [],
     lifecycleEventsMap: resolvedLifecycleCrud
@@ -2686,14 +3214,16 @@ async function generateCrudResources(aggregate, moduleName, moduleBasePath, pack
   generatedFiles.push({ type: 'Application Mapper', name: `${aggregateName}ApplicationMapper`, path: `${moduleName}/application/mappers/${aggregateName}ApplicationMapper.java` });
   
   // 2. Generate Commands
+  const allCommandFieldsApp = [...commandFieldsApp, ...subtypeCommandFields];
   const commandVoDtoImports = validatedVos
-    .filter(vo => commandFieldsApp.some(f => f.originalVoType === vo.name))
+    .filter(vo => allCommandFieldsApp.some(f => f.originalVoType === vo.name))
     .map(vo => `import ${packageName}.${moduleName}.application.dtos.Create${vo.name}Dto;`);
   const commandAppImports = [...new Set([
     ...(rootEntity.imports || []),
-    ...generateValidationImports(commandFieldsApp),
+    ...subtypeImports,
+    ...generateValidationImports(allCommandFieldsApp),
     ...commandVoDtoImports,
-    ...(commandFieldsApp.some(f => f.originalVoType) ? ['import jakarta.validation.Valid;'] : [])
+    ...(allCommandFieldsApp.some(f => f.originalVoType) ? ['import jakarta.validation.Valid;'] : [])
   ])];
   await renderAndWrite(
     path.join(templatesDir, 'CreateCommand.java.ejs'),
@@ -2892,14 +3422,46 @@ async function generateCrudResources(aggregate, moduleName, moduleBasePath, pack
     generatedFiles.push({ type: 'DTO', name: `Create${entity.name}Dto`, path: `${moduleName}/application/dtos/Create${entity.name}Dto.java` });
   }
   
+  // 5b. Generate use cases for declared queries (queries[].useCase)
+  const exposedQueries = (aggregate.queries || []).filter(q => q.useCase);
+  for (const query of exposedQueries) {
+    await generateFindByUseCase(query.useCase, { ...query, jpaMethodName: query.name }, aggregateName, moduleName, moduleBasePath, packageName, generatedFiles, writeOptions);
+  }
+
   // 6. Generate Controller
   await renderAndWrite(
     path.join(templatesDir, 'Controller.java.ejs'),
     path.join(moduleBasePath, 'infrastructure', 'rest', 'controllers', resourceNameCamel, apiVersion, `${aggregateName}Controller.java`),
-    baseContext,
+    {
+      ...baseContext,
+      queries: exposedQueries.map(q => ({ ...q, path: `/${toKebabCase(q.name)}` }))
+    },
     writeOptions
   );
   generatedFiles.push({ type: 'Controller', name: `${aggregateName}Controller`, path: `${moduleName}/infrastructure/rest/controllers/${resourceNameCamel}/${apiVersion}/${aggregateName}Controller.java` });
+
+  // 7. Generate JUnit tests (same operation shape as enrichEndpointOperation)
+  const crudOperations = [
+    { useCase: `Create${aggregateName}`, method: 'POST', path: '', httpStatus: 'HttpStatus.CREATED', classification: { category: 'standard', variant: 'create' } },
+    { useCase: `Get${aggregateName}`, method: 'GET', path: '/{id}', httpStatus: 'HttpStatus.OK', classification: { category: 'standard', variant: 'getById' } },
+    { useCase: `FindAll${aggregateNamePlural}`, method: 'GET', path: '', httpStatus: 'HttpStatus.OK', classification: { category: 'standard', variant: 'findAll' } },
+    { useCase: `Update${aggregateName}`, method: 'PATCH', path: '/{id}', httpStatus: 'HttpStatus.NO_CONTENT', classification: { category: 'standard', variant: 'update' } },
+    { useCase: `Delete${aggregateName}`, method: 'DELETE', path: '/{id}', httpStatus: 'HttpStatus.OK', classification: { category: 'standard', variant: 'delete' } },
+    ...exposedQueries.map(q => ({
+      useCase: q.useCase, method: 'GET', path: `/${toKebabCase(q.name)}`, httpStatus: 'HttpStatus.OK',
+      classification: { category: 'findBy', ...q, jpaMethodName: q.name, repositoryQuery: true }
+    }))
+  ];
+  await generateAggregateTests(aggregate, baseContext, {
+    useCases: crudOperations.map(op => ({ useCase: op.useCase, classification: op.classification, operation: op })),
+    controllers: [{
+      controllerName: `${aggregateName}Controller`,
+      packageSuffix: `${resourceNameCamel}.${apiVersion}`,
+      basePath: `/api/${apiVersion}/${resourceNameKebab}`,
+      operations: crudOperations
+    }],
+    allEnums: localAllEnums
+  }, generatedFiles, writeOptions);
 }
 
 /**
@@ -2971,3 +3533,5 @@ async function generatePostmanCollection(
 }
 
 module.exports = generateEntitiesCommand;
+module.exports.classifyUseCase = classifyUseCase;
+module.exports.classifyEndpointOperations = classifyEndpointOperations;
@@ -9,6 +9,8 @@ const { isEva4jProject, moduleExists } = require('../utils/validator');
 const { toPackagePath, toPascalCase, toCamelCase, toSnakeCase, toKebabCase } = require('../utils/naming');
 const { renderAndWrite, renderTemplate } = require('../utils/template-engine');
 const { parseDomainYaml } = require('../utils/yaml-to-entity');
+const { loadMessagingConfig } = require('../utils/system-yaml-parser');
+const SharedGenerator = require('../generators/shared-generator');
 
 async function generateKafkaEventCommand(moduleName, eventName) {
   const projectDir = process.cwd();
@@ -152,6 +154,8 @@ async function generateKafkaEventCommand(moduleName, eventName) {
   const results = [];
 
   try {
+    const outbox = await prepareOutbox(projectDir, projectConfig, 'kafka');
+
     for (const name of eventNames) {
       const normalizedName = toPascalCase(name);
       const evtClassName = normalizedName.endsWith('IntegrationEvent') ? normalizedName : `${normalizedName}IntegrationEvent`;
@@ -190,8 +194,13 @@ async function generateKafkaEventCommand(moduleName, eventName) {
         topicSpringProperty,
         partitions,
         replicas,
-        eventFields: selectedDomainEvent ? selectedDomainEvent.fields : null
+        eventVersion: selectedDomainEvent ? selectedDomainEvent.version : 1,
+        eventFields: selectedDomainEvent ? selectedDomainEvent.fields : null,
+        outbox
       };
+      if (context.eventVersion > 1) {
+        await prepareEventVersioning(projectDir, projectConfig);
+      }
 
       if (isBatch) spinner.text = `[${results.length + 1}/${eventNames.length}] Generating ${evtClassName}...`;
 
@@ -214,6 +223,9 @@ async function generateKafkaEventCommand(moduleName, eventName) {
     console.log(chalk.gray(`  ├── ${moduleName}/application/ports/MessageBroker.java`));
     console.log(chalk.gray(`  ├── ${moduleName}/infrastructure/adapters/kafkaMessageBroker/${kafkaMessageBrokerClass}.java`));
     console.log(chalk.gray(`  ├── shared/configurations/kafkaConfig/KafkaConfig.java`));
+    if (outbox) {
+      console.log(chalk.gray(`  ├── shared/infrastructure/outbox/ (transactional outbox)`));
+    }
     if (results.some(r => r.handlerUpdated)) {
       console.log(chalk.gray(`  ├── ${moduleName}/application/usecases/*DomainEventHandler.java`));
     }
@@ -381,6 +393,47 @@ async function createOrUpdateMessageBroker(projectDir, packagePath, context) {
   }
 }
 
+/**
+ * Resolve messaging.outbox from system/system.yaml and, when enabled, make sure
+ * the shared outbox infrastructure (entity, writer, relay, DDL) exists.
+ * @param {string} projectDir
+ * @param {object} projectConfig - Loaded .eva4j.json
+ * @param {'kafka'|'rabbitmq'} broker - Broker the relay publishes to
+ * @returns {Promise<boolean>} true when adapters must write to the outbox
+ */
+async function prepareOutbox(projectDir, projectConfig, broker) {
+  const messaging = await loadMessagingConfig(projectDir);
+  if (messaging.outbox !== true) return false;
+
+  const packagePath = toPackagePath(projectConfig.packageName);
+  const sharedGenerator = new SharedGenerator({ packageName: projectConfig.packageName, packagePath });
+  await sharedGenerator.generateOutbox(
+    path.join(projectDir, 'src', 'main', 'java', packagePath, 'shared'),
+    broker
+  );
+  await sharedGenerator.generateOutboxMigration(projectConfig.databaseType);
+  return true;
+}
+
+/**
+ * Make sure the shared EventMetadata carries a version before an adapter publishes
+ * a versioned event (events[].version above 1 in domain.yaml).
+ * @param {string} projectDir
+ * @param {object} projectConfig - Loaded .eva4j.json
+ */
+async function prepareEventVersioning(projectDir, projectConfig) {
+  const packagePath = toPackagePath(projectConfig.packageName);
+  const sharedGenerator = new SharedGenerator({
+    packageName: projectConfig.packageName,
+    packagePath,
+    projectName: projectConfig.projectName || projectConfig.artifactId
+  });
+  await sharedGenerator.generateEventVersioning(
+    path.join(projectDir, 'src', 'main', 'java', packagePath, 'shared'),
+    false
+  );
+}
+
 /**
  * Create or update KafkaMessageBroker implementation
  */
@@ -405,9 +458,23 @@ async function createOrUpdateKafkaMessageBroker(projectDir, packagePath, context
       return;
     }
 
-    // Check if method already exists
+    // Outbox mode toggled in system.yaml (messaging.outbox) — the adapter's
+    // dependency changes (KafkaTemplate ↔ OutboxEventWriter), so start over.
+    // Remaining publish methods are appended by the following events.
+    const isOutboxImpl = content.includes('OutboxEventWriter');
+    if (isOutboxImpl !== !!context.outbox) {
+      const templatePath = path.join(__dirname, '..', '..', 'templates', 'kafka-event', 'KafkaMessageBroker.java.ejs');
+      await renderAndWrite(templatePath, adapterPath, context);
+      return;
+    }
+
+    // Method already exists — only its envelope version follows the event's version:
     if (content.includes(methodName)) {
-      return; // Method already exists
+      const synced = syncEnvelopeVersion(content, context.eventClassName, context.eventVersion);
+      if (synced !== content) {
+        await fs.writeFile(adapterPath, synced, 'utf-8');
+      }
+      return;
     }
 
     // Check if event import exists and add it if needed
@@ -628,10 +695,31 @@ async function updateDomainEventHandler(projectDir, packagePath, context) {
   );
   content = content.replace(todoRegex, `        ${mappingLine.trim()}\n`);
 
+  // 5. Outbox mode: the outbox row must be written inside the aggregate's
+  //    transaction, so this listener moves from AFTER_COMMIT to BEFORE_COMMIT
+  if (context.outbox) {
+    const phaseRegex = new RegExp(
+      `@TransactionalEventListener\\(phase = TransactionPhase\\.AFTER_COMMIT\\)(\\s*public void on${domainEventName}\\()`
+    );
+    content = content.replace(phaseRegex, '@TransactionalEventListener(phase = TransactionPhase.BEFORE_COMMIT)$1');
+  }
+
   await fs.writeFile(handlerPath, content, 'utf-8');
   return true;
 }
 
+/**
+ * Set the version argument of the EventEnvelope.of(...) call in an existing publish method.
+ * Version 1 is the two-argument form, so older adapters stay unchanged until an event is versioned.
+ */
+function syncEnvelopeVersion(content, eventClassName, eventVersion = 1) {
+  const envelopeCall = new RegExp(
+    `(EventEnvelope<${eventClassName}> envelope = EventEnvelope\\.of\\(\\n([ \\t]*)[\\w.]+,\\n)([ \\t]*\\d+,\\n)?`
+  );
+  return content.replace(envelopeCall, (match, call, indent) =>
+    (eventVersion > 1 ? `${call}${indent}${eventVersion},\n` : call));
+}
+
 /**
  * Injects an import statement after the last existing import, or after the package declaration.
  */
@@ -718,6 +806,7 @@ function buildKafkaEventContext(packageName, moduleName, domainEvent, { partitio
     topicSpringProperty,
     partitions,
     replicas,
+    eventVersion: domainEvent.version || 1,
     eventFields: domainEvent.fields || null
   };
 }
@@ -727,6 +816,10 @@ module.exports.generateSingleKafkaEvent = generateSingleKafkaEvent;
 module.exports.buildKafkaEventContext = buildKafkaEventContext;
 module.exports.getInstalledBroker = getInstalledBroker;
 module.exports.updateKafkaYml = updateKafkaYml;
+module.exports.updateKafkaConfig = updateKafkaConfig;
 module.exports.generateEventRecord = generateEventRecord;
 module.exports.createOrUpdateMessageBroker = createOrUpdateMessageBroker;
+module.exports.syncEnvelopeVersion = syncEnvelopeVersion;
 module.exports.updateDomainEventHandler = updateDomainEventHandler;
+module.exports.prepareOutbox = prepareOutbox;
+module.exports.prepareEventVersioning = prepareEventVersioning;
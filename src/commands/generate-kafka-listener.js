@@ -223,4 +223,110 @@ function generateMethodName(topicKey) {
   return `handle${pascalCase}Listener`;
 }
 
+/**
+ * Add or refresh, in KafkaConfig.java, the container factory bean of a listener
+ * that declares its own retry / deadLetter (listeners[] in domain.yaml or
+ * integrations.async[].consumers[] in system.yaml). Retry keys left unset fall
+ * back to the spring.kafka.listener.retry.* properties of the environment.
+ * KafkaConfig classes generated before per-listener factories existed get the
+ * shared listenerContainerFactory() helper first.
+ * @param {string} projectDir
+ * @param {string} packagePath
+ * @param {object} context
+ * @param {string} context.factoryBeanName   - e.g. inventoryOrderPlacedContainerFactory
+ * @param {string} context.listenerClassName
+ * @param {string} context.topicConstant     - Consumed topic, for the javadoc
+ * @param {{attempts: ?number, backoff: ?number, multiplier: ?number}|null} context.retry
+ * @param {boolean|string|null} context.deadLetter
+ * @param {string} [context.deadLetterFieldName] - KafkaConfig field holding the dead-letter topic
+ */
+async function updateListenerContainerFactory(projectDir, packagePath, context) {
+  const configPath = path.join(
+    projectDir, 'src', 'main', 'java', packagePath,
+    'shared', 'infrastructure', 'configurations', 'kafkaConfig', 'KafkaConfig.java'
+  );
+
+  if (!(await fs.pathExists(configPath))) {
+    throw new Error('KafkaConfig.java not found. Please install Kafka first using: eva4j add kafka-client');
+  }
+
+  let content = await fs.readFile(configPath, 'utf-8');
+  const templatesDir = path.join(__dirname, '..', '..', 'templates', 'kafka-listener');
+
+  // KafkaConfig from an older eva4j: add the shared helper and its imports
+  if (!/\slistenerContainerFactory\(/.test(content)) {
+    const helper = await renderTemplate(path.join(templatesDir, 'ListenerContainerFactoryHelper.java.ejs'), {});
+    content = insertBeforeClassEnd(content, helper);
+    for (const imp of ['java.util.function.BiFunction', 'org.apache.kafka.clients.consumer.ConsumerRecord']) {
+      if (content.includes(`import ${imp};`)) continue;
+      // Keep the imports sorted: insert before the first one that follows
+      const next = (content.match(/^import [\w.]+;$/gm) || []).find(line => line.slice(7, -1) > imp);
+      content = next
+        ? content.replace(next, `import ${imp};\n${next}`)
+        : content.replace(/^(package [\w.]+;\n)/m, `$1\nimport ${imp};\n`);
+    }
+  }
+
+  const retry = context.retry || {};
+  const { deadLetter } = context;
+  const multiplier = retry.multiplier;
+  const bean = await renderTemplate(path.join(templatesDir, 'ListenerContainerFactoryBean.java.ejs'), {
+    ...context,
+    attemptsExpr: retry.attempts != null ? String(retry.attempts) : 'maxAttempts',
+    backoffExpr: retry.backoff != null ? `${retry.backoff}L` : 'backoffDelay',
+    multiplierExpr: multiplier != null
+      ? (Number.isInteger(multiplier) ? `${multiplier}.0` : String(multiplier))
+      : 'backoffMultiplier',
+    deadLetterExpr: deadLetter === false
+      ? 'null'
+      : deadLetter != null
+        ? `(record, ex) -> new TopicPartition(${context.deadLetterFieldName}, -1)`
+        : 'DEFAULT_DEAD_LETTER',
+    retrySummary: retrySummary(retry),
+    deadLetterSummary: deadLetter === false
+      ? 'sin dead-letter topic (log y descarte)'
+      : deadLetter === true
+        ? `dead-letter topic ${context.topicConstant}.DLT`
+        : deadLetter
+          ? `dead-letter topic ${deadLetter}`
+          : 'dead-letter topic <topic>.DLT',
+  });
+
+  // Replace the bean written by a previous run, or append it
+  const existing = new RegExp(
+    `[ \\t]*/\\*\\*\\n(?:[ \\t]*\\*(?!/).*\\n)*?[ \\t]*\\*/\\n[ \\t]*@Bean\\n` +
+    `[ \\t]*public ConcurrentKafkaListenerContainerFactory<String, String> ${context.factoryBeanName}\\(` +
+    `[\\s\\S]*?\\n[ \\t]*}\\n`
+  );
+  content = existing.test(content)
+    ? content.replace(existing, () => bean)
+    : insertBeforeClassEnd(content, bean);
+
+  await fs.writeFile(configPath, content, 'utf-8');
+}
+
+/**
+ * Javadoc summary of a retry policy: declared values, the rest from the environment
+ */
+function retrySummary(retry) {
+  const parts = [];
+  if (retry.attempts != null) parts.push(`${retry.attempts} reintentos`);
+  if (retry.backoff != null) parts.push(`backoff ${retry.backoff} ms`);
+  if (retry.multiplier != null) parts.push(`multiplicador ${retry.multiplier}`);
+  if (parts.length === 3) return parts.join(', ');
+  return [...parts, `${parts.length ? 'resto' : 'reintentos'} según spring.kafka.listener.retry.*`].join(', ');
+}
+
+/**
+ * Insert a member before the closing brace of the class
+ */
+function insertBeforeClassEnd(content, member) {
+  const lastBraceIndex = content.lastIndexOf('}');
+  if (lastBraceIndex === -1) {
+    throw new Error('Could not find closing brace in KafkaConfig class');
+  }
+  return content.slice(0, lastBraceIndex) + '\n' + member + '\n}\n';
+}
+
 module.exports = generateKafkaListenerCommand;
+module.exports.updateListenerContainerFactory = updateListenerContainerFactory;
@@ -0,0 +1,193 @@
+const ora = require('ora');
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs-extra');
+const ConfigManager = require('../utils/config-manager');
+const { isEva4jProject } = require('../utils/validator');
+const { toPackagePath, toCamelCase, toSnakeCase } = require('../utils/naming');
+const { renderAndWrite } = require('../utils/template-engine');
+const { parseDomainYaml } = require('../utils/yaml-to-entity');
+const {
+  SNAPSHOT_FILE,
+  SNAPSHOT_FORMAT_VERSION,
+  SUPPORTED_DATABASES,
+  buildSchemaSnapshot,
+  diffSchemas,
+  renderStatements,
+  nextMigrationVersion
+} = require('../utils/migration-builder');
+
+/**
+ * Generate a versioned Flyway migration for a module.
+ *
+ * The current domain.yaml is turned into a relational snapshot and compared
+ * with the snapshot stored next to it (.eva4j-schema.json). The differences
+ * are written to src/main/resources/db/migration/V<n>__<module>_<name>.sql for
+ * the database configured in .eva4j.json, and the snapshot is updated.
+ *
+ * @param {string} moduleName - Name of the module
+ * @param {string} [migrationName] - Optional description used in the file name
+ * @param {object} options - CLI options
+ */
+async function generateMigrationCommand(moduleName, migrationName, options = {}) {
+  const projectDir = process.cwd();
+
+  // Validate we're in an eva4j project
+  if (!(await isEva4jProject(projectDir))) {
+    console.error(chalk.red('❌ Not in an eva4j project directory'));
+    console.error(chalk.gray('Run this command inside a project created with eva4j'));
+    process.exit(1);
+  }
+
+  const configManager = new ConfigManager(projectDir);
+  const projectConfig = await configManager.loadProjectConfig();
+  const { packageName } = projectConfig;
+  const packagePath = toPackagePath(packageName);
+  const databaseType = projectConfig.databaseType || 'postgresql';
+
+  if (!SUPPORTED_DATABASES.includes(databaseType)) {
+    console.error(chalk.red(`❌ Unsupported database type '${databaseType}'`));
+    console.error(chalk.gray(`Supported: ${SUPPORTED_DATABASES.join(', ')}`));
+    process.exit(1);
+  }
+
+  // Normalise module name to camelCase (system.yaml uses kebab-case, .eva4j.json stores camelCase)
+  moduleName = toCamelCase(moduleName);
+
+  if (!(await configManager.moduleExists(moduleName))) {
+    console.error(chalk.red(`❌ Module '${moduleName}' not found`));
+    console.error(chalk.gray('Create the module first using: eva4j add module ' + moduleName));
+    process.exit(1);
+  }
+
+  const moduleBasePath = path.join(projectDir, 'src', 'main', 'java', packagePath, moduleName);
+  const domainYamlPath = path.join(moduleBasePath, 'domain.yaml');
+
+  if (!(await fs.pathExists(domainYamlPath))) {
+    console.error(chalk.red(`❌ domain.yaml not found in module '${moduleName}'`));
+    console.error(chalk.gray(`Expected location: ${path.relative(projectDir, domainYamlPath)}`));
+    process.exit(1);
+  }
+
+  const spinner = ora('Parsing domain.yaml...').start();
+
+  try {
+    const parsed = await parseDomainYaml(domainYamlPath, packageName, moduleName);
+
+    const warnings = [];
+    const current = buildSchemaSnapshot(parsed, message => warnings.push(message));
+
+    const snapshotPath = path.join(moduleBasePath, SNAPSHOT_FILE);
+    const previous = (await fs.pathExists(snapshotPath)) ? await fs.readJson(snapshotPath) : null;
+    if (previous && previous.formatVersion !== SNAPSHOT_FORMAT_VERSION) {
+      throw new Error(`${SNAPSHOT_FILE} has format version ${previous.formatVersion}, expected ${SNAPSHOT_FORMAT_VERSION}`);
+    }
+
+    const changes = diffSchemas(previous, current);
+    spinner.succeed(chalk.green(`Compared ${Object.keys(current.tables).length} table(s) against ${previous ? 'the stored snapshot' : 'an empty schema'}`));
+
+    warnings.forEach(message => console.log(chalk.yellow(`⚠️  ${message}`)));
+
+    if (changes.length === 0) {
+      console.log(chalk.green('\n✅ Schema is up to date — no migration generated\n'));
+      return;
+    }
+
+    const migrationDir = path.join(projectDir, 'src', 'main', 'resources', 'db', 'migration');
+    await fs.ensureDir(migrationDir);
+    const version = nextMigrationVersion(await fs.readdir(migrationDir));
+    const description = toSnakeCase(migrationName || (previous ? 'update_schema' : 'create_schema'))
+      .replace(/[^a-z0-9_]/g, '_');
+    const fileName = `V${version}__${toSnakeCase(moduleName)}_${description}.sql`;
+
+    const statements = renderStatements(changes, databaseType);
+    await renderAndWrite(
+      path.join(__dirname, '..', '..', 'templates', 'migration', 'migration.sql.ejs'),
+      path.join(migrationDir, fileName),
+      {
+        moduleName,
+        description: description.replace(/_/g, ' '),
+        databaseType,
+        snapshotFile: SNAPSHOT_FILE,
+        statements
+      }
+    );
+
+    await fs.writeJson(snapshotPath, {
+      formatVersion: SNAPSHOT_FORMAT_VERSION,
+      module: moduleName,
+      lastMigration: fileName,
+      tables: current.tables
+    }, { spaces: 2 });
+
+    const flywayAdded = await addFlywayDependencies(projectDir, databaseType);
+
+    const count = (kind) => changes.filter(c => c.kind === kind).length;
+    const destructive = count('dropTable') + count('dropColumn');
+
+    console.log(chalk.blue('\n📦 Generated migration:'));
+    console.log(chalk.gray(`  └── src/main/resources/db/migration/${fileName}`));
+    console.log(chalk.white(`\n   Tables created : ${count('createTable')}`));
+    console.log(chalk.white(`   Columns added  : ${count('addColumn')}`));
+    console.log(chalk.white(`   Columns altered: ${count('alterColumn') + count('addUnique') + count('dropUnique')}`));
+    if (count('addIndex') + count('dropIndex') > 0) {
+      console.log(chalk.white(`   Indexes        : ${count('addIndex')} added, ${count('dropIndex')} dropped`));
+    }
+    if (destructive > 0) {
+      console.log(chalk.yellow(`   Destructive    : ${destructive} (tables/columns dropped — review the WARNING lines)`));
+    }
+    if (count('manual') > 0) {
+      console.log(chalk.yellow(`   Manual steps   : ${count('manual')} (see TODO lines)`));
+    }
+    if (flywayAdded) {
+      console.log(chalk.gray('\n   Flyway dependencies added to build.gradle'));
+    }
+    console.log(chalk.gray(`   Snapshot updated: ${path.relative(projectDir, snapshotPath)} — commit it together with the script`));
+    console.log();
+
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to generate migration'));
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    if (error.stack) {
+      console.error(chalk.gray(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Add Flyway to build.gradle so the scripts run on startup.
+ * Flyway 10+ ships database support as separate modules (H2 is in core).
+ * @returns {boolean} true when build.gradle was modified
+ */
+async function addFlywayDependencies(projectDir, databaseType) {
+  const buildGradlePath = path.join(projectDir, 'build.gradle');
+  if (!(await fs.pathExists(buildGradlePath))) {
+    return false;
+  }
+
+  let buildGradleContent = await fs.readFile(buildGradlePath, 'utf-8');
+  if (buildGradleContent.includes('flyway-core')) {
+    return false; // Already added
+  }
+
+  const jpaMatch = buildGradleContent.match(/([ \t]*)implementation 'org\.springframework\.boot:spring-boot-starter-data-jpa'[^\n]*\n/);
+  if (!jpaMatch) {
+    console.log(chalk.yellow('⚠️  spring-boot-starter-data-jpa not found in build.gradle — Flyway dependencies not added'));
+    return false;
+  }
+
+  const indent = jpaMatch[1];
+  const databaseModule = {
+    postgresql: 'flyway-database-postgresql',
+    mysql: 'flyway-mysql'
+  }[databaseType];
+  const flywayDependencies = `${indent}implementation 'org.flywaydb:flyway-core'\n` +
+    (databaseModule ? `${indent}implementation 'org.flywaydb:${databaseModule}'\n` : '');
+
+  buildGradleContent = buildGradleContent.replace(jpaMatch[0], jpaMatch[0] + flywayDependencies);
+  await fs.writeFile(buildGradlePath, buildGradleContent, 'utf-8');
+  return true;
+}
+
+module.exports = generateMigrationCommand;
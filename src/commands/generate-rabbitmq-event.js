@@ -9,7 +9,7 @@ const { isEva4jProject, moduleExists } = require('../utils/validator');
 const { toPackagePath, toPascalCase, toCamelCase, toSnakeCase, toKebabCase } = require('../utils/naming');
 const { renderAndWrite, renderTemplate } = require('../utils/template-engine');
 const { parseDomainYaml } = require('../utils/yaml-to-entity');
-const { generateEventRecord, createOrUpdateMessageBroker, updateDomainEventHandler } = require('./generate-kafka-event');
+const { generateEventRecord, createOrUpdateMessageBroker, updateDomainEventHandler, prepareOutbox, prepareEventVersioning, syncEnvelopeVersion } = require('./generate-kafka-event');
 
 async function generateRabbitMQEventCommand(moduleName, eventName) {
   const projectDir = process.cwd();
@@ -130,6 +130,8 @@ async function generateRabbitMQEventCommand(moduleName, eventName) {
   const results = [];
 
   try {
+    const outbox = await prepareOutbox(projectDir, projectConfig, 'rabbitmq');
+
     for (const name of eventNames) {
       const normalizedName = toPascalCase(name);
       const evtClassName = normalizedName.endsWith('IntegrationEvent') ? normalizedName : `${normalizedName}IntegrationEvent`;
@@ -148,7 +150,17 @@ async function generateRabbitMQEventCommand(moduleName, eventName) {
       }
 
       const selectedDomainEvent = domainEventMap[normalizedName] || null;
-      const context = buildRabbitEventContext(packageName, moduleName, { name, fields: selectedDomainEvent ? selectedDomainEvent.fields : null });
+      const context = {
+        ...buildRabbitEventContext(packageName, moduleName, {
+          name,
+          version: selectedDomainEvent ? selectedDomainEvent.version : 1,
+          fields: selectedDomainEvent ? selectedDomainEvent.fields : null
+        }),
+        outbox
+      };
+      if (context.eventVersion > 1) {
+        await prepareEventVersioning(projectDir, projectConfig);
+      }
 
       if (isBatch) spinner.text = `[${results.length + 1}/${eventNames.length}] Generating ${evtClassName}...`;
 
@@ -171,6 +183,9 @@ async function generateRabbitMQEventCommand(moduleName, eventName) {
     console.log(chalk.gray(`  ├── ${moduleName}/application/ports/MessageBroker.java`));
     console.log(chalk.gray(`  ├── ${moduleName}/infrastructure/adapters/rabbitmqMessageBroker/${rabbitMessageBrokerClass}.java`));
     console.log(chalk.gray(`  ├── shared/configurations/rabbitmqConfig/RabbitMQConfig.java`));
+    if (outbox) {
+      console.log(chalk.gray(`  ├── shared/infrastructure/outbox/ (transactional outbox)`));
+    }
     if (results.some(r => r.handlerUpdated)) {
       console.log(chalk.gray(`  ├── ${moduleName}/application/usecases/*DomainEventHandler.java`));
     }
@@ -257,6 +272,7 @@ function buildRabbitEventContext(packageName, moduleName, domainEvent) {
     routingKey,
     exchangeName: `${moduleName}.events`,
     queueName: `${moduleName}.${topicNameKebab}`,
+    eventVersion: domainEvent.version || 1,
     eventFields: domainEvent.fields || null
   };
 }
@@ -308,8 +324,24 @@ async function createOrUpdateRabbitMessageBroker(projectDir, packagePath, contex
       return;
     }
 
-    // Check if method already exists
+    // Outbox mode toggled in system.yaml (messaging.outbox) — regenerate the
+    // adapter with the matching dependency (RabbitTemplate ↔ OutboxEventWriter)
+    const isOutboxImpl = content.includes('OutboxEventWriter');
+    if (isOutboxImpl !== !!context.outbox) {
+      await renderAndWrite(
+        path.join(rabbitTemplatesDir, 'RabbitMessageBroker.java.ejs'),
+        adapterPath,
+        context
+      );
+      return;
+    }
+
+    // Method already exists — only its envelope version follows the event's version:
     if (content.includes(methodName)) {
+      const synced = syncEnvelopeVersion(content, context.eventClassName, context.eventVersion);
+      if (synced !== content) {
+        await fs.writeFile(adapterPath, synced, 'utf-8');
+      }
       return;
     }
 
@@ -513,6 +545,46 @@ async function updateRabbitMQYmlQueue(projectDir, queueKey, queueValue) {
   }
 }
 
+/**
+ * Enable publisher confirms and returns in rabbitmq.yaml of every environment.
+ * The transactional outbox relay waits for the confirm of each row it publishes,
+ * and mandatory returns turn an unroutable message into a failed attempt.
+ */
+async function enableRabbitMQPublisherConfirms(projectDir) {
+  const environments = ['local', 'develop', 'test', 'production'];
+
+  for (const env of environments) {
+    const rabbitYmlPath = path.join(projectDir, 'src', 'main', 'resources', 'parameters', env, 'rabbitmq.yaml');
+
+    if (!(await fs.pathExists(rabbitYmlPath))) {
+      continue;
+    }
+
+    const existingContent = await fs.readFile(rabbitYmlPath, 'utf8');
+    const rabbitContent = yaml.load(existingContent) || {};
+
+    if (!rabbitContent.spring) rabbitContent.spring = {};
+    if (!rabbitContent.spring.rabbitmq) rabbitContent.spring.rabbitmq = {};
+    const rabbitmq = rabbitContent.spring.rabbitmq;
+    if (!rabbitmq.template) rabbitmq.template = {};
+
+    if (rabbitmq['publisher-confirm-type'] !== 'correlated' || rabbitmq['publisher-returns'] !== true
+        || rabbitmq.template.mandatory !== true) {
+      rabbitmq['publisher-confirm-type'] = 'correlated';
+      rabbitmq['publisher-returns'] = true;
+      rabbitmq.template.mandatory = true;
+
+      const yamlContent = yaml.dump(rabbitContent, {
+        indent: 2,
+        lineWidth: -1,
+        quotingType: '"',
+        forceQuotes: false
+      });
+      await fs.writeFile(rabbitYmlPath, yamlContent, 'utf8');
+    }
+  }
+}
+
 /**
  * Injects an import statement after the last existing import, or after the package declaration.
  */
@@ -659,6 +731,7 @@ module.exports.generateSingleRabbitEvent = generateSingleRabbitEvent;
 module.exports.buildRabbitEventContext = buildRabbitEventContext;
 module.exports.updateRabbitMQYml = updateRabbitMQYml;
 module.exports.updateRabbitMQYmlQueue = updateRabbitMQYmlQueue;
+module.exports.enableRabbitMQPublisherConfirms = enableRabbitMQPublisherConfirms;
 module.exports.createOrUpdateRabbitMessageBroker = createOrUpdateRabbitMessageBroker;
 module.exports.updateRabbitMQConfig = updateRabbitMQConfig;
 module.exports.updateRabbitMQConfigForConsumer = updateRabbitMQConfigForConsumer;
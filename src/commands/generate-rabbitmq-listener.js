@@ -202,4 +202,147 @@ function generateListenerClassName(queueKey, moduleName) {
   return `${modulePrefix}${topicName}Listener`;
 }
 
+// Delayed retry defaults when only one of ttl / maxRetries is declared
+const DEFAULT_RETRY_TTL = 10000;
+const DEFAULT_MAX_RETRIES = 3;
+
+/**
+ * Resolve where a failed message of a RabbitMQ consumer queue ends up, from the
+ * listener's deadLetter / ttl / maxRetries / parkingLot (domain.yaml, or the
+ * consumer entry in system.yaml). Returns null when none is declared: the
+ * queue keeps the default <queue>.dlq topology.
+ * @param {object} policy - { deadLetter, ttl, maxRetries, parkingLot }
+ * @param {string} topicKey - Consumer key in rabbitmq.yaml (e.g. notification-order-placed)
+ * @param {string} queueName - Consumer queue (e.g. notification.order-placed)
+ * @returns {object|null} maxRetries (0 without delayed retry), ttl, destination
+ *   ('parkingLot' | 'customDlq' | 'dlq' | 'none') and the names the templates need
+ */
+function buildRabbitErrorHandling(policy, topicKey, queueName) {
+  const { deadLetter = null, ttl = null, maxRetries = null, parkingLot = null } = policy;
+  if (deadLetter === null && ttl === null && maxRetries === null && parkingLot === null) {
+    return null;
+  }
+
+  const delayed = ttl !== null || maxRetries !== null;
+  const handling = {
+    maxRetries: delayed ? (maxRetries || DEFAULT_MAX_RETRIES) : 0,
+    ttl: delayed ? (ttl || DEFAULT_RETRY_TTL) : null,
+    destination: 'dlq',
+    destinationLabel: 'dead-letter queue',
+    destinationName: `${queueName}.dlq`,
+    destinationKey: null,
+    destinationProperty: null,
+    destinationField: null,
+    destinationExpr: 'queueName + ".dlq"'
+  };
+
+  if (parkingLot) {
+    Object.assign(handling, {
+      destination: 'parkingLot',
+      destinationLabel: 'parking lot',
+      destinationName: parkingLot === true ? `${queueName}.parking-lot` : parkingLot,
+      destinationKey: `${topicKey}-parking-lot`,
+      destinationField: 'parkingLotName'
+    });
+  } else if (typeof deadLetter === 'string') {
+    Object.assign(handling, {
+      destination: 'customDlq',
+      destinationName: deadLetter,
+      destinationKey: `${topicKey}-dlq`,
+      destinationField: 'deadLetterQueueName'
+    });
+  } else if (deadLetter === false) {
+    Object.assign(handling, { destination: 'none', destinationLabel: null, destinationName: null, destinationExpr: null });
+  }
+
+  if (handling.destinationKey) {
+    handling.destinationProperty = `\${queues.${handling.destinationKey}}`;
+    handling.destinationExpr = handling.destinationField;
+  }
+  return handling;
+}
+
+/**
+ * Write the queue topology of a RabbitMQ consumer with its own error handling
+ * into RabbitMQConfig.java: consumer queue and binding, <queue>.retry with the
+ * message TTL for delayed retries, and the dead-letter queue or parking lot.
+ * Unlike updateRabbitMQConfigForConsumer() the beans are rewritten on every
+ * run, so a change in domain.yaml is picked up. RabbitMQ refuses to redeclare
+ * an existing queue with other arguments: delete the queue on the broker first.
+ * @param {string} projectDir
+ * @param {string} packagePath
+ * @param {object} ctx - packageName, producerModule, topicKey, beanMethodName, valueFieldName
+ *   and the buildRabbitErrorHandling() result as errorHandling
+ */
+async function updateRabbitMQConsumerTopology(projectDir, packagePath, ctx) {
+  const configPath = path.join(
+    projectDir, 'src', 'main', 'java', packagePath,
+    'shared', 'infrastructure', 'configurations', 'rabbitmqConfig', 'RabbitMQConfig.java'
+  );
+
+  if (!(await fs.pathExists(configPath))) {
+    throw new Error('RabbitMQConfig.java not found. Please install RabbitMQ first using: eva4j add rabbitmq-client');
+  }
+
+  let content = await fs.readFile(configPath, 'utf-8');
+  const templatesDir = path.join(__dirname, '..', '..', 'templates', 'rabbitmq-listener');
+  const { errorHandling } = ctx;
+
+  // ── Producer exchange bean — emit only once per unique producer ─────────────
+  if (!content.includes(`public TopicExchange ${ctx.producerModule}Exchange(`)) {
+    const exchangeSnippet = await renderTemplate(
+      path.join(templatesDir, 'RabbitConfigConsumerExchange.java.ejs'),
+      { producerModule: ctx.producerModule }
+    );
+    content = insertBeforeClassEnd(content, exchangeSnippet);
+  }
+
+  // ── Drop the beans written by a previous run (default or configured) ────────
+  const key = ctx.topicKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  content = content
+    .replace(new RegExp(
+      `[ \\t]*@Value\\("\\$\\{(?:queues|routing-keys)\\.${key}(?:-dlq|-parking-lot)?\\}"\\)\\n[ \\t]*private String \\w+;\\n\\n*`, 'g'
+    ), '')
+    .replace(new RegExp(
+      `(?:[ \\t]*//.*\\n)?[ \\t]*@Bean\\n[ \\t]*public \\w+ ${ctx.beanMethodName}` +
+      `(?:Queue|Binding|RetryQueue|Dlq|DlqBinding|ParkingLot|ParkingLotRoute)\\(\\) \\{[\\s\\S]*?\\n[ \\t]*}\\n\\n*`, 'g'
+    ), '');
+
+  if (errorHandling.destination === 'parkingLot') {
+    const parkingLotImport = `import ${ctx.packageName}.shared.infrastructure.parkingLot.ParkingLot;`;
+    if (!content.includes(parkingLotImport)) {
+      content = content.replace(/^(package [\w.]+;\n)/m, `$1\n${parkingLotImport}\n`);
+    }
+  }
+
+  const topology = await renderTemplate(
+    path.join(templatesDir, 'RabbitConfigConsumerTopology.java.ejs'),
+    {
+      topicKey: ctx.topicKey,
+      beanMethodName: ctx.beanMethodName,
+      valueFieldName: ctx.valueFieldName,
+      producerModule: ctx.producerModule,
+      maxRetries: errorHandling.maxRetries,
+      ttl: errorHandling.ttl,
+      destination: errorHandling.destination
+    }
+  );
+  content = insertBeforeClassEnd(content, topology);
+
+  await fs.writeFile(configPath, content, 'utf-8');
+}
+
+/**
+ * Insert a member before the closing brace of the class
+ */
+function insertBeforeClassEnd(content, member) {
+  const lastBraceIndex = content.lastIndexOf('}');
+  if (lastBraceIndex === -1) {
+    throw new Error('Could not find closing brace in RabbitMQConfig class');
+  }
+  return content.slice(0, lastBraceIndex) + '\n' + member + '\n}\n';
+}
+
 module.exports = generateRabbitMQListenerCommand;
+module.exports.buildRabbitErrorHandling = buildRabbitErrorHandling;
+module.exports.updateRabbitMQConsumerTopology = updateRabbitMQConsumerTopology;
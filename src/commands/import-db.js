@@ -0,0 +1,120 @@
+'use strict';
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+
+const { parseDdl } = require('../utils/ddl-parser');
+const { importDb } = require('../utils/db-importer');
+const { renderDomainYaml, checkModuleYaml } = require('../utils/domain-yaml-writer');
+const { validateModuleName } = require('../utils/validator');
+
+/**
+ * eva import db --ddl <schema.sql> --module <name> — infers system/<module>.yaml
+ * (aggregates, entities, relationships, references, enums and validations) from
+ * the DDL of an existing PostgreSQL or MySQL schema, parsed offline.
+ * Ambiguities are written as `# TODO:` comments in the YAML.
+ *
+ * @param {object} options
+ * @param {string} options.ddl      - SQL script (pg_dump --schema-only, mysqldump --no-data, …)
+ * @param {string} options.module   - Target module (system/<module>.yaml)
+ * @param {string} [options.tables] - Comma-separated tables to import
+ * @param {boolean} [options.force] - Overwrite an existing module YAML
+ */
+async function importDbCommand(options = {}) {
+  const cwd = process.cwd();
+  const systemDir = path.join(cwd, 'system');
+  const systemYamlPath = path.join(systemDir, 'system.yaml');
+  const moduleName = options.module;
+
+  if (!options.ddl) {
+    console.error(chalk.red('❌ Missing --ddl <file>'));
+    console.error(chalk.gray('Usage: eva import db --ddl <schema.sql> --module <name>'));
+    process.exit(1);
+  }
+  if (!moduleName) {
+    console.error(chalk.red('❌ Missing --module <name>'));
+    console.error(chalk.gray('Usage: eva import db --ddl <schema.sql> --module <name>'));
+    process.exit(1);
+  }
+  const moduleCheck = validateModuleName(moduleName);
+  if (moduleCheck !== true) {
+    console.error(chalk.red(`❌ ${moduleCheck}`));
+    process.exit(1);
+  }
+
+  if (!(await fs.pathExists(systemYamlPath))) {
+    console.error(chalk.red('❌ system/system.yaml not found'));
+    console.error(chalk.gray('Run this command from the root of an eva4j project'));
+    process.exit(1);
+  }
+
+  const sourcePath = path.resolve(cwd, options.ddl);
+  if (!(await fs.pathExists(sourcePath))) {
+    console.error(chalk.red(`❌ File not found: ${options.ddl}`));
+    process.exit(1);
+  }
+
+  const outputPath = path.join(systemDir, `${moduleName}.yaml`);
+  if ((await fs.pathExists(outputPath)) && !options.force) {
+    console.error(chalk.red(`❌ system/${moduleName}.yaml already exists`));
+    console.error(chalk.gray('Use --force to overwrite it'));
+    process.exit(1);
+  }
+
+  let systemConfig;
+  try {
+    systemConfig = yaml.load(await fs.readFile(systemYamlPath, 'utf-8')) || {};
+  } catch (err) {
+    console.error(chalk.red('❌ Failed to parse system/system.yaml:'), err.message);
+    process.exit(1);
+  }
+
+  const schema = parseDdl(await fs.readFile(sourcePath, 'utf-8'));
+  const tables = options.tables
+    ? String(options.tables).split(',').map((t) => t.trim()).filter(Boolean)
+    : [];
+  const result = importDb(schema, { tables });
+  const content = renderDomainYaml(result, [
+    `Módulo ${moduleName} — importado de ${path.basename(options.ddl)} (${result.stats.tables} tablas)`,
+    'con `eva import db`. La agrupación en agregados se deduce de las FK: revísala.',
+    '',
+    result.notes.size > 0
+      ? 'Revisa los comentarios TODO antes de ejecutar `eva build`.'
+      : 'Revisa el resultado antes de ejecutar `eva build`.',
+  ]);
+
+  await fs.ensureDir(systemDir);
+  await fs.writeFile(outputPath, content, 'utf-8');
+
+  const { stats } = result;
+  console.log(chalk.green(`  ✅ ${path.basename(options.ddl)} → system/${moduleName}.yaml`));
+  console.log(chalk.gray(`     ${stats.tables} table(s) → ${stats.aggregates} aggregate(s), ${stats.entities} entities, ${stats.enums} enum(s), ${stats.references} reference(s)`));
+  if (stats.skipped > 0) {
+    console.log(chalk.gray(`     ${stats.skipped} join table(s) not imported`));
+  }
+  if (result.notes.size > 0) {
+    console.log(chalk.yellow(`     ${result.notes.size} TODO(s) to review in the YAML`));
+  }
+
+  // The written file must pass the same checks as `eva validate`
+  const { problems, warnings } = await checkModuleYaml(content, outputPath, moduleName, systemConfig);
+  if (warnings > 0) {
+    console.log(chalk.gray(`     ${warnings} warning(s) — run eva validate for details`));
+  }
+
+  const declared = (systemConfig.modules || []).some((m) => m && m.name === moduleName);
+  if (!declared) {
+    console.log(chalk.yellow(`\n  ⚠️  Module '${moduleName}' is not declared in system/system.yaml`));
+    console.log(chalk.gray('     Add it under modules: before running eva build'));
+  }
+
+  if (problems.length > 0) {
+    console.error(chalk.red(`\n  ❌ system/${moduleName}.yaml does not pass validation:`));
+    for (const problem of problems) console.error(chalk.red(`     ${problem}`));
+    process.exit(1);
+  }
+}
+
+module.exports = importDbCommand;
@@ -0,0 +1,119 @@
+'use strict';
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+
+const { importOpenApi } = require('../utils/openapi-importer');
+const { renderDomainYaml, checkModuleYaml } = require('../utils/domain-yaml-writer');
+const { validateModuleName } = require('../utils/validator');
+
+/**
+ * eva import openapi <file> --module <name> — infers system/<module>.yaml
+ * (aggregates, fields, validations, enums and endpoints:) from an OpenAPI 3.x
+ * document. Ambiguities are written as `# TODO:` comments in the YAML.
+ *
+ * @param {string} file - OpenAPI document (YAML or JSON)
+ * @param {object} options
+ * @param {string} options.module  - Target module (system/<module>.yaml)
+ * @param {boolean} [options.force] - Overwrite an existing module YAML
+ */
+async function importOpenApiCommand(file, options = {}) {
+  const cwd = process.cwd();
+  const systemDir = path.join(cwd, 'system');
+  const systemYamlPath = path.join(systemDir, 'system.yaml');
+  const moduleName = options.module;
+
+  if (!file) {
+    console.error(chalk.red('❌ Missing the OpenAPI document'));
+    console.error(chalk.gray('Usage: eva import openapi <file> --module <name>'));
+    process.exit(1);
+  }
+  if (!moduleName) {
+    console.error(chalk.red('❌ Missing --module <name>'));
+    console.error(chalk.gray('Usage: eva import openapi <file> --module <name>'));
+    process.exit(1);
+  }
+  const moduleCheck = validateModuleName(moduleName);
+  if (moduleCheck !== true) {
+    console.error(chalk.red(`❌ ${moduleCheck}`));
+    process.exit(1);
+  }
+
+  if (!(await fs.pathExists(systemYamlPath))) {
+    console.error(chalk.red('❌ system/system.yaml not found'));
+    console.error(chalk.gray('Run this command from the root of an eva4j project'));
+    process.exit(1);
+  }
+
+  const sourcePath = path.resolve(cwd, file);
+  if (!(await fs.pathExists(sourcePath))) {
+    console.error(chalk.red(`❌ File not found: ${file}`));
+    process.exit(1);
+  }
+
+  const outputPath = path.join(systemDir, `${moduleName}.yaml`);
+  if ((await fs.pathExists(outputPath)) && !options.force) {
+    console.error(chalk.red(`❌ system/${moduleName}.yaml already exists`));
+    console.error(chalk.gray('Use --force to overwrite it'));
+    process.exit(1);
+  }
+
+  let doc;
+  let systemConfig;
+  try {
+    // JSON is a subset of YAML, so one loader covers both formats
+    doc = yaml.load(await fs.readFile(sourcePath, 'utf-8'));
+  } catch (err) {
+    console.error(chalk.red(`❌ Failed to parse ${file}:`), err.message);
+    process.exit(1);
+  }
+  try {
+    systemConfig = yaml.load(await fs.readFile(systemYamlPath, 'utf-8')) || {};
+  } catch (err) {
+    console.error(chalk.red('❌ Failed to parse system/system.yaml:'), err.message);
+    process.exit(1);
+  }
+
+  const result = importOpenApi(doc);
+  const title = (doc.info && doc.info.title) || path.basename(file);
+  const content = renderDomainYaml(result, [
+    `Módulo ${moduleName} — importado de ${path.basename(file)} (${title}, OpenAPI ${doc.openapi})`,
+    'con `eva import openapi`.',
+    '',
+    result.notes.size > 0
+      ? 'Revisa los comentarios TODO antes de ejecutar `eva build`.'
+      : 'Revisa el resultado antes de ejecutar `eva build`.',
+  ]);
+
+  await fs.ensureDir(systemDir);
+  await fs.writeFile(outputPath, content, 'utf-8');
+
+  const { stats } = result;
+  console.log(chalk.green(`  ✅ ${path.basename(file)} → system/${moduleName}.yaml`));
+  console.log(chalk.gray(`     ${stats.aggregates} aggregate(s), ${stats.entities} entities, ${stats.valueObjects} value object(s), ${stats.enums} enum(s), ${stats.operations} operations`));
+  if (result.notes.size > 0) {
+    console.log(chalk.yellow(`     ${result.notes.size} TODO(s) to review in the YAML`));
+  }
+
+  // The written file must pass the same checks as `eva validate`
+  const { problems, warnings } = await checkModuleYaml(content, outputPath, moduleName, systemConfig);
+  if (warnings > 0) {
+    console.log(chalk.gray(`     ${warnings} warning(s) — run eva validate for details`));
+  }
+
+  const declared = (systemConfig.modules || []).some((m) => m && m.name === moduleName);
+  if (!declared) {
+    console.log(chalk.yellow(`\n  ⚠️  Module '${moduleName}' is not declared in system/system.yaml`));
+    console.log(chalk.gray('     Add it under modules: (with the exposes: of its endpoints) before running eva build'));
+  }
+
+  if (problems.length > 0) {
+    console.error(chalk.red(`\n  ❌ system/${moduleName}.yaml does not pass validation:`));
+    for (const problem of problems) console.error(chalk.red(`     ${problem}`));
+    process.exit(1);
+  }
+}
+
+module.exports = importOpenApiCommand;
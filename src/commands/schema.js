@@ -0,0 +1,86 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+
+const { SCHEMAS_DIR, SCHEMA_FILES } = require('../utils/schema-validator');
+
+const DEFAULT_OUTPUT = 'schemas';
+
+// Files each schema applies to, as yaml-language-server globs relative to the project root
+const FILE_MATCH = {
+  system: ['system/system.yaml'],
+  domain: ['system/*.yaml', '!system/system.yaml', 'src/main/java/**/domain.yaml'],
+};
+
+/**
+ * eva schema export — write the versioned JSON Schemas of domain.yaml and system.yaml
+ * into the project and register them in .vscode/settings.json (yaml.schemas) so
+ * yaml-language-server gives autocomplete, hovers and inline errors.
+ *
+ * @param {string}  action
+ * @param {object}  options
+ * @param {string}  [options.output='schemas'] - Directory for the schema files
+ * @param {boolean} [options.vscode=true]      - Merge yaml.schemas into .vscode/settings.json
+ */
+async function schemaCommand(action, options = {}) {
+  if (action !== 'export') {
+    console.error(chalk.red(`❌ Unknown schema action: '${action}'`));
+    console.log(chalk.gray('Usage: eva schema export [--output <dir>]'));
+    process.exit(1);
+  }
+
+  const projectDir = process.cwd();
+  const outputDir = path.resolve(projectDir, options.output || DEFAULT_OUTPUT);
+  await fs.ensureDir(outputDir);
+
+  const written = {};
+  for (const [kind, file] of Object.entries(SCHEMA_FILES)) {
+    const target = path.join(outputDir, file);
+    await fs.copy(path.join(SCHEMAS_DIR, file), target);
+    written[kind] = toPosix(path.relative(projectDir, target));
+    console.log(chalk.green(`  ✅ ${written[kind]}`));
+  }
+
+  if (options.vscode !== false) {
+    await registerInVscode(projectDir, written);
+  }
+
+  console.log(chalk.gray('\nOther editors: add a modeline at the top of the YAML file, e.g.'));
+  console.log(chalk.gray(`  # yaml-language-server: $schema=../${written.domain}`));
+}
+
+/**
+ * Merge the schema mappings into .vscode/settings.json. Settings files with comments
+ * are not rewritten — the snippet is printed instead.
+ */
+async function registerInVscode(projectDir, written) {
+  const settingsPath = path.join(projectDir, '.vscode', 'settings.json');
+  const mappings = {};
+  for (const [kind, file] of Object.entries(written)) {
+    mappings[`./${file}`] = FILE_MATCH[kind];
+  }
+
+  let settings = {};
+  if (await fs.pathExists(settingsPath)) {
+    try {
+      settings = JSON.parse(await fs.readFile(settingsPath, 'utf-8'));
+    } catch (err) {
+      console.log(chalk.yellow('\n  ⚠️  .vscode/settings.json could not be parsed as plain JSON — add this manually:'));
+      console.log(chalk.gray(JSON.stringify({ 'yaml.schemas': mappings }, null, 2)));
+      return;
+    }
+  }
+
+  settings['yaml.schemas'] = { ...(settings['yaml.schemas'] || {}), ...mappings };
+  await fs.ensureDir(path.dirname(settingsPath));
+  await fs.writeFile(settingsPath, JSON.stringify(settings, null, 2) + '\n', 'utf-8');
+  console.log(chalk.green('  ✅ .vscode/settings.json (yaml.schemas)'));
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+module.exports = schemaCommand;
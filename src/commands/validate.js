@@ -0,0 +1,156 @@
+'use strict';
+
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+
+const packageJson = require('../../package.json');
+const { validateSystem } = require('../utils/system-validator');
+const { validateDomain, domainRuleIds } = require('../utils/domain-validator');
+const { validateTemporal } = require('../utils/temporal-validator');
+const { validateYamlFile } = require('../utils/schema-validator');
+const { loadRuleConfig } = require('../utils/rule-config');
+const { loadValidationPlugins } = require('../utils/validation-plugins');
+const { FORMATS, collectChecks, collectFindings, summarize, isFailing, formatReport } = require('../utils/validation-report');
+const { buildModulesMap, extractTemporalReportData } = require('./evaluate-system');
+
+// Exit codes: 0 = passed, 1 = errors (or warnings with --strict), 2 = validation could not run
+const EXIT_FAILED = 1;
+const EXIT_UNUSABLE = 2;
+
+/**
+ * eva validate — headless run of the JSON Schema check and the system (S*), domain (C1–C6,
+ * plus custom rules from validationPlugins) and Temporal (T1–T3) validators over
+ * system/*.yaml, for CI pipelines.
+ *
+ * @param {object}  options
+ * @param {string}  [options.format='text'] - text | json | sarif | junit
+ * @param {string}  [options.output]        - Write the report to this file instead of stdout
+ * @param {boolean} [options.strict]        - Warnings also fail the run
+ */
+async function validateCommand(options = {}) {
+  const format = (options.format || 'text').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    console.error(chalk.red(`❌ Unknown format: '${options.format}'`));
+    console.error(chalk.gray(`Supported formats: ${FORMATS.join(', ')}`));
+    process.exit(EXIT_UNUSABLE);
+  }
+
+  let loaded;
+  let ruleConfig;
+  let customRules;
+  try {
+    loaded = await loadSystemConfigs(process.cwd());
+    customRules = await loadValidationPlugins(process.cwd());
+    ruleConfig = await loadRuleConfig(process.cwd(), loaded.systemConfig, [...domainRuleIds(), ...customRules.map((r) => r.id)]);
+  } catch (err) {
+    console.error(chalk.red(`❌ ${err.message}`));
+    (err.problems || []).forEach((p) => console.error(chalk.red(`   • ${p}`)));
+    if (err.hint) console.error(chalk.gray(err.hint));
+    process.exit(EXIT_UNUSABLE);
+  }
+
+  const schemaErrors = await validateSchemas(process.cwd(), Object.keys(loaded.domainConfigs));
+  const results = runValidators(loaded.systemConfig, loaded.domainConfigs, ruleConfig, customRules);
+  const checks = collectChecks({ schemaErrors, ...results, moduleFiles: Object.keys(loaded.domainConfigs) });
+  const summary = summarize(collectFindings(checks));
+  const report = formatReport(format, checks, { version: packageJson.version, strict: Boolean(options.strict) });
+
+  if (options.output) {
+    const outputPath = path.resolve(process.cwd(), options.output);
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, format === 'text' ? stripAnsi(report) : report, 'utf-8');
+    console.error(chalk.gray(`Report written to: ${outputPath}`));
+  } else {
+    process.stdout.write(report);
+  }
+
+  if (isFailing(summary, options.strict)) {
+    process.exitCode = EXIT_FAILED;
+  }
+}
+
+/**
+ * Read system/system.yaml and every other system/*.yaml as a module domain config.
+ * Throws when system.yaml is missing or any file cannot be parsed.
+ *
+ * @param {string} cwd - Project root
+ * @returns {Promise<{ systemConfig: object, domainConfigs: Record<string, object> }>}
+ */
+async function loadSystemConfigs(cwd) {
+  const systemDir = path.join(cwd, 'system');
+  const systemYamlPath = path.join(systemDir, 'system.yaml');
+  if (!(await fs.pathExists(systemYamlPath))) {
+    const err = new Error('system/system.yaml not found');
+    err.hint = 'Run this command from the root of an eva4j project';
+    throw err;
+  }
+
+  const parse = async (file) => {
+    try {
+      return yaml.load(await fs.readFile(path.join(systemDir, file), 'utf-8')) || {};
+    } catch (err) {
+      throw new Error(`Failed to parse system/${file}: ${err.message}`);
+    }
+  };
+
+  const systemConfig = await parse('system.yaml');
+  const domainConfigs = {};
+  const domainFiles = (await fs.readdir(systemDir))
+    .filter((f) => f.endsWith('.yaml') && f !== 'system.yaml')
+    .sort();
+  for (const file of domainFiles) {
+    domainConfigs[path.basename(file, '.yaml')] = await parse(file);
+  }
+
+  return { systemConfig, domainConfigs };
+}
+
+/**
+ * Check system/system.yaml and every system/<module>.yaml against the JSON Schemas.
+ *
+ * @param {string}   cwd         - Project root
+ * @param {string[]} moduleFiles - Module names that have a system/<module>.yaml
+ * @returns {Promise<object[]>} schema-validator errors
+ */
+async function validateSchemas(cwd, moduleFiles) {
+  const systemDir = path.join(cwd, 'system');
+  const { errors } = await validateYamlFile(path.join(systemDir, 'system.yaml'), 'system', 'system/system.yaml');
+  for (const moduleName of moduleFiles) {
+    const result = await validateYamlFile(path.join(systemDir, `${moduleName}.yaml`), 'domain', `system/${moduleName}.yaml`);
+    errors.push(...result.errors);
+  }
+  return errors;
+}
+
+/**
+ * Run the three validators the same way `eva evaluate system` does.
+ * Domain rules need at least one module YAML; Temporal rules need orchestration.engine: temporal.
+ * ruleConfig (loadRuleConfig()) adjusts domain rule severities and suppressions;
+ * customRules (loadValidationPlugins()) run as the CUSTOM domain category.
+ */
+function runValidators(systemConfig, domainConfigs, ruleConfig = null, customRules = []) {
+  const validation = validateSystem(systemConfig, domainConfigs);
+  const domainValidation = Object.keys(domainConfigs).length > 0
+    ? validateDomain(domainConfigs, systemConfig, ruleConfig, customRules)
+    : null;
+
+  let temporalValidation = null;
+  const orchestration = systemConfig.orchestration || {};
+  if (orchestration.enabled && orchestration.engine === 'temporal') {
+    const temporalCtx = extractTemporalReportData(systemConfig, domainConfigs, buildModulesMap(systemConfig));
+    temporalValidation = validateTemporal(systemConfig, domainConfigs, temporalCtx);
+  }
+
+  return { validation, domainValidation, temporalValidation };
+}
+
+function stripAnsi(text) {
+  return text.replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+module.exports = validateCommand;
+module.exports.loadSystemConfigs = loadSystemConfigs;
+module.exports.validateSchemas = validateSchemas;
+module.exports.runValidators = runValidators;
@@ -35,6 +35,46 @@ function resolveOwnerAggregate(useCase, aggregates) {
   return null;
 }
 
+/**
+ * Build the query params of the filtered list request from the root's
+ * `filterable:` / `sortable:` fields. Every filter param is included with a
+ * fake value, but only the first one is enabled.
+ *
+ * @param {Object} rootEntity   - Parsed root entity (listFilters, sortableFields)
+ * @param {Array}  allEnums     - Enums for fake enum values
+ * @returns {Array}             - Postman query entries [{ key, value, disabled? }]
+ */
+function buildListQuery(rootEntity, allEnums) {
+  const query = [];
+  const sortBy = (rootEntity.sortableFields || []).find(name => name !== rootEntity.fields[0].name);
+  if (sortBy) {
+    query.push({ key: 'sortBy', value: sortBy }, { key: 'sortDirection', value: 'DESC' });
+  }
+
+  const rangeBounds = {};
+  (rootEntity.listFilters || []).forEach((filter, idx) => {
+    const field = rootEntity.fields.find(f => f.name === filter.field);
+    let value;
+    if (filter.operator === 'from' || filter.operator === 'to') {
+      // Two fake values per field, ordered so that From <= To
+      rangeBounds[field.name] = rangeBounds[field.name] ||
+        [generateFakeValue(field, allEnums), generateFakeValue(field, allEnums)].sort((a, b) => {
+          const [x, y] = [Number(a), Number(b)];
+          return Number.isFinite(x) && Number.isFinite(y) ? x - y : String(a).localeCompare(String(b));
+        });
+      value = rangeBounds[field.name][filter.operator === 'from' ? 0 : 1];
+    } else if (filter.operator === 'like') {
+      value = String(generateFakeValue(field, allEnums)).slice(0, 3);
+    } else {
+      value = generateFakeValue(field, allEnums);
+    }
+    const entry = { key: filter.param, value: String(value) };
+    query.push(idx === 0 ? entry : { ...entry, disabled: true });
+  });
+
+  return query;
+}
+
 /**
  * Generate a unified Postman collection covering every module in the system.
  *
@@ -116,6 +156,7 @@ async function generateUnifiedPostmanCollection({
               path: op.path || '/',
               basePath,
               version: version.version,
+              pagination: op.pagination,
             });
 
             // Generate body for write operations
@@ -135,6 +176,7 @@ async function generateUnifiedPostmanCollection({
           operations,
           defaultCrud: false,
           bodies,
+          listQuery: buildListQuery(rootEntity, allEnums),
         });
       } else {
         // ── Default CRUD (no endpoints section) ──────────────────────────
@@ -147,6 +189,7 @@ async function generateUnifiedPostmanCollection({
           operations: null,
           defaultCrud: true,
           bodies: { default: defaultBody },
+          listQuery: buildListQuery(rootEntity, allEnums),
         });
       }
     }
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { renderAndWrite } = require('../utils/template-engine');
+const { nextMigrationVersion } = require('../utils/migration-builder');
 
 class SharedGenerator {
   constructor(context) {
@@ -93,6 +94,36 @@ class SharedGenerator {
     await this.generateFile('domain/DomainEvent.java.ejs', destPath);
   }
 
+  async generateSpecification(basePath) {
+    const domainPath = path.join(basePath, 'domain');
+    const destPath = path.join(domainPath, 'Specification.java');
+
+    // Only generate if it doesn't exist yet
+    if (await fs.pathExists(destPath)) {
+      return;
+    }
+
+    await fs.ensureDir(domainPath);
+    await this.generateFile('domain/Specification.java.ejs', destPath);
+  }
+
+  async generateCursorPagination(basePath) {
+    const dtosPath = path.join(basePath, 'application', 'dtos');
+    const paginationPath = path.join(basePath, 'application', 'pagination');
+    const pagePath = path.join(dtosPath, 'CursorPage.java');
+    const codecPath = path.join(paginationPath, 'CursorCodec.java');
+
+    // Only generate the files that don't exist yet
+    if (!(await fs.pathExists(pagePath))) {
+      await fs.ensureDir(dtosPath);
+      await this.generateFile('application/dtos/CursorPage.java.ejs', pagePath);
+    }
+    if (!(await fs.pathExists(codecPath))) {
+      await fs.ensureDir(paginationPath);
+      await this.generateFile('application/pagination/CursorCodec.java.ejs', codecPath);
+    }
+  }
+
   async generatePackageInfo(basePath) {
     await this.generateFile('package-info.java.ejs', 
       path.join(basePath, 'package-info.java'));
@@ -187,6 +218,29 @@ class SharedGenerator {
       path.join(eventEnvelopePath, 'EventMetadata.java'));
   }
 
+  /**
+   * Versioned events (events[].version / listeners[].version above 1).
+   * EventEnvelope and EventMetadata are re-rendered only when they predate
+   * metadata.version; the upcaster contracts are added when a listener
+   * consumes a versioned payload.
+   */
+  async generateEventVersioning(basePath, includeUpcasters) {
+    const eventEnvelopePath = path.join(basePath, 'infrastructure', 'eventEnvelope');
+    const metadataPath = path.join(eventEnvelopePath, 'EventMetadata.java');
+    const hasVersion = await fs.pathExists(metadataPath)
+      && (await fs.readFile(metadataPath, 'utf-8')).includes('Integer version');
+    if (!hasVersion) {
+      await this.generateEventEnvelope(basePath);
+    }
+
+    if (includeUpcasters) {
+      for (const file of ['EventUpcaster', 'EventUpcasterChain']) {
+        await this.generateFile(`eventEnvelope/${file}.java.ejs`,
+          path.join(eventEnvelopePath, `${file}.java`));
+      }
+    }
+  }
+
   async generateHandlerException(basePath) {
     const handlerExceptionPath = path.join(basePath, 'infrastructure', 'handlerException');
     
@@ -200,6 +254,73 @@ class SharedGenerator {
     await renderAndWrite(templatePath, destPath, this.context, { overwrite: false });
   }
 
+  /**
+   * RabbitMQ parking lots (listeners[].parkingLot): the ParkingLot route declared
+   * per consumer queue in RabbitMQConfig and the replay endpoint. Generated once.
+   */
+  async generateParkingLot(basePath) {
+    const parkingLotPath = path.join(basePath, 'infrastructure', 'parkingLot');
+    for (const file of ['ParkingLot', 'ParkingLotController']) {
+      const destPath = path.join(parkingLotPath, `${file}.java`);
+      if (await fs.pathExists(destPath)) {
+        continue;
+      }
+      await this.generateFile(`parkingLot/${file}.java.ejs`, destPath);
+    }
+  }
+
+  /**
+   * Transactional outbox (messaging.outbox: true in system.yaml).
+   * Entity, repository and writer are broker-agnostic and generated once;
+   * the relay and the scheduling config are re-rendered so a broker switch
+   * is picked up on the next build.
+   */
+  async generateOutbox(basePath, broker) {
+    const outboxPath = path.join(basePath, 'infrastructure', 'outbox');
+    const outboxContext = { ...this.context, broker };
+
+    for (const file of ['OutboxEvent', 'OutboxEventJpaRepository', 'OutboxEventWriter']) {
+      const destPath = path.join(outboxPath, `${file}.java`);
+      if (await fs.pathExists(destPath)) {
+        continue;
+      }
+      await this.generateFile(`outbox/${file}.java.ejs`, destPath);
+    }
+
+    await renderAndWrite(
+      path.join(this.templatesDir, 'outbox', 'OutboxRelay.java.ejs'),
+      path.join(outboxPath, 'OutboxRelay.java'),
+      outboxContext
+    );
+    await this.generateFile('configurations/outboxConfig/OutboxConfig.java.ejs',
+      path.join(basePath, 'infrastructure', 'configurations', 'outboxConfig', 'OutboxConfig.java'));
+  }
+
+  /**
+   * Flyway-style DDL for the outbox table under src/main/resources/db/migration.
+   * Takes the next free V<n>__ version and is skipped when a
+   * *__create_outbox_events.sql script already exists.
+   * @returns {string|null} file name written, or null when already present
+   */
+  async generateOutboxMigration(databaseType) {
+    const migrationDir = path.join(this.projectDir, 'src', 'main', 'resources', 'db', 'migration');
+    await fs.ensureDir(migrationDir);
+
+    const existing = await fs.readdir(migrationDir);
+    if (existing.some(f => f.endsWith('__create_outbox_events.sql'))) {
+      return null;
+    }
+
+    const fileName = `V${nextMigrationVersion(existing)}__create_outbox_events.sql`;
+
+    await renderAndWrite(
+      path.join(this.templatesDir, 'outbox', 'create_outbox_events.sql.ejs'),
+      path.join(migrationDir, fileName),
+      { ...this.context, databaseType: databaseType || 'postgresql' }
+    );
+    return fileName;
+  }
+
   async generateConfigurations(basePath) {
     const configurationsPath = path.join(basePath, 'infrastructure', 'configurations');
     
@@ -0,0 +1,745 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const defaults = require('../../config/defaults.json');
+const { renderAndWrite } = require('../utils/template-engine');
+const { toPackagePath, toCamelCase, toPascalCase } = require('../utils/naming');
+const { initSeed, generateFakeValue, generateFakeBody, generateFakeId } = require('../utils/fake-data');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates', 'tests');
+
+const AUDIT_FIELD_NAMES = ['id', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'deletedAt'];
+const INTEGER_TYPES = new Set(['Integer', 'int', 'Long', 'long', 'Short', 'short']);
+const DECIMAL_TYPES = new Set(['Double', 'double', 'Float', 'float', 'BigDecimal']);
+const PRIMITIVE_MATCHERS = {
+  int: 'anyInt()', long: 'anyLong()', short: 'anyShort()', double: 'anyDouble()', float: 'anyFloat()', boolean: 'anyBoolean()'
+};
+const HTTP_STATUS_CODES = { 'HttpStatus.OK': 200, 'HttpStatus.CREATED': 201, 'HttpStatus.NO_CONTENT': 204 };
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TEMPORAL_TYPES = new Set(['LocalDate', 'LocalDateTime', 'LocalTime', 'Instant']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound of the field combinations tried when looking for guard fixtures
+const MAX_GUARD_COMBINATIONS = 10000;
+
+/**
+ * Whether `eva g entities` emits tests at all (module.generateTests in config/defaults.json)
+ */
+function testsEnabled() {
+  return defaults.module.generateTests !== false;
+}
+
+/**
+ * Whether the @SpringBootTest + MockMvc tests are emitted (testing.includeIntegrationTests)
+ */
+function integrationTestsEnabled() {
+  return testsEnabled() && defaults.testing.includeIntegrationTests !== false;
+}
+
+const capitalize = str => str.charAt(0).toUpperCase() + str.slice(1);
+const getterOf = name => `get${capitalize(name)}`;
+const isCreationField = f => !AUDIT_FIELD_NAMES.includes(f.name) && !f.readOnly && !f.autoInit;
+
+/**
+ * Domain view of an application field: validated value objects travel as Create{Vo}Dto
+ * in commands, but fake values and JSON bodies follow the value object's own fields.
+ */
+const domainField = f => (f.originalVoType ? { ...f, javaType: f.originalVoType } : f);
+
+/**
+ * Deterministic values of one test file: fake values from src/utils/fake-data.js
+ * normalized to their Java type, rendered as Java literals or JSON, and the
+ * imports the rendered literals need.
+ */
+function createValues(packageName, moduleName, allEnums, valueObjects) {
+  const imports = new Set();
+
+  function normalize(field, raw, depth = 0) {
+    if (field.isCollection) return [];
+    if (field.isEnum) {
+      const enumDef = allEnums.find(e => e.name === field.javaType);
+      return enumDef && (enumDef.values || []).includes(raw) ? raw : null;
+    }
+    if (field.isValueObject) {
+      const vo = valueObjects.find(v => v.name === field.javaType);
+      if (!vo || depth >= 2 || raw === null || typeof raw !== 'object') return null;
+      return Object.fromEntries(vo.fields.map(f => [f.name, normalize(f, raw[f.name], depth + 1)]));
+    }
+    return normalizeScalar(field.javaType, raw);
+  }
+
+  function fake(field) {
+    const domain = domainField(field);
+    if (domain.name === 'id') return normalizeScalar(domain.javaType, generateFakeId(domain.javaType));
+    return normalize(domain, generateFakeValue(domain, allEnums, valueObjects));
+  }
+
+  function literal(field, value) {
+    const domain = domainField(field);
+    if (domain.isCollection) {
+      imports.add('import java.util.ArrayList;');
+      return 'new ArrayList<>()';
+    }
+    if (value === null || value === undefined || field.originalVoType) return 'null';
+    if (domain.isEnum) {
+      imports.add(`import ${packageName}.${moduleName}.domain.models.enums.${domain.javaType};`);
+      return `${domain.javaType}.${value}`;
+    }
+    if (domain.isValueObject) {
+      const vo = valueObjects.find(v => v.name === domain.javaType);
+      imports.add(`import ${packageName}.${moduleName}.domain.models.valueObjects.${vo.name};`);
+      return `new ${vo.name}(${vo.fields.map(f => literal(f, value[f.name])).join(', ')})`;
+    }
+    return scalarLiteral(domain.javaType, value);
+  }
+
+  function scalarLiteral(javaType, value) {
+    switch (javaType) {
+      case 'Long': case 'long': return `${value}L`;
+      case 'Short': case 'short': return `(short) ${value}`;
+      case 'Double': case 'double': return `${value}d`;
+      case 'Float': case 'float': return `${value}f`;
+      case 'BigDecimal':
+        imports.add('import java.math.BigDecimal;');
+        return `new BigDecimal("${value}")`;
+      case 'UUID':
+        imports.add('import java.util.UUID;');
+        return `UUID.fromString("${value}")`;
+      case 'String': return JSON.stringify(value);
+      default:
+        if (TEMPORAL_TYPES.has(javaType)) {
+          imports.add(`import java.time.${javaType};`);
+          return `${javaType}.parse("${value}")`;
+        }
+        return String(value);
+    }
+  }
+
+  /** Fake value and literal of a scalar type without field metadata (ids, cursor keys) */
+  function scalar(javaType, raw) {
+    return scalarLiteral(javaType, normalizeScalar(javaType, raw));
+  }
+
+  /**
+   * JSON request body: generateFakeBody() values normalized to the field types so
+   * Jackson binds them (numbers stay numbers, temporals are ISO strings).
+   */
+  function body(fields, oneToManyRelationships = [], extra = {}) {
+    const domainFields = fields.map(domainField);
+    const raw = generateFakeBody(domainFields, oneToManyRelationships, allEnums, valueObjects);
+    const json = { ...extra };
+    domainFields.forEach(f => { json[f.name] = normalize(f, raw[f.name]); });
+    oneToManyRelationships.forEach(rel => {
+      if (Array.isArray(raw[rel.fieldName])) {
+        json[rel.fieldName] = raw[rel.fieldName].map(item => normalizeNested(rel, item));
+      }
+    });
+    return JSON.stringify(json, null, 2).replace(/\\/g, '\\\\');
+  }
+
+  function normalizeNested(rel, item) {
+    const json = {};
+    (rel.fields || []).filter(f => !f.readOnly && f.name !== 'id').map(domainField).forEach(f => {
+      json[f.name] = normalize(f, item[f.name]);
+    });
+    (rel.nestedRelationships || []).forEach(nested => {
+      if (Array.isArray(item[nested.fieldName])) {
+        json[nested.fieldName] = item[nested.fieldName].map(child => normalizeNested(nested, child));
+      }
+    });
+    return json;
+  }
+
+  return {
+    fake, literal, scalar, body,
+    imports: () => [...imports].sort()
+  };
+}
+
+/**
+ * Coerce a fake value to what the Java type accepts (fake-data returns prices as
+ * strings, dates as full ISO instants, …). Unknown types yield null.
+ */
+function normalizeScalar(javaType, raw) {
+  const text = raw === null || raw === undefined ? '' : String(raw);
+  if (INTEGER_TYPES.has(javaType)) {
+    const n = Math.round(parseFloat(text));
+    return Number.isFinite(n) ? Math.min(Math.abs(n), 999999) : 1;
+  }
+  if (DECIMAL_TYPES.has(javaType)) {
+    const n = parseFloat(text);
+    return Number.isFinite(n) ? Math.round(Math.abs(n) * 100) / 100 : 1.5;
+  }
+  switch (javaType) {
+    case 'Boolean': case 'boolean': return typeof raw === 'boolean' ? raw : true;
+    case 'LocalDate': return (text.match(/^\d{4}-\d{2}-\d{2}/) || ['2024-01-15'])[0];
+    case 'LocalDateTime': return dateTimeOf(text);
+    case 'Instant': return `${dateTimeOf(text)}Z`;
+    case 'LocalTime': return (text.match(/^\d{2}:\d{2}:\d{2}/) || ['10:30:00'])[0];
+    case 'UUID': return UUID_PATTERN.test(text) ? text.toLowerCase() : '3f2c8a4e-6b1d-4c7a-9e5f-0a1b2c3d4e5f';
+    case 'String': return text || 'example';
+    default: return null;
+  }
+}
+
+function dateTimeOf(text) {
+  const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}:\d{2}))?/);
+  return match ? `${match[1]}T${match[2] || '10:30:00'}` : '2024-01-15T10:30:00';
+}
+
+/**
+ * Mockito argument matcher of a parameter type
+ */
+function matcherOf(javaType) {
+  return PRIMITIVE_MATCHERS[javaType] || 'any()';
+}
+
+/**
+ * Path segment of an id nobody has persisted, per id type
+ */
+function unknownIdOf(idType) {
+  if (idType === 'Long' || idType === 'Integer') return '999999';
+  return '00000000-0000-0000-0000-000000000000';
+}
+
+/**
+ * Guard of the domain method behind a transition use case (first transition declaring it)
+ */
+function guardOf(rootEntity, domainMethod) {
+  for (const field of rootEntity.fields.filter(f => f.transitionMeta)) {
+    const transition = field.transitionMeta.transitions.find(t => t.method === domainMethod);
+    if (transition) {
+      return guardInfo(transition);
+    }
+  }
+  return null;
+}
+
+function guardInfo(transition) {
+  if (!transition.guard) return null;
+  return typeof transition.guard === 'object'
+    ? { policy: transition.guard.className, name: transition.guard.policy }
+    : { expression: transition.guard };
+}
+
+/**
+ * Fixtures of a policy guard: the field values of one root that satisfies the policy and
+ * of one that violates it, found by evaluating its conditions (through allOf / anyOf) over
+ * candidate values of the fields they read. Returns null when the policy cannot be decided
+ * here: an expression: somewhere in it, or a condition on the enum under test, whose
+ * value is the parameter of the test.
+ *
+ * @returns {{ satisfied: Object, violated: Object }|null} Java literals by field name
+ */
+function policyFixturesOf(policyName, transitionField, rootEntity, specifications, allEnums, values) {
+  const byName = new Map(specifications.map(spec => [spec.name, spec]));
+  const policy = byName.get(policyName);
+  const conditions = [];
+  const decidable = spec => {
+    if (!spec || spec.expression) return false;
+    conditions.push(...spec.conditions);
+    return [...spec.allOf, ...spec.anyOf].every(ref => decidable(byName.get(ref.name)));
+  };
+  if (!decidable(policy) || conditions.some(c => c.field === transitionField.name)) return null;
+
+  const holds = (spec, fixture) => {
+    if (spec.allOf.length > 0) return spec.allOf.every(ref => holds(byName.get(ref.name), fixture));
+    if (spec.anyOf.length > 0) return spec.anyOf.some(ref => holds(byName.get(ref.name), fixture));
+    return spec.conditions.every(c => conditionHolds(c, fixture[c.field]));
+  };
+
+  const fields = [...new Set(conditions.map(c => c.field))].map(name => rootEntity.fields.find(f => f.name === name));
+  const candidates = fields.map(field => candidatesOf(field, conditions.filter(c => c.field === field.name), allEnums, values));
+  const combinations = candidates.reduce((n, list) => n * list.length, 1);
+
+  let satisfied = null;
+  let violated = null;
+  for (let k = 0; k < Math.min(combinations, MAX_GUARD_COMBINATIONS) && !(satisfied && violated); k++) {
+    const fixture = {};
+    let rest = k;
+    fields.forEach((field, idx) => {
+      fixture[field.name] = candidates[idx][rest % candidates[idx].length];
+      rest = Math.floor(rest / candidates[idx].length);
+    });
+    if (holds(policy, fixture)) satisfied = satisfied || fixture;
+    else violated = violated || fixture;
+  }
+  if (!satisfied || !violated) return null;
+
+  const literals = fixture => Object.fromEntries(fields.map(f => [f.name, values.literal(f, fixture[f.name])]));
+  return { satisfied: literals(satisfied), violated: literals(violated) };
+}
+
+/**
+ * Java semantics of one specification condition (DomainSpecification.java.ejs) over a raw value
+ */
+function conditionHolds(c, value) {
+  if (c.operator === 'isNull') return value === null;
+  if (c.operator === 'isNotNull') return value !== null;
+  if (value === null) return false;
+  const compare = other => compareRaw(c.javaType, value, other);
+  switch (c.operator) {
+    case 'equals': return compare(c.values[0]) === 0;
+    case 'notEquals': return compare(c.values[0]) !== 0;
+    case 'in': return c.values.some(v => compare(v) === 0);
+    case 'notIn': return !c.values.some(v => compare(v) === 0);
+    case 'greaterThan': return compare(c.values[0]) > 0;
+    case 'greaterThanOrEqual': return compare(c.values[0]) >= 0;
+    case 'lessThan': return compare(c.values[0]) < 0;
+    default: return compare(c.values[0]) <= 0;
+  }
+}
+
+function compareRaw(javaType, a, b) {
+  const sign = n => (n > 0 ? 1 : n < 0 ? -1 : 0);
+  if (INTEGER_TYPES.has(javaType) || DECIMAL_TYPES.has(javaType)) return sign(Number(a) - Number(b));
+  if (TEMPORAL_TYPES.has(javaType)) return sign(epochOf(javaType, a) - epochOf(javaType, b));
+  const [x, y] = javaType === 'UUID' ? [String(a).toLowerCase(), String(b).toLowerCase()] : [String(a), String(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function epochOf(javaType, text) {
+  if (javaType === 'LocalTime') {
+    const [h, m, sec = 0] = String(text).split(':').map(Number);
+    return (h * 3600 + m * 60 + sec) * 1000;
+  }
+  return Date.parse(javaType === 'LocalDateTime' ? `${text}Z` : text);
+}
+
+/**
+ * Values worth trying for a field read by guard conditions: null, a fake value, and each
+ * literal of the conditions with its neighbours above and below
+ */
+function candidatesOf(field, conditions, allEnums, values) {
+  const nullable = field.javaType.charAt(0) === field.javaType.charAt(0).toUpperCase();
+  let list;
+  if (field.isEnum) {
+    const enumDef = allEnums.find(e => e.name === field.javaType);
+    list = [...(enumDef ? enumDef.values : conditions.flatMap(c => c.values))];
+  } else if (field.javaType === 'Boolean' || field.javaType === 'boolean') {
+    list = [true, false];
+  } else {
+    list = [values.fake(field)];
+    conditions.forEach(c => c.values.forEach(v => list.push(v, stepOf(field.javaType, v, 1), stepOf(field.javaType, v, -1))));
+  }
+  if (nullable) list.unshift(null);
+  return [...new Map(list.filter(v => v !== undefined).map(v => [JSON.stringify(v), v])).values()];
+}
+
+function stepOf(javaType, value, direction) {
+  if (INTEGER_TYPES.has(javaType) || DECIMAL_TYPES.has(javaType)) {
+    const next = Number(value) + direction;
+    return javaType === 'BigDecimal' ? String(next) : next;
+  }
+  switch (javaType) {
+    case 'String': return direction > 0 ? `${value}z` : (String(value).length > 0 ? String(value).slice(0, -1) : undefined);
+    case 'LocalDate': return new Date(Date.parse(value) + direction * DAY_MS).toISOString().slice(0, 10);
+    case 'LocalDateTime': return new Date(Date.parse(`${value}Z`) + direction * DAY_MS).toISOString().slice(0, 19);
+    case 'Instant': return new Date(Date.parse(value) + direction * DAY_MS).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    case 'LocalTime': {
+      const seconds = epochOf('LocalTime', value) / 1000 + direction;
+      if (seconds < 0 || seconds >= 24 * 3600) return undefined;
+      return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60].map(n => String(n).padStart(2, '0')).join(':');
+    }
+    default: return undefined;
+  }
+}
+
+/**
+ * Constructor call building a valid instance of the root: the first subtype when the root
+ * is abstract, the creation constructor (persistable fixture) or the full constructor
+ * (every field, relationships null) otherwise.
+ *
+ * @param {Object} overrides - Java expressions replacing the literal of some fields
+ */
+function constructorCallOf(rootEntity, values, { full = false, overrides = {} } = {}) {
+  const subtype = (rootEntity.subtypes || [])[0];
+  const pick = fields => (full ? fields : fields.filter(isCreationField));
+  const fields = [...pick(rootEntity.fields), ...(subtype ? pick(subtype.fields) : [])];
+  const args = fields.map(f => {
+    if (f.name in overrides) return overrides[f.name];
+    // A soft-deleted fixture would hide the aggregate from every read
+    if (f.name === 'deletedAt') return 'null';
+    return values.literal(f, values.fake(f));
+  });
+  if (full) {
+    const rels = (rootEntity.relationships || []).filter(r => !r.isInverse && !r.isCollection);
+    args.splice(rootEntity.fields.length, 0, ...rels.map(() => 'null'));
+  }
+  return { className: subtype ? subtype.name : rootEntity.name, call: `new ${subtype ? subtype.name : rootEntity.name}(${args.join(', ')})` };
+}
+
+/**
+ * Generate the AbstractIntegrationTest base class of the project (once):
+ * @SpringBootTest + MockMvc on the "test" profile, with a Testcontainers database
+ * when testing.includeTestcontainers is enabled and the project does not run on H2.
+ */
+async function generateIntegrationTestBase(projectDir, packageName, databaseType, writeOptions = {}) {
+  if (!integrationTestsEnabled()) return null;
+  const destPath = path.join(projectDir, 'src', 'test', 'java', toPackagePath(packageName), 'AbstractIntegrationTest.java');
+  if (await fs.pathExists(destPath)) return null;
+
+  const testcontainer = defaults.testing.includeTestcontainers && ['postgresql', 'mysql'].includes(databaseType)
+    ? databaseType
+    : null;
+  await renderAndWrite(
+    path.join(TEMPLATES_DIR, 'AbstractIntegrationTest.java.ejs'),
+    destPath,
+    { packageName, testcontainer },
+    writeOptions
+  );
+  return destPath;
+}
+
+/**
+ * Generate the JUnit 5 tests of one aggregate:
+ * - {Root}Test — every enum transition, guard and can{Method}() of the root
+ * - {Handler}Test — Mockito unit test of each generated command/query handler
+ * - {Controller}IntegrationTest — @SpringBootTest + MockMvc over each endpoint
+ *
+ * @param {Object} aggregate - Parsed aggregate
+ * @param {Object} baseContext - Template context of the aggregate's CRUD templates
+ * @param {Object} plan
+ * @param {Array} plan.useCases - [{ useCase, classification, operation }] generated for the aggregate
+ * @param {Array} plan.controllers - [{ controllerName, packageSuffix, basePath, operations }]
+ * @param {Array} plan.allEnums - Enums visible to the aggregate
+ */
+async function generateAggregateTests(aggregate, baseContext, plan, generatedFiles, writeOptions = {}) {
+  if (!testsEnabled()) return;
+
+  const { packageName, moduleName, aggregateName, rootEntity } = baseContext;
+  const valueObjects = aggregate.valueObjects || [];
+  const testBasePath = path.join(process.cwd(), 'src', 'test', 'java', toPackagePath(packageName), moduleName);
+  const newValues = () => createValues(packageName, moduleName, plan.allEnums, valueObjects);
+
+  const write = async (template, relativePath, className, context) => {
+    await renderAndWrite(
+      path.join(TEMPLATES_DIR, template),
+      path.join(testBasePath, ...relativePath, `${className}.java`),
+      context, writeOptions
+    );
+    generatedFiles.push({ type: 'Test', name: className, path: `test/${moduleName}/${relativePath.join('/')}/${className}.java` });
+  };
+
+  initSeed(42);
+
+  // Domain: transitions, guards and can{Method}() of the root
+  const transitionFields = rootEntity.fields.filter(f => f.transitionMeta);
+  if (transitionFields.length > 0) {
+    const values = newValues();
+    // Policy guards get one factory of a root satisfying the policy and one violating it.
+    // Expression guards are plain Java: they are left without fixtures (and tests).
+    const guardFixturesOf = (transition, field) => {
+      const guard = guardInfo(transition);
+      const found = guard && guard.policy
+        ? policyFixturesOf(guard.name, field, rootEntity, baseContext.specifications || [], plan.allEnums, values)
+        : null;
+      if (!found) return guard;
+      const fixtureOf = (suffix, literals) => ({
+        factory: `${toCamelCase(aggregateName)}With${capitalize(field.name)}${suffix}${guard.name}`,
+        construction: constructorCallOf(rootEntity, values, { full: true, overrides: { ...literals, [field.name]: field.name } }).call
+      });
+      return { ...guard, fixtures: { satisfied: fixtureOf('Satisfying', found.satisfied), violated: fixtureOf('Violating', found.violated) } };
+    };
+    const fixtures = transitionFields.map(field => {
+      const meta = field.transitionMeta;
+      const methods = new Map();
+      meta.transitions.forEach(t => { if (t.method && !methods.has(t.method)) methods.set(t.method, t); });
+      return {
+        field: field.name,
+        fieldPascal: capitalize(field.name),
+        getter: getterOf(field.name),
+        enumType: field.javaType,
+        factory: `${toCamelCase(aggregateName)}With${capitalize(field.name)}`,
+        construction: constructorCallOf(rootEntity, values, { full: true, overrides: { [field.name]: field.name } }),
+        methods: Array.from(methods.values()).map(t => {
+          const valid = meta.enumValues.filter(state => (meta.transitionMap[state] || []).includes(t.to));
+          return {
+            name: t.method,
+            pascal: capitalize(t.method),
+            to: t.to,
+            toLabel: toPascalCase(t.to.toLowerCase()),
+            valid,
+            invalid: meta.enumValues.filter(state => !valid.includes(state)),
+            guard: guardFixturesOf(t, field)
+          };
+        })
+      };
+    });
+    await write('AggregateRootTest.java.ejs', ['domain', 'models', 'entities'], `${aggregateName}Test`, {
+      packageName, moduleName, aggregateName, fixtures,
+      hasGuardTests: fixtures.some(fx => fx.methods.some(m => m.guard && m.guard.fixtures)),
+      imports: values.imports()
+    });
+  }
+
+  // Application: one Mockito test per generated handler
+  for (const entry of plan.useCases) {
+    const handlerTest = buildHandlerTest(entry, baseContext, newValues());
+    if (handlerTest) {
+      await write(handlerTest.template, ['application', 'usecases'], `${handlerTest.handlerName}Test`, handlerTest.context);
+    }
+  }
+
+  // Infrastructure: MockMvc over every endpoint of each controller
+  if (!integrationTestsEnabled()) return;
+  for (const controller of plan.controllers) {
+    const values = newValues();
+    const operations = controller.operations
+      .map(op => buildEndpointCase(op, baseContext, values))
+      .filter(Boolean);
+    const className = `${controller.controllerName}IntegrationTest`;
+    await write('ControllerIntegrationTest.java.ejs', ['infrastructure', 'rest', 'controllers', ...controller.packageSuffix.split('.')], className, {
+      packageName, moduleName, aggregateName, className,
+      controllerPackage: `${packageName}.${moduleName}.infrastructure.rest.controllers.${controller.packageSuffix}`,
+      basePath: controller.basePath.replace(/\/+$/, ''),
+      fixture: constructorCallOf(rootEntity, values),
+      unknownId: unknownIdOf(baseContext.idType),
+      idJsonValue: INTEGER_TYPES.has(baseContext.idType) ? 'existing.getId()' : 'String.valueOf(existing.getId())',
+      operations,
+      imports: values.imports()
+    });
+  }
+}
+
+/**
+ * Unit test of the command handler generated for one listener (listeners: section).
+ * The handler is a stub without collaborators: the test builds the command from
+ * fake values of its fields and checks the handler accepts it.
+ *
+ * @param {Object} listener - Parsed listener (useCase, commandClassName, fields, event)
+ * @param {Object} ctx - { packageName, moduleName }
+ */
+async function generateListenerHandlerTest(listener, { packageName, moduleName }, generatedFiles, writeOptions = {}) {
+  if (!testsEnabled()) return;
+
+  initSeed(42);
+  const values = createValues(packageName, moduleName, [], []);
+  const args = (listener.fields || []).map(f => values.literal(f, values.fake(f)));
+  const { template, handlerName, context } = handlerTest('ListenerCommandHandlerTest.java.ejs', `${listener.useCase}CommandHandler`, {
+    packageName, moduleName,
+    event: listener.event,
+    useCase: listener.useCase,
+    commandClassName: listener.commandClassName,
+    args,
+    imports: values.imports()
+  });
+  const className = `${handlerName}Test`;
+  await renderAndWrite(
+    path.join(TEMPLATES_DIR, template),
+    path.join(process.cwd(), 'src', 'test', 'java', toPackagePath(packageName), moduleName, 'application', 'usecases', `${className}.java`),
+    context, writeOptions
+  );
+  generatedFiles.push({ type: 'Test', name: className, path: `test/${moduleName}/application/usecases/${className}.java` });
+}
+
+/**
+ * Context of the unit test of one handler, or null when the use case has no handler to test
+ */
+function buildHandlerTest({ useCase, classification: cl, operation }, ctx, values) {
+  const { aggregateName, aggregateNamePlural, rootEntity, idType } = ctx;
+  const idLiteral = values.scalar(idType, generateFakeId(idType));
+  const common = { ...ctx, useCaseName: useCase, idLiteral };
+
+  if (cl.category === 'standard') {
+    const nullRels = [...ctx.oneToManyRelationships, ...ctx.oneToOneRelationships].map(() => 'null');
+
+    if (cl.variant === 'create') {
+      const subtype = ctx.subtypes[0];
+      const fields = [...ctx.commandFields, ...(subtype ? ctx.subtypeCommandFields : [])];
+      const fieldValues = fields.map(f => values.literal(f, values.fake(f)));
+      const args = [...(subtype ? [JSON.stringify(subtype.discriminatorValue)] : []), ...fieldValues, ...nullRels];
+      return handlerTest('CreateCommandHandlerTest.java.ejs', `Create${aggregateName}CommandHandler`, {
+        ...common, args, subtype,
+        unknownDiscriminatorArgs: subtype ? ['"UNKNOWN"', ...fieldValues, ...nullRels] : null,
+        assertedFields: ctx.commandFields.filter(f => !f.originalVoType && !f.isCollection).map(f => ({ name: f.name, getter: getterOf(f.name) })),
+        imports: values.imports()
+      });
+    }
+
+    if (cl.variant === 'update') {
+      const args = [
+        'ID',
+        ...(ctx.versioned ? ['null'] : []),
+        ...ctx.commandFields.map(f => values.literal(f, values.fake(f))),
+        ...nullRels
+      ];
+      const viaUpdateMethod = ((ctx.lifecycleEventsMap || {}).update || []).length > 0 || ctx.subtypes.length > 0;
+      const commandFieldNames = new Set(ctx.commandFields.filter(f => !f.originalVoType).map(f => f.name));
+      return handlerTest('UpdateCommandHandlerTest.java.ejs', `Update${aggregateName}CommandHandler`, {
+        ...common, args,
+        usesMapper: ctx.commandFields.some(f => f.originalVoType),
+        versionedArgs: ctx.versioned ? ['ID', '1L', ...args.slice(2)] : null,
+        viaUpdateMethod,
+        updateMatchers: rootEntity.fields.filter(isCreationField)
+          .map(f => (commandFieldNames.has(f.name) ? `eq(command.${f.name}())` : 'isNull()')),
+        assertedFields: ctx.commandFields.filter(f => !f.originalVoType && !f.isCollection).map(f => ({ name: f.name, getter: getterOf(f.name) })),
+        imports: values.imports()
+      });
+    }
+
+    if (cl.variant === 'delete') {
+      const deleteMode = ctx.hasSoftDelete ? 'soft' : (ctx.lifecycleEventsMap || {}).delete ? 'lifecycle' : 'plain';
+      return handlerTest('DeleteCommandHandlerTest.java.ejs', `Delete${aggregateName}CommandHandler`, {
+        ...common, deleteMode, imports: values.imports()
+      });
+    }
+
+    if (cl.variant === 'getById') {
+      return handlerTest('GetQueryHandlerTest.java.ejs', `Get${aggregateName}QueryHandler`, {
+        ...common, imports: values.imports()
+      });
+    }
+
+    // Query components of the list filters and named specifications (all null),
+    // and one matcher per repository criteria argument ({Root}Filter, specifications)
+    const hasListFilters = (rootEntity.listFilters || []).length > 0;
+    const hasFilterableSpecs = (ctx.specifications || []).some(s => s.filterable);
+    const filterArgs = [...(rootEntity.listFilters || []).map(() => 'null'), ...(hasFilterableSpecs ? ['null'] : [])];
+    const criteriaMatchers = [...(hasListFilters ? ['any()'] : []), ...(hasFilterableSpecs ? ['any()'] : [])];
+
+    if (cl.variant === 'findAll' && ctx.cursorPagination) {
+      const keyLiterals = ctx.cursorPagination.keys.map(k => {
+        const field = rootEntity.fields.find(f => f.name === k.name);
+        return values.literal(field, values.fake(field));
+      });
+      return handlerTest('CursorListQueryHandlerTest.java.ejs', `FindAll${aggregateNamePlural}QueryHandler`, {
+        ...common,
+        keys: ctx.cursorPagination.keys.map((k, idx) => ({ ...k, literal: keyLiterals[idx] })),
+        filterArgs, criteriaMatchers,
+        imports: values.imports()
+      });
+    }
+
+    if (cl.variant === 'findAll') {
+      const sortable = rootEntity.sortableFields || [];
+      return handlerTest('ListQueryHandlerTest.java.ejs', `FindAll${aggregateNamePlural}QueryHandler`, {
+        ...common, filterArgs, criteriaMatchers,
+        sortBy: sortable.length > 0 ? sortable[0] : 'id',
+        restrictsSort: sortable.length > 0,
+        imports: values.imports()
+      });
+    }
+    return null;
+  }
+
+  if (cl.category === 'transition') {
+    return handlerTest('TransitionCommandHandlerTest.java.ejs', `${useCase}CommandHandler`, {
+      ...common, domainMethod: cl.domainMethod, enumName: cl.enumName, imports: values.imports()
+    });
+  }
+
+  if (cl.category === 'subEntityAdd') {
+    const entityFields = cl.entityFields || [];
+    return handlerTest('SubEntityAddCommandHandlerTest.java.ejs', `${useCase}CommandHandler`, {
+      ...common,
+      entityName: cl.entityName,
+      addMethodName: cl.addMethodName,
+      args: ['ID', ...entityFields.map(f => values.literal(f, values.fake(f)))],
+      assertedFields: entityFields.filter(f => !f.originalVoType && !f.isCollection).map(f => ({ name: f.name, getter: getterOf(f.name) })),
+      imports: values.imports()
+    });
+  }
+
+  if (cl.category === 'subEntityRemove') {
+    const itemIdType = cl.itemIdType || 'String';
+    return handlerTest('SubEntityRemoveCommandHandlerTest.java.ejs', `${useCase}CommandHandler`, {
+      ...common,
+      removeMethodName: cl.removeMethodName,
+      itemIdType,
+      itemIdLiteral: values.scalar(itemIdType, generateFakeId(itemIdType)),
+      imports: values.imports()
+    });
+  }
+
+  if (cl.category === 'findBy') {
+    const params = cl.params.map(p => {
+      const field = rootEntity.fields.find(f => f.name === p.name && f.javaType === p.javaType) || { name: p.name, javaType: p.javaType };
+      return { ...p, literal: values.literal(field, values.fake(field)), matcher: matcherOf(p.javaType) };
+    });
+    return handlerTest('FindByQueryHandlerTest.java.ejs', `${useCase}QueryHandler`, {
+      ...common,
+      params,
+      returns: cl.returns,
+      jpaMethodName: cl.jpaMethodName,
+      imports: values.imports()
+    });
+  }
+
+  if (cl.category === 'scaffold' && operation) {
+    const hasPathVar = Boolean(operation.path && operation.path.includes('{'));
+    const type = operation.type || (operation.method === 'GET' ? 'query' : 'command');
+    return handlerTest('ScaffoldHandlerTest.java.ejs', `${useCase}${type === 'query' ? 'Query' : 'Command'}Handler`, {
+      ...common, type, hasPathVar, imports: values.imports()
+    });
+  }
+  return null;
+}
+
+function handlerTest(template, handlerName, context) {
+  return { template, handlerName, context: { ...context, handlerName } };
+}
+
+/**
+ * MockMvc case of one controller operation, or null when the operation has no use case of its own
+ */
+function buildEndpointCase(op, ctx, values) {
+  const cl = op.classification || { category: 'scaffold' };
+  const kind = cl.category === 'standard' ? cl.variant : cl.category;
+  const status = HTTP_STATUS_CODES[op.httpStatus] || 200;
+  const opPath = (op.path || '').replace(/^\/*/, '/').replace(/\/+$/, '');
+  const pathExpr = opPath ? `BASE_PATH + "${opPath}"` : 'BASE_PATH';
+  const pathVars = (op.path || '').match(/\{[^}]+\}/g) || [];
+  const unknownItemId = JSON.stringify(unknownIdOf(cl.itemIdType || 'String'));
+  const base = {
+    kind,
+    testName: toCamelCase(op.useCase),
+    httpMethod: (op.method || 'GET').toLowerCase(),
+    pathExpr,
+    status,
+    // First path variable is the aggregate id, further ones (sub-entity ids) get unknown values
+    uriVars: pathVars.map((_, idx) => (idx === 0 ? 'existing.getId()' : unknownItemId)),
+    unknownUriVars: pathVars.map((_, idx) => (idx === 0 ? 'UNKNOWN_ID' : unknownItemId))
+  };
+
+  switch (kind) {
+    case 'create': {
+      const subtype = ctx.subtypes[0];
+      const extra = subtype ? { [ctx.inheritance.discriminator.property]: subtype.discriminatorValue } : {};
+      const fields = [...ctx.commandFields, ...(subtype ? subtype.commandFields : [])];
+      return { ...base, body: values.body(fields, ctx.oneToManyRelationships, extra) };
+    }
+    case 'update':
+      return { ...base, body: values.body(ctx.commandFields) };
+    case 'getById':
+    case 'delete':
+    case 'subEntityRemove':
+      return base;
+    case 'findAll':
+      return { ...base, cursor: Boolean(op.cursor) };
+    case 'transition':
+      return { ...base, canMethod: `can${capitalize(cl.domainMethod)}`, guard: guardOf(ctx.rootEntity, cl.domainMethod) };
+    case 'subEntityAdd':
+      return { ...base, body: values.body(cl.entityFields || []) };
+    case 'findBy': {
+      // Parameters naming a root field take the value of the persisted fixture
+      const params = cl.params.map(p => {
+        const field = ctx.rootEntity.fields.find(f => f.name === p.name && f.javaType === p.javaType && !f.isValueObject && !f.isCollection);
+        return {
+          name: p.name,
+          value: field ? `String.valueOf(existing.${getterOf(field.name)}())` : JSON.stringify(String(normalizeScalar(p.javaType, generateFakeValue(p)) ?? ''))
+        };
+      });
+      const matchesFixture = params.every(p => p.value.startsWith('String.valueOf('));
+      return { ...base, params, returns: cl.returns, matchesFixture };
+    }
+    default:
+      return { ...base, kind: 'scaffold', useCase: op.useCase };
+  }
+}
+
+module.exports = {
+  generateIntegrationTestBase,
+  generateAggregateTests,
+  generateListenerHandlerTest
+};
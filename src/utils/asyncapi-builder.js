@@ -0,0 +1,363 @@
+'use strict';
+
+const { toPascalCase, toCamelCase, toSnakeCase } = require('./naming');
+const { SchemaRegistry } = require('./java-json-schema');
+
+/**
+ * AsyncAPI 3.0 document of the async contracts of a system (or of one module):
+ *
+ *   channels    — one per topic (Kafka, with messaging.kafka.topicPrefix) or, for RabbitMQ,
+ *                 one per exchange + routing key and one per consumer queue
+ *   operations  — send for every events[] entry of a producer module, receive for every
+ *                 listeners[] / readModels[].syncedBy[] entry and system.yaml consumer
+ *   messages    — the EventEnvelope published on the wire: metadata + the event fields
+ *
+ * Event payloads come from the producer's events[].fields; a consumer whose producer is
+ * not part of the design falls back to its listeners[].fields and nestedTypes.
+ */
+
+const ASYNCAPI_VERSION = '3.0.0';
+
+const EVENT_METADATA_SCHEMA = {
+  type: 'object',
+  required: ['eventId', 'eventType', 'version', 'timestamp'],
+  properties: {
+    eventId: { type: 'string', format: 'uuid' },
+    eventType: { type: 'string', description: 'Topic or routing key the event was published to' },
+    version: { type: 'integer', minimum: 1, description: 'Version of the data payload (events[].version)' },
+    timestamp: { type: 'string', description: 'ISO-8601 local date-time of publication' },
+    correlationId: { type: 'string' },
+    source: { type: 'string' },
+  },
+};
+
+/**
+ * @param {{ systemConfig: object, domainConfigs: Record<string, object> }} design
+ * @param {object} [options]
+ * @param {string} [options.module]  - Only the channels and operations of this module
+ * @param {string} [options.version] - info.version (default 1.0.0)
+ * @returns {object} AsyncAPI document
+ */
+function buildAsyncApi({ systemConfig, domainConfigs }, options = {}) {
+  const system = systemConfig.system || {};
+  const messaging = systemConfig.messaging || {};
+  const broker = messaging.broker === 'rabbitmq' ? 'rabbitmq' : 'kafka';
+  const appName = system.name || 'eva4j-system';
+  const only = options.module || null;
+
+  const registry = new SchemaRegistry(domainConfigs);
+  const { producers, consumers } = collectAsyncContracts(systemConfig, domainConfigs);
+  const producerByEvent = new Map(producers.map((p) => [p.event, p]));
+
+  const doc = {
+    asyncapi: ASYNCAPI_VERSION,
+    info: buildInfo(systemConfig, only, options.version),
+    defaultContentType: 'application/json',
+    servers: buildServers(broker, messaging),
+    channels: {},
+    operations: {},
+    components: { messages: {}, schemas: {} },
+  };
+
+  const messageRef = (eventName, consumer) => {
+    if (!doc.components.messages[eventName]) {
+      doc.components.messages[eventName] = buildMessage(eventName, producerByEvent.get(eventName), consumer, registry);
+    }
+    return { $ref: `#/components/messages/${eventName}` };
+  };
+
+  const eventChannel = (entry) => {
+    const id = toCamelCase(entry.topic.toLowerCase());
+    if (!doc.channels[id]) {
+      doc.channels[id] = broker === 'kafka'
+        ? kafkaChannel(entry, messaging)
+        : rabbitExchangeChannel(entry, messaging);
+      doc.channels[id].messages = {};
+    }
+    doc.channels[id].messages[entry.event] = messageRef(entry.event, entry);
+    return id;
+  };
+
+  for (const producer of producers) {
+    if (only && producer.module !== only) continue;
+    const channelId = eventChannel(producer);
+    doc.operations[`publish${producer.event}`] = {
+      action: 'send',
+      channel: { $ref: `#/channels/${channelId}` },
+      summary: `${producer.module} publishes ${producer.event}`,
+      ...(producer.description ? { description: producer.description } : {}),
+      tags: [{ name: producer.module }],
+      messages: [{ $ref: `#/channels/${channelId}/messages/${producer.event}` }],
+    };
+  }
+
+  for (const consumer of consumers) {
+    if (only && consumer.module !== only) continue;
+    let channelId = eventChannel(consumer);
+    if (broker === 'rabbitmq') {
+      const exchangeChannelId = channelId;
+      channelId = `${toCamelCase(consumer.module)}${toPascalCase(consumer.topic.toLowerCase())}Queue`;
+      doc.channels[channelId] = rabbitQueueChannel(consumer, doc.channels[exchangeChannelId], messaging);
+      doc.channels[channelId].messages = { [consumer.event]: messageRef(consumer.event, consumer) };
+    }
+
+    const operation = {
+      action: 'receive',
+      channel: { $ref: `#/channels/${channelId}` },
+      summary: consumer.readModel
+        ? `${consumer.module} syncs ${consumer.readModel} from ${consumer.event}${consumer.action ? ` (${consumer.action})` : ''}`
+        : `${consumer.module} consumes ${consumer.event}${consumer.useCase ? ` and dispatches ${consumer.useCase}` : ''}`,
+      tags: [{ name: consumer.module }],
+      messages: [{ $ref: `#/channels/${channelId}/messages/${consumer.event}` }],
+    };
+    if (broker === 'kafka') {
+      operation.bindings = {
+        kafka: { groupId: { type: 'string', enum: [`${appName}-${toCamelCase(consumer.module)}-group`] }, bindingVersion: '0.5.0' },
+      };
+    }
+    const suffix = consumer.readModel ? `For${consumer.readModel}` : '';
+    doc.operations[`${toCamelCase(consumer.module)}Receive${consumer.event}${suffix}`] = operation;
+  }
+
+  doc.components.schemas = { EventMetadata: EVENT_METADATA_SCHEMA, ...registry.schemas };
+  return doc;
+}
+
+// ── Contracts ────────────────────────────────────────────────────────────────
+
+/**
+ * Producers and consumers of integration events across the design.
+ *
+ * @returns {{ producers: object[], consumers: object[] }}
+ *   producers — [{ module, producer, aggregate, event, topic, version, fields, description }]
+ *   consumers — [{ module, event, topic, producer, useCase?, readModel?, action?, fields?, queue? }]
+ */
+function collectAsyncContracts(systemConfig, domainConfigs) {
+  const asyncIntegrations = ((systemConfig.integrations || {}).async || []).filter((i) => i && i.event);
+  const integrationByEvent = new Map(asyncIntegrations.map((i) => [i.event, i]));
+
+  const producers = [];
+  for (const [moduleName, config] of Object.entries(domainConfigs)) {
+    for (const agg of (config && config.aggregates) || []) {
+      for (const ev of agg.events || []) {
+        if (!ev || !ev.name) continue;
+        const integration = integrationByEvent.get(ev.name) || {};
+        producers.push({
+          module: moduleName,
+          producer: moduleName,
+          aggregate: agg.name,
+          event: ev.name,
+          topic: ev.topic || integration.topic || defaultTopic(ev.name),
+          exchange: integration.exchange || null,
+          routingKey: integration.routingKey || null,
+          version: Number.isInteger(ev.version) ? ev.version : 1,
+          fields: ev.fields || [],
+          description: ev.description || null,
+        });
+      }
+    }
+  }
+  const producerByEvent = new Map(producers.map((p) => [p.event, p]));
+
+  // Topic, exchange and routing key a consumer reads: its own declaration first,
+  // then system.yaml, then the producer's event.
+  const resolve = (eventName, topic, producerModule) => {
+    const integration = integrationByEvent.get(eventName) || {};
+    const producer = producerByEvent.get(eventName);
+    return {
+      topic: topic || integration.topic || (producer && producer.topic) || defaultTopic(eventName),
+      producer: producerModule || integration.producer || (producer && producer.module) || null,
+      exchange: integration.exchange || null,
+      routingKey: integration.routingKey || null,
+    };
+  };
+
+  const consumers = [];
+  const seen = new Set();
+  for (const [moduleName, config] of Object.entries(domainConfigs)) {
+    for (const listener of (config && config.listeners) || []) {
+      if (!listener || !listener.event) continue;
+      seen.add(`${moduleName}|${listener.event}`);
+      consumers.push({
+        module: moduleName,
+        event: listener.event,
+        ...resolve(listener.event, listener.topic, listener.producer),
+        useCase: listener.useCase || null,
+        fields: listener.fields || [],
+      });
+    }
+    for (const rm of (config && config.readModels) || []) {
+      for (const sync of (rm && rm.syncedBy) || []) {
+        if (!sync || !sync.event) continue;
+        seen.add(`${moduleName}|${sync.event}`);
+        consumers.push({
+          module: moduleName,
+          event: sync.event,
+          ...resolve(sync.event, sync.topic, rm.source && rm.source.module),
+          readModel: rm.name,
+          action: sync.action ? String(sync.action).toUpperCase() : null,
+        });
+      }
+    }
+  }
+
+  // Consumers system.yaml declares without a listener in the module YAML
+  for (const integration of asyncIntegrations) {
+    for (const c of integration.consumers || []) {
+      const moduleName = typeof c === 'string' ? c : c.module;
+      if (!moduleName || seen.has(`${moduleName}|${integration.event}`)) continue;
+      consumers.push({
+        module: moduleName,
+        event: integration.event,
+        ...resolve(integration.event, null, integration.producer),
+        useCase: (typeof c === 'object' && c.useCase) || null,
+        readModel: (typeof c === 'object' && c.readModel) || null,
+      });
+    }
+  }
+
+  // Queue names declared in system.yaml (consumers[].queue)
+  for (const consumer of consumers) {
+    const integration = integrationByEvent.get(consumer.event);
+    const declared = integration && (integration.consumers || [])
+      .find((c) => typeof c === 'object' && c.module === consumer.module && c.queue);
+    consumer.queue = declared ? declared.queue : null;
+  }
+
+  return { producers, consumers };
+}
+
+/** ProductPublishedEvent → PRODUCT_PUBLISHED, as the broker generators derive it. */
+function defaultTopic(eventName) {
+  const base = eventName.endsWith('Event') ? eventName.slice(0, -'Event'.length) : eventName;
+  return toSnakeCase(base).toUpperCase();
+}
+
+// ── Document parts ───────────────────────────────────────────────────────────
+
+function buildInfo(systemConfig, moduleName, version) {
+  const system = systemConfig.system || {};
+  const title = system.name || 'eva4j system';
+  if (moduleName) {
+    const mod = (systemConfig.modules || []).find((m) => m && m.name === moduleName) || {};
+    return {
+      title: `${title} — ${moduleName}`,
+      version: version || '1.0.0',
+      ...(mod.description ? { description: mod.description } : {}),
+    };
+  }
+  const modules = (systemConfig.modules || []).filter((m) => m && m.name).map((m) => m.name);
+  return {
+    title,
+    version: version || '1.0.0',
+    ...(modules.length > 0 ? { description: `Integration events between the modules of ${title}: ${modules.join(', ')}.` } : {}),
+  };
+}
+
+function buildServers(broker, messaging) {
+  if (broker === 'kafka') {
+    const kafka = messaging.kafka || {};
+    return { kafka: { host: kafka.bootstrapServers || 'localhost:9092', protocol: 'kafka' } };
+  }
+  const rabbit = messaging.rabbitmq || {};
+  return {
+    rabbitmq: {
+      host: `${rabbit.host || 'localhost'}:${rabbit.port || 5672}`,
+      protocol: 'amqp',
+      ...(rabbit.virtualHost ? { pathname: rabbit.virtualHost } : {}),
+    },
+  };
+}
+
+/** Topic address with messaging.kafka.topicPrefix, unless the topic already carries it. */
+function kafkaAddress(topic, messaging) {
+  const prefix = (messaging.kafka || {}).topicPrefix;
+  return prefix && !topic.startsWith(`${prefix}.`) ? `${prefix}.${topic}` : topic;
+}
+
+function kafkaChannel(entry, messaging) {
+  const address = kafkaAddress(entry.topic, messaging);
+  return {
+    address,
+    title: entry.topic,
+    bindings: { kafka: { topic: address, bindingVersion: '0.5.0' } },
+  };
+}
+
+/**
+ * Exchange and routing key as generate-rabbitmq-event names them:
+ * <producer>.events and ORDER_PLACED → order.placed.
+ */
+function rabbitExchangeChannel(entry, messaging) {
+  const exchange = entry.exchange || `${toCamelCase(entry.producer || entry.module)}.events`;
+  const routingKey = entry.routingKey || entry.topic.toLowerCase().replace(/_/g, '.');
+  const rabbit = messaging.rabbitmq || {};
+  return {
+    address: routingKey,
+    title: entry.topic,
+    bindings: {
+      amqp: {
+        is: 'routingKey',
+        exchange: { name: exchange, type: rabbit.exchangeType || 'topic', durable: true, autoDelete: false, vhost: rabbit.virtualHost || '/' },
+        bindingVersion: '0.3.0',
+      },
+    },
+  };
+}
+
+/** Consumer queue bound to the event's exchange: <consumer>.<topic-kebab> by default. */
+function rabbitQueueChannel(consumer, exchangeChannel, messaging) {
+  const queue = consumer.queue || `${toCamelCase(consumer.module)}.${consumer.topic.toLowerCase().replace(/_/g, '-')}`;
+  const rabbit = messaging.rabbitmq || {};
+  const exchange = exchangeChannel.bindings.amqp.exchange.name;
+  return {
+    address: queue,
+    title: `${consumer.module} ← ${consumer.topic}`,
+    description: `Bound to exchange ${exchange} with routing key ${exchangeChannel.address}.`,
+    bindings: {
+      amqp: {
+        is: 'queue',
+        queue: { name: queue, durable: true, exclusive: false, autoDelete: false, vhost: rabbit.virtualHost || '/' },
+        bindingVersion: '0.3.0',
+      },
+    },
+  };
+}
+
+/**
+ * The EventEnvelope of an event: { metadata, data }. The data schema is the producer's
+ * events[].fields, or the consumer's listeners[].fields when the producer is unknown.
+ */
+function buildMessage(eventName, producer, consumer, registry) {
+  let data;
+  if (producer) {
+    data = registry.define(eventName, registry.objectSchema(producer.module, producer.fields));
+  } else if (consumer && consumer.fields && consumer.fields.length > 0) {
+    data = registry.define(eventName, registry.objectSchema(consumer.module, consumer.fields));
+  } else {
+    data = registry.define(eventName, { type: 'object', description: 'Fields not declared in the design' });
+  }
+
+  const version = producer ? producer.version : 1;
+  return {
+    name: eventName,
+    title: eventName,
+    contentType: 'application/json',
+    ...(producer ? { summary: `Published by ${producer.module} (${producer.aggregate} aggregate)` } : {}),
+    payload: {
+      type: 'object',
+      required: ['metadata', 'data'],
+      properties: {
+        metadata: { $ref: '#/components/schemas/EventMetadata' },
+        data,
+      },
+    },
+    'x-event-version': version,
+  };
+}
+
+module.exports = {
+  ASYNCAPI_VERSION,
+  buildAsyncApi,
+  collectAsyncContracts,
+};
@@ -586,7 +586,9 @@ function generateModuleBlueprint(moduleName, config, opts = {}) {
     for (const en of agg.enums || []) {
       for (const tr of en.transitions || []) {
         const froms = Array.isArray(tr.from) ? tr.from : [tr.from];
-        allTransitions.push({ method: tr.method, froms, to: tr.to, guard: tr.guard, enum: en.name });
+        // guard is a Java expression or { policy: <name> }
+        const guard = tr.guard && typeof tr.guard === 'object' ? `policy ${tr.guard.policy}` : tr.guard;
+        allTransitions.push({ method: tr.method, froms, to: tr.to, guard, enum: en.name });
       }
     }
     for (const ev of agg.events || []) {
@@ -116,6 +116,29 @@ class ChecksumManager {
     this._pending[key] = hash;
   }
 
+  /**
+   * Tracked paths whose file no longer exists on disk.
+   * @returns {Promise<string[]>}
+   */
+  async missingEntries() {
+    const missing = [];
+    for (const key of Object.keys(this._checksums)) {
+      if (!(await fs.pathExists(key))) missing.push(key);
+    }
+    return missing;
+  }
+
+  /**
+   * Stop tracking the given paths. Call save() to persist.
+   * @param {string[]} keys  Keys as returned by missingEntries()
+   */
+  forget(keys) {
+    for (const key of keys) {
+      delete this._checksums[key];
+      delete this._pending[key];
+    }
+  }
+
   /**
    * Persist the updated checksums (merging pending writes) to disk.
    */
@@ -128,3 +151,4 @@ class ChecksumManager {
 }
 
 module.exports = ChecksumManager;
+module.exports.CHECKSUMS_FILE = CHECKSUMS_FILE;
@@ -81,6 +81,26 @@ class ConfigManager {
     return config;
   }
 
+  /**
+   * Remove a module from the project configuration (metadata only, no files are touched)
+   * @param {string} moduleName - Name of the module
+   * @returns {boolean} True if the module was registered and has been removed
+   */
+  async removeModule(moduleName) {
+    const config = await this.loadProjectConfig();
+    if (!config) {
+      throw new Error('Project configuration not found. Are you in an eva4j project?');
+    }
+
+    const before = config.modules.length;
+    config.modules = config.modules.filter(module => module.name !== moduleName);
+    if (config.modules.length === before) return false;
+
+    config.updatedAt = new Date().toISOString();
+    await fs.writeJson(this.configFile, config, { spaces: 2 });
+    return true;
+  }
+
   /**
    * Check if a module exists in the project
    * @param {string} moduleName - Name of the module to check
@@ -103,6 +123,15 @@ class ConfigManager {
     return config ? config.modules : [];
   }
 
+  /**
+   * Get the custom validation rule modules listed in .eva4j.json (validationPlugins)
+   * @returns {Array<string>} Paths relative to the project root
+   */
+  async getValidationPlugins() {
+    const config = await this.loadProjectConfig();
+    return (config && config.validationPlugins) || [];
+  }
+
   /**
    * Check if .eva4j.json exists in the project
    * @returns {boolean} True if config file exists
@@ -0,0 +1,721 @@
+'use strict';
+
+/**
+ * Database schema → domain.yaml inference for `eva import db`.
+ *
+ * Tables become entities and are grouped into aggregates by FK ownership: a
+ * table whose FK to another table is `ON DELETE CASCADE` (or NOT NULL, with the
+ * table name prefixed by the parent's) belongs to the parent's aggregate. The
+ * remaining FKs become cross-aggregate `reference:` fields. Whatever cannot be
+ * mapped unambiguously is kept as a `# TODO:` comment next to the node it concerns.
+ */
+
+const { Notes, toEnumConstant } = require('./domain-yaml-writer');
+const {
+  toPascalCase,
+  toCamelCase,
+  toSnakeCase,
+  singularizeWord,
+} = require('./naming');
+
+const STRING_TYPES = /^(CHARACTER VARYING|VARCHAR|NVARCHAR|VARCHAR2|CHARACTER|CHAR|NCHAR|BPCHAR|TEXT|TINYTEXT|MEDIUMTEXT|LONGTEXT|CITEXT|CLOB|NAME)$/;
+const INTEGER_TYPES = /^(INTEGER|INT|INT4|SERIAL|SERIAL4|MEDIUMINT|SMALLINT|INT2|SMALLSERIAL|SERIAL2|TINYINT)$/;
+const LONG_TYPES = /^(BIGINT|INT8|BIGSERIAL|SERIAL8)$/;
+const DECIMAL_TYPES = /^(NUMERIC|DECIMAL|DEC|MONEY|NUMBER)$/;
+const DOUBLE_TYPES = /^(REAL|FLOAT|FLOAT4|FLOAT8|DOUBLE|DOUBLE PRECISION)$/;
+const BINARY_TYPES = /^(BYTEA|BLOB|TINYBLOB|MEDIUMBLOB|LONGBLOB|BINARY|VARBINARY)$/;
+
+const JAVA_KEYWORDS = new Set([
+  'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue',
+  'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'goto',
+  'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new',
+  'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'super', 'switch',
+  'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'void', 'volatile', 'while',
+]);
+
+const COMPARISONS = new Set(['>', '>=', '<', '<=']);
+const LENGTH_FUNCTIONS = new Set(['LENGTH', 'CHAR_LENGTH', 'CHARACTER_LENGTH']);
+
+// ── Naming ───────────────────────────────────────────────────────────────────
+
+/** Field name of a column: `customer_id` → `customerId`, `ORDER_ID` → `orderId`. */
+function fieldName(column) {
+  return toCamelCase(/[a-z]/.test(column) ? column : column.toLowerCase());
+}
+
+/** Entity name of a table: `order_items` → `OrderItem`. */
+function entityName(table) {
+  return toPascalCase(singularizeWord(toPascalCase(/[a-z]/.test(table) ? table : table.toLowerCase())));
+}
+
+/** Column the generated JPA entity maps a field to (see the @Column of the templates). */
+function jpaColumn(name) {
+  return name.replace(/([A-Z])/g, '_$1').toLowerCase();
+}
+
+function isIdentifier(name) {
+  return /^[a-z][A-Za-z0-9]*$/.test(name) && !JAVA_KEYWORDS.has(name);
+}
+
+// ── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * Java type of a column: `{ type, length, integral, note }`. Constructs without a
+ * domain.yaml equivalent fall back to String with a note.
+ */
+function javaType(column) {
+  const base = column.type.replace(/\s+(WITH|WITHOUT) TIME ZONE$/, '');
+  const withZone = /WITH TIME ZONE$/.test(column.type) || base === 'TIMESTAMPTZ';
+  let result;
+
+  if (STRING_TYPES.test(base)) {
+    result = { type: 'String', length: /TEXT|CLOB|NAME/.test(base) ? null : column.args[0] || null };
+  } else if (base === 'TINYINT' && column.args[0] === 1) {
+    result = { type: 'Boolean' };
+  } else if (INTEGER_TYPES.test(base)) {
+    result = { type: 'Integer', integral: true };
+  } else if (LONG_TYPES.test(base) || (base === 'INT UNSIGNED' || base === 'INTEGER UNSIGNED')) {
+    result = { type: 'Long', integral: true };
+  } else if (/UNSIGNED$/.test(base) && INTEGER_TYPES.test(base.replace(/\s+UNSIGNED$/, ''))) {
+    result = { type: 'Integer', integral: true };
+  } else if (/UNSIGNED$/.test(base) && LONG_TYPES.test(base.replace(/\s+UNSIGNED$/, ''))) {
+    result = { type: 'Long', integral: true, note: `${column.type} puede superar Long.MAX_VALUE` };
+  } else if (DECIMAL_TYPES.test(base)) {
+    result = column.args.length > 0 && column.args[1] === 0 && column.args[0] <= 18
+      ? { type: column.args[0] <= 9 ? 'Integer' : 'Long', integral: true }
+      : { type: 'BigDecimal' };
+  } else if (DOUBLE_TYPES.test(base)) {
+    result = { type: 'Double' };
+  } else if (base === 'BOOLEAN' || base === 'BOOL' || (base === 'BIT' && (column.args[0] || 1) === 1)) {
+    result = { type: 'Boolean' };
+  } else if (base === 'DATE') {
+    result = { type: 'LocalDate' };
+  } else if (base === 'TIMESTAMP' || base === 'TIMESTAMPTZ' || base === 'DATETIME' || base === 'DATETIME2') {
+    result = { type: withZone ? 'Instant' : 'LocalDateTime' };
+  } else if (base === 'TIME' || base === 'TIMETZ') {
+    result = { type: 'LocalTime' };
+  } else if (base === 'UUID' || base === 'UNIQUEIDENTIFIER') {
+    result = { type: 'UUID' };
+  } else if (base === 'JSON' || base === 'JSONB') {
+    result = { type: 'String', note: `columna ${column.type}: se importa como String — modela su contenido como value object si tiene estructura fija` };
+  } else if (BINARY_TYPES.test(base)) {
+    result = (base === 'BINARY' && column.args[0] === 16)
+      ? { type: 'UUID', note: 'BINARY(16) se interpreta como UUID: comprueba cómo se almacena' }
+      : { type: 'String', note: `columna binaria ${column.type}: domain.yaml no tiene un tipo para bytes` };
+  } else {
+    result = { type: 'String', note: `tipo SQL ${column.type || '(sin tipo)'} sin equivalente: se importa como String` };
+  }
+
+  if (column.array) {
+    return { type: `List<${result.type}>`, note: result.note };
+  }
+  return result;
+}
+
+// ── Entry point ──────────────────────────────────────────────────────────────
+
+/**
+ * Infers the aggregates of a parsed schema.
+ *
+ * @param {{ tables: Map<string, object>, enumTypes: Map<string, string[]> }} schema - Output of parseDdl()
+ * @param {object} [options]
+ * @param {string[]} [options.tables] - Only import these tables (the others are treated as external)
+ * @returns {{ domain: { aggregates: object[] }, notes: Notes, stats: object }}
+ */
+function importDb(schema, options = {}) {
+  const wanted = options.tables && options.tables.length > 0
+    ? new Set(options.tables.map((t) => t.toLowerCase()))
+    : null;
+  const tables = [...schema.tables.values()]
+    .filter((t) => t.columns.length > 0)
+    .filter((t) => !wanted || wanted.has(t.name.toLowerCase()));
+
+  if (wanted) {
+    const missing = [...wanted].filter((w) => !tables.some((t) => t.name.toLowerCase() === w));
+    if (missing.length > 0) throw new Error(`Table(s) not found in the DDL: ${missing.join(', ')}`);
+  }
+  if (tables.length === 0) {
+    throw new Error('The DDL declares no CREATE TABLE statements');
+  }
+
+  const notes = new Notes();
+  const ctx = {
+    schema,
+    notes,
+    tables: new Map(tables.map((t) => [t.name.toLowerCase(), t])),
+    owner: new Map(),
+    joinTables: [],
+  };
+
+  for (const table of tables) {
+    if (isJoinTable(ctx, table)) ctx.joinTables.push(table);
+  }
+  assignOwners(ctx, tables.filter((t) => !ctx.joinTables.includes(t)));
+
+  const stats = { tables: tables.length, aggregates: 0, entities: 0, enums: 0, references: 0, skipped: ctx.joinTables.length };
+  const aggregates = [];
+  const byTable = new Map();
+
+  for (const table of tables) {
+    if (ctx.joinTables.includes(table) || ctx.owner.has(table)) continue;
+    const aggregate = buildAggregate(ctx, table, byTable);
+    aggregates.push(aggregate);
+    stats.aggregates++;
+    stats.entities += aggregate.entities.length;
+  }
+
+  for (const [table, ownership] of ctx.owner) linkOwner(ctx, table, ownership, byTable);
+  // Fields are built once every table knows its aggregate, so references can be resolved
+  for (const { table, entity, aggregate } of byTable.values()) {
+    stats.references += fillEntity(ctx, table, entity, aggregate, byTable);
+  }
+  for (const aggregate of aggregates) {
+    if (aggregate.enumMap.size > 0) aggregate.node.enums = [...aggregate.enumMap.values()];
+    stats.enums += aggregate.enumMap.size;
+  }
+
+  for (const table of ctx.joinTables) {
+    const [a, b] = table.foreignKeys.map((fk) => byTable.get(fk.table.toLowerCase()));
+    const names = table.foreignKeys.map((fk) => fk.table).join(' ↔ ');
+    const target = a || b;
+    const message = `la tabla de unión ${table.name} (${names}) no se importa: modela la asociación como una lista de referencias en uno de los agregados`;
+    notes.add(target ? target.aggregate.node : aggregates[0].node, message);
+  }
+
+  return { domain: { aggregates: aggregates.map((a) => a.node) }, notes, stats };
+}
+
+// ── Aggregate grouping ───────────────────────────────────────────────────────
+
+function fkColumns(table, fk) {
+  return fk.columns.map((name) => table.columns.find((c) => c.name.toLowerCase() === name.toLowerCase())).filter(Boolean);
+}
+
+function isAuditColumn(column) {
+  return ['createdAt', 'updatedAt', 'createdBy', 'updatedBy'].includes(fieldName(column.name));
+}
+
+/** A table with two FKs and nothing else but a surrogate key or audit columns. */
+function isJoinTable(ctx, table) {
+  const fks = table.foreignKeys.filter((fk) => ctx.tables.has(fk.table.toLowerCase()));
+  if (fks.length !== 2 || table.foreignKeys.length !== 2) return false;
+  const fkNames = new Set(fks.flatMap((fk) => fk.columns.map((c) => c.toLowerCase())));
+  const surrogate = table.primaryKey.length === 1 && !fkNames.has(table.primaryKey[0].toLowerCase())
+    ? table.primaryKey[0].toLowerCase()
+    : null;
+  return table.columns.every((c) => fkNames.has(c.name.toLowerCase()) || c.name.toLowerCase() === surrogate || isAuditColumn(c));
+}
+
+function isPrefixedBy(child, parent) {
+  const c = child.name.toLowerCase();
+  const p = parent.name.toLowerCase();
+  const singular = toSnakeCase(entityName(parent.name));
+  return c.startsWith(`${p}_`) || c.startsWith(`${singular}_`);
+}
+
+/**
+ * Decides which table owns each table. Among the FKs of a table, one pointing at
+ * an in-scope table is an ownership candidate when it cascades deletes, or when it
+ * is NOT NULL and the table name is prefixed by the parent's (`order_items.order_id`).
+ */
+function assignOwners(ctx, tables) {
+  const inScope = new Set(tables);
+  for (const table of tables) {
+    const candidates = [];
+    for (const fk of table.foreignKeys) {
+      const parent = ctx.tables.get(fk.table.toLowerCase());
+      if (!parent || parent === table || !inScope.has(parent) || fk.columns.length !== 1) continue;
+      const [column] = fkColumns(table, fk);
+      if (!column) continue;
+      const cascade = fk.onDelete === 'CASCADE';
+      const prefixed = isPrefixedBy(table, parent);
+      if (!cascade && !(prefixed && !column.nullable)) continue;
+      candidates.push({ fk, parent, column, score: (cascade ? 2 : 0) + (prefixed ? 1 : 0), cascade });
+    }
+    if (candidates.length === 0) continue;
+    candidates.sort((a, b) => b.score - a.score);
+
+    const [best] = candidates;
+    let ancestor = best.parent;
+    let cycle = false;
+    while (ancestor) {
+      if (ancestor === table) { cycle = true; break; }
+      ancestor = ctx.owner.has(ancestor) ? ctx.owner.get(ancestor).parent : null;
+    }
+    if (cycle) continue;
+
+    ctx.owner.set(table, { ...best, others: candidates.slice(1) });
+  }
+}
+
+/** Root table of the aggregate a table belongs to. */
+function rootOf(ctx, table) {
+  let current = table;
+  while (ctx.owner.has(current)) current = ctx.owner.get(current).parent;
+  return current;
+}
+
+function isUniqueColumn(table, column) {
+  const name = column.name.toLowerCase();
+  if (column.unique || column.primaryKey) return true;
+  if (table.primaryKey.length === 1 && table.primaryKey[0].toLowerCase() === name) return true;
+  return [...table.uniques, ...table.indexes.filter((i) => i.unique)]
+    .some((u) => u.columns.length === 1 && u.columns[0].toLowerCase() === name);
+}
+
+/**
+ * Registers the entities of the aggregate rooted at `root` (tables in DDL order,
+ * each one after its owner) with their relationships. Fields come later, in fillEntity().
+ */
+function buildAggregate(ctx, root, byTable) {
+  const name = entityName(root.name);
+  const node = { name, entities: [] };
+  const aggregate = { node, entities: node.entities, enumMap: new Map() };
+
+  const queue = [root];
+  while (queue.length > 0) {
+    const table = queue.shift();
+    const entity = { name: entityName(table.name) };
+    if (table === root) entity.isRoot = true;
+    entity.tableName = table.name;
+
+    if (node.entities.some((e) => e.name === entity.name)) {
+      ctx.notes.add(entity, `otra tabla del agregado también se llama ${entity.name}: renombra una de las dos entidades`);
+    }
+    if (!isIdentifier(toCamelCase(entity.name))) {
+      ctx.notes.add(entity, `el nombre de tabla '${table.name}' no da un nombre de clase Java válido: renombra la entidad`);
+    }
+    node.entities.push(entity);
+    byTable.set(table.name.toLowerCase(), { table, entity, aggregate });
+
+    const children = [...ctx.owner.entries()].filter(([, o]) => o.parent === table).map(([t]) => t);
+    queue.push(...children);
+  }
+  return aggregate;
+}
+
+// ── Entities ─────────────────────────────────────────────────────────────────
+
+/**
+ * Fills the fields, flags, relationships and table constraints of an entity.
+ * Returns the number of cross-aggregate references it declares.
+ */
+function fillEntity(ctx, table, entity, aggregate, byTable) {
+  const { notes } = ctx;
+  const ownership = ctx.owner.get(table);
+  const ownerColumn = ownership ? ownership.column.name.toLowerCase() : null;
+
+  const fields = [];
+  const audit = {};
+  const flags = {};
+  const columnFields = new Map();
+  let references = 0;
+  // The owner FK becomes the inverse ManyToOne, which indexes can name by its mappedBy
+  if (ownership) columnFields.set(ownerColumn, ownership.mappedBy);
+
+  // ── id ──
+  const pk = table.primaryKey.map((n) => n.toLowerCase());
+  const pkColumn = pk.length === 1 ? table.columns.find((c) => c.name.toLowerCase() === pk[0]) : null;
+  const idField = { name: 'id', type: pkColumn ? idType(pkColumn) : 'Long' };
+  if (pkColumn) {
+    columnFields.set(pkColumn.name.toLowerCase(), 'id');
+    if (pkColumn.name.toLowerCase() !== 'id') {
+      notes.add(idField, `la clave primaria es la columna '${pkColumn.name}': eva4j la mapea como 'id'`);
+    }
+    if (idField.type === 'String') {
+      notes.add(idField, `eva4j genera UUIDs para los id String: revisa si '${pkColumn.name}' es una clave natural`);
+    }
+    if (pk[0] === ownerColumn) {
+      notes.add(idField, `la clave primaria es también la FK a ${ownership.parent.name}: eva4j generará una clave propia`);
+    }
+  } else if (pk.length > 1) {
+    notes.add(idField, `clave primaria compuesta (${table.primaryKey.join(', ')}): eva4j necesita una clave simple — las columnas se importan como campos con un unique`);
+  } else {
+    notes.add(idField, `la tabla ${table.name} no tiene clave primaria: se asume un id Long`);
+  }
+  fields.push(idField);
+
+  // ── columns ──
+  for (const column of table.columns) {
+    const lower = column.name.toLowerCase();
+    if (pkColumn && lower === pkColumn.name.toLowerCase()) continue;
+    if (lower === ownerColumn) continue;
+
+    const name = fieldName(column.name);
+    const mapped = javaType(column);
+
+    if ((name === 'createdAt' || name === 'updatedAt') && /^(LocalDateTime|Instant)$/.test(mapped.type)) {
+      audit.enabled = true;
+      continue;
+    }
+    if (name === 'createdBy' || name === 'updatedBy') {
+      audit.enabled = true;
+      audit.trackUser = true;
+      continue;
+    }
+    if (name === 'deletedAt' && /^(LocalDateTime|Instant)$/.test(mapped.type)) {
+      flags.hasSoftDelete = true;
+      continue;
+    }
+    if (name === 'version' && mapped.integral) {
+      flags.versioned = true;
+      continue;
+    }
+
+    const field = { name };
+    if (!isIdentifier(name)) {
+      notes.add(entity, `la columna '${column.name}' no da un nombre de campo Java válido y se ha omitido`);
+      continue;
+    }
+    if (jpaColumn(name) !== lower) {
+      notes.add(field, `la columna es '${column.name}', pero eva4j mapea '${name}' a '${jpaColumn(name)}'`);
+    }
+    columnFields.set(lower, name);
+
+    const values = column.enumValues || ctx.schema.enumTypes.get(column.type.toLowerCase()) || ctx.schema.enumTypes.get(column.type)
+      || enumFromChecks(ctx, table, column);
+    if (values && values.length === 0) {
+      field.type = 'String';
+      notes.add(field, `columna ${column.type} sin valores legibles: se importa como String — declara el enum a mano`);
+    } else if (values) {
+      const enumName = ctx.schema.enumTypes.has(column.type.toLowerCase()) || ctx.schema.enumTypes.has(column.type)
+        ? toPascalCase(column.type.toLowerCase())
+        : `${entity.name}${toPascalCase(name)}`;
+      field.type = enumType(ctx, aggregate, enumName, values, field);
+      const initial = column.default && column.default.value !== undefined ? toEnumConstant(column.default.value) : null;
+      if (initial && aggregate.enumMap.get(field.type).values.includes(initial)) {
+        field.readOnly = true;
+        field.defaultValue = initial;
+        notes.add(field, `DEFAULT '${column.default.value}': si ${field.type} es un ciclo de vida, declara sus transitions: y un initialValue`);
+      }
+    } else {
+      field.type = mapped.type;
+      if (mapped.note) notes.add(field, mapped.note);
+    }
+
+    if (column.generated) {
+      field.readOnly = true;
+      notes.add(field, 'columna generada por la base de datos');
+    }
+
+    const fk = table.foreignKeys.find((f) => f.columns.length === 1 && f.columns[0].toLowerCase() === lower);
+    if (fk) references += addReference(ctx, table, field, fk, byTable);
+
+    if (!field.readOnly) {
+      const validations = columnValidations(ctx, table, column, field, mapped);
+      if (validations.length > 0) field.validations = validations;
+    }
+    fields.push(field);
+  }
+
+  for (const fk of table.foreignKeys.filter((f) => f.columns.length > 1)) {
+    notes.add(entity, `FK compuesta (${fk.columns.join(', ')}) → ${fk.table}: no se importa como referencia`);
+  }
+  for (const check of table.checks) {
+    if (!check.assigned) notes.add(entity, `CHECK (${check.source}) no se importa: valídalo en el dominio`);
+  }
+
+  if (audit.enabled) entity.audit = audit;
+  Object.assign(entity, flags);
+  entity.fields = fields;
+  if (entity.relationships) {
+    // Keep relationships after fields, as in hand-written YAMLs
+    const relationships = entity.relationships;
+    delete entity.relationships;
+    entity.relationships = relationships;
+  }
+  tableConstraints(ctx, table, entity, columnFields, pk, pkColumn);
+  return references;
+}
+
+/** Declares the relationship from the owner entity to the entity of `table`. */
+function linkOwner(ctx, table, ownership, byTable) {
+  const { notes } = ctx;
+  const { parent, column, cascade, others } = ownership;
+  const owner = byTable.get(parent.name.toLowerCase()).entity;
+  const entity = byTable.get(table.name.toLowerCase()).entity;
+  const mappedBy = fieldName(column.name.replace(/_?id$/i, '')) || toCamelCase(owner.name);
+  ownership.mappedBy = mappedBy;
+
+  const relationship = {
+    type: isUniqueColumn(table, column) ? 'OneToOne' : 'OneToMany',
+    target: entity.name,
+    mappedBy,
+  };
+  if (column.name !== `${mappedBy}_id`) relationship.joinColumn = column.name;
+  relationship.cascade = ['PERSIST', 'MERGE', 'REMOVE'];
+  relationship.fetch = 'LAZY';
+  if (!cascade) {
+    notes.add(relationship, `${table.name}.${column.name} no tiene ON DELETE CASCADE: se agrupa en ${owner.name} por el nombre de la tabla — confírmalo`);
+  }
+  for (const other of others) {
+    notes.add(relationship, `${table.name} también depende de ${other.parent.name} (${other.column.name}): se importa como referencia`);
+  }
+  if (!owner.relationships) owner.relationships = [];
+  owner.relationships.push(relationship);
+}
+
+function idType(column) {
+  const { type } = javaType(column);
+  return ['Integer', 'Long', 'UUID', 'String'].includes(type) ? type : 'String';
+}
+
+/** Turns an FK to another aggregate (or to a table outside the DDL) into a `reference:`. */
+function addReference(ctx, table, field, fk, byTable) {
+  const { notes } = ctx;
+  const target = byTable.get(fk.table.toLowerCase());
+  if (!target) {
+    field.reference = { aggregate: entityName(fk.table) };
+    notes.add(field, `referencia a la tabla ${fk.table}, que no forma parte de la importación: indica su módulo en reference.module`);
+    return 1;
+  }
+  const root = target.aggregate.node.name;
+  const here = byTable.get(table.name.toLowerCase());
+  field.reference = { aggregate: root };
+  if (!target.entity.isRoot) {
+    notes.add(field, `${fk.table} es una entidad interna del agregado ${root}: las referencias deben apuntar a la raíz`);
+  } else if (here && target.aggregate === here.aggregate) {
+    notes.add(field, `referencia dentro del mismo agregado ${root}: valora una relación en su lugar`);
+  }
+  if (fk.onDelete === 'CASCADE') {
+    notes.add(field, `ON DELETE CASCADE hacia ${fk.table}: el borrado en cascada entre agregados no se genera`);
+  }
+  return 1;
+}
+
+function enumType(ctx, aggregate, name, values, field) {
+  const { notes } = ctx;
+  const constants = values.map(toEnumConstant);
+
+  let enumName = name;
+  const existing = aggregate.enumMap.get(enumName);
+  if (existing && existing.values.join() !== constants.join()) {
+    enumName = `${name}${toPascalCase(field.name)}`;
+    notes.add(field, `el enum ${name} aparece con valores distintos: se importa como ${enumName}`);
+  }
+  if (!aggregate.enumMap.has(enumName)) {
+    const node = { name: enumName, values: constants };
+    if (values.some((v, i) => v !== constants[i])) {
+      notes.add(node, `valores en la base de datos: ${values.join(', ')} — JPA persiste el nombre Java (@Enumerated STRING): migra los datos o añade un converter`);
+    }
+    aggregate.enumMap.set(enumName, node);
+  }
+  return enumName;
+}
+
+// ── CHECK constraints ────────────────────────────────────────────────────────
+
+/** Checks of the table (column- and table-level) that reference only `column`. */
+function checksOf(table, column) {
+  const lower = column.name.toLowerCase();
+  const columnNames = new Set(table.columns.map((c) => c.name.toLowerCase()));
+  const all = [...column.checks, ...table.checks];
+  return all.filter((check) => {
+    const referenced = new Set(check.tokens
+      .filter((t) => (t.type === 'word' || t.type === 'ident') && columnNames.has(t.value.toLowerCase()))
+      .map((t) => t.value.toLowerCase()));
+    return referenced.size === 1 && referenced.has(lower);
+  });
+}
+
+/** Tokens of a check without parentheses, brackets and `::type` casts. */
+function simplify(tokens) {
+  const out = [];
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.type === 'punct' && t.value === '::') {
+      k++; // the type name
+      while (tokens[k + 1] && tokens[k + 1].type === 'word' && /^(VARYING|PRECISION)$/i.test(tokens[k + 1].value)) k++;
+      while (tokens[k + 1] && tokens[k + 1].type === 'punct' && tokens[k + 1].value === '[') k += 2;
+      continue;
+    }
+    if (t.type === 'punct' && ['(', ')', '[', ']'].includes(t.value)) continue;
+    out.push(t);
+  }
+  return out;
+}
+
+/** `status IN ('A', 'B')`, pg_dump's `= ANY (ARRAY['A', 'B'])` or `s = 'A' OR s = 'B'`. */
+function enumFromChecks(ctx, table, column) {
+  for (const check of checksOf(table, column)) {
+    const tokens = simplify(check.tokens);
+    const strings = tokens.filter((t) => t.type === 'string').map((t) => t.value);
+    if (strings.length === 0 || strings.includes('')) continue;
+    const words = tokens.filter((t) => t.type === 'word').map((t) => t.value.toUpperCase());
+    const isList = (words.includes('IN') && !words.includes('NOT')) || words.includes('ANY');
+    const isOrChain = tokens.filter((t) => t.type === 'punct').every((t) => t.value === '=' || t.value === ',')
+      && words.every((w) => w === 'OR' || w === column.name.toUpperCase());
+    if (isList || isOrChain) {
+      check.assigned = true;
+      return strings;
+    }
+  }
+  return null;
+}
+
+/**
+ * Bounds of a numeric or length check: `price > 0`, `qty BETWEEN 1 AND 99`,
+ * `char_length(code) >= 3`. Returns null when the check has another shape.
+ */
+function parseBounds(tokens, column) {
+  const parts = [];
+  let current = [];
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.type === 'word' && t.value.toUpperCase() === 'BETWEEN') {
+      const lo = tokens[k + 1];
+      const hi = tokens[k + 3];
+      if (!lo || !hi || !tokens[k + 2] || tokens[k + 2].value.toUpperCase() !== 'AND') return null;
+      parts.push([...current, { type: 'punct', value: '>=' }, lo]);
+      parts.push([...current, { type: 'punct', value: '<=' }, hi]);
+      current = [];
+      k += 3;
+      continue;
+    }
+    if (t.type === 'word' && t.value.toUpperCase() === 'AND') {
+      parts.push(current);
+      current = [];
+      continue;
+    }
+    current.push(t);
+  }
+  if (current.length > 0) parts.push(current);
+
+  const bounds = [];
+  for (const part of parts) {
+    let tokensOfPart = part;
+    let kind = 'value';
+    let trimmed = false;
+    const isCol = (t) => t && (t.type === 'word' || t.type === 'ident') && t.value.toLowerCase() === column.name.toLowerCase();
+
+    // Normalise `0 < x` into `x > 0`
+    if (tokensOfPart.length === 3 && tokensOfPart[0].type === 'number' && COMPARISONS.has(tokensOfPart[1].value)) {
+      const flipped = { '>': '<', '>=': '<=', '<': '>', '<=': '>=' }[tokensOfPart[1].value];
+      tokensOfPart = [tokensOfPart[2], { type: 'punct', value: flipped }, tokensOfPart[0]];
+    }
+    if (tokensOfPart[0] && tokensOfPart[0].type === 'word' && LENGTH_FUNCTIONS.has(tokensOfPart[0].value.toUpperCase())) {
+      kind = 'length';
+      tokensOfPart = tokensOfPart.slice(1);
+      if (tokensOfPart[0] && tokensOfPart[0].type === 'word' && /^(TRIM|BTRIM)$/i.test(tokensOfPart[0].value)) {
+        trimmed = true;
+        tokensOfPart = tokensOfPart.slice(1);
+      }
+    }
+    if (tokensOfPart.length === 3 && isCol(tokensOfPart[0]) && tokensOfPart[1].type === 'punct') {
+      const op = tokensOfPart[1].value;
+      const value = tokensOfPart[2];
+      if ((op === '<>' || op === '!=') && value.type === 'string' && value.value === '') {
+        bounds.push({ kind: 'notBlank' });
+        continue;
+      }
+      if (COMPARISONS.has(op) && value.type === 'number') {
+        bounds.push({ kind, op, value: Number(value.value), trimmed });
+        continue;
+      }
+    }
+    if (tokensOfPart.length === 4 && isCol(tokensOfPart[0])
+      && tokensOfPart.slice(1).map((t) => t.value.toUpperCase()).join(' ') === 'IS NOT NULL') {
+      bounds.push({ kind: 'notNull' });
+      continue;
+    }
+    return null;
+  }
+  return bounds;
+}
+
+/** Validations of a column: NOT NULL, its length and the checks that only concern it. */
+function columnValidations(ctx, table, column, field, mapped) {
+  const { notes } = ctx;
+  const validations = [];
+  const size = {};
+  let notNull = !column.nullable;
+
+  for (const check of checksOf(table, column)) {
+    if (check.assigned) continue;
+    const bounds = parseBounds(simplify(check.tokens), column);
+    if (!bounds) continue;
+    let supported = true;
+    const found = [];
+    for (const b of bounds) {
+      if (b.kind === 'notNull') { notNull = true; continue; }
+      if (b.kind === 'notBlank' || (b.kind === 'length' && b.trimmed && b.op === '>' && b.value === 0)) {
+        found.push({ type: 'NotBlank' });
+        continue;
+      }
+      if (b.kind === 'length' && Number.isInteger(b.value)) {
+        const v = b.op === '>' ? b.value + 1 : b.op === '<' ? b.value - 1 : b.value;
+        if (b.op.startsWith('>')) size.min = v;
+        else size.max = v;
+        continue;
+      }
+      if (b.kind === 'value' && b.value === 0) {
+        found.push({ type: { '>': 'Positive', '>=': 'PositiveOrZero', '<': 'Negative', '<=': 'NegativeOrZero' }[b.op] });
+        continue;
+      }
+      if (b.kind === 'value' && mapped.integral && Number.isInteger(b.value)) {
+        const v = b.op === '>' ? b.value + 1 : b.op === '<' ? b.value - 1 : b.value;
+        found.push(b.op.startsWith('>') ? { type: 'Min', value: v } : { type: 'Max', value: v });
+        continue;
+      }
+      supported = false;
+    }
+    if (!supported) continue;
+    check.assigned = true;
+    validations.push(...found);
+  }
+
+  if (mapped.length && size.max === undefined) size.max = mapped.length;
+  const hasNotBlank = validations.some((v) => v.type === 'NotBlank');
+  if (notNull && !hasNotBlank) validations.unshift({ type: 'NotNull' });
+  if (notNull && column.default && column.default.value !== undefined) {
+    notes.add(field, `DEFAULT ${column.default.value} en la base de datos: JPA inserta el valor del dominio, asígnalo si el campo es opcional`);
+  }
+  if (size.min !== undefined || size.max !== undefined) {
+    if (field.type === 'String' || field.type.startsWith('List<')) validations.push({ type: 'Size', ...size });
+  }
+  return validations;
+}
+
+// ── Table constraints ────────────────────────────────────────────────────────
+
+/** Unique constraints and indexes, expressed with field names. */
+function tableConstraints(ctx, table, entity, columnFields, pk, pkColumn) {
+  const { notes } = ctx;
+  const unique = [];
+  const indexes = [];
+  const seen = new Set();
+
+  const entries = [
+    ...(pk.length > 1 ? [{ name: null, columns: table.primaryKey, unique: true }] : []),
+    ...table.uniques.map((u) => ({ ...u, unique: true })),
+    ...table.indexes,
+  ];
+  for (const entry of entries) {
+    const columns = entry.columns.map((c) => c.toLowerCase());
+    const key = `${entry.unique}:${columns.join(',')}`;
+    if (seen.has(key) || seen.has(`true:${columns.join(',')}`)) continue;
+    seen.add(key);
+    if (pkColumn && columns.length === 1 && columns[0] === pkColumn.name.toLowerCase()) continue;
+
+    const fields = columns.map((c) => columnFields.get(c));
+    if (fields.some((f) => !f)) {
+      const label = entry.name || entry.columns.join(', ');
+      notes.add(entity, `${entry.unique ? 'unique' : 'índice'} ${label} usa columnas que no son campos: no se importa`);
+      continue;
+    }
+    if (entry.unique && fields.length === 1) {
+      const field = entity.fields.find((f) => f.name === fields[0]);
+      field.unique = true;
+      continue;
+    }
+    const value = entry.name ? { name: entry.name, fields } : (fields.length === 1 ? fields[0] : fields);
+    (entry.unique ? unique : indexes).push(value);
+  }
+
+  if (unique.length > 0) entity.unique = unique;
+  if (indexes.length > 0) entity.indexes = indexes;
+}
+
+module.exports = {
+  importDb,
+};
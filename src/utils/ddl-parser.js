@@ -0,0 +1,547 @@
+'use strict';
+
+/**
+ * Offline parser for the DDL of a PostgreSQL or MySQL schema dump — the subset
+ * `eva import db` needs: CREATE TABLE, CREATE TYPE … AS ENUM, CREATE INDEX and
+ * the ALTER TABLE … ADD constraints that pg_dump / mysqldump emit. Every other
+ * statement (functions, grants, sequences, data) is skipped.
+ */
+
+const COLUMN_STOP_WORDS = new Set([
+  'CONSTRAINT', 'NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'CHECK',
+  'AUTO_INCREMENT', 'AUTOINCREMENT', 'GENERATED', 'COMMENT', 'COLLATE', 'IDENTITY', 'ON',
+]);
+
+const TABLE_CONSTRAINT_WORDS = new Set([
+  'CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL', 'EXCLUDE', 'LIKE',
+]);
+
+// ── Tokenizer ────────────────────────────────────────────────────────────────
+
+/**
+ * Splits SQL into tokens: `word` (bare identifiers and keywords), `ident`
+ * (quoted identifiers), `string`, `number` and `punct`. Comments are dropped.
+ * @param {string} sql
+ * @returns {Array<{ type: string, value: string, start: number, end: number }>}
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+  const push = (type, value, start) => tokens.push({ type, value, start, end: i });
+
+  while (i < sql.length) {
+    const c = sql[i];
+    const start = i;
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '-' && sql[i + 1] === '-') { while (i < sql.length && sql[i] !== '\n') i++; continue; }
+    if (c === '#') { while (i < sql.length && sql[i] !== '\n') i++; continue; }
+    if (c === '/' && sql[i + 1] === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      i = close === -1 ? sql.length : close + 2;
+      continue;
+    }
+    if (c === '\'' || ((c === 'E' || c === 'e' || c === 'N' || c === 'n') && sql[i + 1] === '\'')) {
+      if (c !== '\'') i++;
+      i++;
+      let value = '';
+      while (i < sql.length) {
+        if (sql[i] === '\\' && c !== '\'') { value += sql[i + 1]; i += 2; continue; }
+        if (sql[i] === '\'' && sql[i + 1] === '\'') { value += '\''; i += 2; continue; }
+        if (sql[i] === '\'') { i++; break; }
+        value += sql[i++];
+      }
+      push('string', value, start);
+      continue;
+    }
+    if (c === '$') {
+      const tag = sql.slice(i).match(/^\$[A-Za-z_]*\$/);
+      if (tag) {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        const end = close === -1 ? sql.length : close;
+        const value = sql.slice(i + tag[0].length, end);
+        i = close === -1 ? sql.length : close + tag[0].length;
+        push('string', value, start);
+        continue;
+      }
+    }
+    if (c === '"' || c === '`' || c === '[') {
+      const close = c === '[' ? ']' : c;
+      // `[` is an array subscript unless it opens a SQL Server style identifier
+      if (c === '[' && !/^\[[A-Za-z_][\w ]*\]/.test(sql.slice(i))) {
+        i++;
+        push('punct', c, start);
+        continue;
+      }
+      i++;
+      let value = '';
+      while (i < sql.length) {
+        if (sql[i] === close && sql[i + 1] === close) { value += close; i += 2; continue; }
+        if (sql[i] === close) { i++; break; }
+        value += sql[i++];
+      }
+      push('ident', value, start);
+      continue;
+    }
+    if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(sql[i + 1] || ''))) {
+      while (i < sql.length && /[0-9.eE]/.test(sql[i])) {
+        if (/[eE]/.test(sql[i]) && !/[0-9+-]/.test(sql[i + 1] || '')) break;
+        if (/[eE]/.test(sql[i]) && /[+-]/.test(sql[i + 1])) i++;
+        i++;
+      }
+      push('number', sql.slice(start, i), start);
+      continue;
+    }
+    if (/[A-Za-z_]/.test(c)) {
+      while (i < sql.length && /[A-Za-z0-9_$]/.test(sql[i])) i++;
+      push('word', sql.slice(start, i), start);
+      continue;
+    }
+    const two = sql.slice(i, i + 2);
+    if (['::', '>=', '<=', '<>', '!=', '||'].includes(two)) {
+      i += 2;
+      push('punct', two, start);
+      continue;
+    }
+    i++;
+    push('punct', c, start);
+  }
+  return tokens;
+}
+
+/** Top-level statements (split on `;`). */
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+  for (const token of tokens) {
+    if (token.type === 'punct' && token.value === ';') {
+      if (current.length > 0) statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+  if (current.length > 0) statements.push(current);
+  return statements;
+}
+
+// ── Token cursor ─────────────────────────────────────────────────────────────
+
+class Cursor {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  done() {
+    return this.pos >= this.tokens.length;
+  }
+
+  /** True when the next token is the keyword (case-insensitive bare word). */
+  is(word, offset = 0) {
+    const t = this.peek(offset);
+    return Boolean(t && t.type === 'word' && t.value.toUpperCase() === word);
+  }
+
+  isPunct(value, offset = 0) {
+    const t = this.peek(offset);
+    return Boolean(t && t.type === 'punct' && t.value === value);
+  }
+
+  /** Consumes the keyword sequence if present. */
+  accept(...words) {
+    if (words.every((w, k) => this.is(w, k))) {
+      this.pos += words.length;
+      return true;
+    }
+    return false;
+  }
+
+  /** Identifier (bare or quoted), keeping only the last part of `schema.name`. */
+  name() {
+    let t = this.next();
+    while (this.isPunct('.')) {
+      this.next();
+      t = this.next();
+    }
+    return t ? t.value : null;
+  }
+
+  /** Tokens of a balanced `( … )` group, without the outer parentheses. */
+  group() {
+    if (!this.isPunct('(')) return [];
+    this.next();
+    const inner = [];
+    let depth = 1;
+    while (!this.done()) {
+      const t = this.next();
+      if (t.type === 'punct' && t.value === '(') depth++;
+      if (t.type === 'punct' && t.value === ')' && --depth === 0) break;
+      inner.push(t);
+    }
+    return inner;
+  }
+}
+
+/** Splits tokens on top-level commas. */
+function splitTopLevel(tokens) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+  for (const t of tokens) {
+    if (t.type === 'punct' && (t.value === '(' || t.value === '[')) depth++;
+    if (t.type === 'punct' && (t.value === ')' || t.value === ']')) depth--;
+    if (depth === 0 && t.type === 'punct' && t.value === ',') {
+      parts.push(current);
+      current = [];
+    } else {
+      current.push(t);
+    }
+  }
+  if (current.length > 0) parts.push(current);
+  return parts;
+}
+
+/** Column names of an index / key list: `(a, b(10) DESC, "c")`. */
+function columnList(tokens) {
+  return splitTopLevel(tokens)
+    .map((part) => part.find((t) => t.type === 'word' || t.type === 'ident'))
+    .filter(Boolean)
+    .map((t) => t.value);
+}
+
+function sourceOf(sql, tokens) {
+  if (tokens.length === 0) return '';
+  return sql.slice(tokens[0].start, tokens[tokens.length - 1].end).replace(/\s+/g, ' ').trim();
+}
+
+// ── Statements ───────────────────────────────────────────────────────────────
+
+/**
+ * Parses a DDL script.
+ *
+ * @param {string} sql
+ * @returns {{ tables: Map<string, object>, enumTypes: Map<string, string[]>, skipped: number }}
+ */
+function parseDdl(sql) {
+  const schema = { tables: new Map(), enumTypes: new Map(), skipped: 0 };
+
+  for (const statement of splitStatements(tokenize(sql))) {
+    const c = new Cursor(statement);
+    if (c.accept('CREATE')) {
+      c.accept('OR', 'REPLACE');
+      c.accept('GLOBAL') || c.accept('LOCAL');
+      c.accept('TEMPORARY') || c.accept('TEMP') || c.accept('UNLOGGED');
+      if (c.accept('TABLE')) {
+        parseCreateTable(c, sql, schema);
+        continue;
+      }
+      if (c.accept('TYPE')) {
+        parseCreateType(c, schema);
+        continue;
+      }
+      const unique = c.accept('UNIQUE');
+      if (c.accept('INDEX')) {
+        parseCreateIndex(c, schema, unique);
+        continue;
+      }
+    } else if (c.accept('ALTER', 'TABLE')) {
+      parseAlterTable(c, sql, schema);
+      continue;
+    }
+    schema.skipped++;
+  }
+  return schema;
+}
+
+function getTable(schema, name) {
+  if (!schema.tables.has(name)) {
+    schema.tables.set(name, {
+      name,
+      columns: [],
+      primaryKey: [],
+      foreignKeys: [],
+      uniques: [],
+      checks: [],
+      indexes: [],
+    });
+  }
+  return schema.tables.get(name);
+}
+
+function findColumn(table, name) {
+  return table.columns.find((col) => col.name.toLowerCase() === String(name).toLowerCase());
+}
+
+function parseCreateTable(c, sql, schema) {
+  c.accept('IF', 'NOT', 'EXISTS');
+  const table = getTable(schema, c.name());
+  if (!c.isPunct('(')) return; // CREATE TABLE … AS SELECT / PARTITION OF
+  for (const item of splitTopLevel(c.group())) {
+    if (item.length === 0) continue;
+    const first = item[0];
+    if (first.type === 'word' && TABLE_CONSTRAINT_WORDS.has(first.value.toUpperCase())) {
+      parseTableConstraint(new Cursor(item), sql, table);
+    } else {
+      parseColumn(new Cursor(item), sql, table);
+    }
+  }
+}
+
+function parseCreateType(c, schema) {
+  const name = c.name();
+  if (!c.accept('AS', 'ENUM')) return;
+  const values = c.group().filter((t) => t.type === 'string').map((t) => t.value);
+  schema.enumTypes.set(name, values);
+}
+
+function parseCreateIndex(c, schema, unique) {
+  c.accept('CONCURRENTLY');
+  c.accept('IF', 'NOT', 'EXISTS');
+  const name = c.is('ON') ? null : c.name();
+  if (!c.accept('ON')) return;
+  c.accept('ONLY');
+  const table = getTable(schema, c.name());
+  if (c.accept('USING')) c.next();
+  const columns = columnList(c.group());
+  if (c.is('WHERE')) {
+    // Partial indexes have no domain.yaml equivalent
+    return;
+  }
+  table.indexes.push({ name, columns, unique });
+}
+
+function parseAlterTable(c, sql, schema) {
+  c.accept('IF', 'EXISTS');
+  c.accept('ONLY');
+  const table = getTable(schema, c.name());
+  for (const action of splitTopLevel(c.tokens.slice(c.pos))) {
+    const a = new Cursor(action);
+    if (a.accept('ADD')) {
+      if (a.accept('COLUMN')) {
+        a.accept('IF', 'NOT', 'EXISTS');
+        parseColumn(a, sql, table);
+      } else if (a.peek() && a.peek().type === 'word' && TABLE_CONSTRAINT_WORDS.has(a.peek().value.toUpperCase())) {
+        parseTableConstraint(a, sql, table);
+      } else {
+        parseColumn(a, sql, table);
+      }
+    } else if (a.accept('ALTER')) {
+      a.accept('COLUMN');
+      const column = findColumn(table, a.name());
+      if (!column) continue;
+      if (a.accept('SET', 'NOT', 'NULL')) column.nullable = false;
+      else if (a.accept('DROP', 'NOT', 'NULL')) column.nullable = true;
+      else if (a.accept('SET', 'DEFAULT')) column.default = defaultValue(a.tokens.slice(a.pos));
+    }
+  }
+}
+
+function parseColumn(c, sql, table) {
+  const name = c.name();
+  if (!name) return;
+  const column = {
+    name,
+    type: '',
+    args: [],
+    array: false,
+    nullable: true,
+    default: null,
+    primaryKey: false,
+    unique: false,
+    identity: false,
+    generated: false,
+    references: null,
+    checks: [],
+    enumValues: null,
+  };
+
+  // Type: words and (args) until the first constraint keyword
+  const words = [];
+  while (!c.done()) {
+    const t = c.peek();
+    if (t.type === 'word') {
+      const upper = t.value.toUpperCase();
+      if (COLUMN_STOP_WORDS.has(upper)) break;
+      if (words.length > 0 && (upper === 'CHARSET' || (upper === 'CHARACTER' && c.is('SET', 1)))) break;
+      words.push(upper);
+      c.next();
+    } else if (c.isPunct('(')) {
+      const group = c.group();
+      if (words[words.length - 1] === 'ENUM' || words[words.length - 1] === 'SET') {
+        // MySQL also takes "double-quoted" literals, which tokenize as identifiers
+        column.enumValues = group
+          .filter((g) => g.type === 'string' || (g.type === 'ident' && sql[g.start] === '"'))
+          .map((g) => g.value);
+      } else {
+        column.args = group.filter((g) => g.type === 'number').map((g) => Number(g.value));
+      }
+    } else if (c.isPunct('[')) {
+      c.next();
+      if (c.isPunct(']')) c.next();
+      column.array = true;
+    } else if (t.type === 'ident' && words.length === 0) {
+      words.push(t.value);
+      c.next();
+    } else if (c.isPunct('.')) {
+      c.next();
+      words.length = 0; // schema-qualified type: keep the last part
+    } else {
+      break;
+    }
+  }
+  column.type = words.join(' ');
+
+  while (!c.done()) {
+    if (c.accept('CONSTRAINT')) { c.name(); continue; }
+    if (c.accept('NOT', 'NULL')) { column.nullable = false; continue; }
+    if (c.accept('NULL')) { column.nullable = true; continue; }
+    if (c.accept('PRIMARY', 'KEY')) { column.primaryKey = true; column.nullable = false; continue; }
+    if (c.accept('UNIQUE')) { c.accept('KEY'); column.unique = true; continue; }
+    if (c.accept('AUTO_INCREMENT') || c.accept('AUTOINCREMENT')) { column.identity = true; continue; }
+    if (c.accept('IDENTITY')) { c.group(); column.identity = true; continue; }
+    if (c.accept('GENERATED')) {
+      if (c.accept('ALWAYS', 'AS', 'IDENTITY') || c.accept('BY', 'DEFAULT', 'AS', 'IDENTITY')) {
+        c.group();
+        column.identity = true;
+      } else {
+        c.accept('ALWAYS');
+        c.accept('AS');
+        c.group();
+        c.accept('STORED') || c.accept('VIRTUAL');
+        column.generated = true;
+      }
+      continue;
+    }
+    if (c.accept('DEFAULT')) {
+      const expr = [];
+      while (!c.done() && !(c.peek().type === 'word' && COLUMN_STOP_WORDS.has(c.peek().value.toUpperCase()) && !c.is('NULL'))) {
+        if (c.isPunct('(')) {
+          const start = c.peek();
+          const group = c.group();
+          expr.push(start, ...group, { type: 'punct', value: ')' });
+        } else {
+          expr.push(c.next());
+        }
+        if (expr.length === 1 && expr[0].type === 'word' && expr[0].value.toUpperCase() === 'NULL') break;
+      }
+      column.default = defaultValue(expr);
+      continue;
+    }
+    if (c.accept('REFERENCES')) {
+      column.references = references(c, [column.name]);
+      continue;
+    }
+    if (c.accept('CHECK')) {
+      const expr = c.group();
+      column.checks.push({ tokens: expr, source: sourceOf(sql, expr) });
+      continue;
+    }
+    if (c.accept('ON', 'UPDATE')) { c.next(); c.group(); continue; }
+    if (c.accept('COMMENT')) { column.comment = c.next().value; continue; }
+    if (c.accept('COLLATE')) { c.name(); continue; }
+    if (c.accept('CHARACTER', 'SET') || c.accept('CHARSET')) { c.name(); continue; }
+    c.next();
+  }
+
+  if (column.references) {
+    table.foreignKeys.push({ ...column.references, columns: [column.name] });
+  }
+  if (column.primaryKey) table.primaryKey = [column.name];
+  table.columns.push(column);
+}
+
+function parseTableConstraint(c, sql, table) {
+  let name = null;
+  if (c.accept('CONSTRAINT')) name = c.name();
+  if (c.accept('PRIMARY', 'KEY')) {
+    table.primaryKey = columnList(c.group());
+    for (const col of table.primaryKey) {
+      const column = findColumn(table, col);
+      if (column) column.nullable = false;
+    }
+    return;
+  }
+  if (c.accept('UNIQUE')) {
+    c.accept('KEY') || c.accept('INDEX');
+    if (!c.isPunct('(')) c.name();
+    table.uniques.push({ name, columns: columnList(c.group()) });
+    return;
+  }
+  if (c.accept('FOREIGN', 'KEY')) {
+    if (!c.isPunct('(')) c.name();
+    const columns = columnList(c.group());
+    if (!c.accept('REFERENCES')) return;
+    table.foreignKeys.push({ ...references(c, columns), columns, name });
+    return;
+  }
+  if (c.accept('CHECK')) {
+    const expr = c.group();
+    table.checks.push({ tokens: expr, source: sourceOf(sql, expr) });
+    return;
+  }
+  if (c.accept('KEY') || c.accept('INDEX')) {
+    const indexName = c.isPunct('(') ? null : c.name();
+    table.indexes.push({ name: indexName, columns: columnList(c.group()), unique: false });
+  }
+}
+
+/** `REFERENCES table [(cols)] [ON DELETE action] [ON UPDATE action] …` */
+function references(c, columns) {
+  const ref = { table: c.name(), refColumns: [], onDelete: null };
+  if (c.isPunct('(')) ref.refColumns = columnList(c.group());
+  while (!c.done()) {
+    if (c.accept('ON', 'DELETE')) {
+      ref.onDelete = c.accept('SET', 'NULL') ? 'SET NULL'
+        : c.accept('SET', 'DEFAULT') ? 'SET DEFAULT'
+        : c.accept('NO', 'ACTION') ? 'NO ACTION'
+        : c.next().value.toUpperCase();
+    } else if (c.accept('ON', 'UPDATE')) {
+      c.accept('SET', 'NULL') || c.accept('SET', 'DEFAULT') || c.accept('NO', 'ACTION') || c.next();
+    } else if (c.accept('MATCH')) {
+      c.next();
+    } else if (c.accept('DEFERRABLE') || c.accept('NOT', 'DEFERRABLE')) {
+      c.accept('INITIALLY', 'DEFERRED') || c.accept('INITIALLY', 'IMMEDIATE');
+    } else {
+      break;
+    }
+  }
+  if (ref.refColumns.length === 0) ref.refColumns = columns.map(() => null);
+  return ref;
+}
+
+/**
+ * Default of a column: `{ value }` for literals (casts dropped), `{ expression }`
+ * for anything else (`now()`, `nextval(…)`).
+ */
+function defaultValue(tokens) {
+  const core = [];
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.type === 'punct' && t.value === '::') break;
+    core.push(t);
+  }
+  const stripped = core.filter((t) => !(t.type === 'punct' && (t.value === '(' || t.value === ')')));
+  if (stripped.length === 1 && (stripped[0].type === 'string' || stripped[0].type === 'number')) {
+    return { value: stripped[0].value };
+  }
+  if (stripped.length === 2 && stripped[0].value === '-' && stripped[1].type === 'number') {
+    return { value: `-${stripped[1].value}` };
+  }
+  if (stripped.length === 1 && stripped[0].type === 'word' && /^(TRUE|FALSE|NULL)$/i.test(stripped[0].value)) {
+    return /^NULL$/i.test(stripped[0].value) ? null : { value: stripped[0].value.toLowerCase() };
+  }
+  return { expression: tokens.map((t) => t.value).join(' ').replace(/\s*([(),])\s*/g, '$1') };
+}
+
+module.exports = {
+  tokenize,
+  parseDdl,
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const { pluralizeWord, singularizeWord, toPascalCase } = require('./naming');
+const { normalizeRuleConfig, collectInlineSuppressions, mergeRuleConfigs, applyRuleConfig } = require('./rule-config');
 
 /**
  * Domain-level validator for eva evaluate system --domain
@@ -11,12 +12,18 @@ const { pluralizeWord, singularizeWord, toPascalCase } = require('./naming');
  *
  * Returns: { summary, categories[], diagrams }
  *
+ * Default severities can be overridden, rules turned off and findings suppressed
+ * through validation: in system.yaml, .eva4j-rules.yaml and inline suppress: lists
+ * (see rule-config.js). Suppressed findings are kept in check.suppressed.
+ *
  * Categories:
  *   C1 — Kafka Event Contracts
  *   C2 — Behavior Gaps
  *   C3 — Cross-Reference Integrity
  *   C4 — Audit & Traceability
  *   C5 — Temporal Workflow Integrity
+ *   C6 — ReadModel Integrity
+ *   CUSTOM — Project rules from validationPlugins (.eva4j.json), when any are loaded
  */
 
 // ── Internal helpers ─────────────────────────────────────────────────────────
@@ -1543,14 +1550,62 @@ function runC6(domainConfigs) {
   return checks;
 }
 
+// ─── CUSTOM — Project rules (validationPlugins) ─────────────────────────────
+
+/**
+ * Run the rules loaded by loadValidationPlugins(). A rule that throws or returns
+ * something other than a list of findings is reported as an error of that rule.
+ */
+function runCustom(customRules, domainConfigs, systemConfig) {
+  const checks = {};
+  const defaults = {};
+
+  for (const rule of customRules) {
+    checks[rule.id] = { label: rule.label, severity: 'ok', findings: [] };
+    defaults[rule.id] = rule.severity;
+
+    let result;
+    try {
+      result = rule.run(domainConfigs, systemConfig);
+    } catch (err) {
+      checks[rule.id].findings.push(
+        finding(null, `La regla lanzó un error: ${err.message}`, `Plugin: ${rule.plugin}`)
+      );
+      defaults[rule.id] = 'error';
+      continue;
+    }
+
+    if (!Array.isArray(result)) {
+      checks[rule.id].findings.push(
+        finding(null, 'La regla no devolvió una lista de hallazgos', `Plugin: ${rule.plugin}`)
+      );
+      defaults[rule.id] = 'error';
+      continue;
+    }
+
+    for (const f of result) {
+      if (typeof f === 'string') {
+        checks[rule.id].findings.push(finding(null, f));
+      } else if (f && typeof f.message === 'string') {
+        checks[rule.id].findings.push(finding(f.module || null, f.message, f.context));
+      }
+    }
+  }
+
+  setDefaultSeverities(checks, defaults);
+  return checks;
+}
+
 // ── Main export ──────────────────────────────────────────────────────────────
 
 /**
  * @param {Record<string, object>} domainConfigs  - moduleName → parsed domain YAML
  * @param {object}                 systemConfig   - parsed system.yaml
+ * @param {object|null}            [ruleConfig]   - loadRuleConfig() result; defaults to system.yaml validation:
+ * @param {object[]}               [customRules]  - loadValidationPlugins() result, run as the CUSTOM category
  * @returns {{ summary, categories, diagrams }}
  */
-function validateDomain(domainConfigs, systemConfig) {
+function validateDomain(domainConfigs, systemConfig, ruleConfig = null, customRules = []) {
   const c1Checks = runC1(domainConfigs, systemConfig);
   const c2Checks = runC2(domainConfigs, systemConfig);
   const c3Checks = runC3(domainConfigs, systemConfig);
@@ -1597,13 +1652,30 @@ function validateDomain(domainConfigs, systemConfig) {
     },
   ];
 
+  if (customRules.length > 0) {
+    categories.push({
+      id: 'CUSTOM',
+      label: 'Reglas del Proyecto',
+      description: 'Reglas propias del proyecto, cargadas desde los módulos declarados en validationPlugins de .eva4j.json.',
+      checks: checksToArray(runCustom(customRules, domainConfigs, systemConfig)),
+    });
+  }
+
+  // Severity overrides and suppressions (system.yaml, .eva4j-rules.yaml, inline)
+  applyRuleConfig(categories, mergeRuleConfigs(
+    ruleConfig || normalizeRuleConfig((systemConfig || {}).validation),
+    collectInlineSuppressions(domainConfigs)
+  ));
+
   // Compute summary
-  let errors = 0, warnings = 0, info = 0, ok = 0;
+  let errors = 0, warnings = 0, info = 0, ok = 0, off = 0, suppressed = 0;
   for (const cat of categories) {
     for (const check of cat.checks) {
+      suppressed += check.suppressed.length;
       if (check.severity === 'error') errors++;
       else if (check.severity === 'warning') warnings++;
       else if (check.severity === 'info') info++;
+      else if (check.severity === 'off') off++;
       else ok++;
     }
   }
@@ -1620,7 +1692,7 @@ function validateDomain(domainConfigs, systemConfig) {
   }
 
   return {
-    summary: { errors, warnings, info, ok },
+    summary: { errors, warnings, info, ok, off, suppressed },
     categories,
     diagrams: generateDomainDiagrams(domainConfigs),
     blueprints: blueprintDiagrams,
@@ -1628,6 +1700,16 @@ function validateDomain(domainConfigs, systemConfig) {
   };
 }
 
+/**
+ * Ids of the built-in domain rules (C1–C6, RM), the ones a rule configuration may name
+ * next to the validationPlugins rules.
+ *
+ * @returns {string[]}
+ */
+function domainRuleIds() {
+  return [runC1, runC2, runC3, runC4, runC5, runC6].flatMap((run) => Object.keys(run({}, {})));
+}
+
 function checksToArray(checksMap) {
   return Object.entries(checksMap).map(([id, check]) => ({
     id,
@@ -1637,4 +1719,4 @@ function checksToArray(checksMap) {
   }));
 }
 
-module.exports = { validateDomain };
+module.exports = { validateDomain, domainRuleIds };
@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Shared output of the `eva import` commands: a module YAML rendered with
+ * `# TODO:` comments attached to the nodes they concern, and the checks the
+ * written file must pass.
+ */
+
+const yaml = require('js-yaml');
+const { validateYamlSource, formatSchemaErrors } = require('./schema-validator');
+const { validateDomain } = require('./domain-validator');
+const { parseDomainYaml } = require('./yaml-to-entity');
+
+/**
+ * Collects the TODO comments of the generated YAML, keyed by the node they belong to.
+ */
+class Notes {
+  constructor() {
+    this.byNode = new Map();
+  }
+
+  add(node, message) {
+    if (!this.byNode.has(node)) this.byNode.set(node, []);
+    const list = this.byNode.get(node);
+    if (!list.includes(message)) list.push(message);
+  }
+
+  get(node) {
+    return this.byNode.get(node) || [];
+  }
+
+  get size() {
+    let n = 0;
+    for (const list of this.byNode.values()) n += list.length;
+    return n;
+  }
+}
+
+/**
+ * Java enum constant for an external value: `in-progress` → `IN_PROGRESS`,
+ * `3toed` → `V_3TOED`.
+ * @param {*} value
+ * @returns {string}
+ */
+function toEnumConstant(value) {
+  const constant = String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase();
+  return /^[0-9]/.test(constant) ? `V_${constant}` : constant || 'UNKNOWN';
+}
+
+// ── YAML rendering ───────────────────────────────────────────────────────────
+
+function scalar(value) {
+  return yaml.dump(value, { lineWidth: -1 }).trimEnd();
+}
+
+function isScalar(value) {
+  return value === null || typeof value !== 'object';
+}
+
+function pushNotes(out, notes, node, pad) {
+  for (const message of notes.get(node)) out.push(`${pad}# TODO: ${message}`);
+}
+
+function emitMapping(out, notes, obj, indent, { blankLines = false } = {}) {
+  const pad = ' '.repeat(indent);
+  let first = true;
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === undefined) continue;
+    if (blankLines && !first) out.push('');
+    first = false;
+    if (!isScalar(value)) pushNotes(out, notes, value, pad);
+    if (isScalar(value)) {
+      out.push(`${pad}${key}: ${scalar(value)}`);
+    } else if (Array.isArray(value)) {
+      const flow = value.length > 0 && value.every(isScalar) && value.map(scalar).join(', ').length <= 60;
+      if (value.length === 0) out.push(`${pad}${key}: []`);
+      else if (flow) out.push(`${pad}${key}: [${value.map(scalar).join(', ')}]`);
+      else {
+        out.push(`${pad}${key}:`);
+        emitSequence(out, notes, value, indent + 2);
+      }
+    } else if (Object.keys(value).length === 0) {
+      out.push(`${pad}${key}: {}`);
+    } else {
+      out.push(`${pad}${key}:`);
+      emitMapping(out, notes, value, indent + 2);
+    }
+  }
+}
+
+function emitSequence(out, notes, items, indent) {
+  const pad = ' '.repeat(indent);
+  for (const item of items) {
+    pushNotes(out, notes, item, pad);
+    if (isScalar(item)) {
+      out.push(`${pad}- ${scalar(item)}`);
+      continue;
+    }
+    if (Array.isArray(item)) {
+      out.push(`${pad}- [${item.map(scalar).join(', ')}]`);
+      continue;
+    }
+    const lines = [];
+    emitMapping(lines, notes, item, indent + 2);
+    const firstKey = lines.findIndex((l) => !l.trimStart().startsWith('#'));
+    // Notes of the first value go above the dash so the item stays well-formed
+    out.push(...lines.slice(0, firstKey).map((l) => l.replace(' '.repeat(indent + 2), pad)));
+    out.push(`${pad}- ${lines[firstKey].slice(indent + 2)}`);
+    out.push(...lines.slice(firstKey + 1));
+  }
+}
+
+/**
+ * Renders an inferred module YAML with its TODO comments.
+ *
+ * @param {{ domain: object, notes: Notes }} result - Output of an importer
+ * @param {string[]} [header] - Comment lines for the top of the file
+ * @returns {string}
+ */
+function renderDomainYaml({ domain, notes }, header = []) {
+  const out = header.map((line) => (line ? `# ${line}` : '#'));
+  if (out.length > 0) out.push('');
+  emitMapping(out, notes, domain, 0, { blankLines: true });
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Runs the checks of `eva validate` on a written module YAML: the JSON Schema,
+ * the domain parser of `eva g entities` and the error-level domain checks.
+ *
+ * @param {string} content      - YAML source
+ * @param {string} filePath     - Absolute path of the written file
+ * @param {string} moduleName
+ * @param {object} systemConfig - Parsed system/system.yaml
+ * @returns {Promise<{ problems: string[], warnings: number }>}
+ */
+async function checkModuleYaml(content, filePath, moduleName, systemConfig) {
+  const relative = `system/${moduleName}.yaml`;
+  const problems = [];
+  let warnings = 0;
+
+  const { data, errors } = validateYamlSource(content, 'domain', relative);
+  if (errors.length > 0) {
+    problems.push(...formatSchemaErrors(errors).split('\n'));
+  }
+  try {
+    await parseDomainYaml(filePath, 'com.example', moduleName);
+  } catch (err) {
+    problems.push(`${relative}: ${err.message}`);
+  }
+  if (data) {
+    const validation = validateDomain({ [moduleName]: data }, systemConfig);
+    for (const category of validation.categories) {
+      for (const check of category.checks) {
+        if (check.severity !== 'error') continue;
+        for (const finding of check.findings) {
+          problems.push(`[${check.id}] ${finding.message}`);
+        }
+      }
+    }
+    warnings = validation.summary.warnings;
+  }
+  return { problems, warnings };
+}
+
+module.exports = {
+  Notes,
+  toEnumConstant,
+  renderDomainYaml,
+  checkModuleYaml,
+};
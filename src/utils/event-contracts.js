@@ -0,0 +1,218 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * Registry of published event contracts, kept next to the design in system/.contracts/:
+ *
+ *   system/.contracts/<module>/<EventName>.v<version>.json
+ *   { "module": "orders", "event": "OrderPlacedEvent", "version": 1, "topic": "ORDER_PLACED",
+ *     "fields": [{ "name": "orderId", "type": "String" }, { "name": "channel", "type": "String", "default": "WEB" }] }
+ *
+ * `eva build` compares the fields of every event in system/<module>.yaml with the latest
+ * registered version of that event, with Avro / JSON Schema style rules:
+ *
+ *   change                          backward (new reader, old data)   forward (old reader, new data)
+ *   field added with defaultValue   ✅                                ✅
+ *   field added without default     ❌ old events lack it             ✅ ignored
+ *   field removed (had a default)   ✅                                ✅
+ *   field removed                   ✅ ignored                        ❌ consumers lose it
+ *   type widened (Integer → Long)   ✅                                ❌
+ *   type narrowed (Long → Integer)  ❌                                ✅
+ *   any other type change           ❌                                ❌
+ *
+ * A change is breaking when it does not meet the compatibility mode of the system
+ * (messaging.contracts.compatibility, 'forward' by default). Declaring a higher
+ * `version:` on the event registers a new version instead of checking the old one.
+ */
+
+const CONTRACTS_DIR = '.contracts';
+const COMPATIBILITY_MODES = ['backward', 'forward', 'full', 'none'];
+const DEFAULT_COMPATIBILITY = 'forward';
+
+// Types a value can be read as without losing information (old type → wider types)
+const WIDENINGS = {
+  Short: ['Integer', 'Long', 'Float', 'Double', 'BigDecimal'],
+  Integer: ['Long', 'Float', 'Double', 'BigDecimal'],
+  Long: ['Float', 'Double', 'BigDecimal'],
+  Float: ['Double', 'BigDecimal'],
+  Double: ['BigDecimal'],
+  LocalDate: ['LocalDateTime'],
+};
+
+const CONTRACT_FILE = /^(.+)\.v(\d+)\.json$/;
+
+// ── Registry ─────────────────────────────────────────────────────────────────
+
+/**
+ * Event contracts declared in the module YAMLs, one per aggregates[].events[] entry.
+ *
+ * @param {Record<string, object>} domainConfigs - moduleName → parsed system/<module>.yaml
+ */
+function collectEventContracts(domainConfigs) {
+  const contracts = [];
+  for (const [moduleName, config] of Object.entries(domainConfigs)) {
+    for (const agg of (config && config.aggregates) || []) {
+      for (const ev of agg.events || []) {
+        if (!ev || !ev.name) continue;
+        contracts.push({
+          module: moduleName,
+          event: ev.name,
+          version: Number.isInteger(ev.version) ? ev.version : 1,
+          topic: ev.topic || null,
+          fields: (ev.fields || []).filter((f) => f && f.name).map((f) => (
+            f.defaultValue !== undefined
+              ? { name: f.name, type: f.type, default: f.defaultValue }
+              : { name: f.name, type: f.type }
+          )),
+        });
+      }
+    }
+  }
+  return contracts;
+}
+
+/**
+ * Read system/.contracts/. Returns `<module>/<event>` → registered versions, oldest first.
+ *
+ * @param {string} systemDir - The project's system/ directory
+ * @returns {Promise<Map<string, object[]>>}
+ */
+async function loadContractRegistry(systemDir) {
+  const registry = new Map();
+  const root = path.join(systemDir, CONTRACTS_DIR);
+  if (!(await fs.pathExists(root))) return registry;
+
+  for (const moduleName of await fs.readdir(root)) {
+    const moduleDir = path.join(root, moduleName);
+    if (!(await fs.stat(moduleDir)).isDirectory()) continue;
+    for (const file of await fs.readdir(moduleDir)) {
+      const match = CONTRACT_FILE.exec(file);
+      if (!match) continue;
+      let contract;
+      try {
+        contract = await fs.readJson(path.join(moduleDir, file));
+      } catch (err) {
+        throw new Error(`Failed to read ${CONTRACTS_DIR}/${moduleName}/${file}: ${err.message}`);
+      }
+      const key = `${moduleName}/${match[1]}`;
+      if (!registry.has(key)) registry.set(key, []);
+      registry.get(key).push({ ...contract, version: Number(match[2]) });
+    }
+  }
+  for (const versions of registry.values()) versions.sort((a, b) => a.version - b.version);
+  return registry;
+}
+
+async function writeContracts(systemDir, contracts) {
+  for (const contract of contracts) {
+    const file = path.join(systemDir, CONTRACTS_DIR, contract.module, `${contract.event}.v${contract.version}.json`);
+    await fs.ensureDir(path.dirname(file));
+    await fs.writeFile(file, JSON.stringify(contract, null, 2) + '\n', 'utf-8');
+  }
+}
+
+// ── Compatibility ────────────────────────────────────────────────────────────
+
+/**
+ * Classify the field changes between two versions of an event contract.
+ *
+ * @returns {{ compatibility: 'full'|'backward'|'forward'|'none', changes: object[] }}
+ *   changes — [{ field, change: 'added'|'removed'|'typeChanged', from, to, compatibility }]
+ */
+function classifyFieldChanges(previousFields, nextFields) {
+  const before = new Map((previousFields || []).map((f) => [f.name, f]));
+  const after = new Map((nextFields || []).map((f) => [f.name, f]));
+  const changes = [];
+
+  for (const [name, field] of after) {
+    const old = before.get(name);
+    if (!old) {
+      changes.push({ field: name, change: 'added', from: null, to: field.type, compatibility: field.default !== undefined ? 'full' : 'forward' });
+    } else if (old.type !== field.type) {
+      changes.push({ field: name, change: 'typeChanged', from: old.type, to: field.type, compatibility: typeChangeCompatibility(old.type, field.type) });
+    }
+  }
+  for (const [name, field] of before) {
+    if (!after.has(name)) {
+      changes.push({ field: name, change: 'removed', from: field.type, to: null, compatibility: field.default !== undefined ? 'full' : 'backward' });
+    }
+  }
+
+  return { compatibility: changes.reduce((level, c) => combine(level, c.compatibility), 'full'), changes };
+}
+
+function typeChangeCompatibility(from, to) {
+  if ((WIDENINGS[from] || []).includes(to)) return 'backward';
+  if ((WIDENINGS[to] || []).includes(from)) return 'forward';
+  return 'none';
+}
+
+function combine(a, b) {
+  if (a === b) return a;
+  if (a === 'full') return b;
+  if (b === 'full') return a;
+  return 'none';
+}
+
+function satisfies(compatibility, mode) {
+  return mode === 'none' || compatibility === 'full' || compatibility === mode;
+}
+
+/**
+ * Compare the declared events with the registry.
+ *
+ * status per event:
+ *   registered   — first version of a new event
+ *   unchanged    — same fields as the registered version
+ *   compatible   — same version, changes allowed by the compatibility mode
+ *   breaking     — same version, changes the mode does not allow
+ *   newVersion   — `version:` is higher than the latest registered version
+ *   staleVersion — `version:` is lower than the latest registered version
+ *
+ * @param {string} systemDir
+ * @param {Record<string, object>} domainConfigs
+ * @param {string} [mode] - backward | forward | full | none
+ * @returns {Promise<{ results: object[], pending: object[] }>} pending — contracts to write once the build succeeds
+ */
+async function checkEventContracts(systemDir, domainConfigs, mode = DEFAULT_COMPATIBILITY) {
+  const registry = await loadContractRegistry(systemDir);
+  const results = [];
+  const pending = [];
+
+  for (const contract of collectEventContracts(domainConfigs)) {
+    const versions = registry.get(`${contract.module}/${contract.event}`) || [];
+    const latest = versions[versions.length - 1];
+    const result = { module: contract.module, event: contract.event, version: contract.version, compatibility: 'full', changes: [] };
+
+    if (!latest) {
+      result.status = 'registered';
+    } else {
+      Object.assign(result, classifyFieldChanges(latest.fields, contract.fields));
+      result.registeredVersion = latest.version;
+      if (contract.version > latest.version) result.status = 'newVersion';
+      else if (contract.version < latest.version) result.status = 'staleVersion';
+      else if (result.changes.length === 0) result.status = 'unchanged';
+      else result.status = satisfies(result.compatibility, mode) ? 'compatible' : 'breaking';
+    }
+
+    results.push(result);
+    const changed = !latest || contract.version > latest.version
+      || JSON.stringify([latest.topic, latest.fields]) !== JSON.stringify([contract.topic, contract.fields]);
+    if (result.status !== 'staleVersion' && changed) pending.push(contract);
+  }
+
+  return { results, pending };
+}
+
+module.exports = {
+  CONTRACTS_DIR,
+  COMPATIBILITY_MODES,
+  DEFAULT_COMPATIBILITY,
+  collectEventContracts,
+  loadContractRegistry,
+  writeContracts,
+  classifyFieldChanges,
+  checkEventContracts,
+};
@@ -0,0 +1,168 @@
+'use strict';
+
+const { toPascalCase } = require('./naming');
+
+/**
+ * JSON Schema for the field types of a module YAML: Java scalars, List<T> / Set<T>,
+ * Map<K, V>, and the enums, value objects and listener nestedTypes the module declares.
+ *
+ * Named types become entries of `components.schemas` and are referenced with $ref,
+ * the layout AsyncAPI 3 and OpenAPI 3 share:
+ *
+ *   const registry = new SchemaRegistry(domainConfigs);
+ *   registry.objectSchema('orders', fields)   // { type: 'object', properties: { status: { $ref: '#/components/schemas/OrderStatus' } } }
+ *   registry.schemas                          // { OrderStatus: { type: 'string', enum: [...] } }
+ */
+
+const SCALARS = {
+  String: { type: 'string' },
+  Character: { type: 'string', maxLength: 1 },
+  char: { type: 'string', maxLength: 1 },
+  Integer: { type: 'integer', format: 'int32' },
+  int: { type: 'integer', format: 'int32' },
+  Short: { type: 'integer', format: 'int32' },
+  short: { type: 'integer', format: 'int32' },
+  Long: { type: 'integer', format: 'int64' },
+  long: { type: 'integer', format: 'int64' },
+  Double: { type: 'number', format: 'double' },
+  double: { type: 'number', format: 'double' },
+  Float: { type: 'number', format: 'float' },
+  float: { type: 'number', format: 'float' },
+  BigDecimal: { type: 'number' },
+  BigInteger: { type: 'integer' },
+  Boolean: { type: 'boolean' },
+  boolean: { type: 'boolean' },
+  LocalDate: { type: 'string', format: 'date' },
+  LocalDateTime: { type: 'string', format: 'date-time' },
+  Instant: { type: 'string', format: 'date-time' },
+  ZonedDateTime: { type: 'string', format: 'date-time' },
+  OffsetDateTime: { type: 'string', format: 'date-time' },
+  LocalTime: { type: 'string', format: 'time' },
+  UUID: { type: 'string', format: 'uuid' },
+  Object: { type: 'object' },
+};
+
+const REF_PREFIX = '#/components/schemas/';
+
+class SchemaRegistry {
+  /**
+   * @param {Record<string, object>} domainConfigs - moduleName → parsed module YAML
+   */
+  constructor(domainConfigs) {
+    this.domainConfigs = domainConfigs || {};
+    this.schemas = {};
+    this._owners = new Map();      // component name → `${module}/${type}`
+    this._componentNames = new Map(); // `${module}/${type}` → component name
+  }
+
+  /**
+   * Object schema for a list of { name, type, defaultValue? } fields. Fields with a
+   * defaultValue are optional; the rest are required.
+   *
+   * @param {string} moduleName - Module whose enums / value objects the field types refer to
+   * @param {object[]} fields
+   */
+  objectSchema(moduleName, fields) {
+    const properties = {};
+    const required = [];
+    for (const field of fields || []) {
+      if (!field || !field.name) continue;
+      const schema = this.fieldSchema(moduleName, field.type);
+      if (field.defaultValue !== undefined) {
+        properties[field.name] = schema.$ref ? { allOf: [schema], default: field.defaultValue } : { ...schema, default: field.defaultValue };
+      } else {
+        properties[field.name] = schema;
+        required.push(field.name);
+      }
+    }
+    return required.length > 0
+      ? { type: 'object', properties, required }
+      : { type: 'object', properties };
+  }
+
+  /**
+   * Schema for one Java type as written in the YAML.
+   */
+  fieldSchema(moduleName, javaType) {
+    const type = String(javaType || 'String').trim();
+
+    const collection = /^(?:List|Set|Collection)<(.+)>$/.exec(type);
+    if (collection) {
+      const items = this.fieldSchema(moduleName, collection[1]);
+      return type.startsWith('Set') ? { type: 'array', items, uniqueItems: true } : { type: 'array', items };
+    }
+    const map = /^Map<\s*[^,]+,\s*(.+)>$/.exec(type);
+    if (map) {
+      return { type: 'object', additionalProperties: this.fieldSchema(moduleName, map[1]) };
+    }
+    if (SCALARS[type]) {
+      return { ...SCALARS[type] };
+    }
+    return this.ref(moduleName, type) || { type: 'object', description: `Java type ${type}` };
+  }
+
+  /**
+   * $ref to a named type of the module, registering it (and the types it uses) in
+   * `schemas`. Returns null when the module does not declare the type.
+   */
+  ref(moduleName, typeName) {
+    const key = `${moduleName}/${typeName}`;
+    if (this._componentNames.has(key)) {
+      return { $ref: REF_PREFIX + this._componentNames.get(key) };
+    }
+
+    const declared = findNamedType(this.domainConfigs[moduleName], typeName);
+    if (!declared) return null;
+
+    // The same name in two modules: qualify the second one with its module
+    let name = typeName;
+    if (this._owners.has(name) && this._owners.get(name) !== key) {
+      name = `${toPascalCase(moduleName)}${typeName}`;
+    }
+    this._owners.set(name, key);
+    this._componentNames.set(key, name);
+
+    if (declared.kind === 'enum') {
+      this.schemas[name] = { type: 'string', enum: (declared.values || []).map(String) };
+    } else {
+      this.schemas[name] = {}; // reserve the name before recursing into self-references
+      this.schemas[name] = this.objectSchema(moduleName, declared.fields);
+    }
+    return { $ref: REF_PREFIX + name };
+  }
+
+  /**
+   * Register a schema under a fixed component name (events, request bodies).
+   * @returns {{ $ref: string }}
+   */
+  define(name, schema) {
+    this.schemas[name] = schema;
+    this._owners.set(name, `#${name}`);
+    return { $ref: REF_PREFIX + name };
+  }
+}
+
+/**
+ * Enum, value object or listener nested type declared in a module YAML.
+ * @returns {{ kind: 'enum', values: string[] } | { kind: 'object', fields: object[] } | null}
+ */
+function findNamedType(config, typeName) {
+  if (!config) return null;
+  for (const agg of config.aggregates || []) {
+    const en = (agg.enums || []).find((e) => e && e.name === typeName);
+    if (en) return { kind: 'enum', values: en.values };
+    const vo = (agg.valueObjects || []).find((v) => v && v.name === typeName);
+    if (vo) return { kind: 'object', fields: vo.fields };
+  }
+  for (const listener of config.listeners || []) {
+    const nested = (listener.nestedTypes || []).find((nt) => nt && toPascalCase(nt.name) === typeName);
+    if (nested) return { kind: 'object', fields: nested.fields };
+  }
+  return null;
+}
+
+module.exports = {
+  SCALARS,
+  SchemaRegistry,
+  findNamedType,
+};
@@ -0,0 +1,595 @@
+const SNAPSHOT_FILE = '.eva4j-schema.json';
+const SNAPSHOT_FORMAT_VERSION = 1;
+const SUPPORTED_DATABASES = ['postgresql', 'mysql', 'h2'];
+
+// PostgreSQL truncates identifiers at 63 chars, MySQL rejects anything over 64
+const MAX_IDENTIFIER_LENGTH = 63;
+
+/**
+ * Mirror Spring Boot's CamelCaseToUnderscoresNamingStrategy so that the
+ * generated DDL matches the physical names Hibernate expects at runtime.
+ * The strategy also applies to explicit @Table / @Column / @JoinColumn names.
+ * @param {string} name - Logical name (field, table or column)
+ * @returns {string} Physical name
+ */
+function physicalName(name) {
+  let result = name.replace(/\./g, '_');
+  for (let i = 1; i < result.length - 1; i++) {
+    if (/[a-z]/.test(result[i - 1]) && /[A-Z]/.test(result[i]) && /[a-z]/.test(result[i + 1])) {
+      result = `${result.slice(0, i)}_${result.slice(i)}`;
+      i++;
+    }
+  }
+  return result.toLowerCase();
+}
+
+/**
+ * Column name written explicitly by the JPA templates: @Column(name = "...")
+ * on secondary entities and read models, @AttributeOverride on embedded VOs.
+ */
+function explicitColumnName(fieldName) {
+  return physicalName(fieldName.replace(/([A-Z])/g, '_$1').toLowerCase());
+}
+
+function constraintName(prefix, table, column) {
+  return `${prefix}_${table}_${column}`.slice(0, MAX_IDENTIFIER_LENGTH);
+}
+
+/**
+ * Read the attributes of a JPA @Column(...) annotation declared in domain.yaml.
+ * Only the attributes that change the DDL are extracted.
+ * @param {Array<string>} annotations - Raw annotations of a field
+ * @returns {Object} { name, nullable, length, precision, scale, unique }
+ */
+function parseColumnAnnotation(annotations = []) {
+  const column = annotations.find(a => /^@Column\s*\(/.test(a.trim()));
+  if (!column) return {};
+
+  const attr = (key) => {
+    const match = column.match(new RegExp(`\\b${key}\\s*=\\s*("([^"]*)"|[\\w.]+)`));
+    if (!match) return undefined;
+    return match[2] !== undefined ? match[2] : match[1];
+  };
+
+  const result = {};
+  if (attr('name') !== undefined) result.name = attr('name');
+  if (attr('nullable') !== undefined) result.nullable = attr('nullable') !== 'false';
+  if (attr('unique') !== undefined) result.unique = attr('unique') === 'true';
+  ['length', 'precision', 'scale'].forEach(key => {
+    const value = attr(key);
+    if (value !== undefined && /^\d+$/.test(value)) result[key] = parseInt(value, 10);
+  });
+  return result;
+}
+
+/**
+ * Map a Java type to the logical column type stored in the snapshot.
+ * Logical types keep snapshots database-neutral; SQL types are resolved at
+ * render time so a project can switch database without a spurious diff.
+ */
+function logicalType(javaType, isEnum) {
+  if (isEnum) return 'Enum';
+  const known = ['String', 'Integer', 'Long', 'Double', 'Float', 'Short', 'BigDecimal', 'Boolean',
+    'LocalDate', 'LocalDateTime', 'LocalTime', 'Instant', 'UUID'];
+  return known.includes(javaType) ? javaType : null;
+}
+
+function column(type, extra = {}) {
+  const col = { type, nullable: true, ...extra };
+  if (type === 'String' || type === 'Enum') col.length = col.length || 255;
+  if (type === 'BigDecimal') {
+    col.precision = col.precision || 38;
+    col.scale = col.scale !== undefined ? col.scale : 2;
+  }
+  return col;
+}
+
+function emptyTable() {
+  return { columns: {}, foreignKeys: {}, indexes: {} };
+}
+
+function addForeignKey(table, tableName, columnName, refTable, refColumn) {
+  table.foreignKeys[constraintName('fk', tableName, columnName)] = {
+    column: columnName,
+    refTable,
+    refColumn
+  };
+}
+
+/**
+ * Build the relational model of one module from the output of parseDomainYaml().
+ * Covers aggregate roots and secondary entities (including audit, soft-delete
+ * and version columns), embedded value objects, @ElementCollection tables,
+ * ManyToOne / owning OneToOne join columns, declared indexes / unique
+ * constraints, aggregate root subtypes (inheritance) and read-model (rm_*) tables.
+ *
+ * @param {Object} parsed - { aggregates, readModels } from parseDomainYaml()
+ * @param {Function} [warn] - Receives a message for constructs that cannot be mapped
+ * @returns {Object} { tables: { [tableName]: { columns, foreignKeys, indexes } } }
+ */
+function buildSchemaSnapshot(parsed, warn = () => {}) {
+  const tables = {};
+  const { aggregates = [], readModels = [] } = parsed;
+
+  aggregates.forEach(aggregate => {
+    const entityTables = {};
+    aggregate.allEntities.forEach(entity => {
+      const idField = entity.fields[0];
+      entityTables[entity.name] = {
+        table: physicalName(entity.tableName),
+        idColumn: 'id',
+        idType: logicalType(idField.javaType, idField.isEnum) || 'String'
+      };
+      if (idField.name !== 'id') {
+        entityTables[entity.name].idColumn = entity.isRoot ? physicalName(idField.name) : explicitColumnName(idField.name);
+      }
+    });
+
+    const hasCreateLifecycle = !!(aggregate.lifecycleEventsMap && aggregate.lifecycleEventsMap.create
+      && aggregate.lifecycleEventsMap.create.length > 0);
+
+    aggregate.allEntities.forEach(entity => {
+      const tableName = entityTables[entity.name].table;
+      const table = emptyTable();
+      tables[tableName] = table;
+
+      const auditFields = [];
+      if (entity.auditable || (entity.audit && entity.audit.enabled)) auditFields.push('createdAt', 'updatedAt');
+      if (entity.audit && entity.audit.trackUser) auditFields.push('createdBy', 'updatedBy');
+
+      addFieldColumns(tables, table, entity, entity.fields, {
+        owner: entityTables[entity.name],
+        valueObjects: aggregate.valueObjects,
+        // Root fields carry the YAML annotations and an implicit column name;
+        // secondary entities always get an explicit snake_case @Column(name)
+        implicitNames: entity.isRoot,
+        primaryKey: true,
+        generatedId: !entity.isRoot || !hasCreateLifecycle,
+        auditFields
+      }, warn);
+
+      (entity.relationships || []).forEach(rel => {
+        const owning = rel.type === 'ManyToOne' || (rel.type === 'OneToOne' && !rel.mappedBy);
+        if (!owning) return;
+
+        const target = entityTables[rel.target];
+        if (!target) {
+          warn(`${entity.name}.${rel.fieldName}: target entity ${rel.target} is not part of aggregate ${aggregate.name} — join column skipped`);
+          return;
+        }
+        const joinColumn = physicalName(rel.joinColumn || `${rel.fieldName}_id`);
+        const col = column(target.idType);
+        if (rel.type === 'OneToOne') col.unique = true;
+        table.columns[joinColumn] = col;
+        addForeignKey(table, tableName, joinColumn, target.table, target.idColumn);
+      });
+
+      addIndexes(table, entity);
+    });
+
+    if (aggregate.rootEntity.inheritance) {
+      addInheritanceTables(tables, aggregate.rootEntity, entityTables[aggregate.rootEntity.name], aggregate.valueObjects, warn);
+    }
+  });
+
+  readModels.forEach(rm => {
+    const tableName = physicalName(rm.tableName);
+    const table = emptyTable();
+    tables[tableName] = table;
+    table.columns.id = column('String', { nullable: false, primaryKey: true });
+    rm.fields.filter(f => f.name !== 'id').forEach(field => {
+      const type = logicalType(field.javaType, false);
+      if (!type) {
+        warn(`${rm.name}.${field.name}: unsupported type ${field.javaType} — mapped as String`);
+      }
+      table.columns[explicitColumnName(field.name)] = column(type || 'String');
+    });
+    if (rm.hasSoftDelete) {
+      table.columns.deleted_at = column('LocalDateTime');
+    }
+  });
+
+  return { tables };
+}
+
+/**
+ * Add the columns of `fields` to `table`. Shared by entities and by the
+ * subtypes of an aggregate root (see addInheritanceTables).
+ * @param {Object} ctx - { owner, valueObjects, implicitNames, primaryKey, generatedId, forceNullable, auditFields }
+ */
+function addFieldColumns(tables, table, entity, fields, ctx, warn) {
+  const auditFields = ctx.auditFields || [];
+  fields.forEach((field, index) => {
+    // Audit columns come from AuditableEntity / FullAuditableEntity
+    if (auditFields.includes(field.name)) {
+      table.columns[explicitColumnName(field.name)] = ['createdAt', 'updatedAt'].includes(field.name)
+        ? column('LocalDateTime', { nullable: false })
+        : column('String', { length: 100 });
+      return;
+    }
+
+    if (field.isCollection) {
+      addCollectionTable(tables, entity, field, ctx.owner.table, ctx.owner, ctx.valueObjects, warn);
+      return;
+    }
+
+    if (field.isValueObject) {
+      const vo = ctx.valueObjects.find(v => v.name === field.javaType);
+      if (!vo) {
+        warn(`${entity.name}.${field.name}: value object ${field.javaType} not found — skipped`);
+        return;
+      }
+      vo.fields.forEach(voField => {
+        const type = logicalType(voField.javaType, voField.isEnum);
+        if (!type) {
+          warn(`${entity.name}.${field.name}.${voField.name}: unsupported type ${voField.javaType} — mapped as String`);
+        }
+        table.columns[`${explicitColumnName(field.name)}_${explicitColumnName(voField.name)}`] = column(type || 'String');
+      });
+      return;
+    }
+
+    const annotated = ctx.implicitNames ? parseColumnAnnotation(field.annotations) : {};
+    const columnName = ctx.implicitNames
+      ? physicalName(annotated.name || field.name)
+      : explicitColumnName(field.name);
+    const type = logicalType(field.javaType, field.isEnum);
+    if (!type) {
+      warn(`${entity.name}.${field.name}: unsupported type ${field.javaType} — mapped as String`);
+    }
+
+    const col = column(type || 'String', {
+      ...(annotated.length !== undefined && { length: annotated.length }),
+      ...(annotated.precision !== undefined && { precision: annotated.precision }),
+      ...(annotated.scale !== undefined && { scale: annotated.scale }),
+      nullable: annotated.nullable !== undefined && !ctx.forceNullable ? annotated.nullable : true
+    });
+    if (annotated.unique) col.unique = true;
+
+    if (ctx.primaryKey && index === 0) {
+      col.primaryKey = true;
+      col.nullable = false;
+      if (ctx.generatedId && (type === 'Long' || type === 'Integer')) col.identity = true;
+    }
+    if (field.isVersion) {
+      col.nullable = false;
+      col.default = '0';
+    }
+    table.columns[columnName] = col;
+  });
+}
+
+function addIndexes(table, entity) {
+  (entity.indexes || []).forEach(idx => {
+    table.indexes[idx.name] = { columns: idx.columns.map(physicalName), unique: false };
+  });
+  (entity.uniqueConstraints || []).forEach(uk => {
+    table.indexes[uk.name] = { columns: uk.columns.map(physicalName), unique: true };
+  });
+}
+
+/**
+ * Map the subtypes (extends:) of an aggregate root:
+ * - SINGLE_TABLE: discriminator and subtype columns (always nullable) on the root table
+ * - JOINED: discriminator on the root table, one table per subtype whose
+ *   primary key is also a foreign key to the root table
+ * - TABLE_PER_CLASS: no root table, every subtype table repeats the root columns
+ */
+function addInheritanceTables(tables, root, owner, valueObjects, warn) {
+  const { strategy, discriminator } = root.inheritance;
+  const rootTable = tables[owner.table];
+
+  if (strategy !== 'TABLE_PER_CLASS') {
+    rootTable.columns[physicalName(discriminator.column)] = discriminator.type === 'INTEGER'
+      ? column('Integer', { nullable: false })
+      : column('String', { nullable: false, length: discriminator.type === 'CHAR' ? 1 : 31 });
+  }
+  if (strategy === 'TABLE_PER_CLASS') {
+    delete tables[owner.table];
+  }
+
+  root.subtypes.forEach(subtype => {
+    const ctx = { owner, valueObjects, implicitNames: true, primaryKey: false };
+    if (strategy === 'SINGLE_TABLE') {
+      addFieldColumns(tables, rootTable, subtype, subtype.fields, { ...ctx, forceNullable: true }, warn);
+      return;
+    }
+
+    const tableName = physicalName(subtype.tableName);
+    const table = emptyTable();
+    tables[tableName] = table;
+    if (strategy === 'JOINED') {
+      table.columns[owner.idColumn] = column(owner.idType, { nullable: false, primaryKey: true });
+      addForeignKey(table, tableName, owner.idColumn, owner.table, owner.idColumn);
+    } else {
+      table.columns = JSON.parse(JSON.stringify(rootTable.columns));
+    }
+    addFieldColumns(tables, table, subtype, subtype.fields, ctx, warn);
+    addIndexes(table, subtype);
+  });
+}
+
+function addCollectionTable(tables, entity, field, ownerTable, owner, valueObjects, warn) {
+  const tableName = physicalName(`${ownerTable}_${field.name}`);
+  const joinColumn = `${entity.name.toLowerCase()}_id`;
+  const table = emptyTable();
+  tables[tableName] = table;
+  table.columns[joinColumn] = column(owner.idType, { nullable: false });
+  addForeignKey(table, tableName, joinColumn, ownerTable, owner.idColumn);
+
+  const vo = valueObjects.find(v => v.name === field.collectionElementType);
+  if (vo) {
+    vo.fields.forEach(voField => {
+      const annotated = parseColumnAnnotation(voField.annotations);
+      const type = logicalType(voField.javaType, voField.isEnum);
+      table.columns[physicalName(annotated.name || voField.name)] = column(type || 'String', {
+        ...(annotated.length !== undefined && { length: annotated.length }),
+        nullable: annotated.nullable !== undefined ? annotated.nullable : true
+      });
+    });
+    return;
+  }
+
+  // The templates only write @Column(name) for these element types
+  const explicit = ['String', 'Integer', 'Long', 'Double', 'BigDecimal'].includes(field.collectionElementType);
+  const type = logicalType(field.collectionElementType, false);
+  if (!type) {
+    // Enum elements have no @Enumerated on the collection → ORDINAL
+    warn(`${entity.name}.${field.name}: element type ${field.collectionElementType} stored as ordinal`);
+  }
+  table.columns[explicit ? explicitColumnName(field.name) : physicalName(field.name)] = column(type || 'Short');
+}
+
+// ── Diff ─────────────────────────────────────────────────────────────────────
+
+function sameType(a, b) {
+  return a.type === b.type && a.length === b.length && a.precision === b.precision && a.scale === b.scale;
+}
+
+/**
+ * Compare two snapshots and return the ordered list of changes.
+ * Order matters for the generated script: foreign keys and indexes are dropped
+ * first and created last so that table and column changes never trip over them.
+ *
+ * @param {Object|null} previous - Stored snapshot (null on the first run)
+ * @param {Object} current - Snapshot built from the current domain.yaml
+ * @returns {Array<Object>} Changes, each with a `kind` discriminator
+ */
+function diffSchemas(previous, current) {
+  const before = (previous && previous.tables) || {};
+  const after = current.tables;
+  const changes = [];
+  const dropFks = [];
+  const addFks = [];
+  const dropIndexes = [];
+  const addIndexes = [];
+
+  Object.entries(before).forEach(([tableName, table]) => {
+    Object.entries(table.foreignKeys).forEach(([fkName, fk]) => {
+      const kept = after[tableName] && after[tableName].foreignKeys[fkName];
+      if (!kept || JSON.stringify(kept) !== JSON.stringify(fk)) {
+        dropFks.push({ kind: 'dropForeignKey', table: tableName, name: fkName });
+      }
+    });
+  });
+
+  Object.keys(before).filter(t => !after[t]).forEach(tableName => {
+    changes.push({ kind: 'dropTable', table: tableName });
+  });
+
+  Object.entries(after).forEach(([tableName, table]) => {
+    if (!before[tableName]) {
+      changes.push({ kind: 'createTable', table: tableName, columns: table.columns });
+    } else {
+      const oldColumns = before[tableName].columns;
+      Object.entries(table.columns).forEach(([columnName, col]) => {
+        const old = oldColumns[columnName];
+        if (!old) {
+          changes.push({ kind: 'addColumn', table: tableName, column: columnName, definition: col });
+          return;
+        }
+        if (!!old.primaryKey !== !!col.primaryKey || !!old.identity !== !!col.identity) {
+          changes.push({ kind: 'manual', table: tableName, column: columnName,
+            note: 'primary key / identity definition changed — adjust manually' });
+          return;
+        }
+        const typeChanged = !sameType(old, col);
+        const nullableChanged = old.nullable !== col.nullable;
+        if (typeChanged || nullableChanged) {
+          changes.push({ kind: 'alterColumn', table: tableName, column: columnName, definition: col, previous: old,
+            typeChanged, nullableChanged });
+        }
+        if (!!old.unique !== !!col.unique) {
+          changes.push({ kind: col.unique ? 'addUnique' : 'dropUnique', table: tableName, column: columnName });
+        }
+      });
+      Object.keys(oldColumns).filter(c => !table.columns[c]).forEach(columnName => {
+        changes.push({ kind: 'dropColumn', table: tableName, column: columnName });
+      });
+    }
+
+    Object.entries(table.foreignKeys).forEach(([fkName, fk]) => {
+      const existing = before[tableName] && before[tableName].foreignKeys[fkName];
+      if (!existing || JSON.stringify(existing) !== JSON.stringify(fk)) {
+        addFks.push({ kind: 'addForeignKey', table: tableName, name: fkName, ...fk });
+      }
+    });
+
+    // Snapshots written before indexes were supported have no `indexes` key
+    const oldIndexes = (before[tableName] && before[tableName].indexes) || {};
+    const newIndexes = table.indexes || {};
+    Object.entries(oldIndexes).forEach(([indexName, index]) => {
+      const kept = newIndexes[indexName];
+      if (!kept || JSON.stringify(kept) !== JSON.stringify(index)) {
+        dropIndexes.push({ kind: 'dropIndex', table: tableName, name: indexName, ...index });
+      }
+    });
+    Object.entries(newIndexes).forEach(([indexName, index]) => {
+      const existing = oldIndexes[indexName];
+      if (!existing || JSON.stringify(existing) !== JSON.stringify(index)) {
+        addIndexes.push({ kind: 'addIndex', table: tableName, name: indexName, ...index });
+      }
+    });
+  });
+
+  // FKs of dropped tables disappear with the table itself
+  const droppedTables = new Set(changes.filter(c => c.kind === 'dropTable').map(c => c.table));
+  return [
+    ...dropFks.filter(fk => !droppedTables.has(fk.table)),
+    ...dropIndexes,
+    ...changes,
+    ...addIndexes,
+    ...addFks
+  ];
+}
+
+// ── SQL rendering ────────────────────────────────────────────────────────────
+
+/**
+ * SQL type for a logical column on the given database, aligned with the
+ * defaults Hibernate 6 uses so that `ddl-auto: validate` accepts the schema.
+ */
+function sqlType(col, databaseType) {
+  const mysql = databaseType === 'mysql';
+  switch (col.type) {
+    case 'String':
+    case 'Enum':
+      return `VARCHAR(${col.length})`;
+    case 'Integer': return mysql ? 'INT' : 'INTEGER';
+    case 'Long': return 'BIGINT';
+    case 'Short': return 'SMALLINT';
+    case 'Double': return mysql ? 'DOUBLE' : 'DOUBLE PRECISION';
+    case 'Float': return mysql ? 'FLOAT' : 'REAL';
+    case 'BigDecimal': return `${mysql ? 'DECIMAL' : 'NUMERIC'}(${col.precision},${col.scale})`;
+    case 'Boolean': return mysql ? 'BIT(1)' : 'BOOLEAN';
+    case 'LocalDate': return 'DATE';
+    case 'LocalDateTime': return mysql ? 'DATETIME(6)' : 'TIMESTAMP(6)';
+    case 'LocalTime': return 'TIME(6)';
+    case 'Instant': return mysql ? 'DATETIME(6)' : 'TIMESTAMP(6) WITH TIME ZONE';
+    case 'UUID': return mysql ? 'BINARY(16)' : 'UUID';
+    default: return 'VARCHAR(255)';
+  }
+}
+
+function columnDefinition(name, col, databaseType) {
+  let sql = `${name} ${sqlType(col, databaseType)}`;
+  if (col.identity) {
+    sql += databaseType === 'mysql' ? ' NOT NULL AUTO_INCREMENT' : ' GENERATED BY DEFAULT AS IDENTITY';
+    return sql;
+  }
+  if (col.default !== undefined) sql += ` DEFAULT ${col.default}`;
+  if (!col.nullable) sql += ' NOT NULL';
+  return sql;
+}
+
+/**
+ * Render the changes as SQL statements for one database.
+ * Destructive or risky statements carry a leading `-- WARNING` comment so
+ * they stand out in code review.
+ *
+ * @param {Array<Object>} changes - Output of diffSchemas()
+ * @param {string} databaseType - postgresql | mysql | h2
+ * @returns {Array<string>} Statements (each may span several lines)
+ */
+function renderStatements(changes, databaseType) {
+  const mysql = databaseType === 'mysql';
+
+  return changes.map(change => {
+    const { table } = change;
+    switch (change.kind) {
+      case 'createTable': {
+        const entries = Object.entries(change.columns);
+        const width = Math.max(...entries.map(([name]) => name.length));
+        const lines = entries.map(([name, col]) => `    ${columnDefinition(name.padEnd(width), col, databaseType)}`);
+        const pk = entries.filter(([, col]) => col.primaryKey).map(([name]) => name);
+        if (pk.length > 0) lines.push(`    CONSTRAINT ${constraintName('pk', table, pk.join('_'))} PRIMARY KEY (${pk.join(', ')})`);
+        entries.filter(([, col]) => col.unique).forEach(([name]) => {
+          lines.push(`    CONSTRAINT ${constraintName('uk', table, name)} UNIQUE (${name})`);
+        });
+        return `CREATE TABLE ${table} (\n${lines.join(',\n')}\n);`;
+      }
+      case 'dropTable':
+        return `-- WARNING: drops table ${table} and all its data\nDROP TABLE ${table};`;
+      case 'addColumn': {
+        const col = change.definition;
+        const warning = !col.nullable && col.default === undefined
+          ? `-- WARNING: NOT NULL column without default — fails if ${table} already has rows; backfill first\n`
+          : '';
+        const unique = col.unique
+          ? `\nALTER TABLE ${table} ADD CONSTRAINT ${constraintName('uk', table, change.column)} UNIQUE (${change.column});`
+          : '';
+        return `${warning}ALTER TABLE ${table} ADD COLUMN ${columnDefinition(change.column, col, databaseType)};${unique}`;
+      }
+      case 'dropColumn':
+        return `-- WARNING: drops column ${table}.${change.column} and its data\nALTER TABLE ${table} DROP COLUMN ${change.column};`;
+      case 'alterColumn': {
+        const { column: name, definition, previous } = change;
+        const comment = change.typeChanged
+          ? `-- ${name}: ${sqlType(previous, databaseType)} → ${sqlType(definition, databaseType)}\n`
+          : '';
+        // MySQL redefines the whole column in a single MODIFY
+        if (mysql) return `${comment}ALTER TABLE ${table} MODIFY COLUMN ${columnDefinition(name, definition, databaseType)};`;
+        const statements = [];
+        if (change.typeChanged) {
+          statements.push(databaseType === 'h2'
+            ? `ALTER TABLE ${table} ALTER COLUMN ${name} SET DATA TYPE ${sqlType(definition, databaseType)};`
+            : `ALTER TABLE ${table} ALTER COLUMN ${name} TYPE ${sqlType(definition, databaseType)};`);
+        }
+        if (change.nullableChanged) {
+          statements.push(`ALTER TABLE ${table} ALTER COLUMN ${name} ${definition.nullable ? 'DROP' : 'SET'} NOT NULL;`);
+        }
+        return comment + statements.join('\n');
+      }
+      case 'addUnique':
+        return `ALTER TABLE ${table} ADD CONSTRAINT ${constraintName('uk', table, change.column)} UNIQUE (${change.column});`;
+      case 'dropUnique':
+        return mysql
+          ? `ALTER TABLE ${table} DROP INDEX ${constraintName('uk', table, change.column)};`
+          : `ALTER TABLE ${table} DROP CONSTRAINT ${constraintName('uk', table, change.column)};`;
+      case 'addIndex':
+        return change.unique
+          ? `ALTER TABLE ${table} ADD CONSTRAINT ${change.name} UNIQUE (${change.columns.join(', ')});`
+          : `CREATE INDEX ${change.name} ON ${table} (${change.columns.join(', ')});`;
+      case 'dropIndex':
+        if (mysql) return `ALTER TABLE ${table} DROP INDEX ${change.name};`;
+        return change.unique
+          ? `ALTER TABLE ${table} DROP CONSTRAINT ${change.name};`
+          : `DROP INDEX ${change.name};`;
+      case 'addForeignKey':
+        return `ALTER TABLE ${table} ADD CONSTRAINT ${change.name} FOREIGN KEY (${change.column}) REFERENCES ${change.refTable} (${change.refColumn});`;
+      case 'dropForeignKey':
+        return mysql
+          ? `ALTER TABLE ${table} DROP FOREIGN KEY ${change.name};`
+          : `ALTER TABLE ${table} DROP CONSTRAINT ${change.name};`;
+      case 'manual':
+        return `-- TODO: ${table}.${change.column}: ${change.note}`;
+      default:
+        throw new Error(`Unknown schema change: ${change.kind}`);
+    }
+  });
+}
+
+/**
+ * Next free Flyway version in a db/migration directory (V<n>__*.sql).
+ * @param {Array<string>} fileNames - Entries of the migration directory
+ * @returns {number}
+ */
+function nextMigrationVersion(fileNames) {
+  const versions = fileNames
+    .map(f => f.match(/^V(\d+)__/))
+    .filter(Boolean)
+    .map(m => parseInt(m[1], 10));
+  return versions.length > 0 ? Math.max(...versions) + 1 : 1;
+}
+
+module.exports = {
+  SNAPSHOT_FILE,
+  SNAPSHOT_FORMAT_VERSION,
+  SUPPORTED_DATABASES,
+  physicalName,
+  parseColumnAnnotation,
+  buildSchemaSnapshot,
+  diffSchemas,
+  renderStatements,
+  nextMigrationVersion
+};
@@ -0,0 +1,640 @@
+'use strict';
+
+const { toPascalCase, toCamelCase } = require('./naming');
+const { SCALARS } = require('./java-json-schema');
+const { initSeed, generateFakeValue, generateFakeId } = require('./fake-data');
+
+/**
+ * OpenAPI 3.1 document of the REST API declared in the `endpoints:` sections of the
+ * module YAMLs — the contract the generated controllers expose:
+ *
+ *   paths       — /api/{version}{basePath}{path} for every operation of every version
+ *   schemas     — commands and DTOs with the fields the generator puts in them
+ *                 (readOnly fields out of requests, hidden fields out of responses),
+ *                 JSR-303 validations as constraints, enums, value objects
+ *   examples    — the same fake-data heuristics as the Postman collection and @Schema(example)
+ *
+ * Expects op._ownerAggregate / op._classification to be set by classifyEndpointOperations().
+ */
+
+const OPENAPI_VERSION = '3.1.0';
+const REF_PREFIX = '#/components/schemas/';
+
+// Same exclusions as the command / DTO generation in generate-entities
+const NON_WRITABLE_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'deletedAt']);
+const NON_READABLE_FIELDS = new Set(['createdBy', 'updatedBy', 'deletedAt']);
+
+const ERROR_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['timestamp', 'status', 'error', 'message'],
+  properties: {
+    timestamp: { type: 'string', format: 'date-time' },
+    status: { type: 'integer', format: 'int32', example: 400 },
+    error: { type: 'string', example: 'Bad Request' },
+    message: { type: 'string', example: 'Validation failed' },
+    details: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+const ERROR_RESPONSES = {
+  BadRequest: 'Invalid request — validation failed or malformed body',
+  NotFound: 'Resource not found',
+  Conflict: 'The resource was modified concurrently — reload and retry',
+};
+
+// Operations that load the aggregate by the {id} of the route — 404 when it does not exist
+const LOADS_BY_ID = new Set(['getById', 'update', 'delete', 'transition', 'subEntityAdd', 'subEntityRemove']);
+
+// Response status of each operation kind, as set by enrichEndpointOperation()
+const STATUS_BY_KIND = {
+  create: '201',
+  update: '204',
+  transition: '204',
+  subEntityAdd: '201',
+  subEntityRemove: '204',
+};
+
+/**
+ * @param {object} design
+ * @param {object} design.systemConfig - Parsed system.yaml
+ * @param {Array<{ name: string, domain: object }>} design.modules - parseDomainYaml() output per module
+ * @param {object} [options]
+ * @param {string} [options.title]     - info.title (default: system name)
+ * @param {string} [options.version]   - info.version (default 1.0.0)
+ * @param {number} [options.port]      - Server port (default 8040)
+ * @returns {object} OpenAPI document
+ */
+function buildOpenApi({ systemConfig, modules }, options = {}) {
+  const system = (systemConfig && systemConfig.system) || {};
+  const schemas = new ComponentSchemas();
+  initSeed(42);
+
+  const doc = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: options.title || system.name || 'eva4j-api',
+      version: options.version || '1.0.0',
+      ...(system.description ? { description: system.description } : {}),
+    },
+    servers: [{ url: `http://localhost:${options.port || 8040}`, description: 'Local' }],
+    tags: [],
+    paths: {},
+    components: { schemas: {}, responses: {} },
+  };
+
+  const operationIds = new Set();
+  const routeOwners = new Map(); // `${method} ${route}` → module.UseCase
+  const usedErrors = new Set();
+
+  for (const { name: moduleName, domain } of modules) {
+    const { endpoints, aggregates } = domain;
+    if (!endpoints || !endpoints.versions) continue;
+    const ctx = moduleContext(moduleName, domain, schemas);
+    // A use case served by several versions gets one operationId per version
+    const versionsByUseCase = new Map();
+    endpoints.versions.forEach((v) => v.operations.forEach((op) => {
+      versionsByUseCase.set(op.useCase, (versionsByUseCase.get(op.useCase) || 0) + 1);
+    }));
+
+    for (const version of endpoints.versions) {
+      for (const op of version.operations) {
+        const aggregate = aggregates.find((a) => a.name === op._ownerAggregate) || aggregates[0];
+        if (!aggregate) continue;
+
+        if (!doc.tags.some((t) => t.name === aggregate.name)) {
+          doc.tags.push({ name: aggregate.name, description: `${aggregate.name} Management API (module ${moduleName})` });
+        }
+
+        const route = joinPath('/api', version.version, endpoints.basePath, op.path);
+        const method = op.method.toLowerCase();
+        const owner = routeOwners.get(`${method} ${route}`);
+        if (owner) {
+          throw new Error(`${op.method} ${route} is declared twice (${owner} and ${moduleName}.${op.useCase})`);
+        }
+        routeOwners.set(`${method} ${route}`, `${moduleName}.${op.useCase}`);
+        const operation = buildOperation(op, aggregate, ctx);
+
+        let operationId = toCamelCase(op.useCase);
+        if (versionsByUseCase.get(op.useCase) > 1) operationId += toPascalCase(version.version);
+        if (operationIds.has(operationId)) operationId = `${toCamelCase(moduleName)}${toPascalCase(operationId)}`;
+        operationIds.add(operationId);
+
+        doc.paths[route] = doc.paths[route] || {};
+        doc.paths[route][method] = { operationId, ...operation };
+        Object.values(operation.responses)
+          .map((r) => r.$ref && r.$ref.split('/').pop())
+          .filter(Boolean)
+          .forEach((name) => usedErrors.add(name));
+      }
+    }
+  }
+
+  doc.components.schemas = schemas.all();
+  if (usedErrors.size > 0) {
+    doc.components.schemas.ErrorResponse = ERROR_RESPONSE_SCHEMA;
+    for (const name of Object.keys(ERROR_RESPONSES).filter((n) => usedErrors.has(n))) {
+      doc.components.responses[name] = {
+        description: ERROR_RESPONSES[name],
+        content: { 'application/json': { schema: { $ref: `${REF_PREFIX}ErrorResponse` } } },
+      };
+    }
+  }
+  return doc;
+}
+
+// ── Operations ───────────────────────────────────────────────────────────────
+
+function buildOperation(op, aggregate, ctx) {
+  const cl = op._classification || { category: 'scaffold' };
+  const kind = cl.category === 'standard' ? cl.variant : cl.category;
+  const { rootEntity } = aggregate;
+  const idType = rootEntity.fields[0].javaType;
+  const type = op.type || (op.method === 'GET' ? 'query' : 'command');
+
+  const operation = {
+    tags: [aggregate.name],
+    summary: op.description || op.useCase,
+    parameters: pathParameters(op, cl, idType),
+  };
+
+  // Query parameters
+  if (kind === 'findAll' && op.pagination === 'cursor') {
+    operation.parameters.push(
+      queryParam('cursor', { type: 'string' }, 'nextCursor of the previous page; omit for the first page'),
+      queryParam('size', { type: 'integer', format: 'int32', default: 20 }),
+      ...listFilterParameters(rootEntity, aggregate, ctx)
+    );
+  } else if (kind === 'findAll') {
+    operation.parameters.push(...pageParameters(rootEntity), ...listFilterParameters(rootEntity, aggregate, ctx));
+  } else if (kind === 'findBy') {
+    const pathNames = operation.parameters.map((p) => p.name);
+    operation.parameters.push(...(cl.params || []).filter((p) => !pathNames.includes(p.name)).map((p) => ({
+      name: p.name,
+      in: 'query',
+      required: true,
+      schema: typeSchema(ctx, p.javaType),
+    })));
+    if (cl.returns === 'page') operation.parameters.push(...pageParameters(rootEntity));
+  }
+  if (operation.parameters.length === 0) delete operation.parameters;
+
+  // Request body
+  let body = null;
+  if (kind === 'create') body = ctx.createCommand(aggregate);
+  else if (kind === 'update') body = ctx.updateCommand(aggregate);
+  else if (kind === 'subEntityAdd') body = ctx.subEntityAddCommand(op.useCase, cl);
+  else if (cl.category === 'scaffold' && type === 'command') body = ctx.scaffoldCommand(op.useCase);
+  if (body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: body } } };
+  }
+
+  // Responses
+  const status = STATUS_BY_KIND[kind] || '200';
+  const returned = responseSchema(kind, cl, type, aggregate, op, ctx);
+  operation.responses = {
+    [status]: returned
+      ? { description: 'OK', content: { 'application/json': { schema: returned } } }
+      : { description: status === '201' ? 'Created' : status === '204' ? 'No Content' : 'OK' },
+  };
+  if (body || (operation.parameters || []).some((p) => p.in === 'query')) {
+    operation.responses['400'] = { $ref: '#/components/responses/BadRequest' };
+  }
+  if (LOADS_BY_ID.has(kind) || (cl.category === 'scaffold' && /\{[^}]+\}/.test(op.path || ''))) {
+    operation.responses['404'] = { $ref: '#/components/responses/NotFound' };
+  }
+  if (kind === 'update' && rootEntity.versioned) {
+    operation.responses['409'] = { $ref: '#/components/responses/Conflict' };
+  }
+  return operation;
+}
+
+function responseSchema(kind, cl, type, aggregate, op, ctx) {
+  if (kind === 'getById') return ctx.responseDto(aggregate);
+  if (kind === 'findAll') return op.pagination === 'cursor' ? ctx.cursorPage(aggregate) : ctx.pagedResponse(aggregate);
+  if (kind === 'findBy') {
+    if (cl.returns === 'one') return ctx.responseDto(aggregate);
+    if (cl.returns === 'list') return { type: 'array', items: ctx.responseDto(aggregate) };
+    return ctx.pagedResponse(aggregate);
+  }
+  if (cl.category === 'scaffold' && type === 'query') return ctx.responseDto(aggregate);
+  return null;
+}
+
+/**
+ * Path variables of the route: the aggregate id, the item id of Remove{Entity},
+ * the params of a findBy query and whatever a scaffold declares (typed as the aggregate id).
+ */
+function pathParameters(op, cl, idType) {
+  const names = [...(op.path || '').matchAll(/\{([^}]+)\}/g)].map((m) => m[1]);
+  return names.map((name, idx) => {
+    const queryParam = (cl.params || []).find((p) => p.name === name);
+    const javaType = queryParam ? queryParam.javaType
+      : cl.category === 'subEntityRemove' && idx > 0 ? cl.itemIdType
+      : idType;
+    const schema = { ...(SCALARS[javaType] || { type: 'string' }) };
+    return { name, in: 'path', required: true, schema, example: exampleId(javaType) };
+  });
+}
+
+function pageParameters(rootEntity) {
+  const sortable = rootEntity.sortableFields;
+  return [
+    queryParam('page', { type: 'integer', format: 'int32', minimum: 0, default: 0 }),
+    queryParam('size', { type: 'integer', format: 'int32', minimum: 1, default: 20 }),
+    queryParam('sortBy', { type: 'string', default: 'id', ...(sortable ? { enum: sortable } : {}) }),
+    queryParam('sortDirection', { type: 'string', enum: ['ASC', 'DESC'], default: 'ASC' }),
+  ];
+}
+
+/** filterable: params of the root and the `spec` param of filterable specifications */
+function listFilterParameters(rootEntity, aggregate, ctx) {
+  const params = (rootEntity.listFilters || []).map((filter) =>
+    queryParam(filter.param, typeSchema(ctx, filter.javaType), filter.description)
+  );
+  const specs = (aggregate.specifications || []).filter((s) => s.filterable);
+  if (specs.length > 0) {
+    params.push({
+      ...queryParam('spec', { type: 'array', items: { type: 'string', enum: specs.map((s) => s.name) } },
+        'Named specifications to satisfy'),
+      explode: true,
+    });
+  }
+  return params;
+}
+
+function queryParam(name, schema, description) {
+  return { name, in: 'query', required: false, ...(description ? { description } : {}), schema };
+}
+
+function exampleId(javaType) {
+  const id = generateFakeId(javaType);
+  return javaType === 'Long' || javaType === 'Integer' ? Number(id) : id;
+}
+
+// ── Schemas ──────────────────────────────────────────────────────────────────
+
+/**
+ * Component schemas shared by every module. A name declared by two modules is
+ * qualified with the PascalCase module name the second time.
+ */
+class ComponentSchemas {
+  constructor() {
+    this._schemas = {};
+    this._names = new Map();  // `${module}/${name}` → component name
+    this._owners = new Map(); // component name → module
+  }
+
+  /**
+   * $ref to the component `name` of `moduleName`, building it on first use.
+   * @param {() => object} build
+   */
+  ref(moduleName, name, build) {
+    const key = `${moduleName}/${name}`;
+    if (!this._names.has(key)) {
+      const componentName = this._owners.has(name) && this._owners.get(name) !== moduleName
+        ? `${toPascalCase(moduleName)}${name}`
+        : name;
+      this._names.set(key, componentName);
+      this._owners.set(componentName, moduleName);
+      this._schemas[componentName] = {}; // reserve the name before recursing into self-references
+      this._schemas[componentName] = build();
+    }
+    return { $ref: REF_PREFIX + this._names.get(key) };
+  }
+
+  all() {
+    return this._schemas;
+  }
+}
+
+/**
+ * Schema builders bound to one module: its enums and value objects, and the
+ * commands / DTOs generate-entities renders for each aggregate.
+ */
+function moduleContext(moduleName, domain, schemas) {
+  const aggregates = domain.aggregates || [];
+  const allEnums = [
+    ...(domain.allEnums || []),
+    ...aggregates.flatMap((a) => [...(a.enums || []), ...((a.rootEntity && a.rootEntity.enums) || [])]),
+  ];
+  const valueObjects = aggregates.flatMap((a) => a.valueObjects || []);
+
+  const ctx = {
+    moduleName,
+    allEnums,
+    valueObjects,
+    named(javaType) {
+      const en = allEnums.find((e) => e.name === javaType);
+      if (en) return schemas.ref(moduleName, javaType, () => ({ type: 'string', enum: (en.values || []).map(String) }));
+      const vo = valueObjects.find((v) => v.name === javaType);
+      if (vo) return schemas.ref(moduleName, javaType, () => objectSchema(ctx, vo.fields, { validations: true, examples: true }));
+      return null;
+    },
+
+    responseDto(aggregate) {
+      const { rootEntity } = aggregate;
+      return schemas.ref(moduleName, `${aggregate.name}ResponseDto`, () => {
+        const subtypeFields = mergeSubtypeFields(rootEntity, (f) => !f.hidden);
+        const fields = [
+          ...rootEntity.fields.filter((f) => !NON_READABLE_FIELDS.has(f.name) && !f.hidden),
+          ...subtypeFields,
+        ];
+        const schema = objectSchema(ctx, fields, { readOnlyFlags: true });
+        addDiscriminator(schema, rootEntity, false);
+        addRelationships(schema, rootEntity, (target) => ctx.entityDto(aggregate, target));
+        return schema;
+      });
+    },
+
+    entityDto(aggregate, entityName) {
+      const entity = (aggregate.secondaryEntities || []).find((e) => e.name === entityName);
+      return schemas.ref(moduleName, `${entityName}Dto`, () => {
+        if (!entity) return { type: 'object' };
+        const schema = objectSchema(ctx, entity.fields.filter((f) => !NON_READABLE_FIELDS.has(f.name) && !f.hidden), { readOnlyFlags: true });
+        addRelationships(schema, entity, (target) => ctx.entityDto(aggregate, target));
+        return schema;
+      });
+    },
+
+    createCommand(aggregate) {
+      const { rootEntity } = aggregate;
+      return schemas.ref(moduleName, `Create${aggregate.name}Command`, () => {
+        // Subtype fields are nullable in the flat command: their presence checks are dropped
+        const subtypeFields = mergeSubtypeFields(rootEntity, (f) => !f.readOnly).map((f) => ({
+          ...f,
+          validationAnnotations: (f.validationAnnotations || []).filter((a) => !/^@(NotNull|NotBlank|NotEmpty)\b/.test(a)),
+        }));
+        const schema = objectSchema(ctx, [...writableFields(rootEntity.fields), ...subtypeFields], { validations: true, examples: true });
+        addDiscriminator(schema, rootEntity, true);
+        addRelationships(schema, rootEntity, (target) => ctx.createEntityDto(aggregate, target));
+        return schema;
+      });
+    },
+
+    createEntityDto(aggregate, entityName) {
+      const entity = (aggregate.secondaryEntities || []).find((e) => e.name === entityName);
+      return schemas.ref(moduleName, `Create${entityName}Dto`, () => {
+        if (!entity) return { type: 'object' };
+        const schema = objectSchema(ctx, writableFields(entity.fields), { validations: true, examples: true });
+        addRelationships(schema, entity, (target) => ctx.createEntityDto(aggregate, target));
+        return schema;
+      });
+    },
+
+    updateCommand(aggregate) {
+      const { rootEntity } = aggregate;
+      return schemas.ref(moduleName, `Update${aggregate.name}Command`, () => {
+        // PATCH semantics: every field is optional and only non-null values are applied
+        const schema = objectSchema(ctx, writableFields(rootEntity.fields), { examples: true });
+        if (rootEntity.versioned) {
+          schema.properties = {
+            version: { type: 'integer', format: 'int64', description: 'Version last read by the client (optimistic locking); null skips the check', example: 0 },
+            ...schema.properties,
+          };
+        }
+        addRelationships(schema, rootEntity, (target) => ctx.createEntityDto(aggregate, target));
+        return schema;
+      });
+    },
+
+    subEntityAddCommand(useCase, cl) {
+      return schemas.ref(moduleName, `${useCase}Command`, () =>
+        objectSchema(ctx, cl.entityFields || [], { examples: true }));
+    },
+
+    scaffoldCommand(useCase) {
+      return schemas.ref(moduleName, `${useCase}Command`, () => ({
+        type: 'object',
+        description: `Scaffolded use case — the fields are declared by hand in ${useCase}Command`,
+      }));
+    },
+
+    pagedResponse(aggregate) {
+      return schemas.ref(moduleName, `${aggregate.name}PagedResponse`, () => ({
+        type: 'object',
+        required: ['content', 'page', 'size', 'totalElements', 'totalPages'],
+        properties: {
+          content: { type: 'array', items: ctx.responseDto(aggregate) },
+          page: { type: 'integer', format: 'int32' },
+          size: { type: 'integer', format: 'int32' },
+          totalElements: { type: 'integer', format: 'int64' },
+          totalPages: { type: 'integer', format: 'int32' },
+        },
+      }));
+    },
+
+    cursorPage(aggregate) {
+      return schemas.ref(moduleName, `${aggregate.name}CursorPage`, () => ({
+        type: 'object',
+        required: ['content', 'hasNext'],
+        properties: {
+          content: { type: 'array', items: ctx.responseDto(aggregate) },
+          nextCursor: { type: ['string', 'null'], description: 'Pass back as cursor to fetch the next page; null on the last page' },
+          hasNext: { type: 'boolean' },
+        },
+      }));
+    },
+  };
+  return ctx;
+}
+
+function writableFields(fields) {
+  return fields.filter((f) => !NON_WRITABLE_FIELDS.has(f.name) && !f.readOnly);
+}
+
+/** Fields of every subtype (extends:) passing `keep`, once per name */
+function mergeSubtypeFields(rootEntity, keep) {
+  const merged = new Map();
+  for (const subtype of rootEntity.subtypes || []) {
+    for (const field of subtype.fields.filter(keep)) {
+      if (!merged.has(field.name)) merged.set(field.name, field);
+    }
+  }
+  return Array.from(merged.values());
+}
+
+function addDiscriminator(schema, rootEntity, isRequest) {
+  const subtypes = rootEntity.subtypes || [];
+  if (subtypes.length === 0 || !rootEntity.inheritance) return;
+  const property = rootEntity.inheritance.discriminator.property;
+  const values = subtypes.map((st) => st.discriminatorValue);
+  schema.properties = {
+    [property]: {
+      type: 'string',
+      enum: values,
+      ...(isRequest ? { description: `${rootEntity.name} subtype — fields of the other subtypes are ignored`, example: values[0] } : {}),
+    },
+    ...schema.properties,
+  };
+  if (isRequest) schema.required = [property, ...(schema.required || [])];
+}
+
+/** OneToMany → array, OneToOne → object, through the DTO `dto(target)` returns */
+function addRelationships(schema, entity, dto) {
+  const relationships = (entity.relationships || []).filter((r) => !r.isInverse && (r.type === 'OneToMany' || r.type === 'OneToOne'));
+  for (const rel of relationships) {
+    schema.properties[rel.fieldName] = rel.type === 'OneToMany'
+      ? { type: 'array', items: dto(rel.target) }
+      : dto(rel.target);
+  }
+}
+
+/**
+ * Object schema for parsed fields.
+ * @param {object} opts
+ * @param {boolean} [opts.validations]   - JSR-303 annotations as constraints and `required`
+ * @param {boolean} [opts.examples]      - Fake-data examples on scalar fields
+ * @param {boolean} [opts.readOnlyFlags] - Mark readOnly fields with `readOnly: true`
+ */
+function objectSchema(ctx, fields, opts = {}) {
+  const properties = {};
+  const required = [];
+  for (const field of fields || []) {
+    let schema = fieldSchema(ctx, field);
+    if (opts.validations) {
+      const { constraints, isRequired } = validationConstraints(field.validationAnnotations || [], schema);
+      if (!schema.$ref) schema = { ...schema, ...constraints };
+      if (isRequired) required.push(field.name);
+    }
+    if (opts.examples) {
+      const example = fieldExample(ctx, field, schema);
+      if (example !== undefined) schema = { ...schema, example };
+    }
+    if (opts.readOnlyFlags && field.readOnly) schema = { ...schema, readOnly: true };
+    properties[field.name] = schema;
+  }
+  return required.length > 0 ? { type: 'object', required, properties } : { type: 'object', properties };
+}
+
+function fieldSchema(ctx, field) {
+  if (field.isCollection && field.collectionElementType) {
+    return { type: 'array', items: typeSchema(ctx, field.collectionElementType) };
+  }
+  return typeSchema(ctx, field.javaType);
+}
+
+function typeSchema(ctx, javaType) {
+  const type = String(javaType || 'String').trim();
+  const collection = /^(?:List|Set|Collection)<(.+)>$/.exec(type);
+  if (collection) {
+    const items = typeSchema(ctx, collection[1]);
+    return type.startsWith('Set') ? { type: 'array', items, uniqueItems: true } : { type: 'array', items };
+  }
+  const map = /^Map<\s*[^,]+,\s*(.+)>$/.exec(type);
+  if (map) return { type: 'object', additionalProperties: typeSchema(ctx, map[1]) };
+  if (SCALARS[type]) return { ...SCALARS[type] };
+  return ctx.named(type) || { type: 'object', description: `Java type ${type}` };
+}
+
+/**
+ * Example value of a scalar or enum field — the value @Schema(example) carries in
+ * the generated commands. Objects and collections describe themselves.
+ */
+function fieldExample(ctx, field, schema) {
+  if (field.isValueObject || field.isCollection || schema.type === 'array' || schema.type === 'object') return undefined;
+  const value = generateFakeValue(field, ctx.allEnums, ctx.valueObjects);
+  if (value === null || value === undefined || typeof value === 'object') return undefined;
+  if ((schema.type === 'integer' || schema.type === 'number') && value !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return schema.type === 'boolean' ? Boolean(value) : String(value);
+}
+
+/**
+ * JSON Schema keywords for the JSR-303 annotations of a field, as rendered by
+ * buildAnnotationString(): '@NotBlank', '@Size(min = 2, max = 100, message = "...")'.
+ * Constraints without a JSON Schema counterpart (@Past, @Future, @Digits) are left out.
+ *
+ * @param {string[]} annotations
+ * @param {object} schema - Schema of the field (string vs array keywords)
+ * @returns {{ constraints: object, isRequired: boolean }}
+ */
+function validationConstraints(annotations, schema = {}) {
+  const constraints = {};
+  let isRequired = false;
+  const isArray = schema.type === 'array';
+  const [minLength, maxLength] = isArray ? ['minItems', 'maxItems'] : ['minLength', 'maxLength'];
+
+  for (const annotation of annotations) {
+    const match = /^@(\w+)(?:\((.*)\))?$/s.exec(annotation.trim());
+    if (!match) continue;
+    const [, type, rawArgs = ''] = match;
+    const args = parseAnnotationArgs(rawArgs);
+    const num = (key) => (args[key] !== undefined && !isNaN(Number(args[key])) ? Number(args[key]) : undefined);
+    const exclusive = args.inclusive === 'false';
+
+    switch (type) {
+      case 'NotNull':
+        isRequired = true;
+        break;
+      case 'NotBlank':
+      case 'NotEmpty':
+        isRequired = true;
+        constraints[minLength] = Math.max(constraints[minLength] || 0, 1);
+        break;
+      case 'Size':
+        if (num('min') !== undefined) constraints[minLength] = num('min');
+        if (num('max') !== undefined) constraints[maxLength] = num('max');
+        break;
+      case 'Min':
+      case 'DecimalMin':
+        if (num('value') !== undefined) constraints[exclusive ? 'exclusiveMinimum' : 'minimum'] = num('value');
+        break;
+      case 'Max':
+      case 'DecimalMax':
+        if (num('value') !== undefined) constraints[exclusive ? 'exclusiveMaximum' : 'maximum'] = num('value');
+        break;
+      case 'Positive':
+        constraints.exclusiveMinimum = 0;
+        break;
+      case 'PositiveOrZero':
+        constraints.minimum = 0;
+        break;
+      case 'Negative':
+        constraints.exclusiveMaximum = 0;
+        break;
+      case 'NegativeOrZero':
+        constraints.maximum = 0;
+        break;
+      case 'Email':
+        constraints.format = 'email';
+        break;
+      case 'Pattern':
+        if (args.regexp !== undefined) constraints.pattern = args.regexp;
+        break;
+      default:
+        break;
+    }
+  }
+  return { constraints, isRequired };
+}
+
+/**
+ * `value = 0, regexp = "^[A-Z]+$", message = "a, b"` → { value: '0', regexp: '^[A-Z]+$', message: 'a, b' }.
+ * A bare value (`@Min(0)`) is returned as `value`.
+ */
+function parseAnnotationArgs(raw) {
+  const args = {};
+  if (!raw.trim()) return args;
+  if (!raw.includes('=')) {
+    args.value = raw.trim().replace(/^"(.*)"$/, '$1');
+    return args;
+  }
+  const pattern = /(\w+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^,]+))/g;
+  let m;
+  while ((m = pattern.exec(raw)) !== null) {
+    args[m[1]] = m[2] !== undefined ? m[2].replace(/\\(.)/g, '$1') : m[3].trim();
+  }
+  return args;
+}
+
+function joinPath(...parts) {
+  const joined = ('/' + parts.filter(Boolean).join('/')).replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  buildOpenApi,
+  validationConstraints,
+};
@@ -0,0 +1,757 @@
+'use strict';
+
+/**
+ * OpenAPI 3.x → domain.yaml inference for `eva import openapi`.
+ *
+ * Resources (the first tag of each operation, or its first path segment after
+ * `/api/{version}`) become aggregates, the schemas of their CRUD operations become
+ * the root entity, and the operations become the `endpoints:` section. Whatever
+ * cannot be mapped unambiguously is kept as a `# TODO:` comment next to the node
+ * it concerns.
+ */
+
+const { Notes, toEnumConstant } = require('./domain-yaml-writer');
+const {
+  toPascalCase,
+  toCamelCase,
+  toSnakeCase,
+  pluralizeWord,
+  singularizeWord,
+} = require('./naming');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/** Query params the generated controllers declare themselves — never mapped to fields. */
+const PAGING_PARAMS = ['page', 'size', 'sortBy', 'sortDirection', 'sort', 'cursor', 'spec', 'limit', 'offset'];
+
+// ── Schema helpers ───────────────────────────────────────────────────────────
+
+function refName(ref) {
+  return ref.split('/').pop();
+}
+
+/**
+ * Resolves a local `$ref` and flattens `allOf` into one object schema.
+ * Returns `{ schema, name, external }` — `name` is the component name of the ref.
+ */
+function resolveSchema(doc, schema, seen = new Set()) {
+  if (!schema || typeof schema !== 'object') return { schema: {}, name: null, external: false };
+  if (schema.$ref) {
+    if (!schema.$ref.startsWith('#/')) return { schema: {}, name: refName(schema.$ref), external: true };
+    if (seen.has(schema.$ref)) return { schema: {}, name: refName(schema.$ref), external: false };
+    const target = schema.$ref.slice(2).split('/')
+      .map((p) => p.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, key) => (node ? node[key] : undefined), doc);
+    const resolved = resolveSchema(doc, target, new Set([...seen, schema.$ref]));
+    return { ...resolved, name: refName(schema.$ref) };
+  }
+  if (Array.isArray(schema.allOf)) {
+    const merged = { type: 'object', properties: {}, required: [] };
+    for (const part of schema.allOf) {
+      const { schema: s } = resolveSchema(doc, part, seen);
+      Object.assign(merged.properties, s.properties || {});
+      merged.required.push(...(s.required || []));
+    }
+    const { allOf, ...rest } = schema;
+    return {
+      schema: { ...rest, ...merged, properties: { ...merged.properties, ...(rest.properties || {}) } },
+      name: null,
+      external: false,
+    };
+  }
+  return { schema, name: null, external: false };
+}
+
+/** `type` of a schema, ignoring the `null` of OpenAPI 3.1 nullable types. */
+function schemaType(schema) {
+  if (Array.isArray(schema.type)) return schema.type.find((t) => t !== 'null');
+  if (!schema.type && schema.properties) return 'object';
+  return schema.type;
+}
+
+function jsonSchemaOf(content) {
+  if (!content || typeof content !== 'object') return null;
+  const key = Object.keys(content).find((k) => /json/i.test(k)) || Object.keys(content)[0];
+  return key && content[key] ? content[key].schema || null : null;
+}
+
+function requestSchema(doc, op) {
+  if (!op.requestBody) return null;
+  const { schema } = resolveSchema(doc, op.requestBody);
+  return jsonSchemaOf(schema.content);
+}
+
+function responseSchema(doc, op) {
+  const responses = op.responses || {};
+  const code = ['200', '201', '2XX', '2xx'].find((c) => responses[c]);
+  if (!code) return null;
+  const { schema } = resolveSchema(doc, responses[code]);
+  return jsonSchemaOf(schema.content);
+}
+
+/** Item schema of a list response: a bare array or a page object with one array property. */
+function listItemSchema(doc, schema) {
+  if (!schema) return null;
+  const { schema: s } = resolveSchema(doc, schema);
+  if (schemaType(s) === 'array') return s.items || null;
+  const arrays = Object.values(s.properties || {})
+    .filter((p) => schemaType(resolveSchema(doc, p).schema) === 'array');
+  return arrays.length === 1 ? resolveSchema(doc, arrays[0]).schema.items || null : null;
+}
+
+/** Object schema with an `id` property — a child entity rather than a value object. */
+function hasId(doc, schema) {
+  if (!schema) return false;
+  const { schema: s } = resolveSchema(doc, schema);
+  return Boolean(s.properties && s.properties.id);
+}
+
+function isIdentifier(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+}
+
+function typeName(name) {
+  return toPascalCase(String(name).replace(/[^A-Za-z0-9_\-\s]/g, ' ').trim());
+}
+
+/** Component name without the DTO decorations of the exporters (`CreateOrderItemDto` → `OrderItem`). */
+function stripSchemaName(name) {
+  return name
+    .replace(/(ResponseDto|RequestDto|Dto|Response|Request|Command)$/, '')
+    .replace(/^(Create|Update)(?=[A-Z])/, '') || name;
+}
+
+function isInteger(n) {
+  return typeof n === 'number' && Number.isInteger(n);
+}
+
+// ── Inference ────────────────────────────────────────────────────────────────
+
+/**
+ * Infers the module YAML of an OpenAPI 3.x document.
+ *
+ * @param {object} doc - Parsed OpenAPI document
+ * @returns {{ domain: object, notes: Notes, stats: object }}
+ */
+function importOpenApi(doc) {
+  if (!doc || typeof doc !== 'object' || !/^3\./.test(String(doc.openapi || ''))) {
+    const found = doc && (doc.openapi || doc.swagger);
+    throw new Error(`Only OpenAPI 3.x documents are supported${found ? ` (found ${doc.openapi ? 'openapi' : 'swagger'}: ${found})` : ''}`);
+  }
+
+  const notes = new Notes();
+  const { resources, basePath } = groupOperations(doc);
+  if (resources.size === 0) {
+    throw new Error('The document declares no operations under paths:');
+  }
+
+  const aggregates = [];
+  const versions = new Map();
+  const stats = { aggregates: 0, entities: 0, valueObjects: 0, enums: 0, operations: 0 };
+
+  for (const resource of resources.values()) {
+    const aggregate = inferAggregate(doc, resource, notes);
+    aggregates.push(aggregate.node);
+    stats.aggregates++;
+    stats.entities += aggregate.node.entities.length;
+    stats.valueObjects += (aggregate.node.valueObjects || []).length;
+    stats.enums += (aggregate.node.enums || []).length;
+
+    for (const entry of resource.operations) {
+      const operation = inferOperation(resource, entry, aggregate, notes);
+      if (!versions.has(entry.version)) versions.set(entry.version, []);
+      versions.get(entry.version).push(operation);
+      stats.operations++;
+    }
+  }
+
+  for (const list of versions.values()) dedupeUseCases(list, notes);
+
+  const endpoints = {
+    basePath,
+    versions: [...versions.keys()]
+      .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)))
+      .map((version) => ({ version, operations: versions.get(version) })),
+  };
+  const unversioned = [...resources.values()].some((r) => r.operations.some((e) => e.unversioned));
+  if (unversioned) {
+    const v1 = endpoints.versions.find((v) => v.version === 'v1');
+    notes.add(v1, 'las rutas sin segmento de versión se publicarán bajo /api/v1');
+  }
+
+  return { domain: { aggregates, endpoints }, notes, stats };
+}
+
+/**
+ * Groups the operations of `paths:` into resources. An operation belongs to the
+ * resource of its first tag, or of its first path segment after `/api/{version}`
+ * when it has no tags. The collection path of a resource is the common prefix of
+ * its paths up to the first variable, and `basePath` the prefix shared by all:
+ * `/api/v2/orders/{id}/items` → resource `Order`, version `v2`, rest `['{id}', 'items']`.
+ */
+function groupOperations(doc) {
+  const resources = new Map();
+
+  for (const [rawPath, pathItem] of Object.entries(doc.paths || {})) {
+    if (!pathItem || typeof pathItem !== 'object') continue;
+    const all = rawPath.split('/').filter(Boolean);
+    let i = 0;
+    if (all[i] === 'api') i++;
+    let version = null;
+    if (/^v\d+$/.test(all[i] || '')) version = all[i++];
+    const segments = all.slice(i);
+
+    for (const method of HTTP_METHODS) {
+      const op = pathItem[method];
+      if (!op) continue;
+      const tag = (op.tags || []).map(typeName).find(isIdentifier);
+      const key = tag || (segments[0] && !segments[0].startsWith('{') ? typeName(segments[0]) : null);
+      if (!key) continue;
+
+      const name = singularizeWord(key);
+      if (!resources.has(name)) {
+        resources.set(name, { name, plural: pluralizeWord(name), prefix: null, operations: [] });
+      }
+      resources.get(name).operations.push({
+        method: method.toUpperCase(),
+        version: version || 'v1',
+        unversioned: !version,
+        rawPath,
+        segments,
+        op,
+        parameters: [...(pathItem.parameters || []), ...(op.parameters || [])]
+          .map((p) => resolveSchema(doc, p).schema),
+      });
+    }
+  }
+
+  let base = null;
+  for (const resource of resources.values()) {
+    resource.prefix = collectionPrefix(resource.operations);
+    base = commonPrefix(base || resource.prefix, resource.prefix);
+    for (const entry of resource.operations) {
+      entry.outside = commonPrefix(resource.prefix, entry.segments).length < resource.prefix.length;
+      entry.rest = entry.outside ? entry.segments : entry.segments.slice(resource.prefix.length);
+      // The generated controllers bind the aggregate id as @PathVariable id
+      if (!entry.outside && entry.rest.length > 0 && entry.rest[0].startsWith('{')) {
+        entry.rest[0] = '{id}';
+        entry.segments = [...resource.prefix, ...entry.rest];
+      }
+    }
+  }
+  for (const resource of resources.values()) {
+    for (const entry of resource.operations) {
+      entry.path = `/${entry.segments.slice(base.length).join('/')}`;
+    }
+  }
+  return { resources, basePath: base && base.length > 0 ? `/${base.join('/')}` : '' };
+}
+
+function staticPrefix(segments) {
+  const firstVar = segments.findIndex((s) => s.startsWith('{'));
+  return firstVar === -1 ? segments : segments.slice(0, firstVar);
+}
+
+/** Most frequent static prefix of the resource's paths (the shorter one on a tie). */
+function collectionPrefix(operations) {
+  const counts = new Map();
+  for (const entry of operations) {
+    const key = staticPrefix(entry.segments).join('/');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const [best] = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0];
+  return best ? best.split('/') : [];
+}
+
+function commonPrefix(a, b) {
+  const prefix = [];
+  for (let i = 0; i < a.length && i < b.length && a[i] === b[i]; i++) prefix.push(a[i]);
+  return prefix;
+}
+
+/** CRUD shape of an operation relative to its resource, or null. */
+function crudVariant(entry) {
+  const { method, rest } = entry;
+  if (entry.outside) return null;
+  const byId = rest.length === 1 && rest[0].startsWith('{');
+  if (rest.length === 0 && method === 'POST') return 'create';
+  if (rest.length === 0 && method === 'GET') return 'findAll';
+  if (byId && method === 'GET') return 'getById';
+  if (byId && (method === 'PUT' || method === 'PATCH')) return 'update';
+  if (byId && method === 'DELETE') return 'delete';
+  return null;
+}
+
+/**
+ * Builds one aggregate from the schemas of the resource's CRUD operations: the
+ * root entity is the union of what the API returns (get by id, create, list
+ * items) and what it accepts (create, update).
+ */
+function inferAggregate(doc, resource, notes) {
+  const ctx = {
+    doc,
+    notes,
+    aggregate: resource.name,
+    entities: [],
+    valueObjects: new Map(),
+    enums: new Map(),
+  };
+
+  const responses = [];
+  const requests = [];
+  const updates = [];
+  for (const entry of resource.operations) {
+    const variant = crudVariant(entry);
+    if (variant === 'getById' || variant === 'create') {
+      const s = responseSchema(doc, entry.op);
+      if (s && schemaType(resolveSchema(doc, s).schema) === 'object') responses.push(s);
+    }
+    if (variant === 'findAll') {
+      const item = listItemSchema(doc, responseSchema(doc, entry.op));
+      if (item) responses.push(item);
+    }
+    if (variant === 'create') {
+      const s = requestSchema(doc, entry.op);
+      if (s) requests.push(s);
+    }
+    if (variant === 'update') {
+      const s = requestSchema(doc, entry.op);
+      if (s) updates.push(s);
+    }
+  }
+
+  const root = {
+    name: resource.name,
+    isRoot: true,
+    tableName: toSnakeCase(pluralizeWord(resource.name)),
+  };
+  ctx.entities.push(root);
+
+  const response = mergeSchemas(doc, responses);
+  const request = mergeSchemas(doc, requests.length > 0 ? requests : updates);
+  if (!response && !request) {
+    notes.add(root, `ninguna operación de /${resource.prefix.join('/')} describe el recurso: declara los campos a mano`);
+  }
+  Object.assign(root, buildEntity(ctx, root, response, request, { isRoot: true }));
+
+  const node = { name: resource.name, entities: ctx.entities };
+  if (ctx.valueObjects.size > 0) node.valueObjects = [...ctx.valueObjects.values()];
+  if (ctx.enums.size > 0) node.enums = [...ctx.enums.values()];
+  return { node, root, ctx };
+}
+
+/** Union of several object schemas (first declaration of a property wins). */
+function mergeSchemas(doc, schemas) {
+  if (schemas.length === 0) return null;
+  const merged = { properties: {}, required: [] };
+  for (const schema of schemas) {
+    const { schema: s } = resolveSchema(doc, schema);
+    for (const [key, value] of Object.entries(s.properties || {})) {
+      if (!(key in merged.properties)) merged.properties[key] = value;
+    }
+    merged.required.push(...(s.required || []));
+  }
+  return merged;
+}
+
+/**
+ * Fields and relationships of an entity. Properties only present in the
+ * responses become `readOnly`, properties only present in the requests (or
+ * `writeOnly`) become `hidden`; `required` comes from the request schema.
+ */
+function buildEntity(ctx, entity, response, request, { isRoot }) {
+  const { doc, notes } = ctx;
+  const respProps = (response && response.properties) || {};
+  const reqProps = (request && request.properties) || {};
+  const required = new Set((request || response || {}).required || []);
+  const names = [...new Set(['id', ...Object.keys(respProps), ...Object.keys(reqProps)])];
+
+  const fields = [];
+  const relationships = [];
+  const audit = {};
+  const flags = {};
+
+  for (const name of names) {
+    const r = respProps[name];
+    const q = reqProps[name];
+
+    if (name === 'id') {
+      const idField = { name: 'id', type: r || q ? idType(doc, r || q) : 'String' };
+      if (!r && !q) notes.add(idField, `${entity.name} no expone un id: se asume String`);
+      fields.push(idField);
+      continue;
+    }
+    if (name === 'createdAt' || name === 'updatedAt') {
+      audit.enabled = true;
+      continue;
+    }
+    if (name === 'createdBy' || name === 'updatedBy') {
+      audit.enabled = true;
+      audit.trackUser = true;
+      continue;
+    }
+    if (isRoot && name === 'deletedAt' && !q) {
+      flags.hasSoftDelete = true;
+      continue;
+    }
+    if (isRoot && name === 'version' && r && !q && schemaType(resolveSchema(doc, r).schema) === 'integer') {
+      flags.versioned = true;
+      continue;
+    }
+    if (!isIdentifier(name)) {
+      notes.add(entity, `la propiedad '${name}' no es un identificador Java válido y se ha omitido`);
+      continue;
+    }
+
+    const s = q || r;
+    const resolved = resolveSchema(doc, s).schema;
+    const sType = schemaType(resolved);
+
+    // Child entities: objects (or arrays of objects) that carry their own id
+    if (isRoot && (r || q)) {
+      const respItem = r && schemaType(resolveSchema(doc, r).schema) === 'array' ? resolveSchema(doc, r).schema.items : null;
+      const reqItem = q && schemaType(resolveSchema(doc, q).schema) === 'array' ? resolveSchema(doc, q).schema.items : null;
+      if (sType === 'array' && hasId(doc, respItem || reqItem)) {
+        relationships.push(childEntity(ctx, entity, name, 'OneToMany', respItem, reqItem));
+        continue;
+      }
+      if (sType === 'object' && hasId(doc, r || q)) {
+        relationships.push(childEntity(ctx, entity, name, 'OneToOne', r, q));
+        continue;
+      }
+    }
+
+    const field = { name };
+    field.type = javaType(ctx, s, { owner: entity.name, prop: name, node: field });
+    if ((request && !q) || (resolved.readOnly === true)) field.readOnly = true;
+    else if ((response && !r) || resolved.writeOnly === true) field.hidden = true;
+    if (!field.readOnly) {
+      const validations = inferValidations(ctx, field, s, required.has(name));
+      if (validations.length > 0) field.validations = validations;
+    }
+    fields.push(field);
+  }
+
+  const result = {};
+  if (audit.enabled) result.audit = audit;
+  Object.assign(result, flags);
+  result.fields = fields;
+  if (relationships.length > 0) result.relationships = relationships;
+  return result;
+}
+
+function idType(doc, schema) {
+  const s = resolveSchema(doc, schema).schema;
+  if (schemaType(s) === 'integer') return 'Long';
+  if (s.format === 'uuid') return 'UUID';
+  return 'String';
+}
+
+/** Registers a OneToMany / OneToOne child entity and returns the relationship node. */
+function childEntity(ctx, owner, prop, type, respSchema, reqSchema) {
+  const { doc, notes } = ctx;
+  const target = typeName(type === 'OneToMany' ? singularizeWord(prop) : prop);
+  const relationship = {
+    type,
+    target,
+    mappedBy: toCamelCase(owner.name),
+    cascade: ['PERSIST', 'MERGE', 'REMOVE'],
+    fetch: 'LAZY',
+  };
+
+  const expected = type === 'OneToMany' ? toCamelCase(pluralizeWord(target)) : toCamelCase(target);
+  if (expected !== prop) {
+    notes.add(relationship, `la propiedad JSON '${prop}' se generará como '${expected}'`);
+  }
+  if (ctx.entities.some((e) => e.name === target) || target === ctx.aggregate) {
+    notes.add(relationship, `ya existe una entidad ${target}: renombra el target de '${prop}'`);
+    return relationship;
+  }
+
+  const entity = { name: target, tableName: toSnakeCase(pluralizeWord(target)) };
+  ctx.entities.push(entity);
+  const response = respSchema ? mergeSchemas(doc, [respSchema]) : null;
+  const request = reqSchema ? mergeSchemas(doc, [reqSchema]) : null;
+  Object.assign(entity, buildEntity(ctx, entity, response, request, { isRoot: false }));
+  return relationship;
+}
+
+/**
+ * Java type of a property. Enums and object schemas are registered in the
+ * aggregate; constructs without a domain.yaml equivalent fall back to String.
+ */
+function javaType(ctx, schema, hint) {
+  const { doc, notes } = ctx;
+  const { schema: s, name: ref, external } = resolveSchema(doc, schema);
+  if (external) {
+    notes.add(hint.node, `'${hint.prop}' referencia un esquema externo (${schema.$ref}): se importa como String`);
+    return 'String';
+  }
+  if (s.oneOf || s.anyOf) {
+    notes.add(hint.node, `'${hint.prop}' usa ${s.oneOf ? 'oneOf' : 'anyOf'}, sin equivalente en domain.yaml: se importa como String`);
+    return 'String';
+  }
+
+  const type = schemaType(s);
+  if (Array.isArray(s.enum) && s.enum.length > 0) {
+    if (type === 'string' || s.enum.every((v) => typeof v === 'string')) {
+      return enumType(ctx, ref ? typeName(ref) : `${hint.owner}${toPascalCase(hint.prop)}`, s.enum, hint);
+    }
+    notes.add(hint.node, `'${hint.prop}' es un enum no textual (${s.enum.join(', ')}): se importa sin restricción de valores`);
+  }
+
+  switch (type) {
+    case 'string':
+      if (s.format === 'date') return 'LocalDate';
+      if (s.format === 'date-time') return 'LocalDateTime';
+      if (s.format === 'time') return 'LocalTime';
+      if (s.format === 'uuid') return 'UUID';
+      return 'String';
+    case 'integer':
+      return s.format === 'int64' ? 'Long' : 'Integer';
+    case 'number':
+      return s.format === 'double' || s.format === 'float' ? 'Double' : 'BigDecimal';
+    case 'boolean':
+      return 'Boolean';
+    case 'array': {
+      const inner = javaType(ctx, s.items || {}, { ...hint, prop: singularizeWord(hint.prop) });
+      if (inner.startsWith('List<')) {
+        notes.add(hint.node, `'${hint.prop}' es una lista de listas: se importa como String`);
+        return 'String';
+      }
+      return `List<${inner}>`;
+    }
+    case 'object':
+      if (s.properties && Object.keys(s.properties).length > 0) {
+        const name = ref ? stripSchemaName(typeName(ref)) : typeName(hint.prop);
+        if (!ref) notes.add(hint.node, `'${hint.prop}' es un objeto inline: se importa como el value object ${name}`);
+        return valueObjectType(ctx, name, s, hint);
+      }
+      notes.add(hint.node, `'${hint.prop}' es un objeto sin propiedades (mapa): se importa como String`);
+      return 'String';
+    default:
+      notes.add(hint.node, `'${hint.prop}' no declara type: se importa como String`);
+      return 'String';
+  }
+}
+
+function enumType(ctx, name, values, hint) {
+  const { notes } = ctx;
+  const constants = values.map(toEnumConstant);
+
+  let enumName = name;
+  const existing = ctx.enums.get(enumName);
+  if (existing && existing.values.join() !== constants.join()) {
+    enumName = `${hint.owner}${toPascalCase(hint.prop)}`;
+    notes.add(hint.node, `el enum ${name} aparece con valores distintos: se importa como ${enumName}`);
+  }
+  if (!ctx.enums.has(enumName)) {
+    const node = { name: enumName, values: constants };
+    if (values.some((v, i) => v !== constants[i])) {
+      notes.add(node, `valores originales: ${values.join(', ')} — el JSON usará los nombres Java`);
+    }
+    ctx.enums.set(enumName, node);
+  }
+  return enumName;
+}
+
+function valueObjectType(ctx, name, schema, hint) {
+  if (ctx.valueObjects.has(name)) return name;
+  if (ctx.entities.some((e) => e.name === name)) {
+    ctx.notes.add(hint.node, `el value object ${name} coincide con una entidad: renómbralo`);
+  }
+  const node = { name, fields: [] };
+  ctx.valueObjects.set(name, node);
+  const required = new Set(schema.required || []);
+  for (const [prop, propSchema] of Object.entries(schema.properties)) {
+    if (!isIdentifier(prop)) {
+      ctx.notes.add(node, `la propiedad '${prop}' no es un identificador Java válido y se ha omitido`);
+      continue;
+    }
+    const field = { name: prop };
+    field.type = javaType(ctx, propSchema, { owner: name, prop, node: field });
+    const validations = inferValidations(ctx, field, propSchema, required.has(prop));
+    if (validations.length > 0) field.validations = validations;
+    node.fields.push(field);
+  }
+  return name;
+}
+
+/**
+ * JSR-303 validations from the JSON Schema constraints. Bounds that only
+ * `DecimalMin` / `DecimalMax` could express are left as TODOs.
+ */
+function inferValidations(ctx, field, schema, required) {
+  const { doc, notes } = ctx;
+  const s = resolveSchema(doc, schema).schema;
+  const type = schemaType(s);
+  const isText = type === 'string' && !s.enum && !s.format;
+  const validations = [];
+
+  let minAbsorbed = false;
+  if (required) {
+    if (isText) {
+      validations.push({ type: 'NotBlank' });
+      minAbsorbed = true;
+    } else if (type === 'array' && s.minItems >= 1) {
+      validations.push({ type: 'NotEmpty' });
+      minAbsorbed = true;
+    } else {
+      validations.push({ type: 'NotNull' });
+    }
+  }
+
+  const min = type === 'array' ? s.minItems : (type === 'string' ? s.minLength : undefined);
+  const max = type === 'array' ? s.maxItems : (type === 'string' ? s.maxLength : undefined);
+  const sizeMin = isInteger(min) && min > (minAbsorbed ? 1 : 0) ? min : undefined;
+  if (sizeMin !== undefined || isInteger(max)) {
+    const size = { type: 'Size' };
+    if (sizeMin !== undefined) size.min = sizeMin;
+    if (isInteger(max)) size.max = max;
+    validations.push(size);
+  }
+
+  if (type === 'string' && s.format === 'email') validations.push({ type: 'Email' });
+  if (type === 'string' && s.pattern) validations.push({ type: 'Pattern', regexp: s.pattern });
+
+  if (type === 'integer' || type === 'number') {
+    const lower = bound(s.minimum, s.exclusiveMinimum);
+    const upper = bound(s.maximum, s.exclusiveMaximum);
+    addBound(validations, notes, field, lower, type, { zero: ['PositiveOrZero', 'Positive'], name: 'Min', step: 1, keyword: 'minimum' });
+    addBound(validations, notes, field, upper, type, { zero: ['NegativeOrZero', 'Negative'], name: 'Max', step: -1, keyword: 'maximum' });
+  }
+  return validations;
+}
+
+/** Normalizes the 3.0 (`exclusiveMinimum: true`) and 3.1 (`exclusiveMinimum: 5`) forms. */
+function bound(inclusive, exclusive) {
+  if (typeof exclusive === 'number') return { value: exclusive, exclusive: true };
+  if (typeof inclusive === 'number') return { value: inclusive, exclusive: exclusive === true };
+  return null;
+}
+
+function addBound(validations, notes, field, b, type, { zero, name, step, keyword }) {
+  if (!b) return;
+  if (b.value === 0) {
+    validations.push({ type: zero[b.exclusive ? 1 : 0] });
+  } else if (isInteger(b.value) && !b.exclusive) {
+    validations.push({ type: name, value: b.value });
+  } else if (isInteger(b.value) && type === 'integer') {
+    validations.push({ type: name, value: b.value + step });
+  } else {
+    const constraint = b.exclusive ? `exclusive${toPascalCase(keyword)}` : keyword;
+    notes.add(field, `${constraint}: ${b.value} no se importa: añade una validación Decimal${name} a mano`);
+  }
+}
+
+/**
+ * One `endpoints:` operation. CRUD shapes get the standard use case names of
+ * `eva g entities`; everything else keeps its operationId as a scaffold.
+ */
+function inferOperation(resource, entry, aggregate, notes) {
+  const { op, rest, method } = entry;
+  const { name, plural } = resource;
+  const variant = crudVariant(entry);
+
+  const operation = { method, path: entry.path };
+  const description = (op.summary || op.description || '').split('\n')[0].trim();
+  if (description && typeName(description) !== typeName(op.operationId || '')) operation.description = description;
+
+  const standard = {
+    create: `Create${name}`,
+    findAll: `FindAll${plural}`,
+    getById: `Get${name}`,
+    update: `Update${name}`,
+    delete: `Delete${name}`,
+  };
+
+  if (variant) {
+    operation.useCase = standard[variant];
+    if (variant === 'update' && method === 'PATCH') operation.method = 'PATCH';
+  } else if (op.operationId) {
+    operation.useCase = typeName(op.operationId).replace(new RegExp(`${toPascalCase(entry.version)}$`), '') || typeName(op.operationId);
+    if (!operation.useCase.toLowerCase().includes(name.toLowerCase())) {
+      // eva g entities resolves the aggregate of a scaffold by name
+      operation.useCase = `${operation.useCase}${name}`;
+      notes.add(operation, `operationId '${op.operationId}' renombrado para que contenga el agregado ${name}`);
+    }
+  } else {
+    operation.useCase = derivedUseCase(entry, name, plural, aggregate.root.relationships || []);
+    notes.add(operation, `${method} ${entry.rawPath} no declara operationId: nombre derivado de la ruta`);
+  }
+
+  if (variant === 'findAll') {
+    const params = entry.parameters.filter((p) => p.in === 'query');
+    if (params.some((p) => p.name === 'cursor')) operation.pagination = 'cursor';
+    for (const param of params) {
+      if (PAGING_PARAMS.includes(param.name)) continue;
+      const field = aggregate.root.fields.find((f) => f.name === param.name);
+      if (field && !field.hidden) field.filterable = true;
+      else notes.add(operation, `el parámetro ?${param.name} no corresponde a ningún campo de ${name}`);
+    }
+  }
+
+  if (!variant && op.requestBody) {
+    const addsChild = (aggregate.root.relationships || [])
+      .some((r) => r.type === 'OneToMany' && operation.useCase === `Add${r.target}`);
+    if (!addsChild) {
+      notes.add(operation, 'el cuerpo de la petición no se importa: añade sus campos al Command generado');
+    }
+  }
+
+  const action = rest.length === 2 && rest[0].startsWith('{') && !rest[1].startsWith('{') ? rest[1] : null;
+  if (action && !op.requestBody && ['PUT', 'PATCH', 'POST'].includes(method) && aggregate.node.enums) {
+    const statusEnum = aggregate.root.fields.find((f) => f.readOnly && aggregate.node.enums.some((e) => e.name === f.type));
+    if (statusEnum && operation.useCase === `${typeName(action)}${name}`) {
+      notes.add(operation, `si '${action}' cambia ${statusEnum.name}, declara transitions: en ${statusEnum.type} para generar el handler completo`);
+    }
+  }
+
+  // Key order of the repo examples: method, path, description, useCase
+  const ordered = { method: operation.method, path: operation.path };
+  if (operation.description) ordered.description = operation.description;
+  ordered.useCase = operation.useCase;
+  if (operation.pagination) ordered.pagination = operation.pagination;
+  for (const message of notes.get(operation)) notes.add(ordered, message);
+  return ordered;
+}
+
+function derivedUseCase(entry, name, plural, relationships) {
+  const { method, rest } = entry;
+  const statics = rest.filter((s) => !s.startsWith('{'));
+  const vars = rest.filter((s) => s.startsWith('{'));
+  // `/{id}/items` is a sub-entity collection only when a OneToMany maps to it
+  const child = rest.length >= 2 && rest[0].startsWith('{') && relationships.find((r) => r.type === 'OneToMany'
+    && (toCamelCase(pluralizeWord(r.target)) === rest[1] || r.target === typeName(singularizeWord(rest[1]))));
+  if (rest.length === 2 && vars.length === 1 && rest[0].startsWith('{')) {
+    if (method === 'POST' && child) return `Add${child.target}`;
+    return `${typeName(rest[1])}${name}`;
+  }
+  if (rest.length === 3 && rest[0].startsWith('{') && rest[2].startsWith('{') && method === 'DELETE' && child) {
+    return `Remove${child.target}`;
+  }
+  if (method === 'GET' && vars.length === 1 && statics.length === 1 && rest[1] === vars[0]) {
+    return `FindAll${plural}By${typeName(vars[0].slice(1, -1))}`;
+  }
+  const verb = { GET: 'Get', POST: 'Create', PUT: 'Update', PATCH: 'Update', DELETE: 'Delete' }[method];
+  return `${verb}${name}${statics.map(typeName).join('')}`;
+}
+
+/** A use case may appear only once per version. */
+function dedupeUseCases(operations, notes) {
+  const seen = new Map();
+  for (const operation of operations) {
+    const count = seen.get(operation.useCase) || 0;
+    seen.set(operation.useCase, count + 1);
+    if (count > 0) {
+      const original = operation.useCase;
+      operation.useCase = `${original}${count + 1}`;
+      notes.add(operation, `${original} ya existe en esta versión: renombra el use case`);
+    }
+  }
+}
+
+module.exports = {
+  importOpenApi,
+};
@@ -0,0 +1,290 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+
+/**
+ * Rule configuration for the domain validator (C1–C6, RM and custom rules from validationPlugins).
+ *
+ * Sources, later ones win per rule:
+ *   1. system.yaml → validation: { rules, suppressions }
+ *   2. .eva4j-rules.yaml at the project root → { rules, suppressions }
+ *   3. Inline `suppress:` lists in the module YAML (module root, events, listeners, endpoint operations)
+ *
+ *   rules:
+ *     C4-001: off          # error | warning | info | off
+ *     C2-002: warning
+ *   suppressions:
+ *     - rule: C1-001
+ *       module: notifications
+ *       event: OrderPlacedEvent
+ *       justification: Consumed by the data platform, outside this system
+ *
+ * Normalized shape:
+ *   { rules: { [ruleId]: { severity, origin } }, suppressions: Suppression[], problems: string[] }
+ *
+ *   Suppression — { rule, module, names, justification, origin, kind }
+ *     names — groups of identifiers; every group needs at least one of its names
+ *             quoted or mentioned in the finding's message or context
+ *     kind  — 'external' (rules file / system.yaml) | 'inSource' (module YAML)
+ */
+
+const RULES_FILE = '.eva4j-rules.yaml';
+const SYSTEM_ORIGIN = 'system.yaml (validation)';
+const SEVERITIES = ['error', 'warning', 'info', 'off'];
+const RULE_ID = /^[A-Z][A-Z0-9]*-\d{3}$/;
+
+// ── Loading ──────────────────────────────────────────────────────────────────
+
+/**
+ * Merge the validation: block of system.yaml with .eva4j-rules.yaml.
+ * Throws when either source is invalid; err.problems lists every problem.
+ *
+ * @param {string}   projectDir     - Project root
+ * @param {object}   systemConfig   - parsed system.yaml
+ * @param {string[]} [knownRuleIds] - Configurable rule ids (domainRuleIds() plus the
+ *                                    validationPlugins rules); any other id is a problem
+ * @returns {Promise<object>} Normalized rule configuration
+ */
+async function loadRuleConfig(projectDir, systemConfig, knownRuleIds) {
+  const configs = [normalizeRuleConfig((systemConfig || {}).validation, SYSTEM_ORIGIN, knownRuleIds)];
+
+  const rulesPath = path.join(projectDir, RULES_FILE);
+  if (await fs.pathExists(rulesPath)) {
+    let raw;
+    try {
+      raw = yaml.load(await fs.readFile(rulesPath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Failed to parse ${RULES_FILE}: ${err.message}`);
+    }
+    configs.push(normalizeRuleConfig(raw, RULES_FILE, knownRuleIds));
+  }
+
+  const config = mergeRuleConfigs(...configs);
+  if (config.problems.length > 0) {
+    const err = new Error(`Invalid validation rules (${config.problems.length} problem(s))`);
+    err.problems = config.problems;
+    throw err;
+  }
+  return config;
+}
+
+/**
+ * @param {object|undefined} raw            - { rules, suppressions } as written by the user
+ * @param {string}           [origin]       - Where it comes from, for reports and problems
+ * @param {string[]}         [knownRuleIds] - When given, ids outside this list are problems
+ */
+function normalizeRuleConfig(raw, origin = SYSTEM_ORIGIN, knownRuleIds) {
+  const config = emptyConfig();
+  const known = knownRuleIds ? new Set(knownRuleIds) : null;
+  if (raw === undefined || raw === null) return config;
+  if (!isPlainObject(raw)) {
+    config.problems.push(`${origin}: expected a mapping with 'rules' and/or 'suppressions'`);
+    return config;
+  }
+
+  const rules = raw.rules || {};
+  if (!isPlainObject(rules)) {
+    config.problems.push(`${origin}: 'rules' must be a mapping of rule id to severity`);
+  } else {
+    for (const [ruleId, severity] of Object.entries(rules)) {
+      if (!RULE_ID.test(ruleId)) {
+        config.problems.push(`${origin}: invalid rule id '${ruleId}' (expected an id like C1-001 or RM-002)`);
+      } else if (known && !known.has(ruleId)) {
+        config.problems.push(unknownRule(origin, ruleId));
+      } else if (!SEVERITIES.includes(severity)) {
+        config.problems.push(`${origin}: rules.${ruleId} has invalid severity '${severity}' (use ${SEVERITIES.join(', ')})`);
+      } else {
+        config.rules[ruleId] = { severity, origin };
+      }
+    }
+  }
+
+  const suppressions = raw.suppressions || [];
+  if (!Array.isArray(suppressions)) {
+    config.problems.push(`${origin}: 'suppressions' must be a list`);
+    return config;
+  }
+  suppressions.forEach((entry, i) => {
+    const where = `${origin}: suppressions[${i}]`;
+    const problem = checkSuppression(entry, where);
+    if (problem) {
+      config.problems.push(problem);
+      return;
+    }
+    if (known && !known.has(entry.rule)) {
+      config.problems.push(unknownRule(where, entry.rule));
+      return;
+    }
+    config.suppressions.push({
+      rule: entry.rule,
+      module: entry.module || null,
+      names: [entry.event, entry.useCase].filter(Boolean).map((name) => [name]),
+      justification: entry.justification.trim(),
+      origin,
+      kind: 'external',
+    });
+  });
+
+  return config;
+}
+
+/**
+ * Read the inline `suppress:` lists of every module YAML. A suppression on the module
+ * root covers the whole module, on an event the findings that mention it, on a listener
+ * those that mention its event or use case, on an endpoint operation its use case.
+ *
+ * @param {Record<string, object>} domainConfigs - moduleName → parsed domain YAML
+ */
+function collectInlineSuppressions(domainConfigs) {
+  const config = emptyConfig();
+
+  const add = (moduleName, list, names, where) => {
+    if (list === undefined) return;
+    if (!Array.isArray(list)) {
+      config.problems.push(`${where}: 'suppress' must be a list`);
+      return;
+    }
+    list.forEach((entry, i) => {
+      const problem = checkSuppression(entry, `${where}.suppress[${i}]`);
+      if (problem) {
+        config.problems.push(problem);
+        return;
+      }
+      config.suppressions.push({
+        rule: entry.rule,
+        module: moduleName,
+        names: names.length > 0 ? [names] : [],
+        justification: entry.justification.trim(),
+        origin: `${moduleName} (inline)`,
+        kind: 'inSource',
+      });
+    });
+  };
+
+  for (const [moduleName, cfg] of Object.entries(domainConfigs)) {
+    if (!cfg) continue;
+    add(moduleName, cfg.suppress, [], moduleName);
+    for (const agg of cfg.aggregates || []) {
+      for (const ev of agg.events || []) {
+        add(moduleName, ev.suppress, [ev.name].filter(Boolean), `${moduleName}: event ${ev.name}`);
+      }
+    }
+    for (const listener of cfg.listeners || []) {
+      add(moduleName, listener.suppress, [listener.event, listener.useCase].filter(Boolean), `${moduleName}: listener ${listener.event}`);
+    }
+    for (const version of (cfg.endpoints || {}).versions || []) {
+      for (const op of version.operations || []) {
+        add(moduleName, op.suppress, [op.useCase].filter(Boolean), `${moduleName}: operation ${op.useCase}`);
+      }
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Later configs override earlier ones per rule; suppressions and problems accumulate.
+ */
+function mergeRuleConfigs(...configs) {
+  const merged = emptyConfig();
+  for (const config of configs) {
+    if (!config) continue;
+    Object.assign(merged.rules, config.rules);
+    merged.suppressions.push(...config.suppressions);
+    merged.problems.push(...config.problems);
+  }
+  return merged;
+}
+
+// ── Application ──────────────────────────────────────────────────────────────
+
+/**
+ * Apply severity overrides and suppressions to validateDomain() categories, in place.
+ *
+ * - 'off' rules get severity 'off' and lose their findings.
+ * - Suppressed findings move to check.suppressed with their justification and origin.
+ * - An overridden severity applies only when findings remain; otherwise the check is 'ok'.
+ *
+ * @param {object[]} categories - validateDomain() categories
+ * @param {object}   config     - Normalized rule configuration
+ */
+function applyRuleConfig(categories, config) {
+  for (const category of categories) {
+    for (const check of category.checks) {
+      const override = config.rules[check.id];
+      check.suppressed = [];
+
+      if (override && override.severity === 'off') {
+        check.severity = 'off';
+        check.findings = [];
+        continue;
+      }
+
+      const applicable = config.suppressions.filter((s) => s.rule === check.id);
+      if (applicable.length > 0) {
+        const kept = [];
+        for (const f of check.findings) {
+          const match = applicable.find((s) => suppresses(s, f));
+          if (match) {
+            check.suppressed.push({ ...f, justification: match.justification, origin: match.origin, kind: match.kind });
+          } else {
+            kept.push(f);
+          }
+        }
+        check.findings = kept;
+      }
+
+      if (check.findings.length === 0) check.severity = 'ok';
+      else if (override) check.severity = override.severity;
+    }
+  }
+}
+
+function suppresses(suppression, f) {
+  if (suppression.module && normalizeModule(suppression.module) !== normalizeModule(f.module)) return false;
+  const text = `${f.message} ${f.context || ''}`;
+  return suppression.names.every((group) => group.some((name) => mentions(text, name)));
+}
+
+function mentions(text, name) {
+  const escaped = String(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^A-Za-z0-9_])${escaped}([^A-Za-z0-9_]|$)`).test(text);
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function checkSuppression(entry, where) {
+  if (!isPlainObject(entry)) return `${where}: expected a mapping with 'rule' and 'justification'`;
+  if (!entry.rule || !RULE_ID.test(entry.rule)) return `${where}: missing or invalid rule id '${entry.rule || ''}'`;
+  if (typeof entry.justification !== 'string' || entry.justification.trim() === '') {
+    return `${where}: a justification is required to suppress ${entry.rule}`;
+  }
+  return null;
+}
+
+function unknownRule(where, ruleId) {
+  return `${where}: unknown rule id '${ruleId}' (only domain rules C1–C6, RM and validationPlugins rules can be configured)`;
+}
+
+function normalizeModule(name) {
+  return String(name || '').toLowerCase().replace(/[-_]/g, '');
+}
+
+function emptyConfig() {
+  return { rules: {}, suppressions: [], problems: [] };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  RULES_FILE,
+  loadRuleConfig,
+  normalizeRuleConfig,
+  collectInlineSuppressions,
+  mergeRuleConfigs,
+  applyRuleConfig,
+};
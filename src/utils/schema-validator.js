@@ -0,0 +1,415 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+
+/**
+ * Schema validation for domain.yaml and system.yaml.
+ *
+ * The JSON Schemas in schemas/ are the contract editors use for autocomplete
+ * (yaml-language-server). This module checks a YAML file against them with the
+ * subset of draft-07 those schemas use — type, enum, pattern, minLength, minimum,
+ * minItems, required, properties, additionalProperties, items, anyOf and local $ref —
+ * and maps every error back to the line and column of the offending node.
+ *
+ * Error shape:
+ *   { file, line, column, path, message }
+ *
+ *   line, column — 1-based position in the YAML source
+ *   path         — JSON pointer of the node ('/aggregates/0/entities/1/hasSoftDelet')
+ */
+
+const SCHEMA_VERSION = 1;
+const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schemas');
+const SCHEMA_FILES = {
+  domain: `domain-yaml.v${SCHEMA_VERSION}.schema.json`,
+  system: `system-yaml.v${SCHEMA_VERSION}.schema.json`,
+};
+
+const schemaCache = {};
+
+/**
+ * @param {'domain'|'system'} kind
+ * @returns {object} Parsed JSON Schema
+ */
+function loadSchema(kind) {
+  if (!SCHEMA_FILES[kind]) {
+    throw new Error(`Unknown schema: '${kind}'`);
+  }
+  if (!schemaCache[kind]) {
+    schemaCache[kind] = fs.readJsonSync(path.join(SCHEMAS_DIR, SCHEMA_FILES[kind]));
+  }
+  return schemaCache[kind];
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate a parsed value against a schema.
+ *
+ * @param {*}      value
+ * @param {object} schema - Root schema (local $refs resolve against it)
+ * @returns {Array<{ segments: Array<string|number>, key: boolean, message: string }>}
+ *   key is true when the error points at a mapping key rather than its value
+ */
+function validateValue(value, schema) {
+  const errors = [];
+  check(value, schema, [], schema, errors);
+  return errors;
+}
+
+function check(value, schema, segments, root, errors) {
+  if (schema.$ref) {
+    schema = { ...resolveRef(schema.$ref, root), ...withoutRef(schema) };
+  }
+
+  if (schema.anyOf) {
+    checkAnyOf(value, schema.anyOf, segments, root, errors);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ segments, key: false, message: `Expected ${listTypes(schema.type)} but got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    const suggestion = typeof value === 'string' ? suggest(value, schema.enum.filter((e) => typeof e === 'string')) : null;
+    errors.push({
+      segments,
+      key: false,
+      message: `Invalid value ${JSON.stringify(value)}. Allowed: ${schema.enum.join(', ')}${suggestion ? ` — did you mean '${suggestion}'?` : ''}`,
+    });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ segments, key: false, message: 'Must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ segments, key: false, message: `Invalid value ${JSON.stringify(value)}${schema.description ? ` (${schema.description})` : ''}` });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ segments, key: false, message: `Must be greater than or equal to ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ segments, key: false, message: `Expected at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(item, schema.items, [...segments, index], root, errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ segments, key: false, message: `Missing required property '${name}'` });
+      }
+    }
+    for (const [name, child] of Object.entries(value)) {
+      if (properties[name]) {
+        check(child, properties[name], [...segments, name], root, errors);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggest(name, Object.keys(properties));
+        errors.push({
+          segments: [...segments, name],
+          key: true,
+          message: `Unknown property '${name}'${suggestion ? ` — did you mean '${suggestion}'?` : ''}`,
+        });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        check(child, schema.additionalProperties, [...segments, name], root, errors);
+      }
+    }
+  }
+}
+
+/**
+ * anyOf passes when one branch passes. Otherwise the errors of the branches whose
+ * top-level type matches the value are reported (the closest one), or a single
+ * type error listing every accepted type.
+ */
+function checkAnyOf(value, branches, segments, root, errors) {
+  const candidates = [];
+  for (const branch of branches) {
+    const resolved = branch.$ref ? resolveRef(branch.$ref, root) : branch;
+    const branchErrors = [];
+    check(value, resolved, segments, root, branchErrors);
+    if (branchErrors.length === 0) return;
+    if (!resolved.type || matchesType(value, resolved.type)) {
+      candidates.push(branchErrors);
+    }
+  }
+
+  if (candidates.length > 0) {
+    candidates.sort((a, b) => a.length - b.length);
+    errors.push(...candidates[0]);
+    return;
+  }
+
+  const types = [];
+  for (const branch of branches) {
+    const resolved = branch.$ref ? resolveRef(branch.$ref, root) : branch;
+    for (const t of [].concat(resolved.type || [])) {
+      if (!types.includes(t)) types.push(t);
+    }
+  }
+  errors.push({ segments, key: false, message: `Expected ${listTypes(types)} but got ${typeOf(value)}` });
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: '${ref}'`);
+  }
+  const target = ref.slice(2).split('/').reduce((node, part) => (node ? node[part] : undefined), root);
+  if (!target) {
+    throw new Error(`Unresolved $ref: '${ref}'`);
+  }
+  return target;
+}
+
+function withoutRef(schema) {
+  const { $ref, ...rest } = schema;
+  return rest;
+}
+
+function matchesType(value, type) {
+  return [].concat(type).some((t) => {
+    switch (t) {
+      case 'null': return value === null;
+      case 'boolean': return typeof value === 'boolean';
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number';
+      // js-yaml turns unquoted dates into Date objects
+      case 'string': return typeof value === 'string' || value instanceof Date;
+      case 'array': return Array.isArray(value);
+      case 'object': return isPlainObject(value);
+      default: return false;
+    }
+  });
+}
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  if (value instanceof Date) return 'string';
+  return typeof value;
+}
+
+function listTypes(type) {
+  const types = [].concat(type);
+  return types.length > 1 ? `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}` : types[0];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Closest candidate by edit distance (case-insensitive), or null when nothing is close.
+ */
+function suggest(input, candidates) {
+  const lower = input.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const threshold = Math.max(2, Math.floor(input.length / 3));
+  return best !== null && bestDistance <= threshold ? best : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// ── YAML positions ───────────────────────────────────────────────────────────
+
+/**
+ * Parse YAML and record where every node starts.
+ *
+ * js-yaml reports an open/close pair for each node it composes, mapping keys
+ * included, so a mapping's children arrive as alternating key and value nodes.
+ *
+ * @param {string} source
+ * @returns {{ data: *, positions: Map<string, { key: object|null, value: object }> }}
+ *   positions is keyed by JSON pointer; key/value are { line, column } (1-based)
+ */
+function parseWithPositions(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+  const locate = (offset) => {
+    offset = skipBlank(source, offset);
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+
+  const root = { children: [] };
+  const stack = [root];
+  const data = yaml.load(source, {
+    listener(event, state) {
+      if (event === 'open') {
+        const node = { start: state.position, children: [] };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+      } else {
+        const node = stack.pop();
+        node.kind = state.kind;
+        if (state.kind === 'scalar') node.result = state.result;
+      }
+    },
+  });
+
+  const positions = new Map();
+  const walk = (node, pointer, key) => {
+    positions.set(pointer, { key: key ? locate(key.start) : null, value: locate(node.start) });
+    if (node.kind === 'mapping') {
+      for (let i = 0; i + 1 < node.children.length; i += 2) {
+        const keyNode = node.children[i];
+        walk(node.children[i + 1], `${pointer}/${escapePointer(String(keyNode.result))}`, keyNode);
+      }
+    } else if (node.kind === 'sequence') {
+      node.children.forEach((child, index) => walk(child, `${pointer}/${index}`, null));
+    }
+  };
+  if (root.children[0]) walk(root.children[0], '', null);
+
+  return { data, positions };
+}
+
+/** Skip whitespace and comments: a node's open event fires before them. */
+function skipBlank(source, offset) {
+  while (offset < source.length) {
+    const ch = source[offset];
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n') {
+      offset++;
+    } else if (ch === '#') {
+      while (offset < source.length && source[offset] !== '\n') offset++;
+    } else {
+      break;
+    }
+  }
+  return offset;
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function toPointer(segments) {
+  return segments.map((s) => `/${escapePointer(s)}`).join('');
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate YAML source text against the domain or system schema.
+ * A YAML syntax error is reported as a single error at the position js-yaml gives.
+ *
+ * @param {string} source
+ * @param {'domain'|'system'} kind
+ * @param {string} file - Path used in the reported errors
+ * @returns {{ data: *, errors: Array<{ file, line, column, path, message }> }}
+ */
+function validateYamlSource(source, kind, file) {
+  const schema = loadSchema(kind);
+
+  let parsed;
+  try {
+    parsed = parseWithPositions(source);
+  } catch (err) {
+    if (err.name !== 'YAMLException') throw err;
+    const mark = err.mark || { line: 0, column: 0 };
+    return {
+      data: null,
+      errors: [{ file, line: mark.line + 1, column: mark.column + 1, path: '', message: `Invalid YAML: ${err.reason || err.message}` }],
+    };
+  }
+
+  // An empty document is still checked as {} so the required sections are reported
+  const data = parsed.data === undefined || parsed.data === null ? {} : parsed.data;
+  const errors = validateValue(data, schema).map((error) => {
+    const position = findPosition(parsed.positions, error.segments, error.key);
+    return { file, line: position.line, column: position.column, path: toPointer(error.segments), message: error.message };
+  }).sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return { data: parsed.data, errors };
+}
+
+/**
+ * @param {string} filePath - Absolute path of the YAML file
+ * @param {'domain'|'system'} kind
+ * @param {string} [displayPath] - Path shown in the errors (defaults to filePath)
+ */
+async function validateYamlFile(filePath, kind, displayPath = filePath) {
+  const source = await fs.readFile(filePath, 'utf-8');
+  return validateYamlSource(source, kind, displayPath);
+}
+
+/**
+ * Nearest recorded position for a path: the key itself for unknown properties,
+ * the value otherwise, falling back to the closest ancestor that exists.
+ */
+function findPosition(positions, segments, preferKey) {
+  for (let depth = segments.length; depth >= 0; depth--) {
+    const entry = positions.get(toPointer(segments.slice(0, depth)));
+    if (entry) {
+      return (preferKey && depth === segments.length && entry.key) || entry.value;
+    }
+  }
+  return { line: 1, column: 1 };
+}
+
+/**
+ * Render errors as "file:line:column  message  (path)", one per line.
+ *
+ * @param {object[]} errors
+ * @returns {string}
+ */
+function formatSchemaErrors(errors) {
+  return errors
+    .map((e) => `${e.file}:${e.line}:${e.column}  ${e.message}${e.path ? `  (${e.path})` : ''}`)
+    .join('\n');
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SCHEMAS_DIR,
+  SCHEMA_FILES,
+  loadSchema,
+  validateValue,
+  validateYamlSource,
+  validateYamlFile,
+  formatSchemaErrors,
+};
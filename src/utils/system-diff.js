@@ -0,0 +1,386 @@
+'use strict';
+
+const { validateDomain } = require('./domain-validator');
+
+/**
+ * Semantic diff between two versions of a system design (system.yaml + system/<module>.yaml).
+ *
+ * Each section flattens both designs into entries keyed by a stable identity
+ * (module, module + route, module + event name, …) whose props are compared one by one:
+ *
+ *   scalar          → changed 'from' → 'to'
+ *   string[]        → added / removed items (order ignored)
+ *   { name: value } → added / removed / changed keys (event fields, ordered workflow steps)
+ *
+ * Breaking changes are contract findings (C1-002, C1-003, C1-004, C1-007, C3-003) that the
+ * domain validator reports on the new version but not on the base one: a consumer still
+ * reads an event field, event or endpoint that the change removed or retyped.
+ *
+ * Result:
+ *   { summary: { added, removed, changed, breaking }, sections: Section[], breaking: Finding[] }
+ *
+ *   Section — { id, label, changes: [{ kind, key, module, details: [{ kind, path, from, to }] }] }
+ *   kind    — 'added' | 'removed' | 'changed'
+ */
+
+const BREAKING_RULES = ['C1-002', 'C1-003', 'C1-004', 'C1-007', 'C3-003'];
+const FORMATS = ['markdown', 'json', 'html'];
+const KIND_ICONS = { added: '➕', removed: '➖', changed: '✏️' };
+
+const SECTIONS = [
+  { id: 'modules', label: 'Modules', collect: collectModules },
+  { id: 'endpoints', label: 'Endpoints', collect: collectEndpoints },
+  { id: 'events', label: 'Domain events', collect: collectEvents },
+  { id: 'listeners', label: 'Listeners', collect: collectListeners },
+  { id: 'integrations', label: 'Integrations (system.yaml)', collect: collectIntegrations },
+  { id: 'readModels', label: 'Read models', collect: collectReadModels },
+  { id: 'ports', label: 'Ports', collect: collectPorts },
+  { id: 'workflows', label: 'Workflows', collect: collectWorkflows },
+];
+
+/**
+ * @param {{ systemConfig: object, domainConfigs: Record<string, object> }} base
+ * @param {{ systemConfig: object, domainConfigs: Record<string, object> }} head
+ */
+function diffSystems(base, head) {
+  const sections = SECTIONS.map(({ id, label, collect }) => ({
+    id,
+    label,
+    changes: diffEntries(collect(base), collect(head)),
+  }));
+
+  const breaking = findBreakingChanges(base, head);
+
+  const summary = { added: 0, removed: 0, changed: 0, breaking: breaking.length };
+  for (const section of sections) {
+    for (const change of section.changes) summary[change.kind]++;
+  }
+
+  return { summary, sections, breaking };
+}
+
+// ── Comparison ───────────────────────────────────────────────────────────────
+
+function diffEntries(baseEntries, headEntries) {
+  const changes = [];
+  const keys = [...new Set([...baseEntries.keys(), ...headEntries.keys()])].sort();
+  for (const key of keys) {
+    const before = baseEntries.get(key);
+    const after = headEntries.get(key);
+    if (!before) {
+      changes.push({ kind: 'added', key, module: after.module, details: [] });
+    } else if (!after) {
+      changes.push({ kind: 'removed', key, module: before.module, details: [] });
+    } else {
+      const details = diffProps(before.props, after.props);
+      if (details.length > 0) changes.push({ kind: 'changed', key, module: after.module, details });
+    }
+  }
+  return changes;
+}
+
+function diffProps(before, after) {
+  const details = [];
+  for (const prop of [...new Set([...Object.keys(before), ...Object.keys(after)])]) {
+    const a = before[prop];
+    const b = after[prop];
+    if (Array.isArray(a) || Array.isArray(b)) {
+      const from = new Set(a || []);
+      const to = new Set(b || []);
+      for (const item of to) if (!from.has(item)) details.push({ kind: 'added', path: prop, from: null, to: item });
+      for (const item of from) if (!to.has(item)) details.push({ kind: 'removed', path: prop, from: item, to: null });
+    } else if (isPlainObject(a) || isPlainObject(b)) {
+      const from = a || {};
+      const to = b || {};
+      for (const name of [...new Set([...Object.keys(from), ...Object.keys(to)])]) {
+        const path = `${prop}.${name}`;
+        if (!(name in from)) details.push({ kind: 'added', path, from: null, to: to[name] });
+        else if (!(name in to)) details.push({ kind: 'removed', path, from: from[name], to: null });
+        else if (from[name] !== to[name]) details.push({ kind: 'changed', path, from: from[name], to: to[name] });
+      }
+    } else if (normalizeScalar(a) !== normalizeScalar(b)) {
+      details.push({ kind: 'changed', path: prop, from: normalizeScalar(a), to: normalizeScalar(b) });
+    }
+  }
+  return details;
+}
+
+function findBreakingChanges(base, head) {
+  const contractFindings = (design) => {
+    if (Object.keys(design.domainConfigs).length === 0) return [];
+    const { categories } = validateDomain(design.domainConfigs, design.systemConfig);
+    const findings = [];
+    for (const category of categories) {
+      for (const check of category.checks) {
+        if (!BREAKING_RULES.includes(check.id)) continue;
+        for (const f of check.findings) {
+          findings.push({ ruleId: check.id, label: check.label, module: f.module, message: f.message, context: f.context });
+        }
+      }
+    }
+    return findings;
+  };
+
+  const identity = (f) => `${f.ruleId}|${f.module}|${f.message}`;
+  const before = new Set(contractFindings(base).map(identity));
+  return contractFindings(head).filter((f) => !before.has(identity(f)));
+}
+
+// ── Collectors ───────────────────────────────────────────────────────────────
+
+function collectModules({ systemConfig, domainConfigs }) {
+  const entries = new Map();
+  for (const mod of (systemConfig || {}).modules || []) {
+    entries.set(mod.name, {
+      module: mod.name,
+      props: {
+        description: mod.description,
+        exposes: (mod.exposes || []).map((ep) => `${ep.method} ${ep.path}`),
+        domainFile: mod.name in domainConfigs,
+      },
+    });
+  }
+  for (const name of Object.keys(domainConfigs)) {
+    if (!entries.has(name)) entries.set(name, { module: name, props: { description: undefined, exposes: [], domainFile: true } });
+  }
+  return entries;
+}
+
+function collectEndpoints({ domainConfigs }) {
+  const entries = new Map();
+  forEachModule(domainConfigs, (moduleName, config) => {
+    const endpoints = config.endpoints || {};
+    for (const version of endpoints.versions || []) {
+      for (const op of version.operations || []) {
+        const route = `${String(op.method || '').toUpperCase()} ${joinPath(endpoints.basePath, op.path)}`;
+        entries.set(`${moduleName} ${version.version} ${route}`, {
+          module: moduleName,
+          props: { useCase: op.useCase, type: op.type, pagination: op.pagination, description: op.description },
+        });
+      }
+    }
+  });
+  return entries;
+}
+
+function collectEvents({ domainConfigs }) {
+  const entries = new Map();
+  forEachModule(domainConfigs, (moduleName, config) => {
+    for (const agg of config.aggregates || []) {
+      for (const ev of agg.events || []) {
+        entries.set(`${moduleName}.${ev.name}`, {
+          module: moduleName,
+          props: {
+            aggregate: agg.name,
+            version: ev.version || 1,
+            topic: ev.topic,
+            lifecycle: ev.lifecycle,
+            triggers: ev.triggers || [],
+            fields: fieldMap(ev.fields),
+          },
+        });
+      }
+    }
+  });
+  return entries;
+}
+
+function collectListeners({ domainConfigs }) {
+  const entries = new Map();
+  forEachModule(domainConfigs, (moduleName, config) => {
+    for (const listener of config.listeners || []) {
+      entries.set(`${moduleName} ← ${listener.event}`, {
+        module: moduleName,
+        props: {
+          producer: listener.producer,
+          topic: listener.topic,
+          version: listener.version || 1,
+          useCase: listener.useCase,
+          fields: fieldMap(listener.fields),
+        },
+      });
+    }
+  });
+  return entries;
+}
+
+function collectIntegrations({ systemConfig }) {
+  const entries = new Map();
+  const integrations = (systemConfig || {}).integrations || {};
+  for (const ev of integrations.async || []) {
+    entries.set(`async ${ev.event}`, {
+      module: ev.producer,
+      props: {
+        producer: ev.producer,
+        topic: ev.topic,
+        consumers: (ev.consumers || []).map((c) => (typeof c === 'string'
+          ? c
+          : [c.module, c.useCase && `useCase ${c.useCase}`, c.readModel && `readModel ${c.readModel}`].filter(Boolean).join(' '))),
+      },
+    });
+  }
+  for (const sync of integrations.sync || []) {
+    entries.set(`sync ${sync.caller} → ${sync.calls}`, {
+      module: sync.caller,
+      props: { port: sync.port, using: sync.using || [] },
+    });
+  }
+  return entries;
+}
+
+function collectReadModels({ domainConfigs }) {
+  const entries = new Map();
+  forEachModule(domainConfigs, (moduleName, config) => {
+    for (const rm of config.readModels || []) {
+      const source = rm.source || {};
+      entries.set(`${moduleName}.${rm.name}`, {
+        module: moduleName,
+        props: {
+          tableName: rm.tableName,
+          source: [source.module, source.aggregate].filter(Boolean).join('/') || undefined,
+          syncedBy: (rm.syncedBy || []).map((s) => `${s.event} (${String(s.action || 'UPSERT').toUpperCase()})`),
+          fields: fieldMap(rm.fields),
+        },
+      });
+    }
+  });
+  return entries;
+}
+
+function collectPorts({ domainConfigs }) {
+  const entries = new Map();
+  forEachModule(domainConfigs, (moduleName, config) => {
+    for (const port of config.ports || []) {
+      entries.set(`${moduleName} ${port.service}.${port.name}`, {
+        module: moduleName,
+        props: {
+          service: port.service,
+          target: port.target,
+          http: port.http,
+          baseUrl: port.baseUrl,
+          body: fieldMap(port.body),
+          fields: fieldMap(port.fields),
+        },
+      });
+    }
+  });
+  return entries;
+}
+
+function collectWorkflows({ systemConfig, domainConfigs }) {
+  const entries = new Map();
+  const add = (key, moduleName, wf) => {
+    const trigger = wf.trigger || {};
+    entries.set(key, {
+      module: moduleName,
+      props: {
+        saga: wf.saga,
+        taskQueue: wf.taskQueue,
+        trigger: [trigger.module, trigger.on].filter(Boolean).join(' on ') || undefined,
+        steps: Object.fromEntries((wf.steps || []).map((step, i) => [
+          i + 1,
+          [step.activity, step.target && `@ ${step.target}`, step.type, step.compensation && `compensation ${step.compensation}`].filter(Boolean).join(' '),
+        ])),
+      },
+    });
+  };
+  for (const wf of (systemConfig || {}).workflows || []) add(wf.name, (wf.trigger || {}).module || null, wf);
+  forEachModule(domainConfigs, (moduleName, config) => {
+    for (const wf of config.workflows || []) add(`${moduleName}.${wf.name}`, moduleName, wf);
+  });
+  return entries;
+}
+
+// ── Formatting ───────────────────────────────────────────────────────────────
+
+/**
+ * Markdown report, sized for a pull request comment.
+ *
+ * @param {object} diff            - diffSystems() result
+ * @param {{ base: string, head: string }} labels - How each version was referenced
+ */
+function formatMarkdown(diff, labels) {
+  const { summary, sections, breaking } = diff;
+  const lines = [
+    '## 🔀 System design diff',
+    '',
+    `\`${labels.base}\` → \`${labels.head}\``,
+    '',
+    '| ➕ Added | ➖ Removed | ✏️ Changed | 💥 Breaking |',
+    '|---|---|---|---|',
+    `| ${summary.added} | ${summary.removed} | ${summary.changed} | ${summary.breaking} |`,
+  ];
+
+  if (breaking.length > 0) {
+    lines.push('', '### 💥 Breaking changes', '', '| Rule | Module | Finding |', '|---|---|---|');
+    for (const f of breaking) {
+      const finding = f.context ? `${f.message}<br>_${f.context}_` : f.message;
+      lines.push(`| ${f.ruleId} | ${f.module || '—'} | ${escapeCell(finding)} |`);
+    }
+  }
+
+  const changed = sections.filter((section) => section.changes.length > 0);
+  if (changed.length === 0) {
+    lines.push('', '_No semantic changes._');
+  }
+  for (const section of changed) {
+    lines.push('', `### ${section.label}`, '');
+    for (const change of section.changes) {
+      lines.push(`- ${KIND_ICONS[change.kind]} **${change.key}**`);
+      for (const d of change.details) {
+        lines.push(`  - ${KIND_ICONS[d.kind]} ${describeDetail(d)}`);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function formatJson(diff, labels) {
+  return JSON.stringify({ base: labels.base, head: labels.head, ...diff }, null, 2) + '\n';
+}
+
+/** One line per detail: `path`: from → to, or the added / removed value. */
+function describeDetail(d) {
+  if (d.kind === 'changed') return `\`${d.path}\`: ${formatValue(d.from)} → ${formatValue(d.to)}`;
+  const value = d.kind === 'added' ? d.to : d.from;
+  // Array props list the item itself; mapped props (fields, steps) show the key and its value
+  return d.path.includes('.') ? `\`${d.path}\` (${formatValue(value)})` : `\`${d.path}\`: ${formatValue(value)}`;
+}
+
+function formatValue(value) {
+  return value === null || value === undefined || value === '' ? '_none_' : `\`${value}\``;
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function forEachModule(domainConfigs, fn) {
+  for (const [moduleName, config] of Object.entries(domainConfigs)) {
+    if (config) fn(moduleName, config);
+  }
+}
+
+/** '/customers' + '/' → '/customers', so a trailing slash does not read as a different route */
+function joinPath(basePath, opPath) {
+  const joined = `${basePath || ''}${opPath || ''}`.replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined || '/';
+}
+
+/** [{ name, type }] → { name: type } */
+function fieldMap(fields) {
+  return Object.fromEntries((fields || []).filter((f) => f && f.name).map((f) => [f.name, f.type || '']));
+}
+
+function normalizeScalar(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { BREAKING_RULES, FORMATS, diffSystems, formatMarkdown, formatJson };
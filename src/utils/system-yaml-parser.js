@@ -11,6 +11,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const { toPascalCase, toCamelCase, toScreamingSnakeCase } = require('./naming');
+const { parseListenerErrorHandling } = require('./yaml-to-entity');
 
 // ─── Java type → import mapping (shared with generate-temporal-activity) ────
 const JAVA_TYPE_IMPORTS = {
@@ -72,6 +73,58 @@ async function loadSystemYaml(systemYamlPath) {
   return yaml.load(content);
 }
 
+/**
+ * Read the `messaging:` block of system/system.yaml for generators that run
+ * outside `eva build` (g entities, g kafka-event, ...). Never throws: a missing
+ * or unparseable system.yaml simply yields an empty config.
+ * @param {string} projectDir - Project root
+ * @returns {Promise<object>} messaging block, or {} when absent
+ */
+async function loadMessagingConfig(projectDir) {
+  const systemYamlPath = path.join(projectDir, 'system', 'system.yaml');
+  if (!(await fs.pathExists(systemYamlPath))) return {};
+  try {
+    const data = yaml.load(await fs.readFile(systemYamlPath, 'utf-8'));
+    return (data && data.messaging) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Read the error handling declared for a consumer module in
+ * integrations.async[].consumers[] (`retry:`, `deadLetter:`, `ttl:`, `maxRetries:`,
+ * `parkingLot:`). These are the defaults of the module's listener for that event;
+ * the listener's own keys win.
+ * Never throws: a missing or unparseable system.yaml yields an empty map.
+ * @param {string} projectDir - Project root
+ * @param {string} moduleName - Consumer module (any casing)
+ * @returns {Promise<Map<string, object>>} parseListenerErrorHandling() results,
+ *   keyed by PascalCase event name
+ */
+async function loadConsumerErrorHandling(projectDir, moduleName) {
+  const policies = new Map();
+  const systemYamlPath = path.join(projectDir, 'system', 'system.yaml');
+  if (!(await fs.pathExists(systemYamlPath))) return policies;
+  let data;
+  try {
+    data = yaml.load(await fs.readFile(systemYamlPath, 'utf-8'));
+  } catch (e) {
+    return policies;
+  }
+  const asyncEvents = ((data && data.integrations) || {}).async || [];
+  for (const ev of asyncEvents) {
+    if (!ev || !ev.event) continue;
+    for (const consumer of ev.consumers || []) {
+      if (!consumer || typeof consumer !== 'object') continue;
+      if (toCamelCase(consumer.module || '') !== toCamelCase(moduleName)) continue;
+      const policy = parseListenerErrorHandling(consumer);
+      if (Object.values(policy).some((value) => value !== null)) policies.set(toPascalCase(ev.event), policy);
+    }
+  }
+  return policies;
+}
+
 /**
  * Load the activities section from a module's domain.yaml.
  * @param {string} domainYamlPath - Absolute path to domain.yaml
@@ -310,6 +363,8 @@ function resolveWorkflow(wf, activityRegistry, warnings) {
 module.exports = {
   parseSystemYaml,
   loadSystemYaml,
+  loadMessagingConfig,
+  loadConsumerErrorHandling,
   loadModuleActivities,
   resolveWorkflow,
   resolveFieldImports,
@@ -0,0 +1,105 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const ConfigManager = require('./config-manager');
+
+/**
+ * Custom domain validation rules, loaded from the local JS modules listed in
+ * .eva4j.json under validationPlugins:
+ *
+ *   { "validationPlugins": ["./eva4j-rules/house-rules.js"] }
+ *
+ * Each module exports one rule or an array of rules:
+ *
+ *   module.exports = [{
+ *     id: 'HR-001',
+ *     label: 'readModel sin soft delete',
+ *     severity: 'warning',                       // error | warning | info
+ *     run(domainConfigs, systemConfig) {
+ *       return [{ module: 'orders', message: '…', context: '…' }];
+ *     },
+ *   }];
+ *
+ * run() returns findings in the shape of domain-validator's finding(). The rules are
+ * evaluated by validateDomain() as the CUSTOM category, next to C1–C6.
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const RULE_ID = /^[A-Z][A-Z0-9]*-\d{3}$/;
+const BUILT_IN_PREFIX = /^(C[1-6]|RM|S\d|T\d|SCHEMA)-/;
+
+/**
+ * Load and check every plugin listed in .eva4j.json. Modules are re-required on every
+ * call so edits are picked up by long-running commands.
+ * Throws when a plugin is missing or malformed; err.problems lists every problem.
+ *
+ * @param {string} projectDir - Project root
+ * @returns {Promise<Array<{ id, label, severity, run, plugin }>>}
+ */
+async function loadValidationPlugins(projectDir) {
+  const plugins = await new ConfigManager(projectDir).getValidationPlugins();
+  if (!Array.isArray(plugins)) {
+    const err = new Error('Invalid validationPlugins in .eva4j.json');
+    err.problems = ['validationPlugins must be a list of paths to JS modules'];
+    throw err;
+  }
+
+  const rules = [];
+  const problems = [];
+  const seen = new Map();
+
+  for (const plugin of plugins) {
+    const modulePath = path.resolve(projectDir, String(plugin));
+    if (!(await fs.pathExists(modulePath))) {
+      problems.push(`${plugin}: file not found`);
+      continue;
+    }
+
+    let exported;
+    try {
+      delete require.cache[require.resolve(modulePath)];
+      exported = require(modulePath);
+    } catch (err) {
+      problems.push(`${plugin}: ${err.message}`);
+      continue;
+    }
+
+    const list = Array.isArray(exported) ? exported : [exported];
+    list.forEach((rule, i) => {
+      const where = `${plugin}${list.length > 1 ? `[${i}]` : ''}`;
+      const problem = checkRule(rule, where);
+      if (problem) {
+        problems.push(problem);
+      } else if (seen.has(rule.id)) {
+        problems.push(`${where}: rule id '${rule.id}' is already defined in ${seen.get(rule.id)}`);
+      } else {
+        seen.set(rule.id, plugin);
+        rules.push({ id: rule.id, label: rule.label, severity: rule.severity, run: rule.run, plugin });
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    const err = new Error(`Invalid validation plugins (${problems.length} problem(s))`);
+    err.problems = problems;
+    throw err;
+  }
+  return rules;
+}
+
+function checkRule(rule, where) {
+  if (!rule || typeof rule !== 'object') return `${where}: expected a rule object { id, label, severity, run }`;
+  if (typeof rule.id !== 'string' || !RULE_ID.test(rule.id)) {
+    return `${where}: rule id '${rule.id}' must look like HR-001 (uppercase prefix, dash, three digits)`;
+  }
+  if (BUILT_IN_PREFIX.test(rule.id)) return `${where}: rule id '${rule.id}' uses a built-in prefix (C1–C6, RM, S, T, SCHEMA)`;
+  if (typeof rule.label !== 'string' || rule.label.trim() === '') return `${where}: rule ${rule.id} needs a label`;
+  if (!SEVERITIES.includes(rule.severity)) {
+    return `${where}: rule ${rule.id} has invalid severity '${rule.severity}' (use ${SEVERITIES.join(', ')})`;
+  }
+  if (typeof rule.run !== 'function') return `${where}: rule ${rule.id} must export run(domainConfigs, systemConfig)`;
+  return null;
+}
+
+module.exports = { loadValidationPlugins };
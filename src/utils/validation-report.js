@@ -0,0 +1,392 @@
+'use strict';
+
+const chalk = require('chalk');
+const { repository } = require('../../package.json');
+
+/**
+ * Validation report — normalizes the results of the JSON Schema check (SCHEMA-001),
+ * validateSystem (S*), validateDomain (C1–C6) and validateTemporal (T1–T3) into one
+ * list of findings and renders it as text, JSON, SARIF 2.1.0 or JUnit XML.
+ *
+ * Finding shape:
+ *   { ruleId, label, severity, source, category, module, message, context, file, line, column }
+ *
+ *   severity     — 'error' | 'warning' | 'info'
+ *   source       — 'schema' | 'system' | 'domain' | 'temporal'
+ *   file         — project-relative YAML the finding belongs to (system/system.yaml or system/<module>.yaml)
+ *   line, column — 1-based position in file (schema findings only, null otherwise)
+ *
+ * Domain findings suppressed through the rule configuration (rule-config.js) are kept
+ * apart in check.suppressed with their justification; rules turned 'off' are left out.
+ */
+
+const FORMATS = ['text', 'json', 'sarif', 'junit'];
+const SEVERITY_RANK = { ok: 0, info: 1, warning: 2, error: 3 };
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+const SYSTEM_FILE = 'system/system.yaml';
+const RULE_PREFIX = /^\[([A-Z]+\d*-\d+)\]\s*/;
+const SCHEMA_RULE = 'SCHEMA-001';
+// git+https://github.com/<owner>/eva4j.git → https://github.com/<owner>/eva4j
+const INFORMATION_URI = String((repository && repository.url) || repository || '')
+  .replace(/^git\+/, '')
+  .replace(/\.git$/, '');
+
+// ── Collection ───────────────────────────────────────────────────────────────
+
+/**
+ * Flattens the validators' output into a list of checks (passing and failing).
+ * System rules come as "[S1-001] message" strings grouped by severity; domain and
+ * temporal rules come as categories of checks with structured findings.
+ *
+ * @param {object} results
+ * @param {object[]}    [results.schemaErrors]      - schema-validator errors ({ file, line, column, path, message })
+ * @param {object}      results.validation          - validateSystem() result
+ * @param {object|null} [results.domainValidation]  - validateDomain() result
+ * @param {object|null} [results.temporalValidation] - validateTemporal() result
+ * @param {string[]}    [results.moduleFiles]       - module names that have a system/<module>.yaml
+ * @returns {Array<{ ruleId, label, severity, source, category, findings: object[] }>}
+ */
+function collectChecks({ schemaErrors = [], validation, domainValidation = null, temporalValidation = null, moduleFiles = [] }) {
+  const checks = [];
+  const fileOf = (moduleName) => resolveModuleFile(moduleName, moduleFiles);
+
+  // Schema rule: one check, one finding per schema error
+  checks.push({
+    ruleId: SCHEMA_RULE,
+    label: 'YAML files match the domain.yaml / system.yaml JSON Schema',
+    severity: schemaErrors.length > 0 ? 'error' : 'ok',
+    source: 'schema',
+    category: 'SCHEMA',
+    findings: schemaErrors.map((e) => ({
+      severity: 'error',
+      module: null,
+      message: e.message,
+      context: e.path,
+      file: e.file,
+      line: e.line,
+      column: e.column,
+    })),
+  });
+
+  // System rules: one check per rule id, at the highest severity it was reported with
+  const systemChecks = new Map();
+  const addSystem = (severity, entries) => {
+    for (const entry of entries || []) {
+      const match = RULE_PREFIX.exec(entry);
+      const ruleId = match ? match[1] : 'S0-000';
+      const message = match ? entry.slice(match[0].length) : entry;
+      if (!systemChecks.has(ruleId)) {
+        systemChecks.set(ruleId, {
+          ruleId,
+          label: null,
+          severity: 'ok',
+          source: 'system',
+          category: ruleId.split('-')[0],
+          findings: [],
+        });
+      }
+      const check = systemChecks.get(ruleId);
+      if (severity === 'ok') continue;
+      if (SEVERITY_RANK[severity] > SEVERITY_RANK[check.severity]) check.severity = severity;
+      check.findings.push({ severity, module: null, message, context: '', file: SYSTEM_FILE });
+    }
+  };
+  addSystem('error', validation.errors);
+  addSystem('warning', validation.warnings);
+  addSystem('info', validation.info);
+  addSystem('ok', validation.ok);
+  checks.push(...systemChecks.values());
+
+  // Domain and temporal rules: severity is set per check
+  const addCategories = (source, result) => {
+    if (!result) return;
+    for (const category of result.categories || []) {
+      for (const check of category.checks || []) {
+        if (check.severity === 'off') continue;
+        checks.push({
+          ruleId: check.id,
+          label: check.label,
+          severity: check.severity,
+          source,
+          category: category.id,
+          findings: (check.findings || []).map((f) => {
+            const finding = typeof f === 'string' ? { module: null, message: f, context: '' } : f;
+            return {
+              severity: check.severity,
+              module: finding.module || null,
+              message: finding.message,
+              context: finding.context || '',
+              file: fileOf(finding.module),
+            };
+          }),
+          suppressed: (check.suppressed || []).map((f) => ({
+            module: f.module || null,
+            message: f.message,
+            context: f.context || '',
+            file: fileOf(f.module),
+            justification: f.justification,
+            origin: f.origin,
+            kind: f.kind,
+          })),
+        });
+      }
+    }
+  };
+  addCategories('domain', domainValidation);
+  addCategories('temporal', temporalValidation);
+
+  return checks;
+}
+
+/**
+ * @param {object[]} checks - Result of collectChecks()
+ * @returns {object[]} One entry per failing finding, errors first
+ */
+function collectFindings(checks) {
+  const findings = [];
+  for (const check of checks) {
+    for (const f of check.findings) {
+      findings.push({
+        ruleId: check.ruleId,
+        label: check.label || null,
+        severity: f.severity,
+        source: check.source,
+        category: check.category,
+        module: f.module,
+        message: f.message,
+        context: f.context,
+        file: f.file,
+        line: f.line || null,
+        column: f.column || null,
+      });
+    }
+  }
+  return findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+}
+
+/**
+ * @param {object[]} checks - Result of collectChecks()
+ * @returns {object[]} One entry per suppressed finding
+ */
+function collectSuppressed(checks) {
+  const suppressed = [];
+  for (const check of checks) {
+    for (const f of check.suppressed || []) {
+      suppressed.push({
+        ruleId: check.ruleId,
+        label: check.label || null,
+        source: check.source,
+        category: check.category,
+        ...f,
+      });
+    }
+  }
+  return suppressed;
+}
+
+function summarize(findings) {
+  return {
+    errors: findings.filter((f) => f.severity === 'error').length,
+    warnings: findings.filter((f) => f.severity === 'warning').length,
+    info: findings.filter((f) => f.severity === 'info').length,
+  };
+}
+
+/**
+ * A run fails on any error, and on any warning when strict.
+ */
+function isFailing(summary, strict = false) {
+  return summary.errors > 0 || (strict && summary.warnings > 0);
+}
+
+function resolveModuleFile(moduleName, moduleFiles) {
+  if (!moduleName) return SYSTEM_FILE;
+  const normalize = (s) => String(s).toLowerCase().replace(/[-_]/g, '');
+  const file = moduleFiles.find((m) => normalize(m) === normalize(moduleName));
+  return file ? `system/${file}.yaml` : SYSTEM_FILE;
+}
+
+// ── Formatters ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} checks
+ * @param {object}   meta - { version, strict }
+ * @returns {string}
+ */
+function formatReport(format, checks, meta) {
+  switch (format) {
+    case 'json': return formatJson(checks, meta);
+    case 'sarif': return formatSarif(checks, meta);
+    case 'junit': return formatJunit(checks, meta);
+    default: return formatText(checks, meta);
+  }
+}
+
+function formatText(checks, { strict }) {
+  const findings = collectFindings(checks);
+  const summary = summarize(findings);
+  const lines = [];
+  const colorOf = { error: chalk.red, warning: chalk.yellow, info: chalk.cyan };
+  const titleOf = { error: 'Errors:', warning: 'Warnings:', info: 'Info:' };
+
+  for (const severity of ['error', 'warning', 'info']) {
+    const group = findings.filter((f) => f.severity === severity);
+    if (group.length === 0) continue;
+    lines.push(colorOf[severity](titleOf[severity]));
+    for (const f of group) {
+      const where = f.module ? `[${f.module}] ` : '';
+      const context = f.context ? chalk.gray(` (${f.context})`) : '';
+      lines.push(colorOf[severity](`  • [${f.ruleId}] ${where}${f.message}`) + context);
+      lines.push(chalk.gray(`    ${f.file}${f.line ? `:${f.line}:${f.column}` : ''}`));
+    }
+    lines.push('');
+  }
+
+  lines.push(chalk.bold('📊 Validation Summary'));
+  lines.push(chalk.gray('─'.repeat(40)));
+  lines.push(`  ${chalk.red('🔴 Errors:')}     ${chalk.red.bold(summary.errors)}`);
+  lines.push(`  ${chalk.yellow('🟡 Warnings:')}   ${chalk.yellow.bold(summary.warnings)}`);
+  lines.push(`  ${chalk.cyan('🔵 Info:')}       ${chalk.cyan.bold(summary.info)}`);
+  lines.push(`  ${chalk.green('🟢 Passed:')}     ${chalk.green.bold(checks.filter((c) => c.findings.length === 0).length)}`);
+  const suppressed = collectSuppressed(checks);
+  if (suppressed.length > 0) {
+    lines.push(`  ${chalk.gray('🔕 Suppressed:')} ${chalk.gray.bold(suppressed.length)}`);
+  }
+  lines.push('');
+  lines.push(isFailing(summary, strict)
+    ? chalk.red.bold(`❌ Validation failed${strict && summary.errors === 0 ? ' (warnings are errors with --strict)' : ''}`)
+    : chalk.green.bold('✅ Validation passed'));
+  return lines.join('\n') + '\n';
+}
+
+function formatJson(checks, { version, strict }) {
+  const findings = collectFindings(checks);
+  const summary = summarize(findings);
+  return JSON.stringify({
+    tool: { name: 'eva4j', version },
+    strict: Boolean(strict),
+    passed: !isFailing(summary, strict),
+    summary: { ...summary, checks: checks.length, ok: checks.filter((c) => c.findings.length === 0).length },
+    findings,
+    suppressed: collectSuppressed(checks),
+  }, null, 2) + '\n';
+}
+
+function formatSarif(checks, { version }) {
+  const rules = [];
+  const ruleIndex = new Map();
+  for (const check of checks) {
+    if (ruleIndex.has(check.ruleId)) continue;
+    ruleIndex.set(check.ruleId, rules.length);
+    rules.push({
+      id: check.ruleId,
+      name: check.ruleId,
+      shortDescription: { text: check.label || check.ruleId },
+      defaultConfiguration: { level: SARIF_LEVELS[check.severity] || 'none' },
+      properties: { source: check.source, category: check.category },
+    });
+  }
+
+  const toResult = (f, level) => ({
+    ruleId: f.ruleId,
+    ruleIndex: ruleIndex.get(f.ruleId),
+    level,
+    message: { text: [f.module && `[${f.module}]`, f.message, f.context && `(${f.context})`].filter(Boolean).join(' ') },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: f.file, uriBaseId: '%SRCROOT%' },
+        ...(f.line ? { region: { startLine: f.line, startColumn: f.column } } : {}),
+      },
+    }],
+  });
+
+  // Suppressed findings stay in the log with a SARIF suppression, so viewers hide them by default
+  const results = [
+    ...collectFindings(checks).map((f) => toResult(f, SARIF_LEVELS[f.severity])),
+    ...collectSuppressed(checks).map((f) => ({
+      ...toResult(f, 'none'),
+      suppressions: [{ kind: f.kind, justification: f.justification }],
+    })),
+  ];
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'eva4j', version, informationUri: INFORMATION_URI, rules } },
+      results,
+    }],
+  }, null, 2) + '\n';
+}
+
+/**
+ * One <testsuite> per rule category, one <testcase> per rule. Errors are failures;
+ * warnings are failures only with --strict, otherwise they go to <system-out>.
+ */
+function formatJunit(checks, { strict }) {
+  const suites = new Map();
+  for (const check of checks) {
+    const key = `${check.source}.${check.category}`;
+    if (!suites.has(key)) suites.set(key, []);
+    suites.get(key).push(check);
+  }
+
+  const describe = (f) => [f.module && `[${f.module}]`, f.message, f.context && `(${f.context})`, `— ${f.file}${f.line ? `:${f.line}:${f.column}` : ''}`].filter(Boolean).join(' ');
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  let totalTests = 0;
+  let totalFailures = 0;
+  const body = [];
+
+  for (const [name, suiteChecks] of suites) {
+    let failures = 0;
+    const cases = [];
+    for (const check of suiteChecks) {
+      const failing = check.findings.filter((f) => f.severity === 'error' || (strict && f.severity === 'warning'));
+      const reported = check.findings.filter((f) => !failing.includes(f));
+      const caseName = xmlEscape(check.label ? `${check.ruleId} ${check.label}` : check.ruleId);
+      if (check.findings.length === 0) {
+        cases.push(`    <testcase classname="${xmlEscape(name)}" name="${caseName}"/>`);
+        continue;
+      }
+      cases.push(`    <testcase classname="${xmlEscape(name)}" name="${caseName}">`);
+      if (failing.length > 0) {
+        failures++;
+        const type = failing.some((f) => f.severity === 'error') ? 'error' : 'warning';
+        cases.push(`      <failure type="${type}" message="${xmlEscape(`${failing.length} finding(s)`)}">${xmlEscape(failing.map(describe).join('\n'))}</failure>`);
+      }
+      if (reported.length > 0) {
+        cases.push(`      <system-out>${xmlEscape(reported.map((f) => `${f.severity}: ${describe(f)}`).join('\n'))}</system-out>`);
+      }
+      cases.push('    </testcase>');
+    }
+    totalTests += suiteChecks.length;
+    totalFailures += failures;
+    body.push(`  <testsuite name="${xmlEscape(name)}" tests="${suiteChecks.length}" failures="${failures}" errors="0" skipped="0">`);
+    body.push(...cases);
+    body.push('  </testsuite>');
+  }
+
+  out.push(`<testsuites name="eva4j validate" tests="${totalTests}" failures="${totalFailures}">`);
+  out.push(...body);
+  out.push('</testsuites>');
+  return out.join('\n') + '\n';
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  FORMATS,
+  collectChecks,
+  collectFindings,
+  collectSuppressed,
+  summarize,
+  isFailing,
+  formatReport,
+};
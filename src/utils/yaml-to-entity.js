@@ -68,10 +68,14 @@ async function parseDomainYaml(yamlPath, packageName = '', moduleName = '') {
  * @returns {Object} Parsed aggregate with entities and value objects
  */
 function parseAggregate(aggregateData) {
-  const { name, entities = [], valueObjects = [], enums = [], events = [], packageName = '', moduleName = '' } = aggregateData;
+  const { name, entities = [], valueObjects = [], enums = [], events = [], queries = [], specifications = [], policies = [], packageName = '', moduleName = '' } = aggregateData;
   
+  // Subtypes (extends:) belong to the root's class hierarchy, not to the secondary entities
+  const subtypeEntities = entities.filter(e => e.extends);
+  const ownEntities = entities.filter(e => !e.extends);
+
   // Find the aggregate root
-  const rootEntity = entities.find(e => e.isRoot === true);
+  const rootEntity = ownEntities.find(e => e.isRoot === true);
   if (!rootEntity) {
     throw new Error(`Aggregate "${name}" must have one entity with isRoot: true`);
   }
@@ -89,12 +93,17 @@ function parseAggregate(aggregateData) {
   const valueObjectNames = parsedValueObjects.map(vo => vo.name);
   
   // Generate inverse relationships from mappedBy
-  const inverseRelationships = generateInverseRelationships(entities);
+  const inverseRelationships = generateInverseRelationships(ownEntities);
   
   // Parse entities with value object detection and inverse relationships
-  const parsedEntities = entities.map(entity => parseEntity(entity, name, packageName, moduleName, aggregateEnums, valueObjectNames, inverseRelationships));
+  const parsedEntities = ownEntities.map(entity => parseEntity(entity, name, packageName, moduleName, aggregateEnums, valueObjectNames, inverseRelationships));
   const parsedRoot = parsedEntities.find(e => e.isRoot);
   const secondaryEntities = parsedEntities.filter(e => !e.isRoot);
+
+  // JPA inheritance: root `inheritance:` / `discriminator:` + subtype entities with `extends:`
+  const { inheritance, subtypes } = parseInheritance(rootEntity, parsedRoot, subtypeEntities, aggregateEnums, valueObjectNames, packageName, moduleName);
+  parsedRoot.inheritance = inheritance;
+  parsedRoot.subtypes = subtypes;
   
   // Generate aggregate methods based on relationships
   const aggregateMethods = generateAggregateMethods(parsedRoot, secondaryEntities);
@@ -111,6 +120,7 @@ function parseAggregate(aggregateData) {
     return {
       name: eventName,
       fieldName: toCamelCase(eventName),
+      version: Number.isInteger(event.version) ? event.version : 1,
       fields: eventFields,
       triggers: event.triggers || [],
       lifecycle: event.lifecycle || null,
@@ -139,6 +149,22 @@ function parseAggregate(aggregateData) {
     }
   });
 
+  // Custom repository queries declared at aggregate level
+  const repositoryQueries = parseRepositoryQueries(queries, parsedRoot, aggregateEnums, packageName, moduleName);
+
+  // Named business rules (specifications / policies) and the transition guards that reference them
+  const parsedSpecifications = parseSpecifications(specifications, policies, parsedRoot, aggregateEnums);
+  resolvePolicyGuards(aggregateEnums, parsedSpecifications, secondaryEntities);
+
+  // List endpoint query params (filterable:) and sort whitelist (sortable:) declared on root fields
+  [...secondaryEntities, ...subtypes].forEach(entity => {
+    const field = entity.fields.find(f => f.filterable || f.sortable);
+    if (field) {
+      throw new Error(`Field "${entity.name}.${field.name}": filterable and sortable are only supported on aggregate root fields`);
+    }
+  });
+  Object.assign(parsedRoot, parseListFilters(parsedRoot, aggregateEnums, packageName, moduleName));
+
   return {
     name: toPascalCase(name),
     packageName: aggregateData.package || '',
@@ -150,7 +176,548 @@ function parseAggregate(aggregateData) {
     domainEvents,
     triggeredEventsMap,
     lifecycleEventsMap,
-    enums: aggregateEnums
+    enums: aggregateEnums,
+    queries: repositoryQueries,
+    specifications: parsedSpecifications
+  };
+}
+
+/**
+ * Resolve JPA inheritance for an aggregate root.
+ *
+ * The root declares `inheritance:` (SINGLE_TABLE, JOINED or TABLE_PER_CLASS,
+ * default SINGLE_TABLE) and an optional `discriminator: { column, type, property }`;
+ * each subtype is an entity with `extends: <Root>` and an optional
+ * `discriminatorValue`. Subtypes only add fields — id, audit, soft delete,
+ * versioning and relationships are inherited from the root.
+ *
+ * @param {Object} rootYaml - Raw root entity
+ * @param {Object} root - Parsed root entity
+ * @param {Array} subtypesYaml - Raw entities declaring `extends:`
+ * @param {Array} aggregateEnums - Aggregate enums
+ * @param {Array} valueObjectNames - Value object names
+ * @param {string} packageName - Package name
+ * @param {string} moduleName - Module name
+ * @returns {Object} { inheritance: { strategy, discriminator } | null, subtypes: [parsed entity + { extends, discriminatorValue }] }
+ */
+function parseInheritance(rootYaml, root, subtypesYaml, aggregateEnums = [], valueObjectNames = [], packageName = '', moduleName = '') {
+  if (subtypesYaml.length === 0) {
+    if (rootYaml.inheritance || rootYaml.discriminator) {
+      throw new Error(`Entity "${root.name}": inheritance is declared but no entity extends it`);
+    }
+    return { inheritance: null, subtypes: [] };
+  }
+
+  const STRATEGIES = ['SINGLE_TABLE', 'JOINED', 'TABLE_PER_CLASS'];
+  const DISCRIMINATOR_TYPES = ['STRING', 'INTEGER', 'CHAR'];
+  const strategy = rootYaml.inheritance || 'SINGLE_TABLE';
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Entity "${root.name}": inheritance must be one of ${STRATEGIES.join(', ')}`);
+  }
+
+  const discriminatorYaml = rootYaml.discriminator || {};
+  const discriminator = {
+    column: discriminatorYaml.column || `${toSnakeCase(root.name)}_type`,
+    type: discriminatorYaml.type || 'STRING',
+    property: discriminatorYaml.property || 'type'
+  };
+  if (!DISCRIMINATOR_TYPES.includes(discriminator.type)) {
+    throw new Error(`Entity "${root.name}": discriminator.type must be one of ${DISCRIMINATOR_TYPES.join(', ')}`);
+  }
+
+  if (strategy === 'TABLE_PER_CLASS') {
+    const idType = root.fields[0].javaType;
+    if (idType === 'Long' || idType === 'Integer') {
+      throw new Error(`Entity "${root.name}": TABLE_PER_CLASS cannot use IDENTITY ids (${idType}) — use a String (UUID) id or JOINED`);
+    }
+    if (root.relationships.length > 0 || root.fields.some(f => f.isCollection)) {
+      throw new Error(`Entity "${root.name}": TABLE_PER_CLASS does not support relationships or collection fields on the root — use JOINED`);
+    }
+    if (root.indexes.length > 0 || root.uniqueConstraints.length > 0) {
+      throw new Error(`Entity "${root.name}": TABLE_PER_CLASS roots have no table — declare indexes and unique constraints on the subtypes`);
+    }
+  }
+
+  const INHERITED = ['isRoot', 'relationships', 'audit', 'auditable', 'hasSoftDelete', 'versioned'];
+  const rootFieldNames = new Set(root.fields.map(f => f.name));
+  const values = new Set();
+
+  const subtypes = subtypesYaml.map(subtypeYaml => {
+    const subtypeName = toPascalCase(subtypeYaml.name || '');
+    if (toPascalCase(subtypeYaml.extends) !== root.name) {
+      throw new Error(`Entity "${subtypeName}": extends must name the aggregate root "${root.name}" — only aggregate roots can be extended`);
+    }
+    const inherited = INHERITED.find(key => subtypeYaml[key] !== undefined);
+    if (inherited) {
+      throw new Error(`Entity "${subtypeName}": ${inherited} is inherited from ${root.name} and cannot be declared on a subtype`);
+    }
+    if (strategy === 'SINGLE_TABLE' && (subtypeYaml.tableName || subtypeYaml.indexes || subtypeYaml.unique)) {
+      throw new Error(`Entity "${subtypeName}": SINGLE_TABLE subtypes share the "${root.tableName}" table — tableName, indexes and unique are not allowed`);
+    }
+
+    const subtype = parseEntity(
+      { ...subtypeYaml, tableName: strategy === 'SINGLE_TABLE' ? root.tableName : subtypeYaml.tableName },
+      root.name, packageName, moduleName, aggregateEnums, valueObjectNames
+    );
+    subtype.fields.forEach(field => {
+      if (rootFieldNames.has(field.name)) {
+        throw new Error(`Entity "${subtypeName}": field "${field.name}" is already declared on ${root.name}`);
+      }
+      if (field.isCollection) {
+        throw new Error(`Entity "${subtypeName}": collection field "${field.name}" is not supported on subtypes — declare it on ${root.name}`);
+      }
+    });
+    if (strategy === 'SINGLE_TABLE' && subtype.uniqueConstraints.length > 0) {
+      throw new Error(`Entity "${subtypeName}": unique fields are not supported on SINGLE_TABLE subtypes`);
+    }
+    if ([...root.fields, ...subtype.fields].some(f => f.name === discriminator.property)) {
+      throw new Error(`Entity "${subtypeName}": field "${discriminator.property}" clashes with the discriminator property — set discriminator.property on ${root.name}`);
+    }
+
+    let discriminatorValue = subtypeYaml.discriminatorValue;
+    if (discriminatorValue === undefined) {
+      if (discriminator.type !== 'STRING') {
+        throw new Error(`Entity "${subtypeName}": discriminatorValue is required when discriminator.type is ${discriminator.type}`);
+      }
+      discriminatorValue = toSnakeCase(subtypeName).toUpperCase();
+    }
+    discriminatorValue = String(discriminatorValue);
+    if (discriminator.type === 'INTEGER' && !/^-?\d+$/.test(discriminatorValue)) {
+      throw new Error(`Entity "${subtypeName}": discriminatorValue must be an integer`);
+    }
+    if (discriminator.type === 'CHAR' && discriminatorValue.length !== 1) {
+      throw new Error(`Entity "${subtypeName}": discriminatorValue must be a single character`);
+    }
+    if (values.has(discriminatorValue)) {
+      throw new Error(`Entity "${subtypeName}": discriminatorValue "${discriminatorValue}" is already used by another subtype`);
+    }
+    values.add(discriminatorValue);
+
+    return { ...subtype, extends: root.name, discriminatorValue };
+  });
+
+  return { inheritance: { strategy, discriminator }, subtypes };
+}
+
+/**
+ * Parse the `queries:` section of an aggregate into repository query methods.
+ *
+ * Without `jpql` the method name must be a Spring Data derived query
+ * (findBy..., findAllBy..., findFirstBy...) and omitted params are inferred
+ * from the `And`/`Or` criteria when they name root fields. With `jpql` the
+ * method gets an @Query annotation and every `:param` must be declared.
+ *
+ * @param {Array} queriesYaml - Raw `queries:` entries
+ * @param {Object} root - Parsed root entity
+ * @param {Array} aggregateEnums - Aggregate enums (for param imports)
+ * @param {string} packageName - Package name
+ * @param {string} moduleName - Module name
+ * @returns {Array} [{ name, params, returns, jpql, useCase, domainReturnType, jpaReturnType, imports }]
+ */
+function parseRepositoryQueries(queriesYaml, root, aggregateEnums = [], packageName = '', moduleName = '') {
+  if (!Array.isArray(queriesYaml)) {
+    throw new Error(`Aggregate root "${root.name}": queries must be a list`);
+  }
+
+  const VALID_RETURNS = ['one', 'list', 'page'];
+  const RESERVED = ['save', 'findById', 'findAll', 'findAllMatching', 'existsById', 'deleteById', 'delete'];
+  const seen = new Set();
+
+  return queriesYaml.map(q => {
+    const { name, params, returns = 'list', jpql = null, useCase = null } = q || {};
+    if (!name) {
+      throw new Error(`Aggregate root "${root.name}": every query needs a name`);
+    }
+    const methodName = toCamelCase(name);
+    if (RESERVED.includes(methodName) || seen.has(methodName)) {
+      throw new Error(`Query "${methodName}": name is already used by the repository`);
+    }
+    seen.add(methodName);
+    if (!VALID_RETURNS.includes(returns)) {
+      throw new Error(`Query "${methodName}": returns must be one of ${VALID_RETURNS.join(', ')}`);
+    }
+
+    const derivedMatch = methodName.match(/^(find|read|get|query|search|stream)[A-Za-z0-9]*?By([A-Z].*)$/);
+    if (!jpql && !derivedMatch) {
+      throw new Error(`Query "${methodName}": not a derived query name (findBy...) — declare a jpql query instead`);
+    }
+
+    const rootField = paramName => root.fields.find(f => f.name === paramName);
+    let parsedParams;
+    if (params) {
+      parsedParams = params.map(p => {
+        const field = rootField(p.name);
+        if (!p.type && !field) {
+          throw new Error(`Query "${methodName}": param "${p.name}" needs a type (it is not a field of ${root.name})`);
+        }
+        return { name: p.name, javaType: p.type ? mapYamlTypeToJava(p.type) : field.javaType };
+      });
+    } else {
+      if (jpql) {
+        throw new Error(`Query "${methodName}": params must be declared for jpql queries`);
+      }
+      // findByCustomerIdAndStatusOrderByCreatedAtDesc → [customerId, status]
+      const criteria = derivedMatch[2].split('OrderBy')[0];
+      parsedParams = criteria.split(/(?:And|Or)(?=[A-Z])/).map(part => {
+        const field = rootField(toCamelCase(part));
+        if (!field) {
+          throw new Error(`Query "${methodName}": cannot infer param "${part}" — declare params explicitly`);
+        }
+        return { name: field.name, javaType: field.javaType };
+      });
+    }
+
+    if (jpql) {
+      const bound = [...new Set((jpql.match(/:(\w+)/g) || []).map(m => m.slice(1)))];
+      const missing = bound.filter(b => !parsedParams.some(p => p.name === b));
+      if (missing.length > 0) {
+        throw new Error(`Query "${methodName}": jpql uses undeclared param(s) ${missing.join(', ')}`);
+      }
+      const unused = parsedParams.filter(p => !bound.includes(p.name)).map(p => p.name);
+      if (unused.length > 0) {
+        throw new Error(`Query "${methodName}": declared param(s) ${unused.join(', ')} not used by the jpql`);
+      }
+    }
+
+    const wrap = type => returns === 'one' ? `Optional<${type}>` : returns === 'page' ? `Page<${type}>` : `List<${type}>`;
+    return {
+      name: methodName,
+      params: parsedParams,
+      returns,
+      jpql,
+      useCase: useCase ? toPascalCase(useCase) : null,
+      domainReturnType: wrap(root.name),
+      jpaReturnType: wrap(`${root.name}Jpa`),
+      imports: [...generateAggregateMethodImports(
+        [{ parameters: parsedParams.map(p => ({ type: p.javaType })) }], aggregateEnums, packageName, moduleName
+      ), ...(parsedParams.some(p => p.javaType.startsWith('List<')) ? ['import java.util.List;'] : [])]
+    };
+  });
+}
+
+/**
+ * Parse the `specifications:` and `policies:` sections of an aggregate.
+ *
+ * Both declare named business rules over the aggregate root that become
+ * Specification<Root> domain classes. A rule is one of:
+ * - `conditions:` — AND-combined `{ field, <operator>: value }` checks on root fields
+ * - `allOf:` / `anyOf:` — composition of other specifications / policies by name
+ * - `expression:` — Java boolean over the root (policies only, e.g. "order.getTotal() != null")
+ *
+ * Specifications are also translated into JPA Specification adapters so list
+ * endpoints can filter by them; policies stay in the domain. Both can be
+ * referenced from enum transition guards (`guard: { policy: <name> }`).
+ *
+ * @param {Array} specificationsYaml - Raw `specifications:` entries
+ * @param {Array} policiesYaml - Raw `policies:` entries
+ * @param {Object} root - Parsed root entity
+ * @param {Array} aggregateEnums - Aggregate enums (for enum literals)
+ * @returns {Array} [{ name, className, jpaClassName, kind, description, conditions, expression, allOf, anyOf, imports, filterable }]
+ */
+function parseSpecifications(specificationsYaml, policiesYaml, root, aggregateEnums = []) {
+  [['specifications', specificationsYaml], ['policies', policiesYaml]].forEach(([key, list]) => {
+    if (!Array.isArray(list)) {
+      throw new Error(`Aggregate root "${root.name}": ${key} must be a list`);
+    }
+  });
+
+  const OPERATORS = ['equals', 'notEquals', 'in', 'notIn', 'greaterThan', 'greaterThanOrEqual',
+    'lessThan', 'lessThanOrEqual', 'isNull', 'isNotNull'];
+  const COMPARABLE = ['String', 'Integer', 'Long', 'Double', 'Float', 'Short', 'BigDecimal',
+    'LocalDate', 'LocalDateTime', 'LocalTime', 'Instant'];
+  const LITERAL_IMPORTS = {
+    BigDecimal: 'import java.math.BigDecimal;',
+    LocalDate: 'import java.time.LocalDate;',
+    LocalDateTime: 'import java.time.LocalDateTime;',
+    LocalTime: 'import java.time.LocalTime;',
+    Instant: 'import java.time.Instant;',
+    UUID: 'import java.util.UUID;'
+  };
+
+  const entries = [
+    ...specificationsYaml.map(s => ({ yaml: s || {}, kind: 'specification' })),
+    ...policiesYaml.map(p => ({ yaml: p || {}, kind: 'policy' }))
+  ];
+  const seen = new Set();
+
+  const parsed = entries.map(({ yaml: s, kind }) => {
+    if (!s.name) {
+      throw new Error(`Aggregate root "${root.name}": every entry of ${kind === 'policy' ? 'policies' : 'specifications'} needs a name`);
+    }
+    const name = toPascalCase(s.name);
+    if (seen.has(name)) {
+      throw new Error(`Specification "${name}": name is declared twice`);
+    }
+    seen.add(name);
+
+    const forms = ['conditions', 'allOf', 'anyOf', 'expression'].filter(key => s[key] !== undefined);
+    if (forms.length !== 1) {
+      throw new Error(`Specification "${name}": declare exactly one of conditions, allOf, anyOf${kind === 'policy' ? ', expression' : ''}`);
+    }
+    if (s.expression !== undefined && kind === 'specification') {
+      throw new Error(`Specification "${name}": expression cannot be translated to JPA — declare it under policies: or use conditions`);
+    }
+
+    const suffix = kind === 'policy' ? 'Policy' : 'Specification';
+    const imports = new Set();
+    const conditions = (s.conditions || []).map(c => {
+      const field = root.fields.find(f => f.name === (c && c.field));
+      if (!field) {
+        throw new Error(`Specification "${name}": condition field "${c && c.field}" is not a field of ${root.name}`);
+      }
+      if (field.isValueObject || field.isCollection) {
+        throw new Error(`Specification "${name}": field "${field.name}" is a value object or a collection and cannot be used in conditions`);
+      }
+      const operators = OPERATORS.filter(op => c[op] !== undefined);
+      if (operators.length !== 1) {
+        throw new Error(`Specification "${name}": condition on "${field.name}" needs exactly one operator (${OPERATORS.join(', ')})`);
+      }
+      const operator = operators[0];
+      const value = c[operator];
+      const enumDef = field.isEnum ? aggregateEnums.find(e => e.name === field.javaType) : null;
+
+      const literal = v => {
+        if (enumDef) {
+          if (!enumDef.values.includes(v)) {
+            throw new Error(`Specification "${name}": "${v}" is not a value of ${enumDef.name}`);
+          }
+          return `${enumDef.name}.${v}`;
+        }
+        if (LITERAL_IMPORTS[field.javaType]) imports.add(LITERAL_IMPORTS[field.javaType]);
+        switch (field.javaType) {
+          case 'String': return JSON.stringify(String(v));
+          case 'Integer': case 'Long': case 'Short':
+            if (!Number.isInteger(v)) throw new Error(`Specification "${name}": "${v}" is not an integer (${field.name})`);
+            return field.javaType === 'Long' ? `${v}L` : field.javaType === 'Short' ? `(short) ${v}` : `${v}`;
+          case 'Double': case 'Float':
+            if (typeof v !== 'number') throw new Error(`Specification "${name}": "${v}" is not a number (${field.name})`);
+            return `${v}${field.javaType === 'Float' ? 'f' : 'd'}`;
+          case 'BigDecimal':
+            if (isNaN(Number(v))) throw new Error(`Specification "${name}": "${v}" is not a number (${field.name})`);
+            return `new BigDecimal("${v}")`;
+          case 'Boolean':
+            if (typeof v !== 'boolean') throw new Error(`Specification "${name}": "${v}" is not a boolean (${field.name})`);
+            return `${v}`;
+          case 'UUID': return `UUID.fromString("${v}")`;
+          default: return `${field.javaType}.parse("${v}")`;
+        }
+      };
+
+      let literals = [];
+      if (operator === 'isNull' || operator === 'isNotNull') {
+        if (value !== true) {
+          throw new Error(`Specification "${name}": ${operator} on "${field.name}" must be true`);
+        }
+      } else if (operator === 'in' || operator === 'notIn') {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error(`Specification "${name}": ${operator} on "${field.name}" needs a non-empty list`);
+        }
+        if (field.javaType === 'BigDecimal') {
+          throw new Error(`Specification "${name}": ${operator} is not supported on BigDecimal fields — use comparisons`);
+        }
+        literals = value.map(literal);
+      } else {
+        if (Array.isArray(value)) {
+          throw new Error(`Specification "${name}": ${operator} on "${field.name}" needs a single value`);
+        }
+        if (operator !== 'equals' && operator !== 'notEquals' && !COMPARABLE.includes(field.javaType)) {
+          throw new Error(`Specification "${name}": ${operator} is not supported on ${field.javaType} fields`);
+        }
+        literals = [literal(value)];
+      }
+
+      return {
+        field: field.name,
+        getter: `get${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}`,
+        javaType: field.javaType,
+        isEnum: !!field.isEnum,
+        operator,
+        literals,
+        values: operator === 'isNull' || operator === 'isNotNull' ? [] : [].concat(value)
+      };
+    });
+    if (s.conditions !== undefined && conditions.length === 0) {
+      throw new Error(`Specification "${name}": conditions must not be empty`);
+    }
+
+    return {
+      name,
+      className: name.endsWith(suffix) ? name : `${name}${suffix}`,
+      jpaClassName: `${name.replace(/Specification$/, '')}JpaSpecification`,
+      kind,
+      description: s.description || null,
+      conditions,
+      expression: s.expression || null,
+      allOf: (s.allOf || []).map(toPascalCase),
+      anyOf: (s.anyOf || []).map(toPascalCase),
+      imports: [...imports].sort()
+    };
+  });
+
+  // Resolve compositions: references must exist, specifications may only
+  // compose specifications (they need a JPA translation) and cycles are rejected
+  const byName = new Map(parsed.map(p => [p.name, p]));
+  parsed.forEach(p => {
+    [...p.allOf, ...p.anyOf].forEach(ref => {
+      const target = byName.get(ref);
+      if (!target) {
+        throw new Error(`Specification "${p.name}": "${ref}" is not a declared specification or policy`);
+      }
+      if (p.kind === 'specification' && target.kind === 'policy') {
+        throw new Error(`Specification "${p.name}": cannot compose policy "${ref}" — move it to policies:`);
+      }
+    });
+  });
+  const visit = (p, path) => {
+    if (path.includes(p.name)) {
+      throw new Error(`Specification "${p.name}": circular composition ${[...path, p.name].join(' → ')}`);
+    }
+    [...p.allOf, ...p.anyOf].forEach(ref => visit(byName.get(ref), [...path, p.name]));
+  };
+  parsed.forEach(p => visit(p, []));
+
+  const reference = ref => {
+    const { name, className, jpaClassName } = byName.get(ref);
+    return { name, className, jpaClassName };
+  };
+  return parsed.map(p => ({
+    ...p,
+    allOf: p.allOf.map(reference),
+    anyOf: p.anyOf.map(reference),
+    filterable: p.kind === 'specification'
+  }));
+}
+
+/**
+ * Resolve transition guards written as `guard: { policy: <name> }`.
+ * The guard object gets the Specification class name so the AggregateRoot
+ * template can evaluate it; the transition is allowed only while the policy
+ * is satisfied. Policies apply to the root, so enums whose transitions are
+ * used by secondary entities cannot reference them.
+ *
+ * @param {Array} aggregateEnums - Aggregate enums (transitions are updated in place)
+ * @param {Array} specifications - Output of parseSpecifications()
+ * @param {Array} secondaryEntities - Parsed secondary entities
+ */
+function resolvePolicyGuards(aggregateEnums, specifications, secondaryEntities) {
+  aggregateEnums.forEach(enumDef => {
+    (enumDef.transitions || []).forEach(transition => {
+      const guard = transition.guard;
+      if (!guard || typeof guard === 'string') return;
+      if (typeof guard !== 'object' || typeof guard.policy !== 'string') {
+        throw new Error(`Enum "${enumDef.name}": guard of '${transition.method}' must be a Java expression or { policy: <name> }`);
+      }
+      const spec = specifications.find(s => s.name === toPascalCase(guard.policy));
+      if (!spec) {
+        throw new Error(`Enum "${enumDef.name}": guard of '${transition.method}' references unknown policy "${guard.policy}"`);
+      }
+      const secondary = secondaryEntities.find(e => e.fields.some(f => f.transitionMeta && f.javaType === enumDef.name));
+      if (secondary) {
+        throw new Error(`Enum "${enumDef.name}": policy guards apply to the aggregate root, but ${secondary.name} also uses this enum`);
+      }
+      guard.policy = spec.name;
+      guard.className = spec.className;
+    });
+  });
+}
+
+/**
+ * Resolve the `filterable:` / `sortable:` field properties of an aggregate root.
+ *
+ * `filterable: true` enables the default operators for the field type and a
+ * list (`[equals, in, range, like]`) picks them explicitly. Each operator
+ * becomes an optional query param of the list endpoint:
+ * - `equals` → `<field>`; `in` → `<field>In` (repeatable)
+ * - `range` → `<field>From` / `<field>To` (inclusive); `like` → `<field>Like` (case-insensitive contains)
+ *
+ * `sortable: true` fields, plus the id, are the only values accepted by `sortBy`
+ * once at least one field declares it.
+ *
+ * @param {Object} root - Parsed root entity
+ * @param {Array} aggregateEnums - Aggregate enums (for param imports)
+ * @param {string} packageName - Package name
+ * @param {string} moduleName - Module name
+ * @returns {Object} { listFilters: [{ param, field, operator, javaType, fieldType, isEnum, dateFormat, description }], listFilterImports, sortableFields: string[] | null }
+ */
+function parseListFilters(root, aggregateEnums = [], packageName = '', moduleName = '') {
+  const OPERATORS = ['equals', 'in', 'range', 'like'];
+  const NUMERIC = ['Integer', 'Long', 'Short', 'Double', 'Float', 'BigDecimal'];
+  const TEMPORAL = ['LocalDate', 'LocalDateTime', 'LocalTime', 'Instant'];
+  const DATE_FORMATS = { LocalDate: 'DATE', LocalDateTime: 'DATE_TIME', LocalTime: 'TIME' };
+  const RESERVED_PARAMS = ['page', 'size', 'sortBy', 'sortDirection', 'spec', 'specifications'];
+
+  const defaultOperators = field => {
+    if (field.isEnum || field.javaType === 'UUID') return ['equals', 'in'];
+    if (field.javaType === 'String') return ['equals', 'like'];
+    if (NUMERIC.includes(field.javaType)) return ['equals', 'range'];
+    if (TEMPORAL.includes(field.javaType)) return ['range'];
+    return ['equals'];
+  };
+  const supports = (field, operator) => {
+    switch (operator) {
+      case 'like': return field.javaType === 'String';
+      case 'range': return !field.isEnum && (field.javaType === 'String' || NUMERIC.includes(field.javaType) || TEMPORAL.includes(field.javaType));
+      case 'in': return field.javaType !== 'Boolean';
+      default: return true;
+    }
+  };
+
+  const listFilters = [];
+  root.fields.forEach(field => {
+    const { filterable, sortable } = field;
+    if (!filterable && !sortable) return;
+    if (field.isValueObject || field.isCollection) {
+      throw new Error(`Field "${root.name}.${field.name}": value object and collection fields cannot be filterable or sortable`);
+    }
+    if (!filterable) return;
+
+    const operators = filterable === true ? defaultOperators(field) : filterable;
+    if (!Array.isArray(operators) || operators.length === 0) {
+      throw new Error(`Field "${root.name}.${field.name}": filterable must be true or a list of ${OPERATORS.join(', ')}`);
+    }
+    operators.forEach(operator => {
+      if (!OPERATORS.includes(operator)) {
+        throw new Error(`Field "${root.name}.${field.name}": unknown filter operator "${operator}" — use ${OPERATORS.join(', ')}`);
+      }
+      if (!supports(field, operator)) {
+        throw new Error(`Field "${root.name}.${field.name}": operator "${operator}" is not supported for ${field.javaType}`);
+      }
+    });
+
+    const add = (param, operator, javaType, description) => listFilters.push({
+      param,
+      field: field.name,
+      operator,
+      javaType,
+      fieldType: field.javaType,
+      isEnum: field.isEnum,
+      dateFormat: operator === 'in' || operator === 'like' ? null : DATE_FORMATS[field.javaType] || null,
+      description
+    });
+    if (operators.includes('equals')) add(field.name, 'equals', field.javaType, `${field.name} equals`);
+    if (operators.includes('in')) add(`${field.name}In`, 'in', `List<${field.javaType}>`, `${field.name} is any of`);
+    if (operators.includes('range')) {
+      add(`${field.name}From`, 'from', field.javaType, `Minimum ${field.name} (inclusive)`);
+      add(`${field.name}To`, 'to', field.javaType, `Maximum ${field.name} (inclusive)`);
+    }
+    if (operators.includes('like')) add(`${field.name}Like`, 'like', 'String', `${field.name} contains (case-insensitive)`);
+  });
+
+  const seen = new Set();
+  listFilters.forEach(filter => {
+    if (RESERVED_PARAMS.includes(filter.param) || seen.has(filter.param)) {
+      throw new Error(`Field "${root.name}.${filter.field}": filter param "${filter.param}" clashes with another list endpoint param`);
+    }
+    seen.add(filter.param);
+  });
+
+  const sortable = root.fields.filter(f => f.sortable).map(f => f.name);
+  return {
+    listFilters,
+    listFilterImports: [...generateAggregateMethodImports(
+      [{ parameters: listFilters.map(f => ({ type: f.javaType })) }], aggregateEnums, packageName, moduleName
+    ), ...(listFilters.some(f => f.operator === 'in') ? ['import java.util.List;'] : [])],
+    sortableFields: sortable.length > 0 ? [...new Set([root.fields[0].name, ...sortable])] : null
   };
 }
 
@@ -166,7 +733,7 @@ function parseAggregate(aggregateData) {
  * @returns {Object} Parsed entity
  */
 function parseEntity(entityData, aggregateName, packageName = '', moduleName = '', aggregateEnums = [], valueObjectNames = [], inverseRelationships = {}) {
-  const { name, isRoot = false, tableName, properties, fields: fieldsYaml, relationships = [], auditable = false, audit, hasSoftDelete = false } = entityData;
+  const { name, isRoot = false, tableName, properties, fields: fieldsYaml, relationships = [], auditable = false, audit, hasSoftDelete = false, versioned = false, indexes = [], unique = [] } = entityData;
   
   // Validate hasSoftDelete
   if (hasSoftDelete !== undefined && typeof hasSoftDelete !== 'boolean') {
@@ -176,6 +743,14 @@ function parseEntity(entityData, aggregateName, packageName = '', moduleName = '
     console.warn(`⚠️  Entity "${name}": hasSoftDelete is only supported on the aggregate root (isRoot: true). It will be ignored for secondary entities.`);
   }
 
+  // Validate versioned (optimistic locking)
+  if (typeof versioned !== 'boolean') {
+    throw new Error(`Entity "${name}": versioned must be a boolean (true/false)`);
+  }
+  if (versioned === true && isRoot === false) {
+    console.warn(`⚠️  Entity "${name}": versioned is only supported on the aggregate root (isRoot: true). It will be ignored for secondary entities.`);
+  }
+
   // Accept both 'properties' and 'fields' field names
   let entityFields = properties || fieldsYaml || [];
   
@@ -249,12 +824,28 @@ function parseEntity(entityData, aggregateName, packageName = '', moduleName = '
     ];
   }
   
+  // Inject version field for optimistic locking — readOnly keeps it out of
+  // the creation constructor and create command; @Version is added on the JPA side
+  const effectiveVersioned = versioned === true && isRoot === true;
+  if (effectiveVersioned) {
+    if (entityFields.some(f => f.name === 'version')) {
+      throw new Error(`Entity "${name}": versioned: true generates a "version" field — remove the explicit "version" field from the entity`);
+    }
+    entityFields = [
+      ...entityFields,
+      { name: 'version', type: 'Long', readOnly: true }
+    ];
+  }
+  
   const className = toPascalCase(name);
   const fieldName = toCamelCase(name);
   const table = tableName || toSnakeCase(pluralize(name));
   
   // Parse properties/fields with value object detection
   const fields = entityFields.map(prop => parseProperty(prop, valueObjectNames, aggregateEnums));
+  if (effectiveVersioned) {
+    fields.find(f => f.name === 'version').isVersion = true;
+  }
   
   // Parse relationships from YAML
   const yamlRelations = relationships.map(rel => parseRelationship(rel, className));
@@ -267,6 +858,9 @@ function parseEntity(entityData, aggregateName, packageName = '', moduleName = '
     !yamlRelations.some(yaml => yaml.fieldName === inv.fieldName)
   )];
   
+  // Database indexes and unique constraints → @Table(indexes, uniqueConstraints)
+  const { tableIndexes, uniqueConstraints } = parseTableConstraints(className, table, fields, relations, indexes, unique);
+  
   // Detect enums in properties/fields
   const enums = entityFields
     .filter(prop => prop.enumValues && Array.isArray(prop.enumValues))
@@ -281,15 +875,95 @@ function parseEntity(entityData, aggregateName, packageName = '', moduleName = '
     tableName: table,
     isRoot,
     hasSoftDelete: effectiveSoftDelete,
+    versioned: effectiveVersioned,
     auditable: auditable === true, // Legacy support
     audit: auditConfig, // New audit configuration
     fields,
     relationships: relations,
+    indexes: tableIndexes,
+    uniqueConstraints,
     enums,
     imports: generateEntityImports(fields, relations, enums, aggregateEnums, packageName, moduleName, true)
   };
 }
 
+/**
+ * Resolve entity-level `indexes:` / `unique:` and field-level `unique: true`
+ * into column-based definitions for @Table(indexes, uniqueConstraints).
+ *
+ * Each entry may be a field name, a list of field names, or an object
+ * `{ name?, fields: [...] }`. Fields of a ManyToOne / OneToOne relationship
+ * resolve to their join column.
+ *
+ * @param {string} entityName - PascalCase entity name (for error messages)
+ * @param {string} table - Table name
+ * @param {Array} fields - Parsed fields
+ * @param {Array} relations - Parsed relationships
+ * @param {Array} indexesYaml - Raw `indexes:` entries
+ * @param {Array} uniqueYaml - Raw `unique:` entries
+ * @returns {Object} { tableIndexes: [{ name, fields, columns }], uniqueConstraints: [{ name, fields, columns }] }
+ */
+function parseTableConstraints(entityName, table, fields, relations, indexesYaml, uniqueYaml) {
+  if (!Array.isArray(indexesYaml)) {
+    throw new Error(`Entity "${entityName}": indexes must be a list`);
+  }
+  if (!Array.isArray(uniqueYaml)) {
+    throw new Error(`Entity "${entityName}": unique must be a list`);
+  }
+
+  const columnFor = (fieldName, section) => {
+    const field = fields.find(f => f.name === toCamelCase(fieldName));
+    if (field) {
+      if (field.isCollection || field.isValueObject) {
+        throw new Error(`Entity "${entityName}": ${section} cannot reference "${fieldName}" — collections and value objects have no single column`);
+      }
+      // Honour an explicit @Column(name = "...") from the YAML annotations
+      const columnAnnotation = (field.annotations || []).find(a => a.startsWith('@Column'));
+      const explicitName = columnAnnotation && columnAnnotation.match(/name\s*=\s*"([^"]+)"/);
+      return explicitName ? explicitName[1] : toSnakeCase(field.name);
+    }
+    const rel = relations.find(r => r.fieldName === toCamelCase(fieldName) && !r.isCollection && !r.mappedBy);
+    if (rel) {
+      return toSnakeCase(rel.joinColumn || `${rel.fieldName}_id`);
+    }
+    throw new Error(`Entity "${entityName}": ${section} references unknown field "${fieldName}"`);
+  };
+
+  // PostgreSQL truncates identifiers at 63 characters
+  const defaultName = (prefix, columns) => `${prefix}_${table}_${columns.join('_')}`.slice(0, 63);
+
+  const parseEntry = (entry, prefix, section) => {
+    const entryFields = typeof entry === 'string' ? [entry]
+      : Array.isArray(entry) ? entry
+      : (entry && (entry.fields || entry.columns)) || [];
+    if (entryFields.length === 0) {
+      throw new Error(`Entity "${entityName}": every ${section} entry needs at least one field`);
+    }
+    const columns = entryFields.map(f => columnFor(f, section));
+    return {
+      name: (entry && entry.name) || defaultName(prefix, columns),
+      fields: entryFields.map(f => toCamelCase(f)),
+      columns
+    };
+  };
+
+  const tableIndexes = indexesYaml.map(entry => parseEntry(entry, 'idx', 'indexes'));
+  const uniqueConstraints = [
+    ...fields.filter(f => f.unique).map(f => parseEntry(f.name, 'uk', 'unique')),
+    ...uniqueYaml.map(entry => parseEntry(entry, 'uk', 'unique'))
+  ];
+
+  const seen = new Set();
+  [...tableIndexes, ...uniqueConstraints].forEach(def => {
+    if (seen.has(def.name)) {
+      throw new Error(`Entity "${entityName}": duplicate index/constraint name "${def.name}"`);
+    }
+    seen.add(def.name);
+  });
+
+  return { tableIndexes, uniqueConstraints };
+}
+
 /**
  * Parse a property
  * @param {Object} propData - Property data from YAML
@@ -379,7 +1053,7 @@ function computeJavaDefaultValue(rawValue, javaType, isEnum) {
 }
 
 function parseProperty(propData, valueObjectNames = [], aggregateEnums = []) {
-  const { name, type, annotations = [], isValueObject = false, isEmbedded = false, enumValues, readOnly = false, hidden = false, validations = [], reference = null, defaultValue = null } = propData;
+  const { name, type, annotations = [], isValueObject = false, isEmbedded = false, enumValues, readOnly = false, hidden = false, validations = [], reference = null, defaultValue = null, unique = false, filterable = false, sortable = false } = propData;
 
   if (defaultValue !== null && !readOnly) {
     console.warn(`⚠️  Field "${name}": "defaultValue" is only meaningful for readOnly fields. It will be ignored since readOnly is not set.`);
@@ -450,6 +1124,9 @@ function parseProperty(propData, valueObjectNames = [], aggregateEnums = []) {
     autoInitValue,
     reference,
     defaultValue,
+    unique: unique === true,
+    filterable,
+    sortable: sortable === true,
     javaDefaultValue: (readOnly && !autoInit && defaultValue !== null)
       ? computeJavaDefaultValue(defaultValue, javaType, !!enumValues || isEnumType)
       : null
@@ -1055,12 +1732,25 @@ function parseEndpoints(domainData) {
       version: v.version,
       operations: (v.operations || []).map(op => {
         const method = (op.method || 'GET').toUpperCase();
+        const pagination = op.pagination || 'offset';
+        if (!['offset', 'cursor'].includes(pagination)) {
+          throw new Error(`Endpoint ${op.useCase}: unknown pagination "${pagination}" (expected offset or cursor)`);
+        }
+        if (pagination !== 'cursor' && (op.sortKey || op.sortDirection)) {
+          throw new Error(`Endpoint ${op.useCase}: sortKey and sortDirection require pagination: cursor`);
+        }
+        const sortDirection = String(op.sortDirection || 'ASC').toUpperCase();
+        if (!['ASC', 'DESC'].includes(sortDirection)) {
+          throw new Error(`Endpoint ${op.useCase}: sortDirection must be ASC or DESC, got "${op.sortDirection}"`);
+        }
         return {
           method,
           path: op.path || '/',
           description: op.description || '',
           useCase: toPascalCase(op.useCase),
-          type: method === 'GET' ? 'query' : 'command'
+          type: method === 'GET' ? 'query' : 'command',
+          pagination,
+          ...(pagination === 'cursor' ? { sortKey: op.sortKey ? toCamelCase(op.sortKey) : null, sortDirection } : {})
         };
       })
     }))
@@ -1098,6 +1788,13 @@ function parseListeners(domainData) {
       name: toCamelCase(f.name),
       javaType: f.type
     }));
+    // Version of the payload this listener reads. Envelopes of older versions go
+    // through one upcaster per step (V1ToV2, V2ToV3, ...) before dispatch.
+    const version = Number.isInteger(listener.version) ? listener.version : 1;
+    const upcasters = [];
+    for (let from = 1; from < version; from++) {
+      upcasters.push({ fromVersion: from, className: `${baseName}V${from}ToV${from + 1}Upcaster` });
+    }
     const nestedTypes = (listener.nestedTypes || []).map(nt => ({
       name: toPascalCase(nt.name),
       fields: (nt.fields || []).map(f => ({
@@ -1110,16 +1807,55 @@ function parseListeners(domainData) {
       baseName,
       producer: listener.producer || null,
       topic,
+      version,
+      upcasters,
       useCase: useCaseName,
       commandClassName,
       integrationEventClassName,
       listenerClassName,
       fields,
-      nestedTypes
+      nestedTypes,
+      ...parseListenerErrorHandling(listener)
     };
   });
 }
 
+/**
+ * Normalise the error handling of a listener (listeners[] in domain.yaml or
+ * integrations.async[].consumers[] in system.yaml).
+ * `retry` keys left unset are null — the generated code falls back to the
+ * broker defaults of the environment. `deadLetter` is true (default dead-letter
+ * destination), a destination name, false (log and skip), or null when undeclared.
+ * `ttl`, `maxRetries` and `parkingLot` (true or a queue name) drive the delayed
+ * retry topology of RabbitMQ consumers; null when undeclared.
+ * @param {Object} source - Raw listener or consumer entry
+ * @returns {{ retry: Object|null, deadLetter: boolean|string|null, ttl: number|null,
+ *   maxRetries: number|null, parkingLot: true|string|null }}
+ */
+function parseListenerErrorHandling(source) {
+  const retry = source.retry && typeof source.retry === 'object'
+    ? {
+      attempts: Number.isInteger(source.retry.attempts) ? source.retry.attempts : null,
+      backoff: Number.isInteger(source.retry.backoff) ? source.retry.backoff : null,
+      multiplier: typeof source.retry.multiplier === 'number' ? source.retry.multiplier : null
+    }
+    : null;
+  const deadLetter = typeof source.deadLetter === 'boolean' || (typeof source.deadLetter === 'string' && source.deadLetter.trim())
+    ? (typeof source.deadLetter === 'string' ? source.deadLetter.trim() : source.deadLetter)
+    : null;
+  const positive = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+  const parkingLot = source.parkingLot === true || (typeof source.parkingLot === 'string' && source.parkingLot.trim())
+    ? (source.parkingLot === true ? true : source.parkingLot.trim())
+    : null;
+  return {
+    retry,
+    deadLetter,
+    ttl: positive(source.ttl),
+    maxRetries: positive(source.maxRetries),
+    parkingLot
+  };
+}
+
 /**
  * Derive a domain model type name from a method name.
  * Strips common verb prefixes and 'ById/ByName/...' suffixes so that
@@ -1551,6 +2287,7 @@ module.exports = {
   generateValidationImports,
   generateAggregateMethodImports,
   parseListeners,
+  parseListenerErrorHandling,
   parsePorts,
   parseReadModels,
   resolveEventArgs,